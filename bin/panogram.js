@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/*
+ * Command-line interface for the headless pedigree model (see node/panogram.js).
+ *
+ *   panogram convert family.ped --to boadicea
+ *   panogram convert *.ped --to simplejson --out-dir converted/
+ *   panogram render family.ped --format pdf -o family.pdf
+ *
+ * Run "panogram help" for the list of commands and options.
+ */
+
+var fs       = require("fs");
+var path     = require("path");
+var panogram = require("../node/panogram.js");
+
+var USAGE =
+    "Usage: panogram <command> [options]\n" +
+    "\n" +
+    "Commands:\n" +
+    "  convert <input>... --to <format>   convert pedigree files to another format\n" +
+    "  render <input>...                  draw pedigree files as SVG or PDF images\n" +
+    "  formats                            list the supported formats\n" +
+    "  help                               show this help\n" +
+    "\n" +
+    "Import options:\n" +
+    "  --from <format>                    format of the input files (default: detected automatically)\n" +
+    "  --family <id>                      import only the given family from multi-family PED, PLINK or Madeline files\n" +
+    "  --other-phenotypes <disorder|none> treat non-standard PED phenotype values as new disorders (default)\n" +
+    "                                     or as \"no information\"\n" +
+    "  --affected-coding <12|01>          PED phenotype coding: 1 = unaffected, 2 = affected (default)\n" +
+    "                                     or 0 = unaffected, 1 = affected\n" +
+    "  --mark-evaluated                   mark all persons with known disorder status as evaluated\n" +
+    "  --no-external-id                   do not save the individual IDs from the input as external IDs\n" +
+    "  --recover                          skip broken records instead of failing (problems are printed to stderr)\n" +
+    "\n" +
+    "Convert options:\n" +
+    "  --to <format>                      output format\n" +
+    "  --ids <external|name|sample|newid> which field is used for person IDs in PED-like formats (default: external)\n" +
+    "  --privacy <all|nopersonal|minimal> which personal data is exported in all other formats (default: all)\n" +
+    "  --family-id <id>                   family ID written to the output (default: the family ID from\n" +
+    "                                     PED, PLINK, Madeline, BOADICEA, GEDCOM or FHIR input, or the\n" +
+    "                                     input file name)\n" +
+    "\n" +
+    "Output options (all commands):\n" +
+    "  -o, --output <file>                output file (default: standard output; only for a single pedigree)\n" +
+    "  --out-dir <dir>                    write every pedigree to <dir>/<name>.<extension>\n" +
+    "  --verbose                          print the debug output of the layout code\n" +
+    "\n" +
+    "Render options:\n" +
+    "  --format <svg|pdf>                 image format (default: svg)\n" +
+    "  --title <text>                     title above the pedigree (default: generated from the phenotypes)\n" +
+    "  --no-legend                        leave out the carrier status legend\n";
+
+// format names accepted on the command line (case-insensitive) -> import/export type
+var FORMAT_NAMES = {
+    "auto":          "auto",
+    "ped":           "ped",
+    "linkage":       "ped",
+    "plink":         "plink",
+    "fam":           "plink",
+    "madeline":      "madeline",
+    "boadicea":      "BOADICEA",
+    "boadicea2":     "BOADICEA",
+    "boadicea4":     "BOADICEA4",
+    "canrisk":       "BOADICEA4",
+    "gedcom":        "gedcom",
+    "ged":           "gedcom",
+    "simplejson":    "simpleJSON",
+    "json":          "simpleJSON",
+    "fhir":          "fhir",
+    "csv":           "csv",
+    "phenopacket":   "phenopacket",
+    "dot":           "dot",
+    "mermaid":       "mermaid",
+    "phenotipsjson": "phenotipsJSON",
+    "internal":      "phenotipsJSON"
+};
+
+// same file name extensions as used by the export dialog
+var EXTENSIONS = {
+    "ped":           ".ped",
+    "plink":         ".fam",
+    "madeline":      ".madeline.txt",
+    "BOADICEA":      ".dat",
+    "BOADICEA4":     ".dat",
+    "gedcom":        ".ged",
+    "simpleJSON":    ".json",
+    "fhir":          ".fhir.json",
+    "csv":           ".csv",
+    "phenopacket":   ".phenopacket.json",
+    "dot":           ".dot",
+    "mermaid":       ".mmd",
+    "phenotipsJSON": ".pedigree.json"
+};
+
+// options which take a value; all other options are flags
+var VALUE_OPTIONS = [ "--from", "--to", "--family", "--other-phenotypes", "--affected-coding", "-o", "--output",
+                      "--out-dir", "--ids", "--privacy", "--family-id", "--format", "--title" ];
+var FLAG_OPTIONS  = [ "--mark-evaluated", "--no-external-id", "--recover", "--verbose", "--no-legend" ];
+
+function UsageError(message) {
+    this.message = message;
+}
+
+/*
+ * Splits the command line into positional arguments and options: { "args": [...], "options": {name: value} }
+ */
+function parseArguments(argv) {
+    var result = { "args": [], "options": {} };
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (arg.charAt(0) != "-" || arg == "-") {
+            result.args.push(arg);
+            continue;
+        }
+        var value = null;
+        var eq = arg.indexOf("=");
+        if (arg.substring(0, 2) == "--" && eq > 0) {
+            value = arg.substring(eq + 1);
+            arg   = arg.substring(0, eq);
+        }
+        if (VALUE_OPTIONS.indexOf(arg) >= 0) {
+            if (value === null) {
+                if (i + 1 >= argv.length) {
+                    throw new UsageError("option " + arg + " requires a value");
+                }
+                value = argv[++i];
+            }
+        } else if (FLAG_OPTIONS.indexOf(arg) >= 0 && value === null) {
+            value = true;
+        } else {
+            throw new UsageError("unknown option " + arg);
+        }
+        result.options[(arg == "-o") ? "--output" : arg] = value;
+    }
+    return result;
+}
+
+function getFormat(name, supported, direction) {
+    var format = FORMAT_NAMES[String(name).toLowerCase()];
+    if (!format || supported.indexOf(format) < 0) {
+        throw new UsageError("unsupported " + direction + " format \"" + name + "\" (run \"panogram formats\" for the list of formats)");
+    }
+    return format;
+}
+
+function getChoice(options, name, choices, defaultValue) {
+    if (!options.hasOwnProperty(name)) return defaultValue;
+    if (choices.indexOf(options[name]) < 0) {
+        throw new UsageError("option " + name + " should be one of " + choices.join(", "));
+    }
+    return options[name];
+}
+
+/*
+ * Returns the import options in the form accepted by PedigreeImport.importBaseGraph()
+ */
+function getImportOptions(options) {
+    return {
+        "acceptUnknownPhenotypes": getChoice(options, "--other-phenotypes", ["disorder", "none"], "disorder") == "disorder",
+        "affectedCodeOne":         getChoice(options, "--affected-coding", ["12", "01"], "12") == "01",
+        "markEvaluated":           !!options["--mark-evaluated"],
+        "externalIdMark":          !options["--no-external-id"]
+    };
+}
+
+/*
+ * Imports one input file; returns a list of { "name", "familyID", "graph" }, one per imported pedigree
+ */
+function importFile(fileName, importFormat, options) {
+    var text = fs.readFileSync(fileName, "utf8");
+    var type = (importFormat == "auto") ? panogram.detectFormat(text).format : importFormat;
+    if (type === null) {
+        throw "Unable to detect the format of the input: " + panogram.detectFormat(text).reason + ". Please use --from";
+    }
+
+    var baseName = path.basename(fileName).replace(/\.[^.]*$/, "");
+
+    // files with multiple families are imported family by family
+    var families = [ null ];
+    if (type == "ped" || type == "plink" || type == "madeline") {
+        var familyIDs = panogram.getFamilies(text, type).map(function(family) { return family.familyID; });
+        if (options.hasOwnProperty("--family")) {
+            if (familyIDs.indexOf(options["--family"]) < 0) {
+                throw "family \"" + options["--family"] + "\" is not present in the input";
+            }
+            families = [ options["--family"] ];
+        } else if (familyIDs.length > 0) {
+            families = familyIDs;
+        }
+    }
+
+    var results = [];
+    for (var i = 0; i < families.length; i++) {
+        var importOptions = getImportOptions(options);
+        if (families[i] !== null) {
+            importOptions.familyID = families[i];
+        }
+        if (options["--recover"]) {
+            importOptions.report = new panogram.model.PedigreeImportReport(true);
+        }
+
+        var graph = panogram.importPedigree(text, type, importOptions);
+
+        if (importOptions.report && importOptions.report.hasProblems()) {
+            console.error(fileName + (families[i] !== null ? " (family " + families[i] + ")" : "") + ":\n" + importOptions.report.toString());
+        }
+
+        var familyID = options.hasOwnProperty("--family-id") ? options["--family-id"] :
+                       (families[i] !== null ? families[i] : (panogram.getFamilyID(text, type) || baseName));
+        var name = (families.length > 1) ? baseName + "." + String(families[i]).replace(/[^a-zA-Z0-9_\-]/g, "_") : baseName;
+        results.push({ "name": name, "familyID": familyID, "graph": graph });
+    }
+    return results;
+}
+
+/*
+ * Imports all input files, passes every imported pedigree to getOutput(pedigree) and writes the output
+ * to stdout, to the --output file or to --out-dir/<name><extension>. Returns the exit code
+ */
+function processFiles(args, options, extension, getOutput) {
+    if (args.length == 0) {
+        throw new UsageError("no input files given");
+    }
+    var importFormat = getFormat(options.hasOwnProperty("--from") ? options["--from"] : "auto", panogram.IMPORT_FORMATS.concat("auto"), "input");
+
+    if (options.hasOwnProperty("--output") && options.hasOwnProperty("--out-dir")) {
+        throw new UsageError("--output and --out-dir can not be used together");
+    }
+    if (args.length > 1 && !options.hasOwnProperty("--out-dir")) {
+        throw new UsageError("--out-dir is required when processing more than one file");
+    }
+    if (options.hasOwnProperty("--out-dir") && !fs.existsSync(options["--out-dir"])) {
+        fs.mkdirSync(options["--out-dir"], { "recursive": true });
+    }
+
+    // a file which can not be processed does not stop the processing of all other files
+    var failed = 0;
+    for (var i = 0; i < args.length; i++) {
+        try {
+            var results = importFile(args[i], importFormat, options);
+            results.forEach(function(result) {
+                result.output = getOutput(result);
+            });
+        } catch (err) {
+            console.error(args[i] + ": " + err);
+            failed++;
+            continue;
+        }
+        if (options.hasOwnProperty("--out-dir")) {
+            results.forEach(function(result) {
+                fs.writeFileSync(path.join(options["--out-dir"], result.name + extension), result.output);
+            });
+        } else if (results.length > 1) {
+            console.error(args[i] + ": the input contains " + results.length + " families, use --family to select one of them or --out-dir to process all of them");
+            failed++;
+        } else if (options.hasOwnProperty("--output")) {
+            fs.writeFileSync(options["--output"], results[0].output);
+        } else {
+            process.stdout.write(results[0].output);
+        }
+    }
+    if (args.length > 1) {
+        console.error("Processed " + (args.length - failed) + " of " + args.length + " files");
+    }
+    return (failed > 0) ? 1 : 0;
+}
+
+function convert(args, options) {
+    if (!options.hasOwnProperty("--to")) {
+        throw new UsageError("the output format should be given using --to");
+    }
+    var exportFormat = getFormat(options["--to"], panogram.EXPORT_FORMATS, "output");
+    var idGeneration = getChoice(options, "--ids", ["external", "name", "sample", "newid"], "external");
+    var privacy      = getChoice(options, "--privacy", ["all", "nopersonal", "minimal"], "all");
+
+    return processFiles(args, options, EXTENSIONS[exportFormat], function(pedigree) {
+        return panogram.exportPedigree(pedigree.graph, exportFormat, {
+                   "familyID":     pedigree.familyID,
+                   "idGeneration": idGeneration,
+                   "privacy":      privacy
+               });
+    });
+}
+
+function renderFiles(args, options) {
+    var format = getChoice(options, "--format", ["svg", "pdf"], "svg");
+    var renderOptions = { "legend": !options["--no-legend"] };
+    if (options.hasOwnProperty("--title")) {
+        renderOptions.title = options["--title"];
+    }
+
+    return processFiles(args, options, "." + format, function(pedigree) {
+        return (format == "pdf") ? panogram.renderPDF(pedigree.graph, renderOptions) : panogram.renderSVG(pedigree.graph, renderOptions);
+    });
+}
+
+function listFormats() {
+    var names = function(formats) {
+        return formats.map(function(format) {
+            var aliases = Object.keys(FORMAT_NAMES).filter(function(name) { return FORMAT_NAMES[name] == format; });
+            return "  " + aliases.join(", ");
+        }).join("\n");
+    };
+    console.log("Input formats:\n" + names(panogram.IMPORT_FORMATS) + "\n\nOutput formats:\n" + names(panogram.EXPORT_FORMATS));
+    return 0;
+}
+
+function main(argv) {
+    var command = argv[0];
+    try {
+        var parsed = parseArguments(argv.slice(1));
+        panogram.setVerbose(!!parsed.options["--verbose"]);
+        if (command == "convert") {
+            return convert(parsed.args, parsed.options);
+        } else if (command == "render") {
+            return renderFiles(parsed.args, parsed.options);
+        } else if (command == "formats") {
+            return listFormats();
+        } else if (command == "help" || command == "--help" || command == "-h" || command === undefined) {
+            console.log(USAGE);
+            return 0;
+        }
+        throw new UsageError("unknown command \"" + command + "\"");
+    } catch (err) {
+        if (err instanceof UsageError) {
+            console.error("panogram: " + err.message + "\n\n" + USAGE);
+            return 2;
+        }
+        console.error("panogram: " + err);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -14,6 +14,7 @@ var Controller = Class.create({
         document.observe("pedigree:undo",                      this.handleUndo);
         document.observe("pedigree:redo",                      this.handleRedo);
         document.observe("pedigree:renumber",                  this.handleRenumber);
+        document.observe("pedigree:samples:link",              this.handleLinkSamples);
         document.observe("pedigree:node:remove",               this.handleRemove);
         document.observe("pedigree:node:setproperty",          this.handleSetProperty);
         document.observe("pedigree:node:modify",               this.handleModification);
@@ -125,6 +126,32 @@ var Controller = Class.create({
             editor.getActionStack().addState( event );
     },
 
+    handleLinkSamples: function(event)
+    {
+        // Sets the sequencing sample ID of the given person nodes, memo.samples is { nodeID: sampleID }
+
+        console.log("event: " + event.eventName + ", memo: " + stringifyObject(event.memo));
+
+        var samples = event.memo.samples;
+        var changed = false;
+
+        for (var nodeID in samples) {
+            if (samples.hasOwnProperty(nodeID)) {
+                var node = editor.getView().getNode(nodeID);
+                if (node.getSampleID() != samples[nodeID]) {
+                    changed = true;
+                    node.setSampleID(samples[nodeID]);
+                    var allProperties = node.getProperties();
+                    editor.getGraph().setProperties( nodeID, allProperties );
+                }
+            }
+        }
+
+        if (!event.memo.noUndoRedo && changed) {
+            editor.getActionStack().addState( event );
+        }
+    },
+
     handleRemove: function(event)
     {
         console.log("event: " + event.eventName + ", memo: " + stringifyObject(event.memo));
@@ -593,6 +620,17 @@ var Controller = Class.create({
     }
 });
 
+/*
+ * All changes of the pedigree go through these events, so objects which display something computed from
+ * the whole pedigree (e.g. ObligateCarrierMarker) observe them to stay up to date. Observers created after
+ * the controller are notified once the controller has applied the change.
+ */
+Controller.GRAPH_CHANGE_EVENTS = [ "pedigree:load:finish", "pedigree:graph:clear", "pedigree:node:remove",
+                                   "pedigree:node:setproperty", "pedigree:node:modify", "pedigree:person:drag:newparent",
+                                   "pedigree:person:drag:newpartner", "pedigree:person:drag:newsibling",
+                                   "pedigree:person:newparent", "pedigree:person:newsibling",
+                                   "pedigree:person:newpartnerandchild", "pedigree:partnership:newchild" ];
+
 Controller._validatePropertyValue = function( nodeID, propertySetFunction, propValue)
 {
     if (propertySetFunction == "setGender") {
@@ -42,6 +42,22 @@ var DisorgerLegend = Class.create( Legend, {
         return this._disorderCache[disorderID];
     },
 
+    /**
+     * Returns all disorders which are currently assigned to at least one person in the pedigree
+     *
+     * @method getAllDisorders
+     * @return {Array} List of Disorder objects, in the order they were added to the legend
+     */
+    getAllDisorders: function() {
+        var disorders = [];
+        for (var disorderID in this._affectedNodes) {
+            if (this._affectedNodes.hasOwnProperty(disorderID)) {
+                disorders.push(this.getDisorder(disorderID));
+            }
+        }
+        return disorders;
+    },
+
     /**
      * Registers an occurrence of a disorder. If disorder hasn't been documented yet,
      * designates a color for it.
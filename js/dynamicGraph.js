@@ -117,6 +117,47 @@ DynamicPositionedGraph.prototype = {
         return this.DG.consangr.hasOwnProperty(id);
     },
 
+    // returns the kinship coefficient of two persons (0 for unrelated persons, 1/2 for a person and itself)
+    getKinshipCoefficient: function( id1, id2 )
+    {
+        if (!this.isPerson(id1) || !this.isPerson(id2))
+            throw "Assertion failed: getKinshipCoefficient() is applied to a non-person";
+
+        return this.DG.getKinshipCoefficient(id1, id2);
+    },
+
+    // returns Wright's inbreeding coefficient F of the person
+    getInbreedingCoefficient: function( id )
+    {
+        if (!this.isPerson(id))
+            throw "Assertion failed: getInbreedingCoefficient() is applied to a non-person";
+
+        return this.DG.getInbreedingCoefficient(id);
+    },
+
+    // returns the description of the blood relationship between two persons (e.g. "first cousins"), or null if not related
+    getRelationshipDescription: function( id1, id2 )
+    {
+        if (!this.isPerson(id1) || !this.isPerson(id2))
+            throw "Assertion failed: getRelationshipDescription() is applied to a non-person";
+
+        return this.DG.getRelationshipDescription(id1, id2);
+    },
+
+    // returns the degree of consanguinity of the partners with the inbreeding coefficient of their children,
+    // e.g. "first cousins, F = 1/16", or null if the partners are not related
+    getConsanguinityDescription: function( id )
+    {
+        if (!this.isRelationship(id))
+            throw "Assertion failed: getConsanguinityDescription() is applied to a non-relationship";
+
+        var partners = this.DG.GG.getParents(id);
+        var description = this.DG.getRelationshipDescription(partners[0], partners[1]);
+        if (description === null)
+            return null;
+        return description + ", F = " + fractionToString(this.DG.getKinshipCoefficient(partners[0], partners[1]));
+    },
+
     getProperties: function( id )
     {
         return this.DG.GG.properties[id];
@@ -1240,23 +1281,22 @@ DynamicPositionedGraph.prototype = {
 
         //this._debugPrintAll("before");
 
-        if (importType == "ped") {
-            var baseGraph = PedigreeImport.initFromPED(importString, importOptions.acceptUnknownPhenotypes, importOptions.markEvaluated, importOptions.externalIdMark);
-            if (!this._recreateUsingBaseGraph(baseGraph)) return null;  // no changes
-        } else if (importType == "BOADICEA") {
-            var baseGraph = PedigreeImport.initFromBOADICEA(importString, importOptions.externalIdMark);
-            if (!this._recreateUsingBaseGraph(baseGraph)) return null;  // no changes
-        } else if (importType == "gedcom") {
-            var baseGraph = PedigreeImport.initFromGEDCOM(importString, importOptions.markEvaluated, importOptions.externalIdMark);
-            if (!this._recreateUsingBaseGraph(baseGraph)) return null;  // no changes
-        } else if (importType == "simpleJSON") {
-            var baseGraph = PedigreeImport.initFromSimpleJSON(importString);
-            if (!this._recreateUsingBaseGraph(baseGraph)) return null;  // no changes            
-        }  else if (importType == "phenotipsJSON") {
-            
-            // TODO
+        if (importType == "phenotipsJSON") {
+            // an exact copy of a pedigree as produced by toJSON(), including the layout
+            var serializedData = PedigreeImport.parsePhenotipsJSON(importString);
+            if (!serializedData.hasOwnProperty("ranks") ||
+                !serializedData.hasOwnProperty("order") || !serializedData.hasOwnProperty("positions")) {
+                throw "Unable to import pedigree: JSON does not represent a Phenotips pedigree (ranks, order or positions are missing)";
+            }
+            // make sure the data is valid before the current pedigree is replaced
+            PedigreeImport.validateBaseGraph(PedigreeImport.initFromPhenotipsInternal(serializedData["GG"]));
+
+            return this.fromJSON(JSON.stringify(serializedData));
         }
 
+        var baseGraph = PedigreeImport.importBaseGraph(importString, importType, importOptions);
+        if (!this._recreateUsingBaseGraph(baseGraph)) return null;  // no changes
+
         //this._debugPrintAll("after");
 
         var newNodes = this._getAllNodes();
@@ -1264,6 +1304,221 @@ DynamicPositionedGraph.prototype = {
         return {"new": newNodes, "removed": removedNodes};
     },
 
+    // Adds the persons of an imported pedigree (importedG, a BaseGraph) to this pedigree. importedId is a person in
+    // the imported pedigree who is the same person as existingId in this pedigree. Starting from that person all the
+    // imported relatives are added one by one, using the same operations which are used when relatives are added
+    // manually, so the current layout is kept as much as possible.
+    //
+    // Imported persons are matched to the persons already in the pedigree where possible: the parents of a person who
+    // already has parents are the existing parents, partners and children are matched by external ID or full name.
+    // Properties of the persons already in the pedigree are not changed.
+    mergeImport: function (importedG, importedId, existingId)
+    {
+        if (!importedG.isPerson(importedId) || !this.isPerson(existingId))
+            throw "Assertion failed: merging non-person nodes";
+
+        var importedGender = importedG.getGender(importedId);
+        var existingGender = this.getGender(existingId);
+        if (importedGender != "U" && existingGender != "U" && importedGender != existingGender)
+            throw "the selected persons have different genders";
+
+        // the merge is all-or-nothing: if any of the steps fails the pedigree is restored
+        var serializedBefore = this.toJSON();
+
+        var _this    = this;
+        var mapping  = {};    // imported person or relationship ID -> ID in this graph
+        var used     = {};    // persons in this graph which are already matched to an imported person
+        var queue    = [];
+        var doneRels = {};    // imported relationships with all children processed
+        var newNodes = [];
+        var moved    = [];
+
+        var mapPerson = function(v, id) {
+            mapping[v] = id;
+            used[id]   = true;
+            queue.push(v);
+        };
+        var getImportedProperties = function(v) {
+            var properties = cloneObject(importedG.properties[v]);
+            delete properties["twinGroup"];   // twin groups are re-assigned by addTwin()
+            delete properties["proband"];
+            return properties;
+        };
+        var addChanges = function(changeSet) {
+            if (changeSet.hasOwnProperty("new"))
+                newNodes = newNodes.concat(changeSet["new"]);
+            if (changeSet.hasOwnProperty("moved"))
+                moved = moved.concat(changeSet["moved"]);
+        };
+        var isSamePerson = function(id, v) {
+            var properties         = _this.DG.GG.properties[id];
+            var importedProperties = importedG.properties[v];
+            if (properties["gender"] != "U" && importedProperties["gender"] != "U" && properties["gender"] != importedProperties["gender"])
+                return false;
+            if (properties["externalID"] && properties["externalID"] == importedProperties["externalID"])
+                return true;
+            return (properties["fName"] && properties["lName"] &&
+                    properties["fName"] == importedProperties["fName"] && properties["lName"] == importedProperties["lName"]);
+        };
+        var findSamePerson = function(candidates, v) {
+            for (var i = 0; i < candidates.length; i++) {
+                if (!used.hasOwnProperty(candidates[i]) && isSamePerson(candidates[i], v))
+                    return candidates[i];
+            }
+            return null;
+        };
+        var findRelationship = function(person1, person2) {
+            var relationships = _this.DG.GG.getAllRelationships(person1);
+            for (var i = 0; i < relationships.length; i++) {
+                if (arrayContains(_this.DG.GG.getParents(relationships[i]), person2))
+                    return relationships[i];
+            }
+            return null;
+        };
+
+        // matches the imported parents of v to the parents of mapping[v] (which are either already in
+        // the pedigree or have just been added)
+        var mergeParents = function(v, importedRel) {
+            var person = mapping[v];
+            if (_this.DG.GG.getProducingRelationship(person) === null) {
+                var importedParents = importedG.getParents(v).filter(function(u) { return mapping.hasOwnProperty(u); });
+                if (importedParents.length == 0) {
+                    addChanges(_this.addNewParents(person));
+                } else {
+                    var relationship = (importedParents.length == 2) ? findRelationship(mapping[importedParents[0]], mapping[importedParents[1]]) : null;
+                    // if both parents are already in the pedigree but are not partners the child gets only one of them
+                    addChanges(_this.assignParent((relationship !== null) ? relationship : mapping[importedParents[0]], person));
+                }
+            }
+            mapping[importedRel] = _this.DG.GG.getProducingRelationship(person);
+
+            var parents = _this.DG.GG.getParents(person);
+            var importedParents = importedG.getParents(v);
+            for (var i = 0; i < importedParents.length; i++) {
+                var u = importedParents[i];
+                if (mapping.hasOwnProperty(u)) continue;
+                // prefer the parent of the same gender, as new parents are always created as a "mother" and a "father"
+                var candidates = parents.filter(function(parent) { return !used.hasOwnProperty(parent); });
+                candidates.sort(function(a, b) { return (_this.getGender(b) == importedG.getGender(u)) - (_this.getGender(a) == importedG.getGender(u)); });
+                if (candidates.length == 0) continue;
+                if (arrayContains(newNodes, candidates[0])) {
+                    _this.DG.GG.properties[candidates[0]] = getImportedProperties(u);
+                }
+                mapPerson(u, candidates[0]);
+            }
+        };
+
+        // finds or creates the relationship in the pedigree which corresponds to the imported relationship
+        // importedRel of v, and matches or adds all the children of that relationship
+        var mergeRelationship = function(v, importedRel) {
+            var person   = mapping[v];
+            var partners = importedG.getParents(importedRel);
+            var partner  = (partners[0] == v) ? partners[1] : partners[0];
+            var children = importedG.getOutEdges(importedG.getRelationshipChildhub(importedRel));
+
+            if (!mapping.hasOwnProperty(importedRel)) {
+                // every relationship is created together with a child, which is the first of the imported children
+                var firstChild = null;
+                for (var i = 0; i < children.length && firstChild === null; i++) {
+                    if (!mapping.hasOwnProperty(children[i]))
+                        firstChild = children[i];
+                }
+                var childProperties = (firstChild !== null) ? getImportedProperties(firstChild) : {};
+
+                if (!mapping.hasOwnProperty(partner)) {
+                    var samePartner = findSamePerson(_this.DG.GG.getAllPartners(person), partner);
+                    if (samePartner !== null) {
+                        mapPerson(partner, samePartner);
+                    }
+                }
+                var relationship = mapping.hasOwnProperty(partner) ? findRelationship(person, mapping[partner]) : null;
+                if (relationship === null) {
+                    if (mapping.hasOwnProperty(partner)) {
+                        var changeSet = _this.assignPartner(person, mapping[partner], childProperties);
+                        relationship  = changeSet["new"][0];
+                        var newChild  = changeSet["new"][1];
+                    } else {
+                        var changeSet = _this.addNewRelationship(person, childProperties);
+                        relationship  = changeSet["new"][0];
+                        var newChild  = changeSet["new"][2];
+                        _this.DG.GG.properties[changeSet["new"][1]] = getImportedProperties(partner);
+                        mapPerson(partner, changeSet["new"][1]);
+                    }
+                    addChanges(changeSet);
+                    if (firstChild !== null) {
+                        mapPerson(firstChild, newChild);
+                    }
+                }
+                mapping[importedRel] = relationship;
+            }
+
+            if (doneRels.hasOwnProperty(importedRel)) return;
+            doneRels[importedRel] = true;
+
+            var relationship = mapping[importedRel];
+            var childhub     = _this.DG.GG.getRelationshipChildhub(relationship);
+            for (var i = 0; i < children.length; i++) {
+                var child = children[i];
+                if (mapping.hasOwnProperty(child)) {
+                    if (_this.DG.GG.getProducingRelationship(mapping[child]) === null) {
+                        addChanges(_this.assignParent(relationship, mapping[child]));
+                    }
+                    continue;
+                }
+                var sameChild = findSamePerson(_this.DG.GG.getOutEdges(childhub), child);
+                if (sameChild !== null) {
+                    mapPerson(child, sameChild);
+                    continue;
+                }
+                // twins are added next to the twin which is already in the pedigree
+                var twin = null;
+                var twinGroupId = importedG.getTwinGroupId(child);
+                for (var j = 0; j < i && twinGroupId !== null && twin === null; j++) {
+                    if (importedG.getTwinGroupId(children[j]) == twinGroupId && mapping.hasOwnProperty(children[j]) &&
+                        _this.DG.GG.getProducingRelationship(mapping[children[j]]) == relationship) {
+                        twin = mapping[children[j]];
+                    }
+                }
+                var changeSet = (twin !== null) ? _this.addTwin(twin, getImportedProperties(child)) :
+                                                  _this.addNewChild(childhub, getImportedProperties(child));
+                addChanges(changeSet);
+                mapPerson(child, changeSet["new"][0]);
+            }
+        };
+
+        try {
+            mapPerson(importedId, existingId);
+
+            while (queue.length > 0) {
+                var v = queue.shift();
+
+                var importedRel = importedG.getProducingRelationship(v);
+                if (importedRel !== null) {
+                    if (!mapping.hasOwnProperty(importedRel)) {
+                        mergeParents(v, importedRel);
+                    }
+                    mergeRelationship(importedG.getParents(v)[0], importedRel);  // adds the siblings
+                }
+
+                var relationships = importedG.getAllRelationships(v);
+                for (var i = 0; i < relationships.length; i++) {
+                    mergeRelationship(v, relationships[i]);
+                }
+            }
+        } catch (err) {
+            this.fromJSON(serializedBefore);
+            throw err;
+        }
+
+        // nodes which were added and moved later on are only new
+        var movedNodes = [];
+        for (var i = 0; i < moved.length; i++) {
+            if (!arrayContains(newNodes, moved[i]) && !arrayContains(movedNodes, moved[i]))
+                movedNodes.push(moved[i]);
+        }
+        return {"new": newNodes, "moved": movedNodes, "highlight": [existingId]};
+    },
+
     getPathToParents: function(v)
     {
         // returns an array with two elements: path to parent1 (excluding v) and path to parent2 (excluding v):
@@ -2341,9 +2596,9 @@ Heuristics.prototype = {
                     var parentPos = _this.DG.positions[parent];
                     //console.log("v1: " + v1 + ", pos: " + position1 + ", v2: " + v2 + ", pos: " + position2 + ", parPos: " + parentPos);
                     if (position1 >= parentPos && position2 >= parentPos)
-                        return position1 < position2;
+                        return position2 - position1;
                     else
-                        return position1 > position2;
+                        return position1 - position2;
                 };
             multiRankEdges.sort(byXcoord);
 
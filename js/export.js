@@ -18,6 +18,8 @@ PedigreeExport.prototype = {
  *      { "name": "f21", "sex": "female", "mother": "f12", "father": "m12" },
  *      { "name": "ch1", "sex": "female", "mother": "f21", "father": "m21", "disorders": [603235], "proband": true } ]
  *
+ *  Each person also has a "relationshipToProband" (see ProbandRelationship), which is ignored when importing.
+ *
  * @param pedigree {PositionedGraph} 
  * ===============================================================================================
  */
@@ -25,6 +27,8 @@ PedigreeExport.exportAsSimpleJSON = function(pedigree, privacySetting)
 {
    var exportObj = [];
 
+   var relationships = ProbandRelationship.describeAll(pedigree.GG);
+
    for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
        if (!pedigree.GG.isPerson(i)) continue;
        
@@ -61,6 +65,10 @@ PedigreeExport.exportAsSimpleJSON = function(pedigree, privacySetting)
            }
        }
 
+       if (relationships[i]) {
+           person["relationshipToProband"] = relationships[i];
+       }
+
        exportObj.push(person);
    }
 
@@ -69,6 +77,198 @@ PedigreeExport.exportAsSimpleJSON = function(pedigree, privacySetting)
 
 //===============================================================================================
 
+/*
+ *  CSV format: one line per person, with column titles in the first line. The column titles are
+ *  recognized by PedigreeImport.initFromCSV, so that the exported file can be imported back.
+ *
+ *   id, externalId, sampleId, firstName, lastName, lastNameAtBirth: person IDs are internal node IDs plus one,
+ *                  since "0" in the father/mother columns stands for an unknown parent (same as in PED files)
+ *   father, mother: IDs of the parents, empty if not known
+ *   partners: IDs of all the partners of the person
+ *   sex: male, female or unknown
+ *   lifeStatus, birthDate, deathDate (YYYY-MM-DD), age (full years at death or as of today)
+ *   carrierStatus, disorders (IDs), disorderNames, hpoTerms, candidateGenes, ethnicities
+ *   twinGroup, monozygotic, adoptedIn, evaluated, proband
+ *   relationshipToProband: e.g. "maternal aunt" (see ProbandRelationship), not used when importing
+ *   comments
+ *
+ *  Multiple values in one cell are separated by "|".
+ *  privacySetting: same as for exportAsSimpleJSON ("all", "nopersonal" or "minimal"). With
+ *                  "nopersonal" and "minimal" names, dates and age are omitted, with "minimal" comments
+ *                  are omitted as well.
+ *  delimiter: column separator, "," by default
+ */
+PedigreeExport.exportAsCSV = function(pedigree, privacySetting, delimiter)
+{
+   if (!delimiter) {
+       delimiter = ",";
+   }
+
+   var columns = ["id", "externalId", "sampleId", "firstName", "lastName", "lastNameAtBirth", "father", "mother", "partners",
+                  "sex", "lifeStatus", "birthDate", "deathDate", "age", "carrierStatus", "disorders", "disorderNames",
+                  "hpoTerms", "candidateGenes", "ethnicities", "twinGroup", "monozygotic", "adoptedIn", "evaluated",
+                  "proband", "relationshipToProband", "comments"];
+
+   var personalColumns = ["firstName", "lastName", "lastNameAtBirth", "birthDate", "deathDate", "age"];
+   if (privacySetting != "all") {
+       columns = columns.filter(function(column) { return personalColumns.indexOf(column) < 0; });
+       if (privacySetting == "minimal") {
+           columns = columns.filter(function(column) { return column != "comments"; });
+       }
+   }
+
+   var quote = function(value) {
+       if (value === undefined || value === null) {
+           return "";
+       }
+       value = String(value);
+       if (value.indexOf(delimiter) >= 0 || value.match(/["\r\n]/) !== null) {
+           value = '"' + value.replace(/"/g, '""') + '"';
+       }
+       return value;
+   };
+
+   var formatDate = function(dateString) {
+       var date = new Date(dateString);
+       if (isNaN(date.getTime())) {
+           return "";
+       }
+       var pad = function(number) { return (number < 10 ? "0" : "") + number; };
+       return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+   };
+
+   var output = columns.map(quote).join(delimiter) + "\n";
+
+   var relationships = ProbandRelationship.describeAll(pedigree.GG);
+
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (!pedigree.GG.isPerson(i)) continue;
+
+       var properties = pedigree.GG.properties[i];
+
+       var row = {"id": i + 1};
+
+       var simpleProperties = { "externalId": "externalID", "sampleId": "sampleID", "firstName": "fName", "lastName": "lName", "lastNameAtBirth": "lNameAtB",
+                                "lifeStatus": "lifeStatus", "carrierStatus": "carrierStatus", "twinGroup": "twinGroup",
+                                "comments": "comments" };
+       for (var column in simpleProperties) {
+           if (simpleProperties.hasOwnProperty(column) && properties.hasOwnProperty(simpleProperties[column])) {
+               row[column] = properties[simpleProperties[column]];
+           }
+       }
+
+       // mother & father
+       var parents = pedigree.GG.getParents(i);
+       if (parents.length > 0) {
+           var father = parents[0];
+           var mother = parents[1];
+
+           if ( pedigree.GG.properties[parents[0]]["gender"] == "F" ||
+                pedigree.GG.properties[parents[1]]["gender"] == "M" ) {
+               father = parents[1];
+               mother = parents[0];
+           }
+           row["father"] = father + 1;
+           row["mother"] = mother + 1;
+       }
+
+       row["partners"] = pedigree.GG.getAllPartners(i).map(function(partner) { return partner + 1; }).join("|");
+
+       row["sex"] = PedigreeExport.convertProperty("gender", properties["gender"]).value;
+
+       if (properties.hasOwnProperty("dob")) {
+           row["birthDate"] = formatDate(properties["dob"]);
+       }
+       if (properties.hasOwnProperty("dod")) {
+           row["deathDate"] = formatDate(properties["dod"]);
+       }
+       if (properties.hasOwnProperty("dob") && !isNaN(new Date(properties["dob"]).getTime())) {
+           var birth = new Date(properties["dob"]);
+           var last  = properties.hasOwnProperty("dod") ? new Date(properties["dod"]) : new Date();
+           if (!isNaN(last.getTime()) && last >= birth) {
+               var age = last.getFullYear() - birth.getFullYear();
+               if (last.getMonth() < birth.getMonth() ||
+                   (last.getMonth() == birth.getMonth() && last.getDate() < birth.getDate())) {
+                   age--;
+               }
+               row["age"] = age;
+           }
+       }
+
+       if (properties.hasOwnProperty("disorders")) {
+           row["disorders"]     = properties["disorders"].join("|");
+           row["disorderNames"] = properties["disorders"].map(PedigreeExport.getDisorderName).join("|");
+       }
+       var listProperties = { "hpoTerms": "hpoTerms", "candidateGenes": "candidateGenes", "ethnicities": "ethnicities" };
+       for (var column in listProperties) {
+           if (listProperties.hasOwnProperty(column) && properties.hasOwnProperty(listProperties[column])) {
+               row[column] = properties[listProperties[column]].join("|");
+           }
+       }
+
+       if (pedigree.GG.getTwinGroupId(i) !== null) {
+           row["monozygotic"] = properties["monozygotic"] ? "yes" : "no";
+       }
+       row["adoptedIn"] = properties["isAdopted"] ? "yes" : "no";
+       row["evaluated"] = properties["evaluated"] ? "yes" : "no";
+       row["proband"]   = (i == 0) ? "yes" : "no";
+       row["relationshipToProband"] = relationships[i];
+
+       output += columns.map(function(column) { return quote(row[column]); }).join(delimiter) + "\n";
+   }
+
+   return output;
+}
+
+/*
+ * Returns the family ID used in the exported files: the name under which the pedigree is stored (for PhenoTips
+ * the name of the current patient document), or PedigreeExport.defaultFamilyID when the pedigree has not been
+ * saved yet or when not running in the editor (e.g. in Node.js)
+ */
+PedigreeExport.getFamilyID = function()
+{
+    if (typeof editor == "undefined" || !editor || !editor.getStorage().getPedigreeName()) {
+        return PedigreeExport.defaultFamilyID;
+    }
+    return editor.getStorage().getPedigreeName();
+}
+
+PedigreeExport.defaultFamilyID = "pedigree";
+
+/*
+ * Returns the name of the disorder with the given ID as shown in the disorder legend,
+ * or the ID itself if the name is not known (e.g. when not running in the editor)
+ */
+PedigreeExport.getDisorderName = function(disorderID)
+{
+    if (typeof editor == "undefined" || !editor || !editor.getDisorderLegend) {
+        return String(disorderID);
+    }
+    var disorder = editor.getDisorderLegend().getDisorder(disorderID);
+    if (!disorder.getName() || disorder.getName() == "loading...") {
+        return String(disorderID);
+    }
+    return disorder.getName();
+}
+
+/*
+ * Returns the name of the HPO term with the given ID as shown in the phenotype legend,
+ * or the ID itself if the name is not known (e.g. when not running in the editor)
+ */
+PedigreeExport.getHPOTermName = function(termID)
+{
+    if (typeof editor == "undefined" || !editor || !editor.getHPOLegend) {
+        return String(termID);
+    }
+    var term = editor.getHPOLegend().getTerm(termID);
+    if (!term.getName() || term.getName() == "loading...") {
+        return String(termID);
+    }
+    return term.getName();
+}
+
+//===============================================================================================
+
 /*
  *  PED format:
  *  (from http://pngu.mgh.harvard.edu/~purcell/plink/data.shtml#ped)
@@ -89,7 +289,7 @@ PedigreeExport.exportAsPED = function(pedigree, idGenerationPreference)
 {
    var output = "";
    
-   var familyID = XWiki.currentDocument.page;
+   var familyID = PedigreeExport.getFamilyID();
 
    var idToPedId = PedigreeExport.createNewIDs(pedigree, idGenerationPreference);
    
@@ -141,7 +341,191 @@ PedigreeExport.exportAsPED = function(pedigree, idGenerationPreference)
 //===============================================================================================
 
 /*
- *  BOADICEA format:
+ *  PLINK .fam format (https://www.cog-genomics.org/plink/1.9/formats#fam), tab-separated:
+ *   Family ID
+ *   Individual ID
+ *   Paternal ID (0 if not known)
+ *   Maternal ID (0 if not known)
+ *   Sex (1=male; 2=female; 0=unknown)
+ *   Phenotype (1=unaffected, 2=affected, -9=missing): persons with disorders are affected unless they are
+ *             carriers or presymptomatic, same as in Inheritance.getPhenotype()
+ *
+ *   With idGenerationPreference "sample" individual IDs are the sample IDs in the sequencing data,
+ *   so that the file can be used together with the VCF the samples were linked to.
+ */
+PedigreeExport.exportAsPLINK = function(pedigree, idGenerationPreference)
+{
+   var output = "";
+
+   // IDs in .fam files may not contain whitespace
+   var familyID = PedigreeExport.getFamilyID().replace(/\s/g, '_');
+
+   var idToPedId = PedigreeExport.createNewIDs(pedigree, idGenerationPreference);
+
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (!pedigree.GG.isPerson(i)) continue;
+
+       var properties = pedigree.GG.properties[i];
+
+       var line = [familyID, idToPedId[i]];
+
+       // mother & father
+       var parents = pedigree.GG.getParents(i);
+       if (parents.length > 0) {
+           var father = parents[0];
+           var mother = parents[1];
+
+           if ( pedigree.GG.properties[parents[0]]["gender"] == "F" ||
+                pedigree.GG.properties[parents[1]]["gender"] == "M" ) {
+               father = parents[1];
+               mother = parents[0];
+           }
+           line.push(idToPedId[father], idToPedId[mother]);
+       } else {
+           line.push("0", "0");
+       }
+
+       var sex = 0;
+       if (properties["gender"] == "M") {
+           sex = 1;
+       } else if (properties["gender"] == "F") {
+           sex = 2;
+       }
+       line.push(sex);
+
+       var status = -9; //missing
+       var hasDisorders = properties.hasOwnProperty("disorders") && properties["disorders"].length > 0;
+       if (properties.hasOwnProperty("carrierStatus") || hasDisorders) {
+           var carrierStatus = properties.hasOwnProperty("carrierStatus") ? properties["carrierStatus"] : "";
+           var affected = (carrierStatus == "affected") ||
+                          (hasDisorders && carrierStatus != "carrier" && carrierStatus != "presymptomatic");
+           status = affected ? 2 : 1;
+       }
+       line.push(status);
+
+       output += line.join("\t") + "\n";
+   }
+
+   return output;
+}
+
+//===============================================================================================
+
+/*
+ *  Madeline 2 pedigree table (http://madeline.med.umich.edu/madeline/): tab-separated values with
+ *  the column titles in the first line, "." for missing values:
+ *
+ *   IndividualId, Familyid
+ *   Gender: M or F
+ *   Father, Mother: IDs of the parents
+ *   Deceased, Proband, Affected, Sampled: Y or N (persons with disorders are affected unless they are
+ *                                         carriers or presymptomatic, Affected is "." when neither the carrier status
+ *                                         nor disorders are set; unborn persons are not deceased)
+ *   MZTwin, DZTwin: the same code for all identical/fraternal twins of the same twin group
+ *
+ *  followed by the free columns SampleID, DOB, DOD (YYYY-MM-DD), Carrier (Y, N or P for presymptomatic) and
+ *  Disorders (disorder IDs separated by ";"), which are recognized by PedigreeImport.initFromMadeline.
+ *  A person is "sampled" if a sample ID is set.
+ */
+PedigreeExport.exportAsMadeline = function(pedigree, idGenerationPreference)
+{
+   var columns = ["IndividualId", "Familyid", "Gender", "Father", "Mother", "Deceased", "Proband", "Affected",
+                  "MZTwin", "DZTwin", "Sampled", "SampleID", "DOB", "DOD", "Carrier", "Disorders"];
+
+   var output = columns.join("\t") + "\n";
+
+   var familyID = PedigreeExport.getFamilyID();
+
+   var idToPedId = PedigreeExport.createNewIDs(pedigree, idGenerationPreference);
+
+   var cleanValue = function(value) {
+       if (value === undefined || value === null || value === "") {
+           return ".";
+       }
+       return String(value).replace(/[\t\r\n]+/g, ' ');
+   };
+
+   var formatDate = function(dateString) {
+       var date = new Date(dateString);
+       if (isNaN(date.getTime())) {
+           return ".";
+       }
+       var pad = function(number) { return (number < 10 ? "0" : "") + number; };
+       return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+   };
+
+   var twinGroupCodes = {};             // the lowest ID in the twin group -> twin column value
+   var nextTwinCode   = 1;
+
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (!pedigree.GG.isPerson(i)) continue;
+
+       var properties = pedigree.GG.properties[i];
+
+       var row = {"IndividualId": idToPedId[i], "Familyid": familyID};
+
+       row["Gender"] = (properties["gender"] == "M" || properties["gender"] == "F") ? properties["gender"] : ".";
+
+       // mother & father
+       var parents = pedigree.GG.getParents(i);
+       if (parents.length > 0) {
+           var father = parents[0];
+           var mother = parents[1];
+
+           if ( pedigree.GG.properties[parents[0]]["gender"] == "F" ||
+                pedigree.GG.properties[parents[1]]["gender"] == "M" ) {
+               father = parents[1];
+               mother = parents[0];
+           }
+           row["Father"] = idToPedId[father];
+           row["Mother"] = idToPedId[mother];
+       }
+
+       var lifeStatus = properties.hasOwnProperty("lifeStatus") ? properties["lifeStatus"] : "alive";
+       row["Deceased"] = (lifeStatus == "alive" || lifeStatus == "unborn") ? "N" : "Y";
+       row["Proband"]  = (i == 0) ? "Y" : "N";
+
+       // a person with a disorder and no explicit status is affected, same as in Inheritance.getPhenotype()
+       var hasDisorders = properties.hasOwnProperty("disorders") && properties["disorders"].length > 0;
+       if (properties.hasOwnProperty("carrierStatus") || hasDisorders) {
+           var carrierStatus = properties.hasOwnProperty("carrierStatus") ? properties["carrierStatus"] : "";
+           var carrierCodes  = { "carrier": "Y", "presymptomatic": "P" };
+           var affected = (carrierStatus == "affected") || (hasDisorders && !carrierCodes.hasOwnProperty(carrierStatus));
+           row["Affected"] = affected ? "Y" : "N";
+           row["Carrier"]  = carrierCodes.hasOwnProperty(carrierStatus) ? carrierCodes[carrierStatus] : "N";
+       }
+
+       if (pedigree.GG.getTwinGroupId(i) !== null) {
+           var groupKey = Math.min.apply(null, pedigree.GG.getAllTwinsOf(i));
+           if (!twinGroupCodes.hasOwnProperty(groupKey)) {
+               twinGroupCodes[groupKey] = (nextTwinCode++).toString(36).toUpperCase();
+           }
+           row[properties["monozygotic"] ? "MZTwin" : "DZTwin"] = twinGroupCodes[groupKey];
+       }
+
+       row["Sampled"]  = properties["sampleID"] ? "Y" : "N";
+       row["SampleID"] = properties["sampleID"];
+
+       if (properties.hasOwnProperty("dob")) {
+           row["DOB"] = formatDate(properties["dob"]);
+       }
+       if (properties.hasOwnProperty("dod")) {
+           row["DOD"] = formatDate(properties["dod"]);
+       }
+       if (properties.hasOwnProperty("disorders") && properties["disorders"].length > 0) {
+           row["Disorders"] = properties["disorders"].join(";");
+       }
+
+       output += columns.map(function(column) { return cleanValue(row[column]); }).join("\t") + "\n";
+   }
+
+   return output;
+}
+
+//===============================================================================================
+
+/*
+ *  BOADICEA format v2:
  *  (from https://pluto.srl.cam.ac.uk/bd3/v3/docs/BWA_v3_user_guide.pdf)
  *
  *  line1: BOADICEA import pedigree file format 2.0
@@ -172,24 +556,60 @@ PedigreeExport.exportAsPED = function(pedigree, idGenerationPreference)
  *   HER2: Human epidermal growth factor receptor 2 status, 0 = unspecified, N = negative, P = positive
  *   CK14: Cytokeratin 14 status, 0 = unspecified, N = negative, P = positive
  *   CK56: Cytoke ratin 56 status, 0 = unspecified, N = negative, P = positive
+ *
+ *  BOADICEA format v4 (used by the CanRisk web tool):
+ *
+ *  line1: BOADICEA import pedigree file format 4.0
+ *  line2: column titles
+ *  line3+: same as v2 up to and including PanCa (with "Twin" renamed to "MZtwin"), followed by:
+ *
+ *   Ashkn: 0 = not Ashkenazi, 1 = Ashkenazi
+ *   BRCA1t, BRCA1r, BRCA2t, BRCA2r, PALB2t, PALB2r, ATMt, ATMr, CHEK2t, CHEK2r: genetic test type (0/S/T) and result (0/N/P) for each gene
+ *   ER, PR, HER2, CK14, CK56: same as in v2
+ *
+ *  The age at last follow up, cancer ages, genetic test results and pathology are taken from the comments in the format
+ *  written by PedigreeImport.initFromBOADICEA (see PedigreeImport.BOADICEAFormat). Without an age in the comments
+ *  the age is computed from the birth date and the date of death (or the current year for living persons).
+ *  A cancer disorder with no age recorded in the comments is exported as "AU".
+ *
+ *  version: 2 (default) or 4
  */
-PedigreeExport.exportAsBOADICEA = function(pedigree, idGenerationPreference)
+PedigreeExport.exportAsBOADICEA = function(pedigree, idGenerationPreference, version)
 {
-   var output = "BOADICEA import pedigree file format 2.0\n";
-   output    += "FamilyID\tName\tTarget\tIndivID\tFathID\tMothID\tSex\tTwin\tDead\tAge\tYob\tNot_implemented_yet_except_Ahkenazi\n";
+   if (version != 4) {
+       version = 2;
+   }
+
+   var format = PedigreeImport.BOADICEAFormat;
 
-   var familyID = XWiki.currentDocument.page;
+   var output = "BOADICEA import pedigree file format " + version + ".0\n";
+   if (version == 2) {
+       output += "FamID\tName\tTarget\tIndivID\tFathID\tMothID\tSex\tTwin\tDead\tAge\tYob\t1BrCa\t2BrCa\tOvCa\tProCa\tPanCa\tGtest\tMutn\tAshkn\tER\tPR\tHER2\tCK14\tCK56\n";
+   } else {
+       output += "FamID\tName\tTarget\tIndivID\tFathID\tMothID\tSex\tMZtwin\tDead\tAge\tYob\t1stBrCa\t2ndBrCa\tOvCa\tProCa\tPanCa\tAshkn";
+       for (var g = 0; g < format.genes.length; g++) {
+           output += "\t" + format.genes[g] + "t\t" + format.genes[g] + "r";
+       }
+       output += "\tER\tPR\tHER2\tCK14\tCK56\n";
+   }
+
+   var familyID = PedigreeExport.getFamilyID();
 
    var idToBoadId = PedigreeExport.createNewIDs(pedigree, idGenerationPreference, 7 /* max ID length */);
 
    var alertUnknownGenderFound = false; // BOADICEA does not support unknown genders
 
+   var twinGroupCodes = {};             // the lowest ID in the twin group -> MZtwin column value
+   var nextTwinCode   = 1;
+
    for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
        if (!pedigree.GG.isPerson(i)) continue;
 
+       var properties = pedigree.GG.properties[i];
+
        var id = idToBoadId[i];
 
-       var name = pedigree.GG.properties[i].hasOwnProperty("fName") ? pedigree.GG.properties[i]["fName"].substring(0,8) : id;
+       var name = properties.hasOwnProperty("fName") ? properties["fName"].substring(0,8) : id;
 
        var proband = (i == 0) ? "1" : "0";
 
@@ -212,43 +632,66 @@ PedigreeExport.exportAsBOADICEA = function(pedigree, idGenerationPreference)
        }
 
        var sex = "M";
-       if (pedigree.GG.properties[i]["gender"] == "F") {
+       if (properties["gender"] == "F") {
            sex = "F";
-       } else if (pedigree.GG.properties[i]["gender"] == "U") {
+       } else if (properties["gender"] == "U") {
            alertUnknownGenderFound = true;
        }
        output += sex + "\t";
 
-       if (pedigree.GG.getTwinGroupId(i) !== null) {
-           output += "1\t";
-       } else {
-           output += "0\t";
+       // only identical twins are reported, all twins of the same group get the same code
+       var twin = "0";
+       if (pedigree.GG.getTwinGroupId(i) !== null && properties["monozygotic"]) {
+           var groupKey = Math.min.apply(null, pedigree.GG.getAllTwinsOf(i));
+           if (!twinGroupCodes.hasOwnProperty(groupKey)) {
+               twinGroupCodes[groupKey] = (nextTwinCode++).toString(36).toUpperCase();
+           }
+           twin = twinGroupCodes[groupKey];
        }
+       output += twin + "\t";
 
        var dead = "0";
-       if (pedigree.GG.properties[i].hasOwnProperty("lifeStatus")) {
-           if (pedigree.GG.properties[i]["lifeStatus"] != "alive") {
+       if (properties.hasOwnProperty("lifeStatus")) {
+           if (properties["lifeStatus"] != "alive") {
                var dead = "1";
            }
        }
        output += dead + "\t";
 
+       var boadiceaData = format.parseComments(properties["comments"]);
+
        var age = "0";
        var yob = "0";
-       if (pedigree.GG.properties[i].hasOwnProperty("dob")) {
-           var date = new Date(pedigree.GG.properties[i]["dob"]);
+       if (properties.hasOwnProperty("dob")) {
+           var date = new Date(properties["dob"]);
            yob = date.getFullYear();
-           age = new Date().getFullYear() - yob;
+           var lastYear = new Date().getFullYear();
+           if (dead == "1") {
+               lastYear = properties.hasOwnProperty("dod") ? new Date(properties["dod"]).getFullYear() : null;
+           }
+           if (lastYear !== null && lastYear >= yob) {
+               age = lastYear - yob;
+           }
+       }
+       if (boadiceaData.age !== null) {
+           age = boadiceaData.age;
        }
        output += age + "\t" + yob + "\t";
 
-       output += "AU\tAU\tAU\tAU\tAU\t";   // unimplemented fields: age at cancer detection
+       var disorders    = properties.hasOwnProperty("disorders") ? properties["disorders"] : [];
 
-       output += "0\t0\t";                 // unimplemented fields: Genetic test status + mutations
+       for (var c = 0; c < format.cancers.length; c++) {
+           var disorder = format.cancers[c]["disorder"];
+           if (arrayContains(disorders, disorder)) {
+               output += (boadiceaData.cancers.hasOwnProperty(disorder) ? boadiceaData.cancers[disorder] : "AU") + "\t";
+           } else {
+               output += "0\t";
+           }
+       }
 
        var ashkenazi = "0";
-       if (pedigree.GG.properties[i].hasOwnProperty("ethnicities")) {
-           var ethnicities = pedigree.GG.properties[i]["ethnicities"];
+       if (properties.hasOwnProperty("ethnicities")) {
+           var ethnicities = properties["ethnicities"];
            for (var k = 0; k < ethnicities.length; k++) {
                if (ethnicities[k].match(/ashkenaz/i) !== null) {
                    ashkenazi = "1";
@@ -256,9 +699,34 @@ PedigreeExport.exportAsBOADICEA = function(pedigree, idGenerationPreference)
                }
            }
        }
-       output += ashkenazi + "\t";
 
-       output += "0\t0\t0\t0\t0";  // unimplemented fields: receptor status, etc.
+       if (version == 2) {
+           // Gtest + Mutn: only BRCA1 and BRCA2 can be represented
+           var testType = "0";
+           var mutation = "0";
+           var brca1 = boadiceaData.genes["BRCA1"];
+           var brca2 = boadiceaData.genes["BRCA2"];
+           if (brca1 || brca2) {
+               testType = (brca1 || brca2).type;
+               var brca1positive = (brca1 && brca1.result == "P");
+               var brca2positive = (brca2 && brca2.result == "P");
+               mutation = (brca1positive && brca2positive) ? "3" : (brca1positive ? "1" : (brca2positive ? "2" : "N"));
+           }
+           output += testType + "\t" + mutation + "\t" + ashkenazi + "\t";
+       } else {
+           output += ashkenazi + "\t";
+           for (var g = 0; g < format.genes.length; g++) {
+               var test = boadiceaData.genes[format.genes[g]];
+               output += test ? (test.type + "\t" + test.result + "\t") : "0\t0\t";
+           }
+       }
+
+       var pathology = [];
+       for (var p = 0; p < format.pathology.length; p++) {
+           var marker = format.pathology[p];
+           pathology.push(boadiceaData.pathology.hasOwnProperty(marker) ? boadiceaData.pathology[marker] : "0");
+       }
+       output += pathology.join("\t");
 
        output += "\n";
    }
@@ -270,6 +738,867 @@ PedigreeExport.exportAsBOADICEA = function(pedigree, idGenerationPreference)
    return output;
 }
 
+//===============================================================================================
+
+/*
+ *  GEDCOM 5.5.1 format:
+ *  (from http://homepages.rootsweb.ancestry.com/~pmcbride/gedcom/55gctoc.htm)
+ *
+ *  Exported individual (INDI) properties: NAME (with GIVN and SURN), SEX, BIRT and DEAT (with DATE), REFN (external ID),
+ *  NOTE (comments, with CONT for multi-line comments), FAMC (with PEDI "adopted" for adopted individuals), ADOP,
+ *  FAMS and ASSO (with RELA "twin" or "identical twin", one per twin sibling).
+ *
+ *  Non-standard tags:
+ *   - "_FAMID": family ID, in the header (see PedigreeImport.getFamilyID)
+ *   - "_MAIDEN": last name at birth (for compatibility with Cyrillic v3)
+ *   - "_GENSTAT": "O" for individuals marked affected without a specific disorder, "K" for stillborn and
+ *                 "M" for infertile (for compatibility with Cyrillic v3, see PedigreeImport.initFromGEDCOM)
+ *   - "_DISORDER", "_HPO", "_GENE": one tag per disorder (OMIM ID or name), HPO term and candidate gene
+ *   - "_CARRIER": carrier status ("carrier", "presymptomatic" or "affected")
+ *
+ *  Exported family (FAM) properties: HUSB, WIFE, CHIL and DIV (for separated partners).
+ *  The proband is always the first individual in the file.
+ */
+PedigreeExport.exportAsGEDCOM = function(pedigree, privacySetting)
+{
+   var months = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+   var formatDate = function(dateString) {
+       var date = new Date(dateString);
+       if (isNaN(date.getTime())) return null;
+       return date.getDate() + " " + months[date.getMonth()] + " " + date.getFullYear();
+   };
+
+   var output = "0 HEAD\n" +
+                "1 SOUR Panogram\n" +
+                "2 NAME Panogram++\n" +
+                "1 DATE " + formatDate(new Date()) + "\n" +
+                "1 SUBM @SUBM1@\n" +
+                "1 GEDC\n" +
+                "2 VERS 5.5.1\n" +
+                "2 FORM LINEAGE-LINKED\n" +
+                "1 CHAR UTF-8\n" +
+                "1 _FAMID " + PedigreeExport.getFamilyID().replace(/[\r\n]+/g, ' ') + "\n" +
+                "0 @SUBM1@ SUBM\n" +
+                "1 NAME Panogram++\n";
+
+   // assign GEDCOM cross-reference IDs
+   var personXref = {};
+   var familyXref = {};
+   var nextPerson = 1;
+   var nextFamily = 1;
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (pedigree.GG.isPerson(i)) {
+           personXref[i] = "@I" + (nextPerson++) + "@";
+       } else if (pedigree.GG.isRelationship(i)) {
+           familyXref[i] = "@F" + (nextFamily++) + "@";
+       }
+   }
+
+   var addMultilineValue = function(level, tag, text) {
+       var lines = ("" + text).split(/\r?\n/);
+       var result = level + " " + tag + " " + lines[0] + "\n";
+       for (var k = 1; k < lines.length; k++) {
+           result += (level+1) + " CONT " + lines[k] + "\n";
+       }
+       return result;
+   };
+
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (!pedigree.GG.isPerson(i)) continue;
+
+       var properties = pedigree.GG.properties[i];
+
+       output += "0 " + personXref[i] + " INDI\n";
+
+       if (privacySetting == "all") {
+           var firstName = properties.hasOwnProperty("fName") ? properties["fName"] : "";
+           var lastName  = properties.hasOwnProperty("lName") ? properties["lName"] : "";
+           if (firstName != "" || lastName != "") {
+               output += "1 NAME " + (firstName + " /" + lastName + "/").replace(/^\s+/, '') + "\n";
+               if (firstName != "")
+                   output += "2 GIVN " + firstName + "\n";
+               if (lastName != "")
+                   output += "2 SURN " + lastName + "\n";
+           }
+           if (properties.hasOwnProperty("lNameAtB")) {
+               output += "1 _MAIDEN " + properties["lNameAtB"] + "\n";
+           }
+       }
+
+       var sex = "U";
+       if (properties["gender"] == "M")
+           sex = "M";
+       else if (properties["gender"] == "F")
+           sex = "F";
+       output += "1 SEX " + sex + "\n";
+
+       if (privacySetting == "all" && properties.hasOwnProperty("dob") && formatDate(properties["dob"]) !== null) {
+           output += "1 BIRT\n";
+           output += "2 DATE " + formatDate(properties["dob"]) + "\n";
+       }
+
+       var lifeStatus = properties.hasOwnProperty("lifeStatus") ? properties["lifeStatus"] : "alive";
+       if (lifeStatus != "alive" && lifeStatus != "unborn") {
+           var deathDate = properties.hasOwnProperty("dod") ? formatDate(properties["dod"]) : null;
+           if (deathDate !== null) {
+               output += "1 DEAT\n";
+               output += "2 DATE " + deathDate + "\n";
+           } else {
+               output += "1 DEAT Y\n";
+           }
+           if (lifeStatus == "miscarriage" || lifeStatus == "aborted") {
+               output += "2 CAUS " + lifeStatus + "\n";
+           }
+       }
+
+       if (properties.hasOwnProperty("externalID")) {
+           output += "1 REFN " + properties["externalID"] + "\n";
+       }
+
+       var genstat = "";
+       if (properties["carrierStatus"] == "affected" && !properties.hasOwnProperty("disorders"))
+           genstat += "O";
+       if (lifeStatus == "stillborn")
+           genstat += "K";
+       if (properties["childlessStatus"] == "infertile")
+           genstat += "M";
+       if (genstat != "")
+           output += "1 _GENSTAT " + genstat + "\n";
+
+       if (properties.hasOwnProperty("carrierStatus") && properties["carrierStatus"] != "") {
+           output += "1 _CARRIER " + properties["carrierStatus"] + "\n";
+       }
+
+       var customTags = { "disorders": "_DISORDER", "hpoTerms": "_HPO", "candidateGenes": "_GENE" };
+       for (var property in customTags) {
+           if (customTags.hasOwnProperty(property) && properties.hasOwnProperty(property)) {
+               for (var k = 0; k < properties[property].length; k++) {
+                   output += "1 " + customTags[property] + " " + properties[property][k] + "\n";
+               }
+           }
+       }
+
+       if (privacySetting != "minimal" && properties.hasOwnProperty("comments") && properties["comments"] != "") {
+           output += addMultilineValue(1, "NOTE", properties["comments"]);
+       }
+
+       var producingRelationship = pedigree.GG.getProducingRelationship(i);
+       if (producingRelationship !== null) {
+           output += "1 FAMC " + familyXref[producingRelationship] + "\n";
+           if (pedigree.GG.isAdopted(i)) {
+               output += "2 PEDI adopted\n";
+               output += "1 ADOP\n";
+               output += "2 FAMC " + familyXref[producingRelationship] + "\n";
+               output += "3 ADOP BOTH\n";
+           }
+       }
+
+       var relationships = pedigree.GG.getAllRelationships(i);
+       for (var k = 0; k < relationships.length; k++) {
+           output += "1 FAMS " + familyXref[relationships[k]] + "\n";
+       }
+
+       var twins = (pedigree.GG.getTwinGroupId(i) !== null) ? pedigree.GG.getAllTwinsOf(i) : [];
+       for (var k = 0; k < twins.length; k++) {
+           if (twins[k] == i) continue;
+           output += "1 ASSO " + personXref[twins[k]] + "\n";
+           output += "2 RELA " + (properties["monozygotic"] ? "identical twin" : "twin") + "\n";
+       }
+   }
+
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (!pedigree.GG.isRelationship(i)) continue;
+
+       output += "0 " + familyXref[i] + " FAM\n";
+
+       var parents = pedigree.GG.getParents(i);
+       var father = parents[0];
+       var mother = parents[1];
+       if ( pedigree.GG.properties[parents[0]]["gender"] == "F" ||
+            pedigree.GG.properties[parents[1]]["gender"] == "M" ) {
+           father = parents[1];
+           mother = parents[0];
+       }
+       output += "1 HUSB " + personXref[father] + "\n";
+       output += "1 WIFE " + personXref[mother] + "\n";
+
+       var children = pedigree.GG.getOutEdges(pedigree.GG.getRelationshipChildhub(i));
+       for (var k = 0; k < children.length; k++) {
+           output += "1 CHIL " + personXref[children[k]] + "\n";
+       }
+
+       if (pedigree.GG.properties[i]["broken"]) {
+           output += "1 DIV Y\n";
+       }
+   }
+
+   output += "0 TRLR\n";
+
+   return output;
+}
+
+//===============================================================================================
+
+/*
+ *  FHIR R4 format:
+ *  (from http://hl7.org/fhir/R4/familymemberhistory.html)
+ *
+ *  A "collection" Bundle, identified by the family ID, with one Patient and one FamilyMemberHistory resource per individual:
+ *
+ *   - Patient: identifier (external ID), name (given/family), gender, birthDate and deceased[x]
+ *   - FamilyMemberHistory: patient (always the proband's Patient), relationship (HL7 v3 RoleCode family member
+ *     code relative to the proband, "ONESELF" for the proband), sex, born[x], deceased[x], condition (one per
+ *     disorder and HPO term) and note (comments), plus the following HL7 family history extensions:
+ *       familymemberhistory-patient-record: reference to the Patient resource of the same individual
+ *       familymemberhistory-genetics-parent: one per parent, with "type" (NMTH/NFTH) and "reference"
+ *                                            (the FamilyMemberHistory of the parent)
+ *     and one PedigreeExport.FHIRPartnerExtension per partner, with "type" (SIGOTHR) and "reference" (the
+ *     FamilyMemberHistory of the partner). HL7 defines no extension for partners, so couples without children
+ *     would otherwise be lost.
+ *
+ *   Parent/partner links are given explicitly via the extensions, so the relationship code is informational only.
+ *
+ *   Disorders with numeric IDs are coded as OMIM, other disorders are given as text only;
+ *   HPO terms are coded using the HPO system (http://purl.obolibrary.org/obo/hp.owl).
+ *
+ *   Life status which is not "alive" or "deceased" (e.g. "stillborn") is given as deceasedString,
+ *   unborn individuals have bornString set to "unborn".
+ *
+ *   privacySetting: same as for exportAsSimpleJSON ("all", "nopersonal" or "minimal"). With "nopersonal" and
+ *                   "minimal" names and dates are omitted (deceased individuals are given as deceasedBoolean),
+ *                   with "minimal" also identifiers (external IDs) and notes.
+ */
+PedigreeExport.exportAsFHIR = function(pedigree, privacySetting)
+{
+   var roleCodeSystem = "http://terminology.hl7.org/CodeSystem/v3-RoleCode";
+   var hpoSystem      = "http://purl.obolibrary.org/obo/hp.owl";
+
+   var getParents = function(v) {
+       var parents = pedigree.GG.getParents(v);
+       if (parents.length == 0) return null;
+       if ( pedigree.GG.properties[parents[0]]["gender"] == "F" ||
+            pedigree.GG.properties[parents[1]]["gender"] == "M" ) {
+           return {"father": parents[1], "mother": parents[0]};
+       }
+       return {"father": parents[0], "mother": parents[1]};
+   };
+
+   var getChildren = function(v) {
+       var children = [];
+       var relationships = pedigree.GG.getAllRelationships(v);
+       for (var r = 0; r < relationships.length; r++) {
+           var childhub = pedigree.GG.getRelationshipChildhub(relationships[r]);
+           children = children.concat(pedigree.GG.getOutEdges(childhub));
+       }
+       return children;
+   };
+
+   var allExcept = function(persons, v) {
+       return persons.filter(function(u) { return u != v; });
+   };
+
+   var getFullSiblings = function(v) {
+       var producingRelationship = pedigree.GG.getProducingRelationship(v);
+       if (producingRelationship === null) return [];
+       var childhub = pedigree.GG.getRelationshipChildhub(producingRelationship);
+       return allExcept(pedigree.GG.getOutEdges(childhub), v);
+   };
+
+   var byGender = function(v, male, female, unknown) {
+       var gender = pedigree.GG.properties[v]["gender"];
+       return (gender == "M") ? male : ((gender == "F") ? female : unknown);
+   };
+
+   // compute relationship of every person to the proband (person with id 0);
+   // relationships not covered below are reported as a generic "family member"
+   var relationshipCodes = {};
+   var setCode = function(persons, code) {
+       for (var k = 0; k < persons.length; k++) {
+           if (!relationshipCodes.hasOwnProperty(persons[k])) {
+               relationshipCodes[persons[k]] = (typeof code == "function") ? code(persons[k]) : code;
+           }
+       }
+   };
+   relationshipCodes[0] = "ONESELF";
+   var probandParents = getParents(0);
+   if (probandParents) {
+       var adopted = pedigree.GG.isAdopted(0);
+       setCode([probandParents.mother], adopted ? "ADOPTMTH" : "NMTH");
+       setCode([probandParents.father], adopted ? "ADOPTFTH" : "NFTH");
+   }
+   setCode(pedigree.GG.getAllPartners(0), function(v) { return byGender(v, "HUSB", "WIFE", "SPS"); });
+   var probandChildren = getChildren(0);
+   setCode(probandChildren, function(v) { return byGender(v, "SON", "DAU", "CHILD"); });
+   var probandTwinGroup = pedigree.GG.getTwinGroupId(0);
+   setCode(getFullSiblings(0), function(v) {
+       if (probandTwinGroup !== null && pedigree.GG.getTwinGroupId(v) == probandTwinGroup)
+           return byGender(v, "TWINBRO", "TWINSIS", "TWIN");
+       return byGender(v, "BRO", "SIS", "SIB");
+   });
+   if (probandParents) {
+       var halfSiblings = getChildren(probandParents.mother).concat(getChildren(probandParents.father));
+       setCode(allExcept(halfSiblings, 0), function(v) { return byGender(v, "HBRO", "HSIS", "HSIB"); });
+   }
+   for (var k = 0; k < probandChildren.length; k++) {
+       setCode(getChildren(probandChildren[k]), function(v) { return byGender(v, "GRNDSON", "GRNDDAU", "GRNDCHILD"); });
+       setCode(pedigree.GG.getAllPartners(probandChildren[k]), function(v) { return byGender(v, "SONINLAW", "DAUINLAW", "INLAW"); });
+   }
+   var siblings = probandParents ? allExcept(getChildren(probandParents.mother).concat(getChildren(probandParents.father)), 0) : [];
+   for (var k = 0; k < siblings.length; k++) {
+       setCode(getChildren(siblings[k]), function(v) { return byGender(v, "NEPHEW", "NIECE", "NIENEPH"); });
+   }
+   if (probandParents) {
+       var sides = [ {"parent": probandParents.mother, "prefix": "M"},
+                     {"parent": probandParents.father, "prefix": "P"} ];
+       for (var s = 0; s < sides.length; s++) {
+           var prefix = sides[s].prefix;
+           var grandParents = getParents(sides[s].parent);
+           if (!grandParents) continue;
+           setCode([grandParents.mother], prefix + "GRMTH");
+           setCode([grandParents.father], prefix + "GRFTH");
+           var auntsAndUncles = getFullSiblings(sides[s].parent);
+           setCode(auntsAndUncles, function(v) { return prefix + byGender(v, "UNCLE", "AUNT", "AUNT"); });
+           for (var a = 0; a < auntsAndUncles.length; a++) {
+               setCode(getChildren(auntsAndUncles[a]), prefix + "COUSN");
+           }
+       }
+   }
+
+   var formatDate = function(dateString) {
+       var date = new Date(dateString);
+       if (isNaN(date.getTime())) return null;
+       return date.getFullYear() + "-" + padString("" + (date.getMonth()+1), 2, "0", true) +
+                                   "-" + padString("" + date.getDate(), 2, "0", true);
+   };
+
+   var fullUrl = function(resourceNumber) {
+       return "urn:uuid:00000000-0000-4000-8000-" + padString("" + resourceNumber, 12, "0", true);
+   };
+   var patientURL = function(v) { return fullUrl(2*v + 1); };
+   var historyURL = function(v) { return fullUrl(2*v + 2); };
+
+   var bundle = { "resourceType": "Bundle",
+                  "identifier":   { "value": PedigreeExport.getFamilyID() },
+                  "type":         "collection",
+                  "timestamp":    new Date().toISOString(),
+                  "entry":        [] };
+
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (!pedigree.GG.isPerson(i)) continue;
+
+       var properties = pedigree.GG.properties[i];
+
+       var sex = PedigreeExport.convertProperty("gender", properties["gender"]).value;
+
+       var patient = { "resourceType": "Patient", "id": "person-" + i, "gender": sex };
+
+       var history = { "resourceType": "FamilyMemberHistory",
+                       "id":           "history-" + i,
+                       "extension":    [ { "url": "http://hl7.org/fhir/StructureDefinition/familymemberhistory-patient-record",
+                                           "valueReference": { "reference": patientURL(i) } } ],
+                       "status":       "completed",
+                       "patient":      { "reference": patientURL(0) },
+                       "relationship": { "coding": [ { "system": roleCodeSystem,
+                                                       "code":   relationshipCodes.hasOwnProperty(i) ? relationshipCodes[i] : "FAMMEMB" } ] },
+                       "sex":          { "coding": [ { "system": "http://hl7.org/fhir/administrative-gender", "code": sex } ] } };
+
+       if (privacySetting != "minimal" && properties.hasOwnProperty("externalID")) {
+           patient["identifier"] = [ { "value": properties["externalID"] } ];
+       }
+
+       if (privacySetting == "all") {
+           var name = {};
+           if (properties.hasOwnProperty("fName")) {
+               name["given"] = [ properties["fName"] ];
+           }
+           if (properties.hasOwnProperty("lName")) {
+               name["family"] = properties["lName"];
+           }
+           if (name.hasOwnProperty("given") || name.hasOwnProperty("family")) {
+               patient["name"] = [ name ];
+               history["name"] = ((properties["fName"] || "") + " " + (properties["lName"] || "")).replace(/^\s+|\s+$/g, '');
+           }
+           if (properties.hasOwnProperty("lNameAtB")) {
+               patient["name"] = patient["name"] || [];
+               patient["name"].push({"use": "maiden", "family": properties["lNameAtB"]});
+           }
+           if (properties.hasOwnProperty("dob") && formatDate(properties["dob"]) !== null) {
+               patient["birthDate"] = formatDate(properties["dob"]);
+               history["bornDate"]  = patient["birthDate"];
+           }
+       }
+
+       var lifeStatus = properties.hasOwnProperty("lifeStatus") ? properties["lifeStatus"] : "alive";
+       if (lifeStatus == "unborn") {
+           history["bornString"] = "unborn";
+       } else if (lifeStatus != "alive") {
+           if (privacySetting == "all" && properties.hasOwnProperty("dod") && formatDate(properties["dod"]) !== null) {
+               patient["deceasedDateTime"] = formatDate(properties["dod"]);
+               history["deceasedDate"]     = patient["deceasedDateTime"];
+           } else {
+               patient["deceasedBoolean"] = true;
+               history["deceasedBoolean"] = true;
+           }
+           if (lifeStatus != "deceased") {
+               delete history["deceasedDate"];
+               delete history["deceasedBoolean"];
+               history["deceasedString"] = lifeStatus;
+           }
+       }
+
+       var conditions = [];
+       if (properties.hasOwnProperty("disorders")) {
+           for (var k = 0; k < properties["disorders"].length; k++) {
+               var disorder = properties["disorders"][k];
+               if (isInt(disorder)) {
+                   conditions.push({"code": {"coding": [ {"system": "https://omim.org", "code": "" + disorder} ]}});
+               } else {
+                   conditions.push({"code": {"text": "" + disorder}});
+               }
+           }
+       }
+       if (properties.hasOwnProperty("hpoTerms")) {
+           for (var k = 0; k < properties["hpoTerms"].length; k++) {
+               var term = properties["hpoTerms"][k];
+               if (term.match(/^HP:\d+$/) !== null) {
+                   conditions.push({"code": {"coding": [ {"system": hpoSystem, "code": term} ]}});
+               } else {
+                   conditions.push({"code": {"coding": [ {"system": hpoSystem} ], "text": term}});
+               }
+           }
+       }
+       if (conditions.length > 0) {
+           history["condition"] = conditions;
+       }
+
+       if (privacySetting != "minimal" && properties.hasOwnProperty("comments")) {
+           history["note"] = [ { "text": properties["comments"] } ];
+       }
+
+       var parents = getParents(i);
+       if (parents) {
+           var parentLinks = [ {"id": parents.mother, "code": "NMTH"}, {"id": parents.father, "code": "NFTH"} ];
+           for (var k = 0; k < parentLinks.length; k++) {
+               history["extension"].push({ "url": "http://hl7.org/fhir/StructureDefinition/familymemberhistory-genetics-parent",
+                                           "extension": [ { "url": "type",
+                                                            "valueCodeableConcept": { "coding": [ { "system": roleCodeSystem, "code": parentLinks[k].code } ] } },
+                                                          { "url": "reference",
+                                                            "valueReference": { "reference": historyURL(parentLinks[k].id) } } ] });
+           }
+       }
+
+       var partners = pedigree.GG.getAllPartners(i);
+       for (var k = 0; k < partners.length; k++) {
+           history["extension"].push({ "url": PedigreeExport.FHIRPartnerExtension,
+                                       "extension": [ { "url": "type",
+                                                        "valueCodeableConcept": { "coding": [ { "system": roleCodeSystem, "code": "SIGOTHR" } ] } },
+                                                      { "url": "reference",
+                                                        "valueReference": { "reference": historyURL(partners[k]) } } ] });
+       }
+
+       bundle.entry.push({"fullUrl": patientURL(i), "resource": patient});
+       bundle.entry.push({"fullUrl": historyURL(i), "resource": history});
+   }
+
+   return JSON.stringify(bundle, null, 2);
+}
+
+/*
+ * URL of the FamilyMemberHistory extension linking a person to a partner in FHIR export (recognized by
+ * PedigreeImport.initFromFHIR). Modelled after the HL7 familymemberhistory-genetics-parent extension
+ */
+PedigreeExport.FHIRPartnerExtension = "urn:panogram:fhir:StructureDefinition/familymemberhistory-partner";
+
+// ===============================================================================================
+
+/*
+ *  GA4GH Phenopacket v2 "Family" message (https://phenopacket-schema.readthedocs.io/en/latest/family.html),
+ *  in the JSON representation:
+ *
+ *   - "proband": phenopacket of the proband
+ *   - "relatives": one phenopacket for every other person in the pedigree
+ *   - "pedigree": the pedigree structure in the same form as a PED file (family/individual/paternal/maternal
+ *                 IDs, sex and affected status)
+ *
+ *  Each phenopacket contains:
+ *   - "subject": ID, sex, vital status and date of birth (only with privacy setting "all"). The external ID is
+ *                given as an alternate ID when it differs from the subject ID (e.g. when spaces were replaced)
+ *   - "phenotypicFeatures": HPO terms of the person (user-defined phenotypes which are not HPO terms are not exported)
+ *   - "diseases": disorders of the person (OMIM disorders as "OMIM:<id>", other disorders only if their
+ *                 ID is in the "PREFIX:id" form, e.g. "ORPHA:558" or "MONDO:0007254")
+ *   - "interpretations": candidate genes of the person, as genomic interpretations with the status "CANDIDATE"
+ *                        and the gene given as "HGNC:<gene symbol>"
+ *
+ *  privacySetting: "all", "nopersonal" or "minimal". Only "all" exports dates of birth. With "all" and "nopersonal"
+ *                  person IDs are generated the same way as in PED export with the "external ID" option, with
+ *                  "minimal" new numeric IDs are used and external IDs are not exported.
+ */
+PedigreeExport.exportAsPhenopacket = function(pedigree, privacySetting)
+{
+   var familyID = PedigreeExport.getFamilyID();
+
+   var idToPedId = PedigreeExport.createNewIDs(pedigree, (privacySetting == "minimal") ? "newid" : "external");
+
+   var metaData = {
+       "created": new Date().toISOString(),
+       "createdBy": "Panogram++",
+       "resources": [ { "id": "hp", "name": "human phenotype ontology", "url": "http://purl.obolibrary.org/obo/hp.owl",
+                        "version": "unknown", "namespacePrefix": "HP", "iriPrefix": "http://purl.obolibrary.org/obo/HP_" },
+                      { "id": "omim", "name": "Online Mendelian Inheritance in Man", "url": "https://www.omim.org",
+                        "version": "unknown", "namespacePrefix": "OMIM", "iriPrefix": "https://omim.org/entry/" },
+                      { "id": "hgnc", "name": "HUGO Gene Nomenclature Committee", "url": "https://www.genenames.org",
+                        "version": "unknown", "namespacePrefix": "HGNC", "iriPrefix": "https://identifiers.org/hgnc/" } ],
+       "phenopacketSchemaVersion": "2.0"
+   };
+
+   var sexCodes = { "male": "MALE", "female": "FEMALE", "unknown": "UNKNOWN_SEX" };
+
+   // local date, so that the day of birth does not depend on the time zone
+   var formatDate = function(dateString) {
+       var date = new Date(dateString);
+       if (isNaN(date.getTime())) {
+           return null;
+       }
+       var pad = function(number) { return (number < 10 ? "0" : "") + number; };
+       return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+   };
+
+   var getDiseaseTerm = function(disorderID) {
+       var name = PedigreeExport.getDisorderName(disorderID);
+       if (isInt(disorderID)) {
+           return { "id": "OMIM:" + disorderID, "label": name };
+       }
+       if (String(disorderID).match(/^[A-Za-z]+:\S+$/) !== null) {
+           return { "id": String(disorderID), "label": name };
+       }
+       return null;
+   };
+
+   var pedigreePersons = [];
+   var proband         = null;
+   var relatives       = [];
+
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (!pedigree.GG.isPerson(i)) continue;
+
+       var properties = pedigree.GG.properties[i];
+
+       var id  = String(idToPedId[i]);
+       var sex = sexCodes[PedigreeExport.convertProperty("gender", properties["gender"]).value];
+
+       var subject = { "id": id };
+       if (privacySetting != "minimal" && properties.hasOwnProperty("externalID") && properties["externalID"] != id) {
+           subject["alternateIds"] = [ properties["externalID"] ];
+       }
+       if (privacySetting == "all" && properties.hasOwnProperty("dob")) {
+           var dob = formatDate(properties["dob"]);
+           if (dob !== null) {
+               subject["dateOfBirth"] = dob + "T00:00:00Z";
+           }
+       }
+       var lifeStatus = properties.hasOwnProperty("lifeStatus") ? properties["lifeStatus"] : "alive";
+       subject["vitalStatus"] = { "status": (lifeStatus == "alive" || lifeStatus == "unborn") ? "ALIVE" : "DECEASED" };
+       subject["sex"] = sex;
+
+       var phenopacket = { "id": familyID + "-" + id, "subject": subject };
+
+       var hpoTerms = properties.hasOwnProperty("hpoTerms") ? properties["hpoTerms"].filter(function(termID) {
+                          return String(termID).match(/^HP:\d+$/) !== null;
+                      }) : [];
+       if (hpoTerms.length > 0) {
+           phenopacket["phenotypicFeatures"] = hpoTerms.map(function(termID) {
+               return { "type": { "id": termID, "label": PedigreeExport.getHPOTermName(termID) } };
+           });
+       }
+
+       var diseases = [];
+       if (properties.hasOwnProperty("disorders")) {
+           for (var d = 0; d < properties["disorders"].length; d++) {
+               var term = getDiseaseTerm(properties["disorders"][d]);
+               if (term !== null) {
+                   diseases.push({ "term": term });
+               }
+           }
+       }
+       if (diseases.length > 0) {
+           phenopacket["diseases"] = diseases;
+       }
+
+       if (properties.hasOwnProperty("candidateGenes") && properties["candidateGenes"].length > 0) {
+           var interpretation = { "id": phenopacket["id"] + "-interpretation", "progressStatus": "IN_PROGRESS", "diagnosis": {} };
+           if (diseases.length > 0) {
+               interpretation["diagnosis"]["disease"] = diseases[0]["term"];
+           }
+           interpretation["diagnosis"]["genomicInterpretations"] = properties["candidateGenes"].map(function(gene) {
+               return { "subjectOrBiosampleId": id, "interpretationStatus": "CANDIDATE", "gene": { "valueId": "HGNC:" + gene, "symbol": gene } };
+           });
+           phenopacket["interpretations"] = [ interpretation ];
+       }
+
+       phenopacket["metaData"] = metaData;
+
+       if (i == 0) {
+           proband = phenopacket;
+       } else {
+           relatives.push(phenopacket);
+       }
+
+       // pedigree entry
+       var person = { "familyId": familyID, "individualId": id };
+       var parents = pedigree.GG.getParents(i);
+       if (parents.length > 0) {
+           var father = parents[0];
+           var mother = parents[1];
+
+           if ( pedigree.GG.properties[parents[0]]["gender"] == "F" ||
+                pedigree.GG.properties[parents[1]]["gender"] == "M" ) {
+               father = parents[1];
+               mother = parents[0];
+           }
+           person["paternalId"] = String(idToPedId[father]);
+           person["maternalId"] = String(idToPedId[mother]);
+       }
+       person["sex"] = sex;
+
+       var affectedStatus = "MISSING";
+       if (properties["carrierStatus"] == "affected" || diseases.length > 0) {
+           affectedStatus = "AFFECTED";
+       } else if (properties.hasOwnProperty("carrierStatus") || properties["evaluated"]) {
+           affectedStatus = "UNAFFECTED";
+       }
+       person["affectedStatus"] = affectedStatus;
+
+       pedigreePersons.push(person);
+   }
+
+   var family = { "id": familyID,
+                  "proband": proband,
+                  "relatives": relatives,
+                  "pedigree": { "persons": pedigreePersons },
+                  "metaData": metaData };
+
+   return JSON.stringify(family, null, 2);
+}
+
+//===============================================================================================
+
+/*
+ *  Graphviz DOT (https://graphviz.org/doc/info/lang.html) and Mermaid flowchart (https://mermaid.js.org/syntax/flowchart.html)
+ *  representations of the pedigree structure:
+ *
+ *   - persons: boxes for males, circles/ellipses for females and diamonds for persons of unknown gender;
+ *              affected persons (with a disorder or the "affected" status) are filled dark grey, carriers
+ *              and presymptomatic persons light grey, the proband has a thick border, deceased persons are marked with "†"
+ *   - partnerships: small round nodes linked to both partners; the links are double for consanguineous
+ *                   relationships and dashed for broken (separated) ones
+ *   - child hubs: small round nodes linked to the partnership and all the children; the links to
+ *                 adopted children are dashed
+ *
+ *  Persons of the same generation are placed on the same row.
+ *  privacySetting: "all", "nopersonal" or "minimal". With "all" persons are labelled with their names,
+ *                  otherwise with their external ID or pedigree node number.
+ */
+PedigreeExport.exportAsDOT = function(pedigree, privacySetting)
+{
+   var diagram = PedigreeExport._getDiagramStructure(pedigree, privacySetting);
+
+   var quote = function(text) {
+       return '"' + text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n") + '"';
+   };
+
+   var output = "digraph " + quote(PedigreeExport.getFamilyID()) + " {\n";
+   output += "  graph [splines=polyline, nodesep=0.4, ranksep=0.5];\n";
+   output += "  node [fontname=\"Helvetica\", fontsize=10, width=0.5, height=0.5, fixedsize=false];\n";
+   output += "  edge [dir=none, arrowhead=none];\n";
+
+   var shapes = { "M": "box", "F": "ellipse", "U": "diamond" };
+
+   for (var i = 0; i < diagram.persons.length; i++) {
+       var person = diagram.persons[i];
+       var attributes = ["label=" + quote(person.label), "shape=" + shapes[person.gender]];
+       if (person.status == "affected") {
+           attributes.push("style=filled", "fillcolor=\"gray40\"", "fontcolor=\"white\"");
+       } else if (person.status == "carrier") {
+           attributes.push("style=filled", "fillcolor=\"gray85\"");
+       }
+       if (person.proband) {
+           attributes.push("penwidth=3");
+       }
+       output += "  p" + person.id + " [" + attributes.join(", ") + "];\n";
+   }
+
+   for (var i = 0; i < diagram.relationships.length; i++) {
+       var relationship = diagram.relationships[i];
+       output += "  r" + relationship.id + " [shape=point, width=0.08];\n";
+       output += "  c" + relationship.id + " [shape=point, width=0.04];\n";
+       var style = [];
+       if (relationship.consanguineous) {
+           style.push("color=\"black:invis:black\"");
+       }
+       if (relationship.broken) {
+           style.push("style=dashed");
+       }
+       style = style.length > 0 ? " [" + style.join(", ") + "]" : "";
+       for (var p = 0; p < relationship.partners.length; p++) {
+           output += "  p" + relationship.partners[p] + " -> r" + relationship.id + style + ";\n";
+       }
+       output += "  r" + relationship.id + " -> c" + relationship.id + ";\n";
+       for (var c = 0; c < relationship.children.length; c++) {
+           var child = relationship.children[c];
+           output += "  c" + relationship.id + " -> p" + child.id + (child.adopted ? " [style=dashed]" : "") + ";\n";
+       }
+   }
+
+   for (var r = 0; r < diagram.generations.length; r++) {
+       if (diagram.generations[r].length < 2) continue;
+       output += "  { rank=same; " + diagram.generations[r].join("; ") + "; }\n";
+   }
+
+   output += "}\n";
+   return output;
+}
+
+/*
+ *  Mermaid flowchart variant of exportAsDOT()
+ */
+PedigreeExport.exportAsMermaid = function(pedigree, privacySetting)
+{
+   var diagram = PedigreeExport._getDiagramStructure(pedigree, privacySetting);
+
+   var quote = function(text) {
+       return '"' + (text == "" ? " " : text.replace(/"/g, "#quot;").replace(/\n/g, "<br/>")) + '"';
+   };
+
+   var output = "flowchart TD\n";
+
+   var affected = [];
+   var carriers = [];
+   for (var i = 0; i < diagram.persons.length; i++) {
+       var person = diagram.persons[i];
+       var label  = quote(person.label);
+       var shape  = (person.gender == "M") ? "[" + label + "]" : (person.gender == "F" ? "((" + label + "))" : "{" + label + "}");
+       output += "  p" + person.id + shape + "\n";
+       if (person.status == "affected") {
+           affected.push("p" + person.id);
+       } else if (person.status == "carrier") {
+           carriers.push("p" + person.id);
+       }
+   }
+
+   for (var i = 0; i < diagram.relationships.length; i++) {
+       var relationship = diagram.relationships[i];
+       output += "  r" + relationship.id + "(( ))\n";
+       var link = relationship.broken ? " -.- " : (relationship.consanguineous ? " === " : " --- ");
+       for (var p = 0; p < relationship.partners.length; p++) {
+           output += "  p" + relationship.partners[p] + link + "r" + relationship.id + "\n";
+       }
+       // the child hub is not drawn as a separate node: mermaid can not make it small enough to look like a line junction
+       for (var c = 0; c < relationship.children.length; c++) {
+           var child = relationship.children[c];
+           output += "  r" + relationship.id + (child.adopted ? " -.- " : " --- ") + "p" + child.id + "\n";
+       }
+   }
+
+   output += "  classDef partnership fill:#000,stroke:#000,color:#000;\n";
+   output += "  classDef affected fill:#666,stroke:#000,color:#fff;\n";
+   output += "  classDef carrier fill:#ddd,stroke:#000;\n";
+   output += "  classDef proband stroke-width:4px;\n";
+   if (diagram.relationships.length > 0) {
+       output += "  class " + diagram.relationships.map(function(relationship) { return "r" + relationship.id; }).join(",") + " partnership;\n";
+   }
+   if (affected.length > 0) {
+       output += "  class " + affected.join(",") + " affected;\n";
+   }
+   if (carriers.length > 0) {
+       output += "  class " + carriers.join(",") + " carrier;\n";
+   }
+   for (var i = 0; i < diagram.persons.length; i++) {
+       if (diagram.persons[i].proband) {
+           output += "  class p" + diagram.persons[i].id + " proband;\n";
+       }
+   }
+
+   return output;
+}
+
+/*
+ * Collects the information common to the DOT and Mermaid exports: persons with their labels and
+ * drawing style, relationships with their partners and children and node names grouped by generation
+ */
+PedigreeExport._getDiagramStructure = function(pedigree, privacySetting)
+{
+   var diagram = { "persons": [], "relationships": [], "generations": [] };
+
+   var addToGeneration = function(v, nodeName) {
+       var rank = pedigree.ranks ? pedigree.ranks[v] : undefined;
+       if (rank === undefined) return;
+       if (!diagram.generations[rank]) {
+           diagram.generations[rank] = [];
+       }
+       diagram.generations[rank].push(nodeName);
+   };
+
+   for (var i = 0; i <= pedigree.GG.getMaxRealVertexId(); i++) {
+       if (pedigree.GG.isPerson(i)) {
+           var properties = pedigree.GG.properties[i];
+
+           var label = "";
+           if (privacySetting == "all" && (properties["fName"] || properties["lName"])) {
+               label = ((properties["fName"] ? properties["fName"] : "") + " " + (properties["lName"] ? properties["lName"] : "")).replace(/^\s+|\s+$/g, '');
+           } else if (properties.hasOwnProperty("externalID")) {
+               label = properties["externalID"];
+           } else if (properties.hasOwnProperty("nodeNumber")) {
+               label = properties["nodeNumber"];
+           }
+           if (properties.hasOwnProperty("numPersons") && properties["numPersons"] > 0) {
+               label = (label ? label + "\n" : "") + "n=" + properties["numPersons"];
+           }
+           if (properties.hasOwnProperty("lifeStatus") && properties["lifeStatus"] != "alive" && properties["lifeStatus"] != "unborn") {
+               label = (label ? label + " " : "") + "†";
+           }
+
+           var status = "";
+           if (properties["carrierStatus"] == "affected" ||
+               (properties.hasOwnProperty("disorders") && properties["disorders"].length > 0 && properties["carrierStatus"] != "carrier" &&
+                properties["carrierStatus"] != "presymptomatic")) {
+               status = "affected";
+           } else if (properties["carrierStatus"] == "carrier" || properties["carrierStatus"] == "presymptomatic") {
+               status = "carrier";
+           }
+
+           var gender = properties["gender"];
+           if (gender != "M" && gender != "F") {
+               gender = "U";
+           }
+
+           diagram.persons.push({ "id": i, "label": String(label), "gender": gender, "status": status, "proband": (i == 0) });
+           addToGeneration(i, "p" + i);
+       } else if (pedigree.GG.isRelationship(i)) {
+           var properties = pedigree.GG.properties[i];
+
+           var consanguineous = (properties["consangr"] == "Y") ||
+                                (properties["consangr"] != "N" && pedigree.consangr !== undefined && pedigree.consangr.hasOwnProperty(i));
+
+           var childhub = pedigree.GG.getRelationshipChildhub(i);
+           var children = pedigree.GG.getOutEdges(childhub).map(function(child) {
+               return { "id": child, "adopted": pedigree.GG.isAdopted(child) };
+           });
+
+           diagram.relationships.push({ "id": i,
+                                        "partners": pedigree.GG.getParents(i),
+                                        "children": children,
+                                        "consanguineous": consanguineous,
+                                        "broken": !!properties["broken"] });
+           addToGeneration(i, "r" + i);
+       }
+   }
+
+   diagram.generations = diagram.generations.filter(function(generation) { return generation !== undefined; });
+
+   return diagram;
+}
+
 // ===============================================================================================
 
 // TODO: convert internal properties to match public names and rename this to "supportedProperties"
@@ -291,6 +1620,7 @@ PedigreeExport.internalToJSONPropertyMapping = {
         "ethnicities":   "ethnicities",
         "carrierStatus": "carrierStatus",
         "externalID":    "externalId",
+        "sampleID":      "sampleId",
         "gender":        "sex",
         "numPersons":    "numPersons",
         "hpoTerms":      "hpoTerms",
@@ -322,6 +1652,11 @@ PedigreeExport.convertProperty = function(internalPropertyName, value) {
     return {"propertyName": externalPropertyName, "value": value };
 }
 
+/*
+ * Generates a unique ID for every person. idGenerationPreference:
+ *   "external": external IDs, "name": first names, "sample": sample IDs in the sequencing data (e.g. VCF sample names),
+ *   "newid": always generate new numeric IDs. Persons without the preferred property get a new numeric ID.
+ */
 PedigreeExport.createNewIDs = function(pedigree, idGenerationPreference, maxLength) {
     var idToNewId = {};
     var usedIDs   = {};
@@ -338,6 +1673,9 @@ PedigreeExport.createNewIDs = function(pedigree, idGenerationPreference, maxLeng
         } else if (idGenerationPreference == "name" && pedigree.GG.properties[i].hasOwnProperty("fName")) {
             nextUnusedID--;
             id = pedigree.GG.properties[i]["fName"].replace(/\s/g, '_');
+        } else if (idGenerationPreference == "sample" && pedigree.GG.properties[i].hasOwnProperty("sampleID")) {
+            nextUnusedID--;
+            id = pedigree.GG.properties[i]["sampleID"].replace(/\s/g, '_');
         }
         if (maxLength && id.length > maxLength) {
             id = id.substring(0, maxLength);
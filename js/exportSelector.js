@@ -24,12 +24,21 @@ var ExportSelector = Class.create( {
           };          
         var typeListElement = new Element('table');
         typeListElement.insert(_addTypeOption(true,  "PED", "ped"));        
-        typeListElement.insert(_addTypeOption(false, "BOADICEA", "BOADICEA"));
+        typeListElement.insert(_addTypeOption(false, "PLINK .fam", "plink"));
+        typeListElement.insert(_addTypeOption(false, "Madeline 2 table", "madeline"));
+        typeListElement.insert(_addTypeOption(false, "BOADICEA v2", "BOADICEA"));
+        typeListElement.insert(_addTypeOption(false, "BOADICEA v4 (CanRisk)", "BOADICEA4"));
+        typeListElement.insert(_addTypeOption(false, "GEDCOM", "gedcom"));
         typeListElement.insert(_addTypeOption(false, "Simple JSON", "simpleJSON"));
+        typeListElement.insert(_addTypeOption(false, "FHIR (Bundle of FamilyMemberHistory resources)", "fhir"));
+        typeListElement.insert(_addTypeOption(false, "Spreadsheet (CSV)", "csv"));
+        typeListElement.insert(_addTypeOption(false, "GA4GH Phenopacket (Family)", "phenopacket"));
+        typeListElement.insert(_addTypeOption(false, "Graphviz DOT", "dot"));
+        typeListElement.insert(_addTypeOption(false, "Mermaid flowchart", "mermaid"));
         typeListElement.insert(_addTypeOption(false, "HTML", "html"));
         typeListElement.insert(_addTypeOption(false, "PNG Image", "png"));
         typeListElement.insert(_addTypeOption(false, "SVG Image", "svg"));
-        //TODO: typeListElement.insert(_addTypeOption(false, "Phenotips Pedigree JSON", "phenotipsJSON"));
+        typeListElement.insert(_addTypeOption(false, "Phenotips Pedigree JSON (exact copy, including the layout)", "phenotipsJSON"));
         
         var fileDownload = new Element('a', {"id": 'downloadLink', "style": 'display:none'});
         mainDiv.insert(fileDownload);
@@ -59,6 +68,7 @@ var ExportSelector = Class.create( {
         configListElementPED.insert(label.wrap('td').wrap('tr'));         
         configListElementPED.insert(_addConfigOption(true,  "ped-options", "export-subconfig-label", "External ID", "external"));
         configListElementPED.insert(_addConfigOption(false, "ped-options", "export-subconfig-label", "Name", "name"));
+        configListElementPED.insert(_addConfigOption(false, "ped-options", "export-subconfig-label", "Sample ID in sequencing data (e.g. VCF sample name)", "sample"));
         configListElementPED.insert(_addConfigOption(false, "ped-options", "export-subconfig-label", "None, generate new numeric ID for everyone", "newid"));
 
         var promptConfig = new Element('div', {'class': 'import-section'}).update("Options:");
@@ -93,14 +103,15 @@ var ExportSelector = Class.create( {
         var pedOptionsTable = $("pedOptions");
         var jsonOptionsTable = $("jsonOptions");
         
-        if (exportType == "ped" || exportType == "BOADICEA") {
+        if (exportType == "ped" || exportType == "plink" || exportType == "madeline" || exportType == "BOADICEA" || exportType == "BOADICEA4") {
             pedOptionsTable.show();
             jsonOptionsTable.hide();
-        } else if (exportType == "simpleJSON") {
+        } else if (exportType == "simpleJSON" || exportType == "fhir" || exportType == "gedcom" || exportType == "csv" || exportType == "phenopacket" ||
+                   exportType == "dot" || exportType == "mermaid") {
             pedOptionsTable.hide();
             jsonOptionsTable.show();            
         } else {
-            // For visual exports (HTML, PNG, SVG), hide both option tables
+            // For visual exports (HTML, PNG, SVG) and Phenotips Pedigree JSON, hide both option tables
             pedOptionsTable.hide();
             jsonOptionsTable.hide();
         }
@@ -116,7 +127,7 @@ var ExportSelector = Class.create( {
     _onExportStarted: function() {
         this.hide();
 
-        var patientDocument = XWiki.currentDocument.page + " pedigree";
+        var patientDocument = PedigreeExport.getFamilyID() + " pedigree";
 
         var exportType = $$('input:checked[type=radio][name="export-type"]')[0].value;
 
@@ -126,18 +137,72 @@ var ExportSelector = Class.create( {
             var fileName = patientDocument + ".json";
             var mimeType = "application/json";
             saveTextAs(exportString, fileName);
+        } else if (exportType == "fhir") {
+            var privacySetting = $$('input:checked[type=radio][name="export-options"]')[0].value;
+            var exportString = PedigreeExport.exportAsFHIR(editor.getGraph().DG, privacySetting);
+            var fileName = patientDocument + ".fhir.json";
+            var mimeType = "application/fhir+json";
+            saveTextAs(exportString, fileName);
+        } else if (exportType == "csv") {
+            var privacySetting = $$('input:checked[type=radio][name="export-options"]')[0].value;
+            var exportString = PedigreeExport.exportAsCSV(editor.getGraph().DG, privacySetting);
+            var fileName = patientDocument + ".csv";
+            var mimeType = "text/csv";
+            saveTextAs(exportString, fileName);
+        } else if (exportType == "phenopacket") {
+            var privacySetting = $$('input:checked[type=radio][name="export-options"]')[0].value;
+            var exportString = PedigreeExport.exportAsPhenopacket(editor.getGraph().DG, privacySetting);
+            var fileName = patientDocument + ".phenopacket.json";
+            var mimeType = "application/json";
+            saveTextAs(exportString, fileName);
+        } else if (exportType == "dot") {
+            var privacySetting = $$('input:checked[type=radio][name="export-options"]')[0].value;
+            var exportString = PedigreeExport.exportAsDOT(editor.getGraph().DG, privacySetting);
+            var fileName = patientDocument + ".dot";
+            var mimeType = "text/vnd.graphviz";
+            saveTextAs(exportString, fileName);
+        } else if (exportType == "mermaid") {
+            var privacySetting = $$('input:checked[type=radio][name="export-options"]')[0].value;
+            var exportString = PedigreeExport.exportAsMermaid(editor.getGraph().DG, privacySetting);
+            var fileName = patientDocument + ".mmd";
+            var mimeType = "text/plain";
+            saveTextAs(exportString, fileName);
         } else if (exportType == "ped") {
             var idGenerationSetting = $$('input:checked[type=radio][name="ped-options"]')[0].value;
             var exportString = PedigreeExport.exportAsPED(editor.getGraph().DG, idGenerationSetting);
             var fileName = patientDocument + ".ped";
             var mimeType = "text/plain";
             saveTextAs(exportString, fileName);
-        } else if (exportType == "BOADICEA") {
+        } else if (exportType == "plink") {
+            var idGenerationSetting = $$('input:checked[type=radio][name="ped-options"]')[0].value;
+            var exportString = PedigreeExport.exportAsPLINK(editor.getGraph().DG, idGenerationSetting);
+            var fileName = patientDocument + ".fam";
+            var mimeType = "text/plain";
+            saveTextAs(exportString, fileName);
+        } else if (exportType == "madeline") {
+            var idGenerationSetting = $$('input:checked[type=radio][name="ped-options"]')[0].value;
+            var exportString = PedigreeExport.exportAsMadeline(editor.getGraph().DG, idGenerationSetting);
+            var fileName = patientDocument + ".madeline.txt";
+            var mimeType = "text/tab-separated-values";
+            saveTextAs(exportString, fileName);
+        } else if (exportType == "BOADICEA" || exportType == "BOADICEA4") {
             var idGenerationSetting = $$('input:checked[type=radio][name="ped-options"]')[0].value;
-            var exportString = PedigreeExport.exportAsBOADICEA(editor.getGraph().DG, idGenerationSetting);
+            var version = (exportType == "BOADICEA4") ? 4 : 2;
+            var exportString = PedigreeExport.exportAsBOADICEA(editor.getGraph().DG, idGenerationSetting, version);
             var fileName = patientDocument + ".dat";
             var mimeType = "text/plain";
             saveTextAs(exportString, fileName);
+        } else if (exportType == "gedcom") {
+            var privacySetting = $$('input:checked[type=radio][name="export-options"]')[0].value;
+            var exportString = PedigreeExport.exportAsGEDCOM(editor.getGraph().DG, privacySetting);
+            var fileName = patientDocument + ".ged";
+            var mimeType = "text/plain";
+            saveTextAs(exportString, fileName);
+        } else if (exportType == "phenotipsJSON") {
+            var exportString = editor.getSaveLoadEngine().serialize();
+            var fileName = patientDocument + ".pedigree.json";
+            var mimeType = "application/json";
+            saveTextAs(exportString, fileName);
         } else if (exportType == "html") {
             VisualExport.exportAsHTML(patientDocument + ".html");
         } else if (exportType == "png") {
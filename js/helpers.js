@@ -150,6 +150,18 @@ function isInt(n) {
     return (!isNaN(n) && parseInt(n) == parseFloat(n));
 }
 
+// Used for: kinship and inbreeding coefficients, which are sums of powers of 1/2 (e.g. 1/16, 3/32)
+function fractionToString(value) {
+    if (value == 0)
+        return "0";
+    for (var denominator = 1; denominator <= 1048576; denominator *= 2) {
+        var numerator = value * denominator;
+        if (Math.abs(numerator - Math.round(numerator)) < 1e-9)
+            return (denominator == 1) ? String(Math.round(numerator)) : (Math.round(numerator) + "/" + denominator);
+    }
+    return value.toPrecision(3);
+}
+
 function toObjectWithTrue(array) {
   var obj = {};
   for (var i = 0; i < array.length; ++i)
@@ -4,15 +4,401 @@ PedigreeImport = function () {
 PedigreeImport.prototype = {
 };
 
-/*PedigreeImport.SUPORTED_FORMATS = {
-  PED:                    1,      // standard .PED format. Can only import family structure, gender and the affected status
-  PHENOTIPS_GRAPH:        2,      // Phenotips pedigree format, whithout positioning information (needs to be laid out automaticaly)
-  PHENOTIPS_INTERNAL_OLD: 3       // Phenotips internal format used during development and in test cases (to be replaced)
+/* ===============================================================================================
+ *
+ * Collects the problems found while importing a pedigree, so that all of them can be shown to the
+ * user at once instead of aborting the import on the first one.
+ *
+ *  Each problem is an object of the form
+ *
+ *   { "severity": "error" or "warning",
+ *     "message":  <human-readable description of the problem>,
+ *     "line":     <line number (1-based) in the input, or a string describing the record, e.g. "person #3"; null if not known>,
+ *     "record":   <the offending input line or record, or null>,
+ *     "recovery": <what was done instead, e.g. "the line is skipped"; null if nothing was done> }
+ *
+ *  Errors are problems which make a part of the input unusable. Unless the report is created in the
+ *  "recovery" mode the first error aborts the import (the error is thrown as a string, as all other import
+ *  errors). In the recovery mode importers skip the broken parts or replace broken references by placeholders
+ *  and continue. Warnings never abort the import.
+ * ===============================================================================================
+ */
+PedigreeImportReport = function (recover) {
+    this._recover  = !!recover;
+    this._problems = [];
+    this._failed   = false;
+    this._unrecognizedFields = [];
+};
+
+PedigreeImportReport.prototype = {
+
+    isRecoveryMode: function() {
+        return this._recover;
+    },
+
+    addError: function(message, line, record, recovery) {
+        if (!this._recover) {
+            throw "Unable to import pedigree: " + message + (PedigreeImportReport.formatLocation(line) ? " (" + PedigreeImportReport.formatLocation(line) + ")" : "");
+        }
+        this._addProblem("error", message, line, record, recovery);
+    },
+
+    addWarning: function(message, line, record, recovery) {
+        this._addProblem("warning", message, line, record, recovery);
+    },
+
+    /*
+     * Records an error which made the whole import impossible (e.g. an exception thrown by the importer)
+     */
+    addFatalError: function(message) {
+        this._addProblem("error", String(message).replace(/^Unable to import( pedigree)?:\s*/, ''), null, null, "nothing can be imported");
+        this._failed = true;
+    },
+
+    isImportPossible: function() {
+        return !this._failed;
+    },
+
+    _addProblem: function(severity, message, line, record, recovery) {
+        this._problems.push({ "severity": severity,
+                              "message":  message,
+                              "line":     (line === undefined || line === "") ? null : line,
+                              "record":   record   ? record   : null,
+                              "recovery": recovery ? recovery : null });
+    },
+
+    /*
+     * Returns all the problems, sorted by line number (problems without a line number go first)
+     */
+    getProblems: function() {
+        var problems = this._problems.slice(0);
+        var lineOf = function(problem) { return (typeof problem.line == "number") ? problem.line : -1; };
+        problems.sort(function(a, b) { return lineOf(a) - lineOf(b); });
+        return problems;
+    },
+
+    getNumErrors: function() {
+        return this._problems.filter(function(problem) { return problem.severity == "error"; }).length;
+    },
+
+    getNumWarnings: function() {
+        return this._problems.filter(function(problem) { return problem.severity == "warning"; }).length;
+    },
+
+    hasProblems: function() {
+        return this._problems.length > 0;
+    },
+
+    /*
+     * Records the name of an input field (e.g. a JSON property or a spreadsheet column) which was not
+     * recognized and thus not imported. Unrecognized fields are not problems, each name is recorded once
+     */
+    addUnrecognizedField: function(fieldName) {
+        if (this._unrecognizedFields.indexOf(fieldName) < 0) {
+            this._unrecognizedFields.push(fieldName);
+        }
+    },
+
+    getUnrecognizedFields: function() {
+        return this._unrecognizedFields.slice(0);
+    },
+
+    /*
+     * Returns a plain-text version of the report, one problem per line
+     */
+    toString: function() {
+        return this.getProblems().map(function(problem) {
+            var location = PedigreeImportReport.formatLocation(problem.line);
+            return (location ? location + ": " : "") + problem.severity + ": " + problem.message +
+                   (problem.recovery ? " (" + problem.recovery + ")" : "");
+        }).join("\n");
+    }
 };
 
-PedigreeImport.autodetectFormat = function(input) {
+PedigreeImportReport.formatLocation = function(line) {
+    if (line === null || line === undefined) return "";
+    return (typeof line == "number") ? "line " + line : String(line);
+}
+
+/* ===============================================================================================
+ *
+ * Creates and returns a BaseGraph from the given import data, using the importer for the given
+ * import type (one of "ped", "plink", "madeline", "BOADICEA", "gedcom", "simpleJSON", "fhir", "csv",
+ * "phenotipsJSON"). For "phenotipsJSON" only the graph is imported, the layout is ignored.
+ *
+ *  importOptions: { "acceptUnknownPhenotypes", "markEvaluated", "externalIdMark", "affectedCodeOne", "familyID",
+ *                   "columnMapping": see the corresponding importers,
+ *                   "report": optional PedigreeImportReport which collects all the problems found }
+ * ===============================================================================================
+ */
+PedigreeImport.importBaseGraph = function(importString, importType, importOptions)
+{
+    var report = importOptions.report;
+
+    if (importType == "ped") {
+        return PedigreeImport.initFromPED(importString, importOptions.acceptUnknownPhenotypes, importOptions.markEvaluated, importOptions.externalIdMark,
+                                          importOptions.affectedCodeOne, null, importOptions.familyID, report);
+    } else if (importType == "plink") {
+        return PedigreeImport.initFromPLINK(importString, importOptions.markEvaluated, importOptions.externalIdMark, importOptions.familyID, report);
+    } else if (importType == "madeline") {
+        return PedigreeImport.initFromMadeline(importString, importOptions.markEvaluated, importOptions.externalIdMark, importOptions.familyID, report);
+    } else if (importType == "BOADICEA") {
+        return PedigreeImport.initFromBOADICEA(importString, importOptions.externalIdMark, report);
+    } else if (importType == "gedcom") {
+        return PedigreeImport.initFromGEDCOM(importString, importOptions.markEvaluated, importOptions.externalIdMark, report);
+    } else if (importType == "simpleJSON") {
+        return PedigreeImport.initFromSimpleJSON(importString, report);
+    } else if (importType == "fhir") {
+        return PedigreeImport.initFromFHIR(importString, importOptions.externalIdMark, report);
+    } else if (importType == "csv") {
+        return PedigreeImport.initFromCSV(importString, importOptions.columnMapping, importOptions.externalIdMark, report);
+    } else if (importType == "phenotipsJSON") {
+        return PedigreeImport.initFromPhenotipsJSON(importString);
+    }
+    throw "Unsupported import type: " + importType;
+}
+
+/* ===============================================================================================
+ *
+ * Imports the given data without loading it into the editor, so that it can be previewed. Returns an object
+ *
+ *   { "report":    PedigreeImportReport (in the recovery mode) with all the problems found,
+ *     "baseGraph": the imported BaseGraph, or null if the data can not be imported at all }
+ *
+ * ===============================================================================================
+ */
+PedigreeImport.previewImport = function(importString, importType, importOptions)
+{
+    var report = new PedigreeImportReport(true);
+
+    var options = {};
+    for (var option in importOptions) {
+        if (importOptions.hasOwnProperty(option)) {
+            options[option] = importOptions[option];
+        }
+    }
+    options.report = report;
+
+    var baseGraph = null;
+    try {
+        baseGraph = PedigreeImport.importBaseGraph(importString, importType, options);
+    } catch (err) {
+        report.addFatalError(err);
+        baseGraph = null;
+    }
+    return {"report": report, "baseGraph": baseGraph};
+}
+
+/* ===============================================================================================
+ *
+ * Checks the given import data without importing it and returns a PedigreeImportReport (in the recovery mode)
+ * with all the problems found. If the data can not be imported at all report.isImportPossible() is false.
+ * ===============================================================================================
+ */
+PedigreeImport.checkImport = function(importString, importType, importOptions)
+{
+    return PedigreeImport.previewImport(importString, importType, importOptions).report;
+}
+
+/* ===============================================================================================
+ *
+ * Tries to guess the format of the given import data. Returns an object of the form
+ *
+ *   { "format": <import type as accepted by DynamicPositionedGraph.fromImport, or null if the format could not be detected>,
+ *     "description": <human-readable format name, e.g. "LINKAGE (post-makeped)">,
+ *     "reason": <human-readable explanation of why this format was (or was not) picked> }
+ *
+ * Supported formats: PED and LINKAGE (pre- and post-makeped), GEDCOM, BOADICEA v2 and v4, Simple JSON, FHIR, Phenotips
+ * Pedigree JSON, Madeline 2 tables and CSV/TSV spreadsheets with a header line.
+ * When more than one format fits the data, or the data looks like a supported format but is inconsistent
+ * with it (e.g. parent references in a PED file pointing to nonexistent individuals) "format" is null,
+ * so that the user can make the choice manually. PED and LINKAGE data is detected when most of the lines
+ * are consistent; the other lines are left to the import report.
+ * ===============================================================================================
+ */
+PedigreeImport.autodetectFormat = function(input)
+{
+    var notDetected = function(reason) {
+        return {"format": null, "description": "unknown", "reason": reason};
+    };
+
+    var trimmed = input.replace(/^\s+|\s+$/g, '');
+    if (trimmed == "") {
+        return notDetected("no data");
+    }
+
+    // JSON-based formats
+    if (trimmed[0] == "[" || trimmed[0] == "{") {
+        try {
+            var parsed = JSON.parse(trimmed);
+        } catch (err) {
+            return notDetected("data looks like JSON but can not be parsed: " + err);
+        }
+        var isArray = (Object.prototype.toString.call(parsed) === '[object Array]');
+        if (!isArray && parsed.hasOwnProperty("GG") && parsed.hasOwnProperty("positions")) {
+            return {"format": "phenotipsJSON", "description": "Phenotips Pedigree JSON", "reason": "JSON object with pedigree graph and layout data"};
+        }
+        if (!isArray && parsed.hasOwnProperty("resourceType")) {
+            return {"format": "fhir", "description": "FHIR", "reason": "JSON object with resourceType \"" + parsed.resourceType + "\""};
+        }
+        if (!isArray) {
+            return notDetected("JSON object which is neither a FHIR resource nor an array of persons");
+        }
+        if (parsed.length == 0) {
+            return notDetected("empty JSON array");
+        }
+        var fhirResources = 0;
+        var persons       = 0;
+        for (var i = 0; i < parsed.length; i++) {
+            if (typeof parsed[i] != 'object' || parsed[i] === null) {
+                return notDetected("JSON array contains elements which are not objects");
+            }
+            if (parsed[i].hasOwnProperty("resourceType")) {
+                fhirResources++;
+            } else if (parsed[i].hasOwnProperty("id") || parsed[i].hasOwnProperty("name") ||
+                       parsed[i].hasOwnProperty("firstName") || parsed[i].hasOwnProperty("externalId")) {
+                persons++;
+            }
+        }
+        if (fhirResources == parsed.length) {
+            return {"format": "fhir", "description": "FHIR", "reason": "JSON array of FHIR resources"};
+        }
+        if (persons == parsed.length) {
+            return {"format": "simpleJSON", "description": "Simple JSON", "reason": "JSON array of " + persons + " objects, each with an ID or a name"};
+        }
+        return notDetected("JSON array with " + (parsed.length - persons - fhirResources) + " object(s) without an ID or a name");
+    }
+
+    var inputLines = trimmed.match(/[^\r\n]+/g);
+
+    var boadiceaHeader = inputLines[0].match(/^BOADICEA import pedigree file format\s*(\S*)/i);
+    if (boadiceaHeader !== null) {
+        if (boadiceaHeader[1].match(/^[24](\.\d+)?$/) === null) {
+            return notDetected("BOADICEA format version \"" + boadiceaHeader[1] + "\" is not supported");
+        }
+        var description = (boadiceaHeader[1].charAt(0) == "4") ? "BOADICEA v4 (CanRisk)" : "BOADICEA v2";
+        return {"format": "BOADICEA", "description": description, "reason": "first line is \"" + inputLines[0].replace(/^\s+|\s+$/g, '') + "\""};
+    }
+
+    if (inputLines[0].match(/^\s*0\s+HEAD\s*$/) !== null) {
+        return {"format": "gedcom", "description": "GEDCOM", "reason": "data starts with a \"0 HEAD\" record"};
+    }
+    var gedcomLines = 0;
+    var gedcomIndividuals = 0;
+    for (var i = 0; i < inputLines.length; i++) {
+        if (inputLines[i].match(/^\s*\d+\s+(@[^@]+@\s+)?[A-Z_][A-Z0-9_]*(\s|$)/) !== null) {
+            gedcomLines++;
+        }
+        if (inputLines[i].match(/^\s*0\s+@[^@]+@\s+INDI\s*$/) !== null) {
+            gedcomIndividuals++;
+        }
+    }
+    if (gedcomIndividuals > 0 && gedcomLines == inputLines.length) {
+        return {"format": "gedcom", "description": "GEDCOM", "reason": gedcomIndividuals + " \"INDI\" record(s) found, all lines are level-numbered GEDCOM records"};
+    }
+
+    // Madeline 2 tables are spreadsheets with a fixed set of required column titles
+    if (inputLines[0].indexOf("\t") >= 0 && PedigreeImport._getMadelineColumns(inputLines[0].split("\t")).missing.length == 0) {
+        return {"format": "madeline", "description": "Madeline 2", "reason": "tab-separated values with IndividualId, Familyid, Gender, Father and Mother column titles in the first line"};
+    }
+
+    // spreadsheets: a header line with recognized column titles
+    var csvColumns = PedigreeImport.getCSVColumns(trimmed);
+    if (csvColumns !== null) {
+        var recognized = csvColumns.mapping.filter(function(target) { return target !== null; });
+        if (recognized.length >= 2 && (recognized.indexOf("id") >= 0 || recognized.indexOf("firstname") >= 0 || recognized.indexOf("externalid") >= 0)) {
+            var delimiterName = {"\t": "tab", ";": "semicolon", ",": "comma"}[csvColumns.delimiter];
+            return {"format": "csv", "description": (csvColumns.delimiter == "\t") ? "TSV spreadsheet" : "CSV spreadsheet",
+                    "reason": delimiterName + "-separated values with " + recognized.length + " recognized column titles in the first line"};
+        }
+    }
+
+    // PED and LINKAGE: same checks as in initFromPED(). The importer skips and reports the lines which do
+    // not pass them, so the format is detected when most of the lines do
+    var postMakeped = (inputLines[0].indexOf("Ped:") > 0 && inputLines[0].indexOf("Per:") > 0);
+    var needColumns = postMakeped ? 10 : 6;
+    var sexColumn   = postMakeped ? 7 : 4;
+
+    var minColumns = Infinity;
+    var maxColumns = 0;
+    var ids        = {};
+    var lines      = [];
+    for (var i = 0; i < inputLines.length; i++) {
+        var parts = inputLines[i].replace(/[^a-zA-Z0-9_.\-\s*]/g, ' ').replace(/^\s+|\s+$/g, '').split(/\s+/);
+        if (parts.length >= needColumns) {
+            minColumns = Math.min(minColumns, parts.length);
+            maxColumns = Math.max(maxColumns, parts.length);
+            ids[parts[1]] = true;
+        }
+        lines.push(parts);
+    }
+    var checkPEDLine = function(parts, lineNumber) {
+        if (parts.length < needColumns) {
+            return "line " + lineNumber + " has only " + parts.length + " column(s), which is not enough for " + (postMakeped ? "LINKAGE" : "PED");
+        }
+        if (parts[sexColumn].match(/^-?\d+$/) === null) {
+            return "column " + (sexColumn+1) + " of line " + lineNumber + " should contain sex but has \"" + parts[sexColumn] + "\"";
+        }
+        for (var p = 2; p <= 3; p++) {
+            if (parts[p] != "0" && !ids.hasOwnProperty(parts[p])) {
+                return "parent ID \"" + parts[p] + "\" on line " + lineNumber + " does not match any individual";
+            }
+        }
+        return null;
+    };
+    var problems = [];
+    for (var i = 0; i < lines.length; i++) {
+        var problem = checkPEDLine(lines[i], i+1);
+        if (problem !== null) {
+            problems.push(problem);
+        }
+    }
+    if (problems.length * 2 >= lines.length) {
+        var others = (problems.length > 1) ? " (and " + (problems.length-1) + " more line(s) with problems)" : "";
+        return notDetected(problems[0] + others);
+    }
+    var badLines = (problems.length == 0) ? "" :
+                   "; " + problems.length + " of " + lines.length + " lines do not match and are left to the import report, e.g. " + problems[0];
+
+    var columns = (minColumns == maxColumns) ? minColumns : (minColumns + "-" + maxColumns);
+    if (postMakeped) {
+        return {"format": "ped", "description": "LINKAGE (post-makeped)", "reason": "first line contains \"Ped:\" and \"Per:\", " + columns + " columns per line" + badLines};
+    }
+    var description = (minColumns == 6 && maxColumns == 6) ? "PED" : "PED or LINKAGE (pre-makeped)";
+    return {"format": "ped", "description": description, "reason": columns + " whitespace-separated columns per line, numeric sex in column 5 and parent IDs which refer to listed individuals" + badLines};
+}
+
+/*
+ * Parses a pedigree serialized by DynamicPositionedGraph.toJSON(), possibly by an older version of the editor
+ * (e.g. exported from another installation), and returns the serialized data updated to the current version
+ */
+PedigreeImport.parsePhenotipsJSON = function(inputText)
+{
+    try {
+        var serializedData = JSON.parse(inputText);
+    } catch (err) {
+        throw "Unable to import pedigree: input is not a valid JSON string " + err;
+    }
+    if (!serializedData || !serializedData.hasOwnProperty("GG")) {
+        throw "Unable to import pedigree: JSON does not represent a Phenotips pedigree (GG is missing)";
+    }
+    return JSON.parse(new VersionUpdater().updateToCurrentVersion(inputText));
+}
+
+/*
+ * Creates a BaseGraph from a pedigree serialized by DynamicPositionedGraph.toJSON(). The layout is ignored
+ * and multi-rank edges are collapsed, so the result is the same as the one produced by all other importers
+ */
+PedigreeImport.initFromPhenotipsJSON = function(inputText)
+{
+    var serializedData = PedigreeImport.parsePhenotipsJSON(inputText);
+
+    var newG = PedigreeImport.initFromPhenotipsInternal(serializedData["GG"]).makeGWithCollapsedMultiRankEdges();
+
+    PedigreeImport.validateBaseGraph(newG);
 
-}*/
+    return newG;
+}
 
 PedigreeImport.initFromPhenotipsInternal = function(inputG)
 {
@@ -169,19 +555,92 @@ PedigreeImport.initFromPhenotipsInternal = function(inputG)
  *   Column 9:   Proband status (1=proband, higher numbers indicate doubled individuals formed
  *                               in breaking loops. All other individuals have a 0 in this field.)
  *   Column 10+: Disease and marker phenotypes (as in the original pedigree file)
+ *
+ * If the input contains more than one family, familyID should be set to the ID of the family to be
+ * imported (see PedigreeImport.getPEDFamilies); lines of all other families are ignored.
  * ===============================================================================================
  */
-PedigreeImport.initFromPED = function(inputText, acceptOtherPhenotypes, markEvaluated, saveIDAsExternalID, affectedCodeOne, disorderNames)
+PedigreeImport.initFromPED = function(inputText, acceptOtherPhenotypes, markEvaluated, saveIDAsExternalID, affectedCodeOne, disorderNames, familyID, report)
 {
-    var inputLines = inputText.match(/[^\r\n]+/g);
+    if (!report) report = new PedigreeImportReport();
+
+    // keep track of the original line numbers for the report
+    var inputLines  = [];
+    var lineNumbers = [];
+    var allLines = inputText.split(/\r\n|\r|\n/);
+    for (var i = 0; i < allLines.length; i++) {
+        if (allLines[i].match(/^\s*$/) !== null) continue;
+        inputLines.push(allLines[i]);
+        lineNumbers.push(i+1);
+    }
     if (inputLines.length == 0) throw "Unable to import: no data";
+
+    if (familyID !== undefined && familyID !== null) {
+        var familyLines = [];
+        var familyLineNumbers = [];
+        for (var i = 0; i < inputLines.length; i++) {
+            if (PedigreeImport._splitPEDLine(inputLines[i])[0] == familyID) {
+                familyLines.push(inputLines[i]);
+                familyLineNumbers.push(lineNumbers[i]);
+            }
+        }
+        if (familyLines.length == 0) throw "Unable to import: family [" + familyID + "] is not present in the data";
+        inputLines  = familyLines;
+        lineNumbers = familyLineNumbers;
+    }
             
     // autodetect if data is in pre-makeped or post-makeped format    
     var postMakeped = false;
     if (inputLines[0].indexOf("Ped:") > 0 && inputLines[0].indexOf("Per:") > 0)
         postMakeped = true;
 
-    var familyPrefix = "";
+    // check all the lines first, so that all the problems are reported at once; in the
+    // recovery mode the broken lines are skipped
+    var familyPrefix  = "";
+    var otherFamilies = {};
+    var knownIDs      = {};
+    var validLines       = [];
+    var validLineNumbers = [];
+    for (var i = 0; i < inputLines.length; i++) {
+
+        inputLines[i] = inputLines[i].replace(/[^a-zA-Z0-9_.\-\s*]/g, ' ');
+        inputLines[i] = inputLines[i].replace(/^\s+|\s+$/g, '');  // trim()
+
+        var parts = inputLines[i].split(/\s+/);
+
+        if (parts.length < 6 || (postMakeped && parts.length < 10)) {
+            report.addError("Input line has not enough columns", lineNumbers[i], inputLines[i], "the line is skipped");
+            continue;
+        }
+
+        if (familyPrefix == "") {
+            familyPrefix = parts[0];
+        } else {
+            if (parts[0] != familyPrefix) {
+                // report every other family only once
+                if (!otherFamilies.hasOwnProperty(parts[0])) {
+                    otherFamilies[parts[0]] = true;
+                    report.addError("Unsupported feature: multiple families detected within the same pedigree (select one of the families to be imported)",
+                                    lineNumbers[i], inputLines[i], "family [" + parts[0] + "] is skipped, only family [" + familyPrefix + "] is imported");
+                }
+                continue;
+            }
+        }
+
+        if (knownIDs.hasOwnProperty(parts[1])) {
+            report.addError("Multiple persons with the same ID [" + parts[1] + "]", lineNumbers[i], inputLines[i], "only the first one is imported");
+            continue;
+        }
+        knownIDs[parts[1]] = true;
+
+        validLines.push(inputLines[i]);
+        validLineNumbers.push(lineNumbers[i]);
+    }
+    if (validLines.length == 0) {
+        throw "Unable to import: no valid lines found";
+    }
+    inputLines  = validLines;
+    lineNumbers = validLineNumbers;
 
     var newG = new BaseGraph();
 
@@ -197,27 +656,10 @@ PedigreeImport.initFromPED = function(inputText, acceptOtherPhenotypes, markEval
     // first pass: add all vertices and assign vertex IDs
     for (var i = 0; i < inputLines.length; i++) {
 
-        inputLines[i] = inputLines[i].replace(/[^a-zA-Z0-9_.\-\s*]/g, ' ');
-        inputLines[i] = inputLines[i].replace(/^\s+|\s+$/g, '');  // trim()
-
         var parts = inputLines[i].split(/\s+/);
         //console.log("Parts: " + stringifyObject(parts));
 
-        if (parts.length < 6 || (postMakeped && parts.length < 10)) {
-            throw "Input line has not enough columns: [" + inputLines[i] + "]";
-        }
-
-        if (familyPrefix == "") {
-            familyPrefix = parts[0];
-        } else {
-            if (parts[0] != familyPrefix) {
-                throw "Unsupported feature: multiple families detected within the same pedigree";
-            }
-        }
-
         var pedID = parts[1];
-        if (nameToId.hasOwnProperty(pedID))
-            throw "Multiple persons with the same ID [" + pedID + "]";
 
         var genderValue = postMakeped ? parts[7] : parts[4];
         var gender = "U";
@@ -309,6 +751,32 @@ PedigreeImport.initFromPED = function(inputText, acceptOtherPhenotypes, markEval
         var fatherID = parts[2];
         var motherID = parts[3];
 
+        // broken parent references are reported and (in the recovery mode) treated as unknown parents
+        if (fatherID != 0) {
+            if (!nameToId.hasOwnProperty(fatherID) || nameToId[fatherID] == id) {
+                report.addError("Father [" + fatherID + "] of [" + thisPersonName + "] is not a valid reference" +
+                                (nameToId[fatherID] == id ? " (a person can not be their own parent)" : " (not listed in the data)"),
+                                lineNumbers[i], inputLines[i], "replaced by an unknown father");
+                fatherID = 0;
+            } else if (newG.properties[nameToId[fatherID]].gender == "F") {
+                report.addError("A person declared as female [id: " + fatherID + "] is also declared as being a father for [id: " + thisPersonName + "]",
+                                lineNumbers[i], inputLines[i], "replaced by an unknown father");
+                fatherID = 0;
+            }
+        }
+        if (motherID != 0) {
+            if (!nameToId.hasOwnProperty(motherID) || nameToId[motherID] == id) {
+                report.addError("Mother [" + motherID + "] of [" + thisPersonName + "] is not a valid reference" +
+                                (nameToId[motherID] == id ? " (a person can not be their own parent)" : " (not listed in the data)"),
+                                lineNumbers[i], inputLines[i], "replaced by an unknown mother");
+                motherID = 0;
+            } else if (newG.properties[nameToId[motherID]].gender == "M") {
+                report.addError("A person declared as male [id: " + motherID + "] is also declared as being a mother for [id: " + thisPersonName + "]",
+                                lineNumbers[i], inputLines[i], "replaced by an unknown mother");
+                motherID = 0;
+            }
+        }
+
         if (fatherID == 0 && motherID == 0) continue;
 
         // .PED supports specifying only mohter of father. Pedigree editor requires both (for now).
@@ -317,15 +785,11 @@ PedigreeImport.initFromPED = function(inputText, acceptOtherPhenotypes, markEval
            fatherID = newG._addVertex( null, TYPE.PERSON, {"gender": "M", "comments": "unknown"}, newG.defaultPersonNodeWidth );
         } else {
             fatherID = nameToId[fatherID];
-            if (newG.properties[fatherID].gender == "F")
-                throw "Unable to import pedigree: a person declared as female [id: " + fatherID + "] is also declared as being a father for [id: "+thisPersonName+"]";
         }
         if (motherID == 0) {
             motherID = newG._addVertex( null, TYPE.PERSON, {"gender": "F", "comments": "unknown"}, newG.defaultPersonNodeWidth );
         } else {
             motherID = nameToId[motherID];
-            if (newG.properties[motherID].gender == "M")
-                throw "Unable to import pedigree: a person declared as male [id: " + motherID + "] is also declared as being a mother for [id: "+thisPersonName+"]";
         }
 
         // both motherID and fatherID are now given and represent valid existing nodes in the pedigree
@@ -337,17 +801,187 @@ PedigreeImport.initFromPED = function(inputText, acceptOtherPhenotypes, markEval
         newG.addEdge( chhubID, id, defaultEdgeWeight );
     }
 
-    PedigreeImport.validateBaseGraph(newG);
+    PedigreeImport.validateBaseGraph(newG, report);
     
     return newG;
 }
 
+/* ===============================================================================================
+ *
+ * Returns the list of all families found in a PED/LINKAGE file, in the order of appearance, e.g.:
+ *
+ *   [ {"familyID": "F1", "members": 12, "affected": 3}, {"familyID": "F2", "members": 5, "affected": 1} ]
+ *
+ * Individuals are counted as affected when the phenotype column is "2" (the standard -9/0/1/2 coding)
+ * ===============================================================================================
+ */
+PedigreeImport.getPEDFamilies = function(inputText)
+{
+    var inputLines = inputText.match(/[^\r\n]+/g);
+    if (inputLines === null) return [];
+
+    var postMakeped = (inputLines[0].indexOf("Ped:") > 0 && inputLines[0].indexOf("Per:") > 0);
+
+    var families = [];
+    var familyIndex = {};
+
+    for (var i = 0; i < inputLines.length; i++) {
+        var parts = PedigreeImport._splitPEDLine(inputLines[i]);
+        if (parts.length < 6) continue;
+
+        if (!familyIndex.hasOwnProperty(parts[0])) {
+            familyIndex[parts[0]] = families.length;
+            families.push({"familyID": parts[0], "members": 0, "affected": 0});
+        }
+        var family = families[familyIndex[parts[0]]];
+        family.members++;
+
+        var phenotype = postMakeped ? parts[9] : parts[5];
+        if (phenotype == "2")
+            family.affected++;
+    }
+
+    return families;
+}
+
+/*
+ * Sanitizes one line of PED/LINKAGE input and splits it into columns
+ */
+PedigreeImport._splitPEDLine = function(line)
+{
+    line = line.replace(/[^a-zA-Z0-9_.\-\s*]/g, ' ');
+    line = line.replace(/^\s+|\s+$/g, '');  // trim()
+    return line.split(/\s+/);
+}
+
+
+/* ===============================================================================================
+ *
+ * Creates and returns a BaseGraph from a text string in the PLINK .fam format
+ * (https://www.cog-genomics.org/plink/1.9/formats#fam): a PED file without genotypes, with exactly 6 columns:
+ *
+ *   Family ID, Individual ID, Paternal ID, Maternal ID, Sex (1=male; 2=female; 0=unknown),
+ *   Phenotype (1=unaffected, 2=affected, 0 or -9=missing)
+ *
+ * Individual IDs in .fam files are the sample IDs used in the genotype data, so they are saved as sample IDs
+ * (and also as external IDs if saveIDAsExternalID is true).
+ * ===============================================================================================
+ */
+PedigreeImport.initFromPLINK = function(inputText, markEvaluated, saveIDAsExternalID, familyID, report)
+{
+    if (!report) report = new PedigreeImportReport();
+
+    var inputLines = inputText.match(/[^\r\n]+/g);
+    if (inputLines === null) {
+        throw "Unable to import: no data";
+    }
+    var allLines = inputText.split(/\r\n|\r|\n/);
+    for (var i = 0; i < allLines.length; i++) {
+        var parts = PedigreeImport._splitPEDLine(allLines[i]);
+        if (parts.length == 1 && parts[0] == "") continue;
+        if (parts.length > 6) {
+            // lines with less than 6 columns are reported by the PED importer
+            report.addError("Input line has " + parts.length + " columns instead of 6 as required by the .fam format", i+1, allLines[i],
+                            "the extra columns are ignored");
+        }
+    }
+
+    // individual IDs are needed to set sample IDs, so always read them as external IDs
+    var newG = PedigreeImport.initFromPED(inputText, false, markEvaluated, true, false, null, familyID, report);
+
+    for (var v = 0; v <= newG.getMaxRealVertexId(); v++) {
+        if (!newG.isPerson(v) || !newG.properties[v].hasOwnProperty("externalID")) continue;
+        newG.properties[v]["sampleID"] = newG.properties[v]["externalID"];
+        if (!saveIDAsExternalID) {
+            delete newG.properties[v]["externalID"];
+        }
+    }
+
+    return newG;
+}
+
+/* ===============================================================================================
+ *
+ * Returns the list of sample IDs given in the "#CHROM" header line of a (multi-sample) VCF file.
+ * Only the header is needed, the rest of the file (if present) is ignored.
+ * ===============================================================================================
+ */
+PedigreeImport.getVCFSampleIDs = function(vcfText)
+{
+    var inputLines = vcfText.match(/[^\r\n]+/g);
+    if (inputLines === null) {
+        throw "Unable to read VCF samples: no data";
+    }
+    for (var i = 0; i < inputLines.length; i++) {
+        if (inputLines[i].match(/^#CHROM\t/) === null) continue;
+
+        var columns = inputLines[i].split("\t");
+        // #CHROM POS ID REF ALT QUAL FILTER INFO FORMAT <sample1> <sample2> ...
+        if (columns.length < 10) {
+            throw "Unable to read VCF samples: the VCF data contains no samples";
+        }
+        return columns.slice(9).map(function(sampleID) { return sampleID.replace(/^\s+|\s+$/g, ''); });
+    }
+    throw "Unable to read VCF samples: the \"#CHROM\" header line is not found";
+}
+
+/*
+ * Suggests which person in the pedigree corresponds to each of the given sample IDs, by comparing
+ * the sample IDs to the sample ID, external ID, name and node number of every person (ignoring case
+ * and punctuation). Each person is matched to at most one sample.
+ *
+ * Returns { "matches": { <person node ID>: <sample ID> }, "unmatched": [ <sample IDs not matched to anyone> ] }
+ */
+PedigreeImport.matchVCFSamples = function(GG, sampleIDs)
+{
+    var normalize = function(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+    };
+
+    // the earlier a property is in this list the higher is the priority of a match
+    var getKeys = function(properties) {
+        var keys = [ properties["sampleID"], properties["externalID"], properties["fName"],
+                     properties["fName"] && properties["lName"] ? properties["fName"] + properties["lName"] : undefined,
+                     properties["nodeNumber"] ];
+        return keys.map(function(key) { return (key === undefined || key === null || key === "") ? null : normalize(key); });
+    };
+
+    var personKeys = {};
+    for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+        if (GG.isPerson(v)) {
+            personKeys[v] = getKeys(GG.properties[v]);
+        }
+    }
+
+    var matches   = {};
+    var unmatched = [];
+    for (var i = 0; i < sampleIDs.length; i++) {
+        var sample = normalize(sampleIDs[i]);
+        var bestPerson   = null;
+        var bestPriority = Infinity;
+        for (var person in personKeys) {
+            if (!personKeys.hasOwnProperty(person) || matches.hasOwnProperty(person)) continue;
+            var priority = personKeys[person].indexOf(sample);
+            if (priority >= 0 && priority < bestPriority) {
+                bestPerson   = person;
+                bestPriority = priority;
+            }
+        }
+        if (bestPerson === null || sample == "") {
+            unmatched.push(sampleIDs[i]);
+        } else {
+            matches[bestPerson] = sampleIDs[i];
+        }
+    }
+
+    return { "matches": matches, "unmatched": unmatched };
+}
 
 /* ===============================================================================================
  *
  * Creates and returns a BaseGraph from a text string in the BOADICEA format.
  *
- *  BOADICEA format:
+ *  BOADICEA format v2:
  *  (from https://pluto.srl.cam.ac.uk/bd3/v3/docs/BWA_v3_user_guide.pdf)
  *
  *  line1: BOADICEA import pedigree file format 2.0
@@ -378,21 +1012,104 @@ PedigreeImport.initFromPED = function(inputText, acceptOtherPhenotypes, markEval
  *   HER2: Human epidermal growth factor receptor 2 status, 0 = unspecified, N = negative, P = positive
  *   CK14: Cytokeratin 14 status, 0 = unspecified, N = negative, P = positive
  *   CK56: Cytokeratin 56 status, 0 = unspecified, N = negative, P = positive
+ *
+ *  BOADICEA format v4 (used by the CanRisk web tool):
+ *  (from https://canrisk.atlassian.net/wiki/spaces/FAQS/pages/35979266/What+pedigree+file+formats+can+I+upload)
+ *
+ *  line1: BOADICEA import pedigree file format 4.0
+ *  line2: column titles
+ *  line3+: same as v2 up to and including the cancer ages, followed by:
+ *
+ *   Ashkn: 0 = not Ashkenazi, 1 = Ashkenazi
+ *   BRCA1t, BRCA1r, BRCA2t, BRCA2r, PALB2t, PALB2r, ATMt, ATMr, CHEK2t, CHEK2r: genetic test type and result for each gene,
+ *                                   type: 0 = untested, S = mutation search, T = direct gene test
+ *                                   result: 0 = untested, N = no mutation, P = mutation detected
+ *   ER, PR, HER2, CK14, CK56: same as in v2
+ *
+ *   In v4 the "Twin" column is called "MZtwin": 0 = no identical twin, any non-zero character = twin
+ *   (identical twins share the same character)
+ *
+ * Cancers are imported as disorders with the IDs "1BrCa", "2BrCa", "OvCa", "ProCa" and "PanCa". Since the pedigree
+ * editor has no dedicated fields for the age at last follow up, the age at diagnosis, genetic test results and tumour pathology, those are
+ * recorded in comments in a fixed format (see PedigreeImport.BOADICEAFormat), which is also understood by
+ * PedigreeExport.exportAsBOADICEA, so that no information is lost when a pedigree is imported and exported back.
  * ===============================================================================================
  */
-PedigreeImport.initFromBOADICEA = function(inputText, saveIDAsExternalID)
+PedigreeImport.initFromBOADICEA = function(inputText, saveIDAsExternalID, report)
 {
-    var inputLines = inputText.match(/[^\r\n]+/g);
+    if (!report) report = new PedigreeImportReport();
+
+    // keep track of the original line numbers for the report
+    var inputLines  = [];
+    var lineNumbers = [];
+    var allLines = inputText.split(/\r\n|\r|\n/);
+    for (var i = 0; i < allLines.length; i++) {
+        if (allLines[i].match(/^\s*$/) !== null) continue;
+        inputLines.push(allLines[i]);
+        lineNumbers.push(i+1);
+    }
 
     if (inputLines.length <= 2) {
         throw "Unable to import: no data";
     }
-    if (inputLines[0].match(/^BOADICEA import pedigree file format 2/i) === null) {
+    var versionMatch = inputLines[0].match(/^BOADICEA import pedigree file format (\d)/i);
+    if (versionMatch === null || (versionMatch[1] != "2" && versionMatch[1] != "4")) {
         throw "Unable to import: unsupported version of the BOADICEA format";
     }
+    var version = parseInt(versionMatch[1]);
     inputLines.splice(0,2); // remove 2 header lines
+    lineNumbers.splice(0,2);
+
+    var format  = PedigreeImport.BOADICEAFormat;
+    var columns = format.columns[version];
+
+    // check all the lines first, so that all the problems are reported at once; in the
+    // recovery mode the broken lines are skipped
+    var familyPrefix  = "";
+    var otherFamilies = {};
+    var knownIDs      = {};
+    var validLines       = [];
+    var validLineNumbers = [];
+    for (var i = 0; i < inputLines.length; i++) {
 
-    var familyPrefix = "";
+        inputLines[i] = inputLines[i].replace(/[^a-zA-Z0-9_.\-\s*]/g, ' ');
+        inputLines[i] = inputLines[i].replace(/^\s+|\s+$/g, '');  // trim()
+
+        var parts = inputLines[i].split(/\s+/);
+
+        if (parts.length < columns.total) {
+            report.addError("Input line has not enough columns", lineNumbers[i], inputLines[i], "the line is skipped");
+            continue;
+        }
+
+        if (familyPrefix == "") {
+            familyPrefix = parts[0];
+        } else {
+            if (parts[0] != familyPrefix) {
+                // report every other family only once
+                if (!otherFamilies.hasOwnProperty(parts[0])) {
+                    otherFamilies[parts[0]] = true;
+                    report.addError("Unsupported feature: multiple families detected within the same pedigree",
+                                    lineNumbers[i], inputLines[i], "family [" + parts[0] + "] is skipped, only family [" + familyPrefix + "] is imported");
+                }
+                continue;
+            }
+        }
+
+        if (knownIDs.hasOwnProperty(parts[3])) {
+            report.addError("Multiple persons with the same ID [" + parts[3] + "]", lineNumbers[i], inputLines[i], "only the first one is imported");
+            continue;
+        }
+        knownIDs[parts[3]] = true;
+
+        validLines.push(inputLines[i]);
+        validLineNumbers.push(lineNumbers[i]);
+    }
+    if (validLines.length == 0) {
+        throw "Unable to import: no valid lines found";
+    }
+    inputLines  = validLines;
+    lineNumbers = validLineNumbers;
 
     var newG = new BaseGraph();
 
@@ -400,30 +1117,15 @@ PedigreeImport.initFromBOADICEA = function(inputText, saveIDAsExternalID)
 
     var nextID = 1;
 
+    var twinGroups = {};  // MZtwin column value -> twin group ID
+
     // first pass: add all vertices and assign vertex IDs
     for (var i = 0; i < inputLines.length; i++) {
 
-        inputLines[i] = inputLines[i].replace(/[^a-zA-Z0-9_.\-\s*]/g, ' ');
-        inputLines[i] = inputLines[i].replace(/^\s+|\s+$/g, '');  // trim()
-
         var parts = inputLines[i].split(/\s+/);
         //console.log("Parts: " + stringifyObject(parts));
 
-        if (parts.length < 24) {
-            throw "Input line has not enough columns: [" + inputLines[i] + "]";
-        }
-
-        if (familyPrefix == "") {
-            familyPrefix = parts[0];
-        } else {
-            if (parts[0] != familyPrefix) {
-                throw "Unsupported feature: multiple families detected within the same pedigree";
-            }
-        }
-
         var extID = parts[3];
-        if (nameToId.hasOwnProperty(extID))
-            throw "Multiple persons with the same ID [" + extID + "]";
 
         var genderValue = parts[6];
         var gender = "M";
@@ -440,52 +1142,78 @@ PedigreeImport.initFromBOADICEA = function(inputText, saveIDAsExternalID)
           properties["externalID"] = extID;
         }
 
+        var twin = parts[7];
+        if (twin != "0") {
+          if (!twinGroups.hasOwnProperty(twin)) {
+            twinGroups[twin] = Object.keys(twinGroups).length;
+          }
+          properties["twinGroup"]   = twinGroups[twin];
+          properties["monozygotic"] = true;
+        }
+
         var deadStatus = parts[8];
         if (deadStatus == "1") {
           properties["lifeStatus"] = "deceased";
         }
 
         var yob = parts[10];
-        if (yob != "0") {
-          var dob = yob + "-01-01T00:00:00.000Z";
-          properties["dob"] = dob;
-        }
-
-        // TODO: handle all the columns and proper cancer handling
-        //
-        // 11: 1BrCa: Age at first breast cancer diagnosis, 0 = unaffected, integer = age at diagnosis, AU = unknown age at diagnosis (affected unknown)
-        // 12: 2BrCa: Age at contralateral breast cancer diagnosis, 0 = unaffected, integer = age at diagnosis, AU = unknown age at diagnosis (affected unknown)
-        // 13: OvCa:  Age at ovarian cancer diagnosis, 0 = unaffected, integer = age at diagnosis, AU = unknown age at diagnosis (affected unknown)
-        // 14: ProCa: Age at prostate cancer diagnosis 0 = unaffected, integer = age at diagnosis, AU = unknown age at diagnosis (affected unknown)
-        // 15: PanCa: Age at pancreatic cancer diagnosis 0 = unaffected, integer = age at diagnosis, AU = unknown age at diagnosis (affected unknown)
-        var cancers = [ { "column": 11, "label": "Breast cancer",           "disorder": "1BrCa"},
-                        { "column": 12, "label": "Contralateral breast c.", "disorder": "2BrCa"},
-                        { "column": 13, "label": "Ovarian cancer",          "disorder": "OvCa"},
-                        { "column": 14, "label": "Prostate cancer",         "disorder": "ProCa"},
-                        { "column": 15, "label": "Pancreatic cancer",       "disorder": "PanCa"} ];
-
-        for (var c = 0; c < cancers.length; c++) {
-          var cancer = cancers[c];
-          if (parts[cancer["column"]].toUpperCase() != "AU") {
-            if (!properties.hasOwnProperty("comments")) {
-              properties["comments"] = "";
-            } else {
-              properties["comments"] += "\n";
+        if (yob != "0" && PedigreeImport.parseDate(yob) !== null) {
+          properties["dob"] = PedigreeImport.parseDate(yob);
+        }
+
+        var comments = [];
+
+        var age = parts[9];
+        if (age != "0" && isInt(age)) {
+          comments.push(format.ageComment(age));
+        }
+
+        for (var c = 0; c < format.cancers.length; c++) {
+          var cancer = format.cancers[c];
+          var value  = parts[columns.cancers + c].toUpperCase();
+          comments.push(format.cancerComment(cancer, value == "AU" ? null : value));
+          if (value != "0") {
+            if (!properties.hasOwnProperty("disorders")) {
+              properties["disorders"] = [];
             }
+            properties["disorders"].push(cancer["disorder"]);
+          }
+        }
 
-            if (parts[cancer["column"]] == "0") {
-              properties["comments"] += "[-] " + cancer["label"] + ": unaffected";
-            } else {
-              properties["comments"] += "[+] " + cancer["label"] + ": at age " + parts[cancer["column"]];
-              if (!properties.hasOwnProperty("disorders")) {
-                properties["disorders"] = [];
-              }
-              properties["disorders"].push(cancer["disorder"]);
+        if (version == 2) {
+          // Gtest + Mutn: only BRCA1 and BRCA2 are covered
+          var testType = parts[16].toUpperCase();
+          var mutation = parts[17].toUpperCase();
+          if (format.testTypes.hasOwnProperty(testType) && mutation != "0") {
+            comments.push(format.geneTestComment("BRCA1", testType, (mutation == "1" || mutation == "3") ? "P" : "N"));
+            comments.push(format.geneTestComment("BRCA2", testType, (mutation == "2" || mutation == "3") ? "P" : "N"));
+          }
+        } else {
+          for (var g = 0; g < format.genes.length; g++) {
+            var testType = parts[columns.genes + 2*g].toUpperCase();
+            var result   = parts[columns.genes + 2*g + 1].toUpperCase();
+            if (format.testTypes.hasOwnProperty(testType) && format.testResults.hasOwnProperty(result)) {
+              comments.push(format.geneTestComment(format.genes[g], testType, result));
             }
           }
         }
 
-        var ashkenazi = parts[18];
+        var pathology = {};
+        for (var p = 0; p < format.pathology.length; p++) {
+          var value = parts[columns.pathology + p].toUpperCase();
+          if (value == "N" || value == "P") {
+            pathology[format.pathology[p]] = value;
+          }
+        }
+        if (Object.keys(pathology).length > 0) {
+          comments.push(format.pathologyComment(pathology));
+        }
+
+        if (comments.length > 0) {
+          properties["comments"] = comments.join("\n");
+        }
+
+        var ashkenazi = parts[columns.ashkenazi];
         if (ashkenazi != "0") {
           properties["ethnicities"] = ["Ashkenazi Jews"];
         }
@@ -520,6 +1248,28 @@ PedigreeImport.initFromBOADICEA = function(inputText, saveIDAsExternalID)
       var fatherID = parts[4];
       var motherID = parts[5];
 
+      // broken parent references are reported and (in the recovery mode) treated as unknown parents
+      if (fatherID != 0) {
+        if (!nameToId.hasOwnProperty(fatherID) || nameToId[fatherID] == id) {
+          report.addError("Father [" + fatherID + "] of [" + extID + "] is not a valid reference", lineNumbers[i], inputLines[i], "replaced by an unknown father");
+          fatherID = 0;
+        } else if (newG.properties[nameToId[fatherID]].gender == "F") {
+          report.addError("A person declared as female [id: " + fatherID + "] is also declared as being a father for [id: " + extID + "]",
+                          lineNumbers[i], inputLines[i], "replaced by an unknown father");
+          fatherID = 0;
+        }
+      }
+      if (motherID != 0) {
+        if (!nameToId.hasOwnProperty(motherID) || nameToId[motherID] == id) {
+          report.addError("Mother [" + motherID + "] of [" + extID + "] is not a valid reference", lineNumbers[i], inputLines[i], "replaced by an unknown mother");
+          motherID = 0;
+        } else if (newG.properties[nameToId[motherID]].gender == "M") {
+          report.addError("A person declared as male [id: " + motherID + "] is also declared as being a mother for [id: " + extID + "]",
+                          lineNumbers[i], inputLines[i], "replaced by an unknown mother");
+          motherID = 0;
+        }
+      }
+
       if (fatherID == 0 && motherID == 0) {
         continue;
       }
@@ -530,17 +1280,11 @@ PedigreeImport.initFromBOADICEA = function(inputText, saveIDAsExternalID)
        fatherID = newG._addVertex( null, TYPE.PERSON, {"gender": "M", "comments": "unknown"}, newG.defaultPersonNodeWidth );
       } else {
         fatherID = nameToId[fatherID];
-        if (newG.properties[fatherID].gender == "F") {
-          throw "Unable to import pedigree: a person declared as female [id: " + fatherID + "] is also declared as being a father for [id: "+extID+"]";
-        }
       }
       if (motherID == 0) {
         motherID = newG._addVertex( null, TYPE.PERSON, {"gender": "F", "comments": "unknown"}, newG.defaultPersonNodeWidth );
       } else {
         motherID = nameToId[motherID];
-        if (newG.properties[motherID].gender == "M") {
-          throw "Unable to import pedigree: a person declared as male [id: " + motherID + "] is also declared as being a mother for [id: "+extID+"]";
-        }
       }
 
       // both motherID and fatherID are now given and represent valid existing nodes in the pedigree
@@ -552,11 +1296,127 @@ PedigreeImport.initFromBOADICEA = function(inputText, saveIDAsExternalID)
       newG.addEdge( chhubID, id, defaultEdgeWeight );
     }
 
-    PedigreeImport.validateBaseGraph(newG);
+    PedigreeImport.validateBaseGraph(newG, report);
 
     return newG;
 }
 
+/* ===============================================================================================
+ *
+ * Column layout of the supported BOADICEA format versions and the format of the comment lines used
+ * to store the BOADICEA data which has no dedicated field in the pedigree editor:
+ *
+ *   "[+] Breast cancer: at age 45"                 - affected, with the age at diagnosis
+ *   "[+] Breast cancer: age unknown"               - affected, unknown age at diagnosis ("AU")
+ *   "[-] Breast cancer: unaffected"                - unaffected
+ *   "[BRCA1] mutation search: positive"            - genetic test type and result
+ *   "Breast cancer pathology: ER negative, PR positive"
+ *
+ * Used by both PedigreeImport.initFromBOADICEA and PedigreeExport.exportAsBOADICEA
+ * ===============================================================================================
+ */
+PedigreeImport.BOADICEAFormat = {
+    "columns": { 2: { "total": 24, "cancers": 11, "ashkenazi": 18, "pathology": 19 },
+                 4: { "total": 32, "cancers": 11, "ashkenazi": 16, "genes": 17, "pathology": 27 } },
+
+    "cancers": [ { "label": "Breast cancer",           "disorder": "1BrCa"},
+                 { "label": "Contralateral breast c.", "disorder": "2BrCa"},
+                 { "label": "Ovarian cancer",          "disorder": "OvCa"},
+                 { "label": "Prostate cancer",         "disorder": "ProCa"},
+                 { "label": "Pancreatic cancer",       "disorder": "PanCa"} ],
+
+    "genes": [ "BRCA1", "BRCA2", "PALB2", "ATM", "CHEK2" ],
+
+    "testTypes": { "S": "mutation search", "T": "direct gene test" },
+
+    "testResults": { "N": "negative", "P": "positive" },
+
+    "pathology": [ "ER", "PR", "HER2", "CK14", "CK56" ],
+
+    // age: null for affected with unknown age, "0" for unaffected
+    cancerComment: function(cancer, age) {
+        if (age === null) {
+            return "[+] " + cancer["label"] + ": age unknown";
+        }
+        if (age == "0") {
+            return "[-] " + cancer["label"] + ": unaffected";
+        }
+        return "[+] " + cancer["label"] + ": at age " + age;
+    },
+
+    ageComment: function(age) {
+        return "Age at last follow up: " + age;
+    },
+
+    geneTestComment: function(gene, testType, result) {
+        return "[" + gene + "] " + this.testTypes[testType] + ": " + this.testResults[result];
+    },
+
+    pathologyComment: function(pathology) {
+        var results = [];
+        for (var i = 0; i < this.pathology.length; i++) {
+            var marker = this.pathology[i];
+            if (pathology.hasOwnProperty(marker)) {
+                results.push(marker + " " + this.testResults[pathology[marker]]);
+            }
+        }
+        return "Breast cancer pathology: " + results.join(", ");
+    },
+
+    /*
+     * Parses the comments written by the methods above. Returns {"age": age at last follow up or null,
+     * "cancers": {disorder: age or "AU"}, "genes": {gene: {"type": "S"/"T", "result": "N"/"P"}}, "pathology": {marker: "N"/"P"}}
+     */
+    parseComments: function(comments) {
+        var result = { "age": null, "cancers": {}, "genes": {}, "pathology": {} };
+        if (!comments) {
+            return result;
+        }
+        var invert = function(map) {
+            var inverted = {};
+            for (var key in map) {
+                if (map.hasOwnProperty(key)) {
+                    inverted[map[key]] = key;
+                }
+            }
+            return inverted;
+        };
+        var typeCodes   = invert(this.testTypes);
+        var resultCodes = invert(this.testResults);
+
+        var lines = comments.split("\n");
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].replace(/^\s+|\s+$/g, '');
+            var age = line.match(/^Age at last follow up: (\d+)$/);
+            if (age) {
+                result.age = age[1];
+            }
+            for (var c = 0; c < this.cancers.length; c++) {
+                var cancer = this.cancers[c];
+                if (line.indexOf("[+] " + cancer["label"] + ":") == 0) {
+                    var age = line.match(/: at age (\d+)$/);
+                    result.cancers[cancer["disorder"]] = age ? age[1] : "AU";
+                }
+            }
+            var gene = line.match(/^\[(\w+)\] ([a-z ]+): (\w+)$/);
+            if (gene && typeCodes.hasOwnProperty(gene[2]) && resultCodes.hasOwnProperty(gene[3])) {
+                result.genes[gene[1]] = { "type": typeCodes[gene[2]], "result": resultCodes[gene[3]] };
+            }
+            var pathology = line.match(/^Breast cancer pathology: (.*)$/);
+            if (pathology) {
+                var markers = pathology[1].split(/,\s*/);
+                for (var m = 0; m < markers.length; m++) {
+                    var marker = markers[m].split(" ");
+                    if (marker.length == 2 && resultCodes.hasOwnProperty(marker[1])) {
+                        result.pathology[marker[0]] = resultCodes[marker[1]];
+                    }
+                }
+            }
+        }
+        return result;
+    }
+};
+
 /* ===============================================================================================
  * 
  * Validates the generated basegraph and throws one of the following exceptions:
@@ -566,15 +1426,21 @@ PedigreeImport.initFromBOADICEA = function(inputText, saveIDAsExternalID)
  * 
  * The method is a wrapper around the internal vlaidate method, which may throw many exceptions
  * which change form version to version
+ *
+ * If a report in the recovery mode is given, persons not connected to the proband are removed
+ * (and reported) instead of failing the import.
  * 
  * ===============================================================================================
  */
-PedigreeImport.validateBaseGraph = function(newG)
+PedigreeImport.validateBaseGraph = function(newG, report)
 {
+    if (report && report.isRecoveryMode()) {
+        PedigreeImport._removeDisconnectedComponents(newG, report);
+    }
     try {
         newG.validate();
     } catch( err) {
-        if (err.indexOf("disconnected component")) {
+        if (err.indexOf("disconnected component") >= 0) {
             throw "Unsupported pedigree: some components of the imported pedigree are disconnected from each other";
         } else {
             throw "Unable to import pedigree";
@@ -582,6 +1448,31 @@ PedigreeImport.validateBaseGraph = function(newG)
     }
 }
 
+/*
+ * Removes all the nodes which are not connected to the proband (node 0) and reports the removed persons
+ */
+PedigreeImport._removeDisconnectedComponents = function(newG, report)
+{
+    if (newG.v.length == 0) return;
+
+    var reachable = {};
+    newG._markAllReachableComponents(0, reachable);
+
+    var removedPersons = [];
+    for (var v = newG.v.length - 1; v >= 0; v--) {
+        if (reachable.hasOwnProperty(v)) continue;
+        if (newG.isPerson(v) && newG.properties[v]["comments"] != "unknown") {
+            var name = newG.properties[v].hasOwnProperty("externalID") ? newG.properties[v]["externalID"] : newG.getVertexNameById(v);
+            removedPersons.unshift(name ? name : "unnamed person");
+        }
+        newG.remove(v);
+    }
+    if (removedPersons.length > 0) {
+        report.addError(removedPersons.length + " person(s) are not connected to the proband: " + removedPersons.join(", "),
+                        null, null, "only the family of the proband is imported");
+    }
+}
+
 /* ===============================================================================================
  * 
  * Creates and returns a BaseGraph from a text string in the "simple JSON" format.
@@ -608,6 +1499,7 @@ PedigreeImport.validateBaseGraph = function(newG)
  *   - "lastNameAtBirth": string (default: none)
  *   - "comments": string (default: none)
  *   - "externalId": string (default: none)
+ *   - "sampleId": string (default: none) ID of the sample of this person in the sequencing data, e.g. a VCF sample name
  *   - "sex": one of "male" or "m", "female" or "f", "unknown" or "u" (default: "unknown")
  *   - "twinGroup": integer. All children of the sam eparents with the same twin group are considered twins. (fefault: none)
  *   - "monozygotic": boolean. (only applicable for twins)
@@ -629,12 +1521,17 @@ PedigreeImport.validateBaseGraph = function(newG)
  *                            First a match versus an existing ID is checked, if not found a check against "externalId",
  *                            if not found a check against "name" and finally "firstName".
  *                            If one of the parents is given and the other one is not a virtual new node is created
+ *   - "partners": array of references to other nodes, same as "mother" and "father". Only needed for partners
+ *                 without common children: partnerships without children are not supported at the moment,
+ *                 so a virtual child is added to each of them
  *
  *   Each node should have at least one of {"id", "externalId", "name", "firstName"} defined.
  * ===============================================================================================
  */
-PedigreeImport.initFromSimpleJSON = function(inputText)
+PedigreeImport.initFromSimpleJSON = function(inputText, report)
 {
+   if (!report) report = new PedigreeImportReport();
+
    try {
        var inputArray = JSON.parse(inputText);
    } catch( err) {
@@ -654,18 +1551,43 @@ PedigreeImport.initFromSimpleJSON = function(inputText)
    var externalIDToID      = {};
    var ambiguousReferences = {};
    var hasID               = {}
+   var skipped             = {};   // indices of the objects which could not be imported
+
+   // persons converted from line-based formats (e.g. CSV) carry the number of their source line in "_line"
+   var getLocation = function(i) {
+       return (inputArray[i] && inputArray[i].hasOwnProperty("_line")) ? inputArray[i]["_line"] : "person #" + (i+1);
+   };
+   var getRecord = function(i) {
+       var record = {};
+       for (var key in inputArray[i]) {
+           if (inputArray[i].hasOwnProperty(key) && key != "_line") {
+               record[key] = inputArray[i][key];
+           }
+       }
+       return JSON.stringify(record);
+   };
 
    // first pass: add all vertices and assign vertex IDs
    for (var i = 0; i < inputArray.length; i++) {
        var nextPerson = inputArray[i];
 
-       if (typeof nextPerson != 'object') {
-           throw "Unable to import pedigree: JSON does not represent an array of objects";
+       if (typeof nextPerson != 'object' || nextPerson === null) {
+           report.addError("JSON does not represent an array of objects", getLocation(i), String(nextPerson), "the element is skipped");
+           skipped[i] = true;
+           continue;
        }
 
        if ( !nextPerson.hasOwnProperty("id") && !nextPerson.hasOwnProperty("name") &&
             !nextPerson.hasOwnProperty("firstName") && !nextPerson.hasOwnProperty("externalId") ) {
-           throw "Unable to import pedigree: a node with no ID or name is found";
+           report.addError("a node with no ID or name is found", getLocation(i), getRecord(i), "the person is skipped");
+           skipped[i] = true;
+           continue;
+       }
+
+       if (nextPerson.hasOwnProperty("id") && externalIDToID.hasOwnProperty(nextPerson.id)) {
+           report.addError("multiple persons with the same ID [" + nextPerson.id + "]", getLocation(i), getRecord(i), "only the first one is imported");
+           skipped[i] = true;
+           continue;
        }
 
        var pedigreeID = newG._addVertex( null, TYPE.PERSON, {}, newG.defaultPersonNodeWidth );
@@ -678,7 +1600,7 @@ PedigreeImport.initFromSimpleJSON = function(inputText)
                var value    = nextPerson[property];
                var property = property.toLowerCase();
                
-               if (property == "mother" || property == "father")  // those are processed on the second pass
+               if (property == "mother" || property == "father" || property == "partners")  // those are processed on the second pass
                    continue;
                
                if (property == "sex") {
@@ -688,9 +1610,6 @@ PedigreeImport.initFromSimpleJSON = function(inputText)
                    else if( genderString == "male" || genderString == "m")
                        properties["gender"] = "M";
                } else if (property == "id") {
-                   if (externalIDToID.hasOwnProperty(value)) {
-                       throw "Unable to import pedigree: multiple persons with the same ID [" + value + "]"; 
-                   }
                    if (nameToID.hasOwnProperty(value) && nameToID[value] != pedigreeID) {
                        delete nameToID[value];
                        ambiguousReferences[value] = true;
@@ -716,6 +1635,8 @@ PedigreeImport.initFromSimpleJSON = function(inputText)
                    if (processed !== null) {
                        // supported property
                        properties[processed.propertyName] = processed.value;
+                   } else if (property != "_line") {
+                       report.addUnrecognizedField(property);
                    }
                }
            }
@@ -727,82 +1648,721 @@ PedigreeImport.initFromSimpleJSON = function(inputText)
            hasID[pedigreeID] = true;
        }
 
-       newG.properties[pedigreeID] = properties;
-   }
+       newG.properties[pedigreeID] = properties;
+   }
+
+   if (newG.v.length == 0) {
+       throw "Unable to import pedigree: no valid persons found";
+   }
+
+   var getPersonID = function(person) {
+       if (person.hasOwnProperty("id"))
+           return externalIDToID[person.id];
+
+       if (person.hasOwnProperty("firstName"))
+           return nameToID[person.firstName];
+
+       if (person.hasOwnProperty("name"))
+           return nameToID[person.name];
+   };
+
+   // returns null (after reporting the problem) if the reference is not valid
+   var findReferencedPerson = function(reference, refType, i) {
+       if (ambiguousReferences.hasOwnProperty(reference)) {
+           report.addError("ambiguous reference to [" + reference + "]", getLocation(i), getRecord(i), "replaced by an unknown " + refType);
+           return null;
+       }
+       
+       if (externalIDToID.hasOwnProperty(reference))
+           return externalIDToID[reference];
+       
+       if (nameToID.hasOwnProperty(reference))
+           return nameToID[reference];
+       
+       report.addError("[" + reference + "] is not a valid " + refType + " reference (does not correspond to a name or an ID of another person)",
+                       getLocation(i), getRecord(i), "replaced by an unknown " + refType);
+       return null;
+   };
+
+   var defaultEdgeWeight = 1;
+
+   var relationshipTracker = new RelationshipTracker(newG, defaultEdgeWeight);
+
+   // second pass (once all vertex IDs are known): process parents/children & add edges
+   for (var i = 0; i < inputArray.length; i++) {
+       if (skipped.hasOwnProperty(i)) continue;
+
+       var nextPerson = inputArray[i];
+       
+       var personID = getPersonID(nextPerson);
+       
+       var motherLink = nextPerson.hasOwnProperty("mother") ? nextPerson["mother"] : null;
+       var fatherLink = nextPerson.hasOwnProperty("father") ? nextPerson["father"] : null;
+
+       // broken references are reported and (in the recovery mode) treated as unknown parents
+       var fatherID = (fatherLink == null) ? null : findReferencedPerson(fatherLink, "father", i);
+       if (fatherID !== null && newG.properties[fatherID].gender == "F") {
+           report.addError("a person declared as female is also declared as being a father ("+fatherLink+")", getLocation(i), getRecord(i), "replaced by an unknown father");
+           fatherID = null;
+       }
+       var motherID = (motherLink == null) ? null : findReferencedPerson(motherLink, "mother", i);
+       if (motherID !== null && newG.properties[motherID].gender == "M") {
+           report.addError("a person declared as male is also declared as being a mother ("+motherLink+")", getLocation(i), getRecord(i), "replaced by an unknown mother");
+           motherID = null;
+       }
+       if ((fatherID !== null && fatherID == personID) || (motherID !== null && motherID == personID)) {
+           report.addError("a person is declared to be his or hew own parent", getLocation(i), getRecord(i), "the parents are ignored");
+           continue;
+       }
+
+       if (motherID === null && fatherID === null)
+           continue;
+           
+       // create a virtual parent in case one of the parents is missing       
+       if (fatherID === null) {
+           fatherID = newG._addVertex( null, TYPE.PERSON, {"gender": "M", "comments": "unknown"}, newG.defaultPersonNodeWidth );
+       }
+       if (motherID === null) {
+           motherID = newG._addVertex( null, TYPE.PERSON, {"gender": "F", "comments": "unknown"}, newG.defaultPersonNodeWidth );
+       }
+
+       // both motherID and fatherID are now given and represent valid existing nodes in the pedigree
+       
+       // if there is a relationship between motherID and fatherID the corresponding childhub is returned
+       // if there is no relationship, a new one is created together with the chldhub
+       var chhubID = relationshipTracker.createOrGetChildhub(motherID, fatherID);
+
+       newG.addEdge( chhubID, personID, defaultEdgeWeight );
+   }
+
+   // third pass (once all parents are known): partners without common children
+   for (var i = 0; i < inputArray.length; i++) {
+       if (skipped.hasOwnProperty(i) || !inputArray[i].hasOwnProperty("partners")) continue;
+
+       var personID = getPersonID(inputArray[i]);
+       var partnerLinks = [].concat(inputArray[i]["partners"]);
+       for (var k = 0; k < partnerLinks.length; k++) {
+           var partnerID = findReferencedPerson(partnerLinks[k], "partner", i);
+           if (partnerID === null || partnerID == personID || newG.getAllPartners(personID).indexOf(partnerID) >= 0)
+               continue;
+           var motherID = (newG.properties[partnerID].gender == "F" || newG.properties[personID].gender == "M") ? partnerID : personID;
+           var fatherID = (motherID == partnerID) ? personID : partnerID;
+           var chhubID  = relationshipTracker.createOrGetChildhub(motherID, fatherID);
+           var childID  = newG._addVertex( null, TYPE.PERSON, {"gender": "U", "comments": "unknown"}, newG.defaultPersonNodeWidth );
+           newG.addEdge( chhubID, childID, defaultEdgeWeight );
+       }
+   }
+
+   PedigreeImport.validateBaseGraph(newG, report);
+
+   return newG;
+}
+
+
+/* ===============================================================================================
+ *
+ * Creates and returns a BaseGraph from a spreadsheet exported as CSV or TSV (comma-, semicolon- or
+ * tab-separated values, with an optional "quoting" of values as written by Excel).
+ *
+ *  The first line should contain the column titles, every other line represents one person.
+ *
+ *  columnMapping: array with one element per column, the target each column is imported as, or
+ *                 null/"" if the column should be ignored. Supported targets are the keys of
+ *                 PedigreeImport.JSONToInternalPropertyMapping plus "id", "firstname", "sex", "mother",
+ *                 "father" and "partners", all with the same meaning as in the "simple JSON" format (see
+ *                 PedigreeImport.initFromSimpleJSON). When columnMapping is not given the mapping
+ *                 suggested by PedigreeImport.getCSVColumns() is used.
+ *
+ *  Values of the "partners", "disorders", "hpoterms", "candidategenes" and "ethnicities" columns may contain
+ *  multiple entries separated by "|" or ";". Empty values and "0" in "mother"/"father" are ignored.
+ *
+ *  The rows are converted to the simple JSON format and imported via PedigreeImport.initFromSimpleJSON
+ * ===============================================================================================
+ */
+PedigreeImport.initFromCSV = function(inputText, columnMapping, saveIDAsExternalID, report)
+{
+    if (!report) report = new PedigreeImportReport();
+
+    var columns = PedigreeImport.getCSVColumns(inputText);
+    if (columns === null) {
+        throw "Unable to import pedigree: no column separator (comma, semicolon or tab) found in the first line";
+    }
+    if (!columnMapping) {
+        columnMapping = columns.mapping;
+    }
+
+    var targets = PedigreeImport.getCSVColumnTargets();
+    var mapped  = {};
+    for (var c = 0; c < columnMapping.length; c++) {
+        var target = columnMapping[c];
+        if (!target) continue;
+        if (targets.indexOf(target) < 0) {
+            throw "Unable to import pedigree: unsupported column mapping [" + target + "]";
+        }
+        if (mapped.hasOwnProperty(target)) {
+            throw "Unable to import pedigree: more than one column is mapped to [" + PedigreeImport.getCSVColumnLabel(target) + "]";
+        }
+        mapped[target] = c;
+    }
+    if (!mapped.hasOwnProperty("id") && !mapped.hasOwnProperty("firstname") && !mapped.hasOwnProperty("externalid")) {
+        throw "Unable to import pedigree: at least one column should be mapped to an ID, an external ID or a first name";
+    }
+
+    for (var c = 0; c < columns.header.length; c++) {
+        if (!columnMapping[c] && columns.header[c]) {
+            report.addUnrecognizedField(columns.header[c]);
+        }
+    }
+
+    var lineNumbers = [];
+    var rows = PedigreeImport._parseDelimited(inputText, columns.delimiter, lineNumbers);
+    rows.splice(0,1); // remove the header
+    lineNumbers.splice(0,1);
+
+    var persons = [];
+    for (var r = 0; r < rows.length; r++) {
+        var person = {};
+        for (var target in mapped) {
+            if (mapped.hasOwnProperty(target)) {
+                var value = (mapped[target] < rows[r].length) ? rows[r][mapped[target]].replace(/^\s+|\s+$/g, '') : "";
+                if (value == "") continue;
+                var converted = PedigreeImport._convertCSVValue(target, value);
+                if (converted !== null) {
+                    person[target] = converted;
+                }
+            }
+        }
+        if (Object.keys(person).length == 0) {
+            continue;   // empty line
+        }
+        if (!person.hasOwnProperty("id") && !person.hasOwnProperty("firstname") && !person.hasOwnProperty("externalid")) {
+            report.addError("the person has no ID or name", lineNumbers[r], rows[r].join(columns.delimiter), "the line is skipped");
+            continue;
+        }
+        person["_line"] = lineNumbers[r];
+        if (saveIDAsExternalID && person.hasOwnProperty("id") && !person.hasOwnProperty("externalid")) {
+            person["externalid"] = person["id"];
+        }
+        // the proband should be the first person in the list
+        if (person["proband"] === true && persons.length > 0 && persons[0]["proband"] !== true) {
+            persons.unshift(person);
+        } else {
+            persons.push(person);
+        }
+    }
+
+    return PedigreeImport._initFromCSVPersons(persons, report);
+}
+
+/*
+ * Imports persons given as objects with CSV column targets as keys (see PedigreeImport.getCSVColumnTargets)
+ * via PedigreeImport.initFromSimpleJSON. The number of the source line of each person may be given as "_line".
+ */
+PedigreeImport._initFromCSVPersons = function(persons, report)
+{
+    // simple JSON expects "firstName" and "externalId" in this exact spelling when resolving references
+    for (var i = 0; i < persons.length; i++) {
+        var person = persons[i];
+        if (person.hasOwnProperty("firstname")) {
+            person["firstName"] = person["firstname"];
+            delete person["firstname"];
+        }
+        if (person.hasOwnProperty("externalid")) {
+            person["externalId"] = person["externalid"];
+            delete person["externalid"];
+        }
+    }
+
+    return PedigreeImport.initFromSimpleJSON(JSON.stringify(persons), report);
+}
+
+/*
+ * Information about the possible targets of CSV columns: a label to be displayed in the UI, common
+ * spellings of the column title (lowercase, alphanumeric characters only) which are automatically
+ * mapped to the target and the type of the value, if it is not a string
+ */
+PedigreeImport.CSVColumnInfo = {
+    "id":              { "label": "ID (referenced in mother/father columns)", "aliases": ["id", "individualid", "individual", "personid", "person", "iid", "pid"] },
+    "firstname":       { "label": "First name",           "aliases": ["firstname", "fname", "name", "givenname", "given"] },
+    "sex":             { "label": "Sex",                  "aliases": ["sex", "gender"] },
+    "mother":          { "label": "Mother",               "aliases": ["mother", "motherid", "mothid", "mid", "maternalid"] },
+    "father":          { "label": "Father",               "aliases": ["father", "fatherid", "fathid", "fid", "paternalid"] },
+    "partners":        { "label": "Partners",             "aliases": ["partners", "partner", "partnerids", "spouse", "spouses"], "type": "list" },
+    "proband":         { "label": "Proband",              "aliases": ["proband", "isproband", "index"], "type": "boolean" },
+    "lastname":        { "label": "Last name",            "aliases": ["lastname", "lname", "surname", "familyname"] },
+    "lastnameatbirth": { "label": "Last name at birth",   "aliases": ["lastnameatbirth", "maidenname", "birthname"] },
+    "comments":        { "label": "Comments",             "aliases": ["comments", "comment", "notes", "note"] },
+    "twingroup":       { "label": "Twin group",           "aliases": ["twingroup", "twin"], "type": "integer" },
+    "monozygotic":     { "label": "Monozygotic twin",     "aliases": ["monozygotic", "identicaltwin"], "type": "boolean" },
+    "adoptedin":       { "label": "Adopted in",           "aliases": ["adoptedin", "adopted"], "type": "boolean" },
+    "evaluated":       { "label": "Documented evaluation","aliases": ["evaluated"], "type": "boolean" },
+    "birthdate":       { "label": "Date of birth",        "aliases": ["birthdate", "dob", "dateofbirth", "born"], "type": "date" },
+    "deathdate":       { "label": "Date of death",        "aliases": ["deathdate", "dod", "dateofdeath", "died"], "type": "date" },
+    "gestationage":    { "label": "Gestation age",        "aliases": ["gestationage", "gestation"], "type": "integer" },
+    "lifestatus":      { "label": "Life status",          "aliases": ["lifestatus", "vitalstatus"] },
+    "disorders":       { "label": "Disorders",            "aliases": ["disorders", "disorder", "diagnosis", "diagnoses", "disease", "diseases"], "type": "list" },
+    "hpoterms":        { "label": "HPO terms",            "aliases": ["hpoterms", "hpo", "hpoterm", "phenotypes"], "type": "list" },
+    "candidategenes":  { "label": "Candidate genes",      "aliases": ["candidategenes", "genes", "gene"], "type": "list" },
+    "ethnicities":     { "label": "Ethnicities",          "aliases": ["ethnicities", "ethnicity"], "type": "list" },
+    "carrierstatus":   { "label": "Carrier status",       "aliases": ["carrierstatus", "carrier"] },
+    "externalid":      { "label": "External ID",          "aliases": ["externalid", "extid", "mrn"] },
+    "sampleid":        { "label": "Sample ID (in sequencing data)", "aliases": ["sampleid", "sample", "vcfsample", "vcfsampleid"] },
+    "numpersons":      { "label": "Number of persons",    "aliases": ["numpersons"], "type": "integer" },
+    "lostcontact":     { "label": "Lost contact",         "aliases": ["lostcontact"], "type": "boolean" },
+    "nodenumber":      { "label": "Node number",          "aliases": ["nodenumber"] }
+};
+
+/*
+ * Returns the list of all possible CSV column targets: the properties supported by the simple JSON
+ * format (i.e. the keys of PedigreeImport.JSONToInternalPropertyMapping) plus the columns used for linking persons
+ */
+PedigreeImport.getCSVColumnTargets = function()
+{
+    var targets = ["id", "firstname", "sex", "mother", "father", "partners"];
+    for (var property in PedigreeImport.JSONToInternalPropertyMapping) {
+        if (PedigreeImport.JSONToInternalPropertyMapping.hasOwnProperty(property)) {
+            targets.push(property);
+        }
+    }
+    return targets;
+}
+
+PedigreeImport.getCSVColumnLabel = function(target)
+{
+    return PedigreeImport.CSVColumnInfo.hasOwnProperty(target) ? PedigreeImport.CSVColumnInfo[target].label : target;
+}
+
+/*
+ * Returns { "delimiter": <column separator>, "header": <array of column titles>, "mapping": <array of suggested targets> }
+ * for the given CSV/TSV data, or null if the first line contains no column separator.
+ * The suggested target of a column is null if the column title is not recognized.
+ */
+PedigreeImport.getCSVColumns = function(inputText)
+{
+    var firstLine = inputText.replace(/^\s+/, '').split(/\r?\n|\r/)[0];
+
+    var delimiter = null;
+    var maxCount  = 0;
+    var candidates = ["\t", ";", ","];
+    for (var i = 0; i < candidates.length; i++) {
+        var count = PedigreeImport._parseDelimited(firstLine, candidates[i])[0].length - 1;
+        if (count > maxCount) {
+            maxCount  = count;
+            delimiter = candidates[i];
+        }
+    }
+    if (delimiter === null) {
+        return null;
+    }
+
+    var header  = PedigreeImport._parseDelimited(firstLine, delimiter)[0];
+    var mapping = [];
+    var used    = {};
+    for (var i = 0; i < header.length; i++) {
+        var suggested = PedigreeImport.getCSVColumnTarget(header[i]);
+        if (suggested !== null && used.hasOwnProperty(suggested)) {
+            suggested = null;
+        }
+        if (suggested !== null) {
+            used[suggested] = true;
+        }
+        mapping.push(suggested);
+    }
+    return {"delimiter": delimiter, "header": header, "mapping": mapping};
+}
+
+/*
+ * Returns the CSV column target with the given column title as one of its aliases, or null if there is none
+ */
+PedigreeImport.getCSVColumnTarget = function(title)
+{
+    title = title.toLowerCase().replace(/[^a-z0-9]/g, '');
+    var targets = PedigreeImport.getCSVColumnTargets();
+    for (var t = 0; t < targets.length; t++) {
+        var info = PedigreeImport.CSVColumnInfo[targets[t]];
+        var aliases = info ? info.aliases : [targets[t]];
+        for (var a = 0; a < aliases.length; a++) {
+            if (aliases[a].toLowerCase() == title) {
+                return targets[t];
+            }
+        }
+    }
+    return null;
+}
+
+/*
+ * Splits the text into lines and the lines into values, handling double-quoted values
+ * (which may contain delimiters, line breaks and "" as an escaped quote). Empty lines are skipped.
+ * If lineNumbers is given, the (1-based) number of the line each row starts on is added to it.
+ */
+PedigreeImport._parseDelimited = function(text, delimiter, lineNumbers)
+{
+    var rows  = [];
+    var row   = [];
+    var value = "";
+    var quoted = false;
+    var empty  = true;   // if the current row has no content so far
+    var line     = 1;
+    var rowStart = 1;
+
+    var addRow = function() {
+        row.push(value);
+        if (!empty || value.replace(/\s+/g, '') != "") {
+            rows.push(row);
+            lineNumbers && lineNumbers.push(rowStart);
+        }
+    };
+
+    for (var i = 0; i < text.length; i++) {
+        var ch = text.charAt(i);
+        if (quoted) {
+            if (ch == '"') {
+                if (text.charAt(i+1) == '"') {
+                    value += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                if (ch == "\n" || (ch == "\r" && text.charAt(i+1) != "\n")) {
+                    line++;
+                }
+                value += ch;
+            }
+        } else if (ch == '"' && value.replace(/\s+/g, '') == "") {
+            quoted = true;
+            value  = "";
+            empty  = false;
+        } else if (ch == delimiter) {
+            row.push(value);
+            value = "";
+            empty = false;
+        } else if (ch == "\n" || ch == "\r") {
+            if (ch == "\r" && text.charAt(i+1) == "\n") {
+                i++;
+            }
+            addRow();
+            row   = [];
+            value = "";
+            empty = true;
+            rowStart = ++line;
+        } else {
+            value += ch;
+        }
+    }
+    addRow();
+    return rows;
+}
+
+/*
+ * Converts a CSV value to the type expected by the simple JSON importer for the given target,
+ * or returns null if the value should be ignored
+ */
+PedigreeImport._convertCSVValue = function(target, value)
+{
+    if ((target == "mother" || target == "father") && value == "0") {
+        return null;
+    }
+    if (target == "sex") {
+        // PED-style sex coding
+        if (value == "1") return "male";
+        if (value == "2") return "female";
+        return value;
+    }
+    var type = PedigreeImport.CSVColumnInfo.hasOwnProperty(target) ? PedigreeImport.CSVColumnInfo[target].type : undefined;
+    if (type == "list") {
+        return value.split(/\s*[|;]\s*/).filter(function(item) { return item != ""; });
+    }
+    if (type == "boolean") {
+        return (value.match(/^(1|y|yes|true|x)$/i) !== null);
+    }
+    if (type == "integer") {
+        var number = parseInt(value);
+        return isNaN(number) ? null : number;
+    }
+    if (type == "date") {
+        return PedigreeImport.parseDate(value);
+    }
+    return value;
+}
+
+/* ===============================================================================================
+ *
+ * Creates and returns a BaseGraph from a text string in the Madeline 2 pedigree table format
+ * (http://madeline.med.umich.edu/madeline/, also written by Progeny): tab-separated values with the
+ * column titles in the first line. Column titles are case-insensitive and may be given in any order:
+ *
+ *   IndividualId, Familyid, Gender (M/F), Father, Mother: required
+ *   Deceased, Proband, Affected, Sampled: Y or N
+ *   MZTwin, DZTwin: individuals of the same family with the same value are identical/fraternal twins
+ *
+ *  "." denotes a missing value. All other ("free") columns are imported as the property with a
+ *  matching title (e.g. "DOB", "LastName", "Carrier", "Disorders" or "SampleID", see PedigreeImport.CSVColumnInfo)
+ *  or, when the title is not recognized, added to the comments as "<title>: <value>".
+ *
+ *  Affected individuals get the disorders from the "Disorders" column, or a generic "affected" disorder.
+ *  Sampled individuals without a sample ID get their individual ID as the sample ID.
+ *
+ * If the input contains more than one family, familyID should be set to the ID of the family to be
+ * imported (see PedigreeImport.getMadelineFamilies); rows of all other families are ignored.
+ * ===============================================================================================
+ */
+PedigreeImport.initFromMadeline = function(inputText, markEvaluated, saveIDAsExternalID, familyID, report)
+{
+    if (!report) report = new PedigreeImportReport();
+
+    var lineNumbers = [];
+    var rows = PedigreeImport._parseDelimited(inputText, "\t", lineNumbers);
+    if (rows.length < 2) {
+        throw "Unable to import pedigree: no data";
+    }
+    var columns = PedigreeImport._getMadelineColumns(rows[0]);
+    if (columns.missing.length > 0) {
+        throw "Unable to import pedigree: required Madeline column(s) " + columns.missing.join(", ") + " not found in the first line";
+    }
+    var core = columns.core;
+
+    var getValue = function(row, index) {
+        if (index === undefined || index >= row.length) return null;
+        var value = row[index].replace(/^\s+|\s+$/g, '');
+        return (value == "" || value == ".") ? null : value;
+    };
+    var isYes = function(value) {
+        return value !== null && value.match(/^(y|yes|true|1)$/i) !== null;
+    };
+
+    if (familyID === undefined || familyID === null) {
+        var families = PedigreeImport.getMadelineFamilies(inputText);
+        if (families.length > 1) {
+            report.addError("multiple families detected within the same pedigree (select one of the families to be imported)",
+                            null, null, "only family [" + families[0].familyID + "] is imported");
+            familyID = families[0].familyID;
+        }
+    }
+
+    var persons    = [];
+    var twinGroups = {};   // "MZ"/"DZ" + family ID + twin column value -> twin group number
+    var nextTwinGroup = 0;
+
+    for (var r = 1; r < rows.length; r++) {
+        var row = rows[r];
+        var family = getValue(row, core.familyid);
+        if (familyID !== undefined && familyID !== null && family != familyID) continue;
+
+        var id = getValue(row, core.individualid);
+        if (id === null) {
+            report.addError("the person has no IndividualId", lineNumbers[r], row.join("\t"), "the line is skipped");
+            continue;
+        }
+
+        var person = {"id": id, "_line": lineNumbers[r]};
+
+        var gender = getValue(row, core.gender);
+        if (gender !== null && gender.match(/^(m|male|f|female)$/i) !== null) {
+            person["sex"] = gender.charAt(0).toLowerCase();
+        }
+        var father = getValue(row, core.father);
+        if (father !== null && father != "0") {
+            person["father"] = father;
+        }
+        var mother = getValue(row, core.mother);
+        if (mother !== null && mother != "0") {
+            person["mother"] = mother;
+        }
+
+        for (var c = 0; c < columns.extra.length; c++) {
+            var extra = columns.extra[c];
+            var value = getValue(row, extra.index);
+            if (value === null) continue;
+            if (extra.target === null) {
+                person["comments"] = (person.hasOwnProperty("comments") ? person["comments"] + "\n" : "") + extra.title + ": " + value;
+                continue;
+            }
+            if (extra.target == "carrierstatus") {
+                // Madeline marks carriers with Y/N, PedigreeExport.exportAsMadeline presymptomatic persons with P
+                if (isYes(value)) {
+                    value = "carrier";
+                } else if (value.match(/^p$/i) !== null) {
+                    value = "presymptomatic";
+                } else if (value.match(/^(n|no|false|0)$/i) !== null) {
+                    continue;
+                }
+            }
+            var converted = PedigreeImport._convertCSVValue(extra.target, value);
+            if (converted !== null) {
+                person[extra.target] = converted;
+            }
+        }
+
+        if (isYes(getValue(row, core.deceased))) {
+            person["lifestatus"] = "deceased";
+        }
+
+        var affected = getValue(row, core.affected);
+        if (isYes(affected)) {
+            person["carrierstatus"] = "affected";
+            if (!person.hasOwnProperty("disorders")) {
+                person["disorders"] = ["affected"];
+            }
+        } else if (person["carrierstatus"] != "carrier" && person["carrierstatus"] != "presymptomatic") {
+            // disorders of unaffected persons are only kept for carriers
+            delete person["disorders"];
+            delete person["carrierstatus"];
+            if (affected !== null) {
+                person["carrierstatus"] = "";
+            }
+        }
+        if (markEvaluated && affected !== null) {
+            person["evaluated"] = true;
+        }
+
+        var twinColumns = {"MZ": core.mztwin, "DZ": core.dztwin};
+        for (var twinType in twinColumns) {
+            if (!twinColumns.hasOwnProperty(twinType)) continue;
+            var twin = getValue(row, twinColumns[twinType]);
+            if (twin === null || twin == "0") continue;
+            var twinKey = twinType + "\t" + family + "\t" + twin;
+            if (!twinGroups.hasOwnProperty(twinKey)) {
+                twinGroups[twinKey] = nextTwinGroup++;
+            }
+            person["twingroup"]   = twinGroups[twinKey];
+            person["monozygotic"] = (twinType == "MZ");
+        }
 
-   var getPersonID = function(person) {
-       if (person.hasOwnProperty("id"))
-           return externalIDToID[person.id];
+        if (isYes(getValue(row, core.sampled)) && !person.hasOwnProperty("sampleid")) {
+            person["sampleid"] = id;
+        }
 
-       if (person.hasOwnProperty("firstName"))
-           return nameToID[person.firstName];
+        if (saveIDAsExternalID && !person.hasOwnProperty("externalid")) {
+            person["externalid"] = id;
+        }
 
-       if (person.hasOwnProperty("name"))
-           return nameToID[person.name];
-   };
+        // the proband should be the first person in the list
+        if (isYes(getValue(row, core.proband))) {
+            person["proband"] = true;
+            persons.unshift(person);
+        } else {
+            persons.push(person);
+        }
+    }
+    if (persons.length == 0) {
+        if (familyID !== undefined && familyID !== null) {
+            throw "Unable to import: family [" + familyID + "] is not present in the data";
+        }
+        throw "Unable to import pedigree: no data";
+    }
 
-   var findReferencedPerson = function(reference, refType) {
-       if (ambiguousReferences.hasOwnProperty(reference))
-           throw "Unable to import pedigree: ambiguous reference to [" + reference + "]";
-       
-       if (externalIDToID.hasOwnProperty(reference))
-           return externalIDToID[reference];
-       
-       if (nameToID.hasOwnProperty(reference))
-           return nameToID[reference];
-       
-       throw "Unable to import pedigree: [" + reference + "] is not a valid " + refType + " reference (does not correspond to a name or an ID of another person)";
-   };
+    return PedigreeImport._initFromCSVPersons(persons, report);
+}
 
-   var defaultEdgeWeight = 1;
+/*
+ * The standard Madeline 2 columns, the first five are required
+ */
+PedigreeImport.MadelineColumns = ["IndividualId", "Familyid", "Gender", "Father", "Mother",
+                                  "Deceased", "Proband", "Affected", "MZTwin", "DZTwin", "Sampled"];
 
-   var relationshipTracker = new RelationshipTracker(newG, defaultEdgeWeight);
+/*
+ * Returns { "core": { <standard column in lowercase>: <index> }, "extra": [ {"index", "title", "target"} ], "missing": [ <titles> ] }
+ * for the given Madeline header. The target of an extra column is the CSV column target with the same title
+ * (see PedigreeImport.getCSVColumns) or null if the title is not recognized
+ */
+PedigreeImport._getMadelineColumns = function(header)
+{
+    var standard = PedigreeImport.MadelineColumns.map(function(title) { return title.toLowerCase(); });
+    var core  = {};
+    var extra = [];
+    var used  = {};
+    // columns which are already covered by the standard Madeline columns
+    var reserved = ["id", "sex", "mother", "father", "proband", "twingroup", "monozygotic"];
+
+    for (var i = 0; i < header.length; i++) {
+        var title = header[i].replace(/^\s+|\s+$/g, '');
+        var normalized = title.toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (normalized == "") continue;
+        if (standard.indexOf(normalized) >= 0) {
+            core[normalized] = i;
+            continue;
+        }
+        var target = PedigreeImport.getCSVColumnTarget(title);
+        if (target !== null && (reserved.indexOf(target) >= 0 || used.hasOwnProperty(target))) {
+            target = null;
+        }
+        if (target !== null) {
+            used[target] = true;
+        }
+        extra.push({"index": i, "title": title, "target": target});
+    }
 
-   // second pass (once all vertex IDs are known): process parents/children & add edges
-   for (var i = 0; i < inputArray.length; i++) {
-       var nextPerson = inputArray[i];
-       
-       var personID = getPersonID(nextPerson);
-       
-       var motherLink = nextPerson.hasOwnProperty("mother") ? nextPerson["mother"] : null;
-       var fatherLink = nextPerson.hasOwnProperty("father") ? nextPerson["father"] : null;
-       
-       if (motherLink == null && fatherLink == null)
-           continue;
-           
-       // create a virtual parent in case one of the parents is missing       
-       if (fatherLink == null) {
-           var fatherID = newG._addVertex( null, TYPE.PERSON, {"gender": "M", "comments": "unknown"}, newG.defaultPersonNodeWidth );
-       } else {
-           var fatherID = findReferencedPerson(fatherLink, "father");
-           if (newG.properties[fatherID].gender == "F")
-               throw "Unable to import pedigree: a person declared as female is also declared as being a father ("+fatherLink+")";
-       }
-       if (motherLink == null) {
-           var motherID = newG._addVertex( null, TYPE.PERSON, {"gender": "F", "comments": "unknown"}, newG.defaultPersonNodeWidth );
-       } else {
-           var motherID = findReferencedPerson(motherLink, "mother");
-           if (newG.properties[motherID].gender == "M")
-               throw "Unable to import pedigree: a person declared as male is also declared as being a mother ("+motherLink+")";          
-       }
-       
-       if (fatherID == personID || motherID == personID)
-           throw "Unable to import pedigree: a person is declared to be his or hew own parent";
+    var missing = [];
+    for (var i = 0; i < 5; i++) {
+        if (!core.hasOwnProperty(standard[i])) {
+            missing.push(PedigreeImport.MadelineColumns[i]);
+        }
+    }
+    return {"core": core, "extra": extra, "missing": missing};
+}
 
-       // both motherID and fatherID are now given and represent valid existing nodes in the pedigree
-       
-       // if there is a relationship between motherID and fatherID the corresponding childhub is returned
-       // if there is no relationship, a new one is created together with the chldhub
-       var chhubID = relationshipTracker.createOrGetChildhub(motherID, fatherID);
+/*
+ * Returns the list of all families found in a Madeline 2 table, in the same format as PedigreeImport.getPEDFamilies
+ */
+PedigreeImport.getMadelineFamilies = function(inputText)
+{
+    var rows = PedigreeImport._parseDelimited(inputText, "\t");
+    if (rows.length < 2) return [];
 
-       newG.addEdge( chhubID, personID, defaultEdgeWeight );
-   }
+    var core = PedigreeImport._getMadelineColumns(rows[0]).core;
+    if (!core.hasOwnProperty("familyid")) return [];
 
-   PedigreeImport.validateBaseGraph(newG);
+    var families = [];
+    var familyIndex = {};
 
-   return newG;
+    for (var r = 1; r < rows.length; r++) {
+        var familyID = (core.familyid < rows[r].length) ? rows[r][core.familyid].replace(/^\s+|\s+$/g, '') : "";
+        if (!familyIndex.hasOwnProperty(familyID)) {
+            familyIndex[familyID] = families.length;
+            families.push({"familyID": familyID, "members": 0, "affected": 0});
+        }
+        var family = families[familyIndex[familyID]];
+        family.members++;
+
+        if (core.hasOwnProperty("affected") && core.affected < rows[r].length &&
+            rows[r][core.affected].match(/^\s*(y|yes|true|1)\s*$/i) !== null) {
+            family.affected++;
+        }
+    }
+
+    return families;
 }
 
+/*
+ * Returns the family ID stored in single-family BOADICEA ("FamID" of the first person), GEDCOM ("_FAMID" in the
+ * header, as written by PedigreeExport.exportAsGEDCOM) or FHIR (Bundle identifier) data, or null if there is none.
+ * Multi-family formats list their family IDs via PedigreeImport.getPEDFamilies and PedigreeImport.getMadelineFamilies
+ */
+PedigreeImport.getFamilyID = function(inputText, importType)
+{
+    if (importType == "BOADICEA") {
+        var inputLines = inputText.match(/[^\r\n]*\S[^\r\n]*/g);
+        if (inputLines === null || inputLines.length < 3) return null;
+        var familyID = inputLines[2].replace(/^\s+/, '').split(/\s+/)[0];
+        return (familyID != "") ? familyID : null;
+    }
+    if (importType == "gedcom") {
+        var match = inputText.match(/^\s*1\s+_FAMID\s+(.*\S)\s*$/m);
+        return (match !== null) ? match[1] : null;
+    }
+    if (importType == "fhir") {
+        try {
+            var input = JSON.parse(inputText);
+        } catch (err) {
+            return null;
+        }
+        if (input && input.resourceType == "Bundle" && input.identifier && input.identifier.value) {
+            return String(input.identifier.value);
+        }
+    }
+    return null;
+}
 
 /* ===============================================================================================
  * 
@@ -811,10 +2371,16 @@ PedigreeImport.initFromSimpleJSON = function(inputText)
  * Supported individual (INDI) properties: NAME, SEX, NOTE, ADOP, BIRT, DEAT and DATE
  *  - Non-standard "_GENSTAT" is partially supported (for compatibility with Cyrillic v3)
  *  - Non-standard "_MAIDEN", "_INFO" and "_COMMENT" are supported (for compatibility with Cyrillic v3)
+ *  - Non-standard "_DISORDER", "_HPO", "_GENE" and "_CARRIER" are supported (as written by PedigreeExport.exportAsGEDCOM)
+ *  - REFN is used as the external ID, if present
+ *  - Non-standard "_FAMID" in the header is the family ID (see PedigreeImport.getFamilyID)
  *  - FAMS is ignored, instead 0-level FAM families are parsed/processed
  *  - only the first instance is used if the same property is given multiple times (e.g. multiple BIRT records) 
  * 
  * Suported family (FAM) properties: HUSB, WIFE, CHIL
+ *
+ * report: optional PedigreeImportReport. Broken family links are reported by family ID and, in the
+ *         recovery mode, replaced by unknown parents or skipped
  * 
  * Note: reverse-engineered _GENSTAT values: the following symbols, in any position, mean:
  *   Disorder status:
@@ -828,8 +2394,10 @@ PedigreeImport.initFromSimpleJSON = function(inputText)
  *    INFERTILE: "M"    
  * ===============================================================================================
  */
-PedigreeImport.initFromGEDCOM = function(inputText, markEvaluated, saveIDAsExternalID)
+PedigreeImport.initFromGEDCOM = function(inputText, markEvaluated, saveIDAsExternalID, report)
 {  
+   if (!report) report = new PedigreeImportReport();
+
    var inputLines = inputText.match(/[^\r\n]+/g);
    if (inputLines.length == 0) throw "Unable to import: no data";
 
@@ -921,8 +2489,9 @@ PedigreeImport.initFromGEDCOM = function(inputText, markEvaluated, saveIDAsExter
                    currentObject[0] = {};
                }
            } else {
-               if (currentObject.length < level - 1) {
-                   throw "Unable to import GEDCOM: a multi-level jump detected in line: [" + inputLines[i] + "]";
+               if (currentObject.length < level) {
+                   report.addError("a multi-level jump detected", i+1, inputLines[i], "the line is skipped");
+                   continue;
                }
 
                if (!currentObject[level-1].hasOwnProperty(parts[1]))
@@ -947,10 +2516,11 @@ PedigreeImport.initFromGEDCOM = function(inputText, markEvaluated, saveIDAsExter
    console.log("GEDCOM object: " + stringifyObject(gedcom));
    
    if (gedcom.header.hasOwnProperty("GEDC")) {
-       if (gedcom.header.GEDC.hasOwnProperty("VERS")) {
-           if (gedcom.header.GEDC.VERS != "5.5" && gedcom.header.GEDC.VERS != "5.5.1") {
-               alert("Unsupported GEDCOM version detected: [" + gedcom.header.GEDC.VERS + "]. "+
-                     "Import will continue but the correctness is not guaranteed. Supportede versions are 5.5 and 5.5.1");   
+       if (gedcom.header.GEDC[0].hasOwnProperty("VERS")) {
+           var version = gedcom.header.GEDC[0].VERS[0].value;
+           if (version != "5.5" && version != "5.5.1") {
+               report.addWarning("unsupported GEDCOM version [" + version + "], supported versions are 5.5 and 5.5.1",
+                                 null, null, "the correctness of the import is not guaranteed");
            }
        }
    }
@@ -1035,8 +2605,24 @@ PedigreeImport.initFromGEDCOM = function(inputText, markEvaluated, saveIDAsExter
                            properties["dod"] = date;
                        }
                    }
+                   if (nextPerson[property][0].hasOwnProperty("CAUS")) {
+                       var cause = getFirstValue(nextPerson[property][0]["CAUS"]);
+                       if (cause == "miscarriage" || cause == "aborted")
+                           properties["lifeStatus"] = cause;
+                   }
                } else if (property == "ADOP") {
                    properties["isAdopted"] = true;
+               } else if (property == "REFN") {
+                   if (saveIDAsExternalID)
+                       properties["externalID"] = getFirstValue(nextPerson[property]);
+               } else if (property == "_DISORDER" || property == "_HPO" || property == "_GENE") {
+                   var internalProperty = (property == "_DISORDER") ? "disorders" : ((property == "_HPO") ? "hpoTerms" : "candidateGenes");
+                   properties[internalProperty] = [];
+                   for (var k = 0; k < nextPerson[property].length; k++) {
+                       properties[internalProperty].push(nextPerson[property][k].value);
+                   }
+               } else if (property == "_CARRIER") {
+                   properties["carrierStatus"] = getFirstValue(nextPerson[property]);
                } else if (property == "_INFO") {
                    if (!properties.hasOwnProperty("comments"))
                        properties["comments"] = "";
@@ -1125,24 +2711,39 @@ PedigreeImport.initFromGEDCOM = function(inputText, markEvaluated, saveIDAsExter
    // second pass (once all vertex IDs are known): process families & add edges
    for (var i = 0; i < gedcom.families.length; i++) {
        var nextFamily = gedcom.families[i];
+       var location   = "family " + nextFamily.id;
       
        var motherLink = nextFamily.hasOwnProperty("WIFE") ? getFirstValue(nextFamily["WIFE"]) : null;
        var fatherLink = nextFamily.hasOwnProperty("HUSB") ? getFirstValue(nextFamily["HUSB"]) : null;
-                  
+
+       // broken links are reported and (in the recovery mode) treated as unknown parents
+       var fatherID = null;
+       if (fatherLink != null) {
+           if (!externalIDToID.hasOwnProperty(fatherLink)) {
+               report.addError("husband link does not point to an existing individual: [" + fatherLink + "]", location, null, "replaced by an unknown father");
+           } else if (newG.properties[externalIDToID[fatherLink]].gender == "F") {
+               report.addError("a person declared as female is also declared as being a father ("+fatherLink+")", location, null, "replaced by an unknown father");
+           } else {
+               fatherID = externalIDToID[fatherLink];
+           }
+       }
+       var motherID = null;
+       if (motherLink != null) {
+           if (!externalIDToID.hasOwnProperty(motherLink)) {
+               report.addError("wife link does not point to an existing individual: [" + motherLink + "]", location, null, "replaced by an unknown mother");
+           } else if (newG.properties[externalIDToID[motherLink]].gender == "M") {
+               report.addError("a person declared as male is also declared as being a mother ("+motherLink+")", location, null, "replaced by an unknown mother");
+           } else {
+               motherID = externalIDToID[motherLink];
+           }
+       }
+
        // create a virtual parent in case one of the parents is missing       
-       if (fatherLink == null) {
-           var fatherID = newG._addVertex( null, TYPE.PERSON, {"gender": "M", "comments": "unknown"}, newG.defaultPersonNodeWidth );
-       } else {
-           var fatherID = externalIDToID[fatherLink];
-           if (newG.properties[fatherID].gender == "F")
-               throw "Unable to import pedigree: a person declared as female is also declared as being a father ("+fatherLink+")";
+       if (fatherID === null) {
+           fatherID = newG._addVertex( null, TYPE.PERSON, {"gender": "M", "comments": "unknown"}, newG.defaultPersonNodeWidth );
        }
-       if (motherLink == null) {
-           var motherID = newG._addVertex( null, TYPE.PERSON, {"gender": "F", "comments": "unknown"}, newG.defaultPersonNodeWidth );
-       } else {
-           var motherID = externalIDToID[motherLink];
-           if (newG.properties[motherID].gender == "M")
-               throw "Unable to import pedigree: a person declared as male is also declared as being a mother ("+motherLink+")";          
+       if (motherID === null) {
+           motherID = newG._addVertex( null, TYPE.PERSON, {"gender": "F", "comments": "unknown"}, newG.defaultPersonNodeWidth );
        }
 
        // both motherID and fatherID are now given and represent valid existing nodes in the pedigree
@@ -1167,7 +2768,8 @@ PedigreeImport.initFromGEDCOM = function(inputText, markEvaluated, saveIDAsExter
            var childID = externalIDToID.hasOwnProperty(externalID) ? externalIDToID[externalID] : null;
            
            if (childID == null) {
-               throw "Unable to import pedigree: child link does not point to an existing individual: [" + externalID + "]";
+               report.addError("child link does not point to an existing individual: [" + externalID + "]", location, null, "the child is skipped");
+               continue;
            }
            
            newG.addEdge( chhubID, childID, defaultEdgeWeight );
@@ -1175,11 +2777,508 @@ PedigreeImport.initFromGEDCOM = function(inputText, markEvaluated, saveIDAsExter
    }
 
    if (noChildFamilies.length > 0) {
-       // stringifyObject(noChildFamilies)
-       alert("Some families with no children were found in the imported pedigree: this is not supported at the moment, so a child was added to each childless family");
+       report.addWarning("families with no children are not supported at the moment: " + noChildFamilies.join(", "),
+                         null, null, "a child was added to each childless family");
    }
    
-   PedigreeImport.validateBaseGraph(newG);
+   PedigreeImport.validateBaseGraph(newG, report);
+
+   return newG;
+}
+
+
+/* ===============================================================================================
+ *
+ * Creates and returns a BaseGraph from a text string in the FHIR R4 JSON format
+ * (see PedigreeExport.exportAsFHIR for the exact layout produced by the export).
+ *
+ *  Input should be a Bundle (or a plain array) of Patient and FamilyMemberHistory resources:
+ *   - the proband is the Patient referenced by FamilyMemberHistory.patient. A FamilyMemberHistory with the
+ *     "ONESELF" relationship, if any, describes the proband
+ *   - every other FamilyMemberHistory is one relative. If a "familymemberhistory-patient-record" extension
+ *     points to a Patient in the bundle, name, identifier and dates are taken from that Patient
+ *   - sex is taken from FamilyMemberHistory.sex, Patient.gender or the relationship code (e.g. "MTH")
+ *   - condition codes from HPO are imported as HPO terms, OMIM codes and all other conditions as disorders
+ *   - deceased[x] sets the life status (deceasedString of "stillborn", "miscarriage" or "aborted" is used as-is),
+ *     bornString "unborn" marks an unborn individual
+ *
+ *  Parents are read from the "familymemberhistory-genetics-parent" extensions, partners from the
+ *  "familymemberhistory-partner" extensions written by PedigreeExport.exportAsFHIR. When no such extensions
+ *  are present anywhere in the input the structure is reconstructed from the HL7 v3 RoleCode relationship
+ *  codes relative to the proband: parents, grandparents, siblings, aunts/uncles, partners and children
+ *  are supported; relatives with other codes (e.g. cousins) can not be placed and are skipped.
+ *
+ *  report: optional PedigreeImportReport. Broken parent and partner links are reported by resource and,
+ *          in the recovery mode, replaced by unknown parents or ignored
+ * ===============================================================================================
+ */
+PedigreeImport.initFromFHIR = function(inputText, saveIDAsExternalID, report)
+{
+   if (!report) report = new PedigreeImportReport();
+
+   try {
+       var input = JSON.parse(inputText);
+   } catch( err) {
+       throw "Unable to import pedigree: input is not a valid JSON string " + err;
+   }
+
+   var resources = [];
+   var resourceByReference = {};
+
+   var addResource = function(resource, fullUrl) {
+       if (typeof resource != 'object' || resource === null) return;
+       resources.push(resource);
+       if (fullUrl) {
+           resourceByReference[fullUrl] = resource;
+       }
+       if (resource.hasOwnProperty("id")) {
+           resourceByReference[resource.resourceType + "/" + resource.id] = resource;
+       }
+   };
+
+   if (Object.prototype.toString.call(input) === '[object Array]') {
+       for (var i = 0; i < input.length; i++) {
+           addResource(input[i]);
+       }
+   } else if (input.resourceType == "Bundle") {
+       var entries = input.hasOwnProperty("entry") ? input.entry : [];
+       for (var i = 0; i < entries.length; i++) {
+           addResource(entries[i].resource, entries[i].fullUrl);
+       }
+   } else {
+       addResource(input);
+   }
+
+   var resolve = function(reference) {
+       if (!reference || !reference.hasOwnProperty("reference")) return null;
+       var key = reference.reference;
+       if (resourceByReference.hasOwnProperty(key)) return resourceByReference[key];
+       // absolute URLs of the form [base]/Type/id
+       var match = key.match(/([A-Za-z]+\/[^\/]+)$/);
+       if (match !== null && resourceByReference.hasOwnProperty(match[1])) return resourceByReference[match[1]];
+       return null;
+   };
+
+   var getExtensions = function(element, name) {
+       var result = [];
+       if (element.hasOwnProperty("extension")) {
+           for (var k = 0; k < element.extension.length; k++) {
+               var url = element.extension[k].url;
+               if (url == name || url.substring(url.length - name.length - 1) == "/" + name)
+                   result.push(element.extension[k]);
+           }
+       }
+       return result;
+   };
+
+   var getCodes = function(codeableConcept) {
+       var result = [];
+       if (codeableConcept && codeableConcept.hasOwnProperty("coding")) {
+           for (var k = 0; k < codeableConcept.coding.length; k++) {
+               result.push(codeableConcept.coding[k]);
+           }
+       }
+       return result;
+   };
+
+   var getRelationshipCode = function(history) {
+       var codes = getCodes(history.relationship);
+       for (var k = 0; k < codes.length; k++) {
+           if (codes[k].hasOwnProperty("code")) return codes[k].code.toUpperCase();
+       }
+       return "";
+   };
+
+   var histories = [];
+   var probandPatient = null;
+   for (var i = 0; i < resources.length; i++) {
+       if (resources[i].resourceType == "FamilyMemberHistory") {
+           histories.push(resources[i]);
+           if (probandPatient === null) {
+               probandPatient = resolve(resources[i].patient);
+           }
+       }
+   }
+   if (probandPatient === null) {
+       for (var i = 0; i < resources.length; i++) {
+           if (resources[i].resourceType == "Patient") {
+               probandPatient = resources[i];
+               break;
+           }
+       }
+   }
+   if (probandPatient === null && histories.length == 0) {
+       throw "Unable to import pedigree: no Patient or FamilyMemberHistory resources found";
+   }
+
+   var femaleCodes = /^(N|ADOPT|STP|FOSTER)?(MTH|MTHINLAW)$|^(M|P)?GRMTH$|^(M|P)?AUNT$|^(N|H|STP)?SIS$|^TWINSIS$|^(N)?DAU|^GRNDDAU$|^NIECE$|^WIFE$/;
+   var maleCodes   = /^(N|ADOPT|STP|FOSTER)?(FTH|FTHINLAW)$|^(M|P)?GRFTH$|^(M|P)?UNCLE$|^(N|H|STP)?BRO$|^TWINBRO$|^(N)?SON|^GRNDSON$|^NEPHEW$|^HUSB$/;
+
+   var newG = new BaseGraph();
+
+   var historyToID = [];  // index in histories -> pedigree ID
+   var patientIDs  = [];  // pairs [Patient resource, pedigree ID]
+
+   var createPerson = function(patient, history, useID) {
+       var properties = {"gender": "U"};
+
+       var gender = null;
+       if (history) {
+           var codes = getCodes(history.sex);
+           if (codes.length > 0) gender = codes[0].code;
+       }
+       if (!gender && patient && patient.hasOwnProperty("gender")) {
+           gender = patient.gender;
+       }
+       if (gender) {
+           gender = gender.toLowerCase();
+           if (gender == "female" || gender == "f")
+               properties["gender"] = "F";
+           else if (gender == "male" || gender == "m")
+               properties["gender"] = "M";
+       }
+       if (properties["gender"] == "U" && history) {
+           var code = getRelationshipCode(history);
+           if (code.match(femaleCodes) !== null)
+               properties["gender"] = "F";
+           else if (code.match(maleCodes) !== null)
+               properties["gender"] = "M";
+       }
+
+       if (patient && patient.hasOwnProperty("name")) {
+           for (var k = 0; k < patient.name.length; k++) {
+               var name = patient.name[k];
+               if (name.use == "maiden") {
+                   if (name.hasOwnProperty("family"))
+                       properties["lNameAtB"] = name.family;
+                   continue;
+               }
+               if (properties.hasOwnProperty("fName") || properties.hasOwnProperty("lName")) continue;
+               if (name.hasOwnProperty("given"))
+                   properties["fName"] = name.given.join(" ");
+               if (name.hasOwnProperty("family"))
+                   properties["lName"] = name.family;
+               if (!name.hasOwnProperty("given") && !name.hasOwnProperty("family") && name.hasOwnProperty("text"))
+                   properties["fName"] = name.text;
+           }
+       } else if (history && history.hasOwnProperty("name")) {
+           var nameParts = history.name.replace(/^\s+|\s+$/g, '').split(/\s+/);
+           properties["fName"] = nameParts[0];
+           if (nameParts.length > 1)
+               properties["lName"] = nameParts.slice(1).join(" ");
+       }
+
+       if (saveIDAsExternalID && patient && patient.hasOwnProperty("identifier") && patient.identifier.length > 0) {
+           properties["externalID"] = patient.identifier[0].value;
+       }
+
+       var birthDate = (patient && patient.birthDate) || (history && history.bornDate);
+       birthDate = birthDate ? PedigreeImport.parseDate(birthDate) : null;
+       if (birthDate !== null) {
+           properties["dob"] = birthDate;
+       }
+       if (history && history.bornString == "unborn") {
+           properties["lifeStatus"] = "unborn";
+       }
+
+       var deceasedSources = [history, patient];
+       for (var k = 0; k < deceasedSources.length; k++) {
+           var source = deceasedSources[k];
+           if (!source || properties.hasOwnProperty("lifeStatus")) continue;
+           if (source.deceasedBoolean === true) {
+               properties["lifeStatus"] = "deceased";
+           } else if (source.deceasedDate || source.deceasedDateTime) {
+               properties["lifeStatus"] = "deceased";
+               var deathDate = PedigreeImport.parseDate(source.deceasedDate || source.deceasedDateTime);
+               if (deathDate !== null) {
+                   properties["dod"] = deathDate;
+               }
+           } else if (source.deceasedString || source.deceasedAge || source.deceasedRange) {
+               var status = source.deceasedString ? source.deceasedString.toLowerCase() : "";
+               if (status != "stillborn" && status != "miscarriage" && status != "aborted")
+                   status = "deceased";
+               properties["lifeStatus"] = status;
+           }
+       }
+
+       if (history && history.hasOwnProperty("condition")) {
+           for (var k = 0; k < history.condition.length; k++) {
+               var condition = history.condition[k];
+               var codes = getCodes(condition.code);
+               var isHPO = false;
+               var value = null;
+               for (var c = 0; c < codes.length; c++) {
+                   var system = codes[c].system || "";
+                   if (system.match(/human-phenotype-ontology|hpo|\/hp\b/i) !== null || (codes[c].code && codes[c].code.match(/^HP:\d+$/))) {
+                       isHPO = true;
+                       value = codes[c].code ? codes[c].code : null;
+                       break;
+                   }
+                   if (system.match(/omim/i) !== null && codes[c].code) {
+                       value = codes[c].code.replace(/^(MIM|OMIM):/i, '');
+                       break;
+                   }
+               }
+               if (value === null) {
+                   value = (condition.code && condition.code.text) ? condition.code.text :
+                           ((codes.length > 0 && codes[0].display) ? codes[0].display : null);
+               }
+               if (value === null) continue;
+               var property = isHPO ? "hpoTerms" : "disorders";
+               if (!properties.hasOwnProperty(property))
+                   properties[property] = [];
+               properties[property].push(value);
+           }
+           if (properties.hasOwnProperty("disorders")) {
+               properties["carrierStatus"] = "affected";
+           }
+       }
+
+       if (history && history.hasOwnProperty("note")) {
+           var notes = [];
+           for (var k = 0; k < history.note.length; k++) {
+               if (history.note[k].text) notes.push(history.note[k].text);
+           }
+           if (notes.length > 0)
+               properties["comments"] = notes.join("\n");
+       }
+
+       return newG._addVertex( useID, TYPE.PERSON, properties, newG.defaultPersonNodeWidth );
+   };
+
+   // first pass: add all vertices and assign vertex IDs. Proband always gets ID 0
+   var probandHistory = null;
+   for (var i = 0; i < histories.length; i++) {
+       if (getRelationshipCode(histories[i]) == "ONESELF") {
+           probandHistory = i;
+           break;
+       }
+   }
+   var getPatientRecord = function(history) {
+       var recordExtensions = getExtensions(history, "familymemberhistory-patient-record");
+       return (recordExtensions.length > 0) ? resolve(recordExtensions[0].valueReference) : null;
+   };
+
+   var probandRecord = (probandHistory !== null) ? getPatientRecord(histories[probandHistory]) : null;
+   var probandID = createPerson(probandRecord || probandPatient, (probandHistory !== null) ? histories[probandHistory] : null, 0);
+   if (probandHistory !== null) {
+       historyToID[probandHistory] = probandID;
+   }
+
+   for (var i = 0; i < histories.length; i++) {
+       if (i === probandHistory) continue;
+       historyToID[i] = createPerson(getPatientRecord(histories[i]), histories[i], null);
+   }
+
+   var findHistoryID = function(resource) {
+       for (var k = 0; k < histories.length; k++) {
+           if (histories[k] === resource) return historyToID[k];
+       }
+       if (resource === probandPatient || resource === probandRecord) return probandID;
+       return null;
+   };
+
+   var defaultEdgeWeight = 1;
+
+   var relationshipTracker = new RelationshipTracker(newG, defaultEdgeWeight);
+
+   var parentsOf  = {};   // person ID -> {"mother": ID, "father": ID}
+   var partnersOf = {};   // person ID -> list of partner IDs which may have no common children
+
+   var setParent = function(childID, parentID, role) {
+       if (!parentsOf.hasOwnProperty(childID))
+           parentsOf[childID] = {};
+       if (!role) {
+           role = (newG.properties[parentID].gender == "M") ? "father" : "mother";
+           if (parentsOf[childID].hasOwnProperty(role))
+               role = (role == "father") ? "mother" : "father";
+       }
+       parentsOf[childID][role] = parentID;
+   };
+
+   var getOrCreateParent = function(childID, role) {
+       if (!parentsOf.hasOwnProperty(childID) || !parentsOf[childID].hasOwnProperty(role)) {
+           var parentID = newG._addVertex( null, TYPE.PERSON, {"gender": (role == "father") ? "M" : "F", "comments": "unknown"}, newG.defaultPersonNodeWidth );
+           setParent(childID, parentID, role);
+       }
+       return parentsOf[childID][role];
+   };
+
+   var getLocation = function(i) {
+       return histories[i].hasOwnProperty("id") ? "FamilyMemberHistory/" + histories[i].id : "FamilyMemberHistory #" + (i+1);
+   };
+
+   var hasParentLinks = false;
+   for (var i = 0; i < histories.length; i++) {
+       if (getExtensions(histories[i], "familymemberhistory-genetics-parent").length > 0 ||
+           getExtensions(histories[i], "familymemberhistory-partner").length > 0) {
+           hasParentLinks = true;
+           break;
+       }
+   }
+
+   // second pass (once all vertex IDs are known): process parents and partners
+   var skipped = [];
+   if (hasParentLinks) {
+       for (var i = 0; i < histories.length; i++) {
+           var links = getExtensions(histories[i], "familymemberhistory-partner");
+           for (var k = 0; k < links.length; k++) {
+               var referenceExtension = getExtensions(links[k], "reference");
+               if (referenceExtension.length == 0) continue;
+               var partnerID = findHistoryID(resolve(referenceExtension[0].valueReference));
+               if (partnerID === null) {
+                   report.addError("partner reference [" + referenceExtension[0].valueReference.reference + "] does not point to a family member in the bundle",
+                                   getLocation(i), null, "the partner link is ignored");
+                   continue;
+               }
+               // each partnership is usually given for both partners
+               if (partnerID == historyToID[i] ||
+                   (partnersOf.hasOwnProperty(partnerID) && partnersOf[partnerID].indexOf(historyToID[i]) >= 0)) continue;
+               if (!partnersOf.hasOwnProperty(historyToID[i]))
+                   partnersOf[historyToID[i]] = [];
+               partnersOf[historyToID[i]].push(partnerID);
+           }
+       }
+
+       for (var i = 0; i < histories.length; i++) {
+           var links = getExtensions(histories[i], "familymemberhistory-genetics-parent");
+           for (var k = 0; k < links.length; k++) {
+               var typeExtension      = getExtensions(links[k], "type");
+               var referenceExtension = getExtensions(links[k], "reference");
+               if (referenceExtension.length == 0) continue;
+               var parentID = findHistoryID(resolve(referenceExtension[0].valueReference));
+               if (parentID === null) {
+                   report.addError("parent reference [" + referenceExtension[0].valueReference.reference + "] does not point to a family member in the bundle",
+                                   getLocation(i), null, "replaced by an unknown parent");
+                   continue;
+               }
+               if (parentID == historyToID[i]) {
+                   report.addError("a person is declared to be his or her own parent", getLocation(i), null, "the parent link is ignored");
+                   continue;
+               }
+               var role = null;
+               if (typeExtension.length > 0) {
+                   var typeCodes = getCodes(typeExtension[0].valueCodeableConcept);
+                   var typeCode  = typeCodes.length > 0 ? typeCodes[0].code.toUpperCase() : "";
+                   if (typeCode.match(femaleCodes) !== null)
+                       role = "mother";
+                   else if (typeCode.match(maleCodes) !== null)
+                       role = "father";
+               }
+               if (role == "father" && newG.properties[parentID].gender == "F") {
+                   report.addError("a person declared as female is also declared as being a father", getLocation(i), null, "replaced by an unknown father");
+                   continue;
+               }
+               if (role == "mother" && newG.properties[parentID].gender == "M") {
+                   report.addError("a person declared as male is also declared as being a mother", getLocation(i), null, "replaced by an unknown mother");
+                   continue;
+               }
+               setParent(historyToID[i], parentID, role);
+           }
+       }
+   } else {
+       // no explicit links: place relatives based on their relationship to the proband
+       var byCode = {};
+       for (var i = 0; i < histories.length; i++) {
+           if (i === probandHistory) continue;
+           var code = getRelationshipCode(histories[i]);
+           var group = code.replace(/^(N|ADOPT)(MTH|FTH)$/, "$2")
+                           .replace(/^N(SIS|BRO)$/, "$1").replace(/^TWIN(SIS|BRO)?$/, "SIB").replace(/^(SIS|BRO)$/, "SIB")
+                           .replace(/^(N)?(SON|DAU|CHILD)$/, "CHILD").replace(/^(HUSB|WIFE)$/, "SPS")
+                           .replace(/^(M|P)(AUNT|UNCLE)$/, "$1AUNCLE");
+           if (!byCode.hasOwnProperty(group))
+               byCode[group] = [];
+           byCode[group].push(historyToID[i]);
+       }
+       var take = function(group) {
+           var result = byCode.hasOwnProperty(group) ? byCode[group] : [];
+           delete byCode[group];
+           return result;
+       };
+
+       var mothers = take("MTH");
+       var fathers = take("FTH");
+       if (mothers.length > 0) setParent(probandID, mothers[0], "mother");
+       if (fathers.length > 0) setParent(probandID, fathers[0], "father");
+       skipped = skipped.concat(mothers.slice(1), fathers.slice(1));
+
+       var sides = [ {"prefix": "M", "role": "mother"}, {"prefix": "P", "role": "father"} ];
+       for (var s = 0; s < sides.length; s++) {
+           var grandMothers = take(sides[s].prefix + "GRMTH");
+           var grandFathers = take(sides[s].prefix + "GRFTH");
+           var auntsUncles  = take(sides[s].prefix + "AUNCLE");
+           if (grandMothers.length + grandFathers.length + auntsUncles.length == 0) continue;
+           var parentID = getOrCreateParent(probandID, sides[s].role);
+           if (grandMothers.length > 0) setParent(parentID, grandMothers[0], "mother");
+           if (grandFathers.length > 0) setParent(parentID, grandFathers[0], "father");
+           skipped = skipped.concat(grandMothers.slice(1), grandFathers.slice(1));
+           for (var k = 0; k < auntsUncles.length; k++) {
+               setParent(auntsUncles[k], getOrCreateParent(parentID, "mother"), "mother");
+               setParent(auntsUncles[k], getOrCreateParent(parentID, "father"), "father");
+           }
+       }
+
+       var siblings = take("SIB");
+       for (var k = 0; k < siblings.length; k++) {
+           setParent(siblings[k], getOrCreateParent(probandID, "mother"), "mother");
+           setParent(siblings[k], getOrCreateParent(probandID, "father"), "father");
+       }
+
+       var spouses  = take("SPS");
+       var children = take("CHILD");
+       partnersOf[probandID] = spouses.slice(0);
+       for (var k = 0; k < children.length; k++) {
+           setParent(children[k], probandID, null);
+           if (spouses.length == 1) {
+               setParent(children[k], spouses[0], null);
+               partnersOf[probandID] = [];
+           }
+       }
+
+       for (var group in byCode) {
+           if (byCode.hasOwnProperty(group))
+               skipped = skipped.concat(byCode[group]);
+       }
+   }
+
+   for (var childID in parentsOf) {
+       if (parentsOf.hasOwnProperty(childID)) {
+           // create a virtual parent in case one of the parents is missing
+           var motherID = getOrCreateParent(childID, "mother");
+           var fatherID = getOrCreateParent(childID, "father");
+
+           var chhubID = relationshipTracker.createOrGetChildhub(motherID, fatherID);
+
+           newG.addEdge( chhubID, parseInt(childID), defaultEdgeWeight );
+       }
+   }
+
+   for (var personID in partnersOf) {
+       if (partnersOf.hasOwnProperty(personID)) {
+           for (var k = 0; k < partnersOf[personID].length; k++) {
+               // partnerships without children are not supported at the moment, so add a virtual child
+               var partnerID = partnersOf[personID][k];
+               if (newG.getAllPartners(parseInt(personID)).indexOf(partnerID) >= 0) continue;
+               var motherID  = (newG.properties[partnerID].gender == "F") ? partnerID : parseInt(personID);
+               var fatherID  = (motherID == partnerID) ? parseInt(personID) : partnerID;
+               var chhubID   = relationshipTracker.createOrGetChildhub(motherID, fatherID);
+               var childID   = newG._addVertex( null, TYPE.PERSON, {"gender": "U", "comments": "unknown"}, newG.defaultPersonNodeWidth );
+               newG.addEdge( chhubID, childID, defaultEdgeWeight );
+           }
+       }
+   }
+
+   if (skipped.length > 0) {
+       // remove in decreasing ID order, since removing a node shifts IDs of all nodes above it
+       skipped.sort(function(a, b) { return b - a; });
+       for (var k = 0; k < skipped.length; k++) {
+           newG.remove(skipped[k]);
+       }
+       report.addWarning(skipped.length + " relative(s) could not be placed in the pedigree based on their relationship to the proband",
+                         null, null, "they were not imported");
+   }
+
+   PedigreeImport.validateBaseGraph(newG, report);
 
    return newG;
 }
@@ -1208,6 +3307,7 @@ PedigreeImport.JSONToInternalPropertyMapping = {
         "ethnicities":     "ethnicities",
         "carrierstatus":   "carrierStatus",
         "externalid":      "externalID",
+        "sampleid":        "sampleID",
         "numpersons":      "numPersons",
         "lostcontact":     "lostContact",
         "nodenumber":      "nodeNumber"
@@ -1218,6 +3318,19 @@ PedigreeImport.JSONToInternalPropertyMapping = {
  * Converts property name from external JSON format to internal - also helps to
  * support aliases for some terms and weed out unsupported terms.
  */
+/*
+ * Converts a date given as text to a Date, or returns null if it is not a valid date. Dates without a time
+ * (YYYY, YYYY-MM or YYYY-MM-DD) are calendar dates and are set to local midnight, same as the dates parsed
+ * by the GEDCOM import, so that they do not change in time zones behind UTC
+ */
+PedigreeImport.parseDate = function(text)
+{
+    var match = String(text).match(/^\s*(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?\s*$/);
+    var date  = match ? new Date(parseInt(match[1], 10), match[2] ? parseInt(match[2], 10) - 1 : 0, match[3] ? parseInt(match[3], 10) : 1)
+                      : new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
 PedigreeImport.convertProperty = function(externalPropertyName, value) {
     
     if (!PedigreeImport.JSONToInternalPropertyMapping.hasOwnProperty(externalPropertyName))
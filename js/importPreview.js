@@ -0,0 +1,127 @@
+/**
+ * A read-only miniature of an imported pedigree, shown before the imported data replaces the pedigree
+ * open in the editor. The imported graph is laid out the same way the editor would lay it out.
+ *
+ * @class ImportPreview
+ * @constructor
+ * @param {BaseGraph} baseGraph The graph produced by one of the PedigreeImport importers
+ */
+
+var ImportPreview = Class.create( {
+
+    initialize: function(baseGraph) {
+        var DG = editor.getGraph().DG;
+        this._positionedGraph = new PositionedGraph(baseGraph,
+                                                    DG.horizontalPersonSeparationDist,
+                                                    DG.horizontalRelSeparationDist,
+                                                    DG.maxInitOrderingBuckets,
+                                                    DG.maxOrderingIterations,
+                                                    DG.maxXcoordIterations,
+                                                    true /* the miniature needs the vertical positions */);
+    },
+
+    /**
+     * Returns the number of persons, generations and affected persons in the imported pedigree
+     *
+     * @method getCounts
+     * @return {Object} { "persons": {Number}, "generations": {Number}, "affected": {Number} }
+     */
+    getCounts: function() {
+        var GG    = this._positionedGraph.GG;
+        var ranks = this._positionedGraph.ranks;
+
+        var counts     = { "persons": 0, "generations": 0, "affected": 0 };
+        var seenRanks  = {};
+        for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+            if (!GG.isPerson(v)) continue;
+            counts.persons++;
+            if (!seenRanks.hasOwnProperty(ranks[v])) {
+                seenRanks[ranks[v]] = true;
+                counts.generations++;
+            }
+            if (this._isAffected(GG.properties[v])) {
+                counts.affected++;
+            }
+        }
+        return counts;
+    },
+
+    /*
+     * A person with disorders and no explicit carrier status is affected, same as in Person.setCarrierStatus()
+     */
+    _isAffected: function(properties) {
+        var status = properties["carrierStatus"];
+        if (status == "affected") return true;
+        return (!status && properties["disorders"] && properties["disorders"].length > 0);
+    },
+
+    /**
+     * Draws the miniature into the given element, scaled to fit into the given size
+     *
+     * @method draw
+     * @param {HTMLElement} container The element the miniature is drawn into
+     * @param {Number} width Width of the miniature, in pixels
+     * @param {Number} height Height of the miniature, in pixels
+     */
+    draw: function(container, width, height) {
+        var GG        = this._positionedGraph.GG;
+        var ranks     = this._positionedGraph.ranks;
+        var positions = this._positionedGraph.positions;
+        var rankY     = this._positionedGraph.rankY;
+
+        var minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (var v = 0; v < GG.getNumVertices(); v++) {
+            minX = Math.min(minX, positions[v]);
+            maxX = Math.max(maxX, positions[v]);
+            minY = Math.min(minY, rankY[ranks[v]]);
+            maxY = Math.max(maxY, rankY[ranks[v]]);
+        }
+
+        var margin = ImportPreview.MAX_NODE_SIZE;
+        var scale  = Math.min((width  - 2*margin) / Math.max(maxX - minX, 1),
+                              (height - 2*margin) / Math.max(maxY - minY, 1));
+        // the miniature is centered in the available space
+        var shiftX = (width  - (maxX - minX) * scale) / 2;
+        var shiftY = (height - (maxY - minY) * scale) / 2;
+        var getX = function(v) { return shiftX + (positions[v] - minX) * scale; };
+        var getY = function(v) { return shiftY + (rankY[ranks[v]] - minY) * scale; };
+
+        var nodeSize = Math.max(ImportPreview.MIN_NODE_SIZE,
+                                Math.min(ImportPreview.MAX_NODE_SIZE, GG.defaultPersonNodeWidth * scale / 2));
+
+        var paper = Raphael(container, width, height);
+
+        for (var v = 0; v < GG.getNumVertices(); v++) {
+            var outEdges = GG.getOutEdges(v);
+            for (var i = 0; i < outEdges.length; i++) {
+                var u = outEdges[i];
+                if (GG.isChildhub(v)) {
+                    // child lines go horizontally from the childhub and then down to the child
+                    var path = "M" + getX(v) + " " + getY(v) + "L" + getX(u) + " " + getY(v) + "L" + getX(u) + " " + getY(u);
+                } else {
+                    var path = "M" + getX(v) + " " + getY(v) + "L" + getX(u) + " " + getY(u);
+                }
+                paper.path(path).attr({"stroke": "#3C3C3C", "stroke-width": 1});
+            }
+        }
+
+        for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+            if (!GG.isPerson(v)) continue;
+            var x = getX(v), y = getY(v), r = nodeSize / 2;
+            var gender = GG.properties[v]["gender"];
+            if (gender == "M") {
+                var shape = paper.rect(x - r, y - r, nodeSize, nodeSize);
+            } else if (gender == "F") {
+                var shape = paper.circle(x, y, r);
+            } else {
+                var shape = paper.path("M" + x + " " + (y - r) + "L" + (x + r) + " " + y + "L" + x + " " + (y + r) + "L" + (x - r) + " " + y + "Z");
+            }
+            shape.attr({"stroke": "#3C3C3C", "stroke-width": 1, "fill": this._isAffected(GG.properties[v]) ? "#3C3C3C" : "#fff"});
+        }
+        return paper;
+    }
+});
+
+// size of the person shapes in the miniature, in pixels
+ImportPreview.MIN_NODE_SIZE = 4;
+ImportPreview.MAX_NODE_SIZE = 14;
@@ -15,6 +15,10 @@ var ImportSelector = Class.create( {
                         
         var promptImport = new Element('div', {'class': 'import-section'}).update("Import data:");
         this.importValue = new Element("textarea", {"id": "import", "value": "", "class": "import-textarea"});
+        this.importValue.observe('input', this.updateDetectedFormat.bind(this));
+        this.importValue.observe('input', this._hideFamilySelector.bind(this));
+        this.importValue.observe('input', this._hideColumnMapping.bind(this));
+        this.importValue.observe('input', this._hideImportPreview.bind(this));
         mainDiv.insert(promptImport).insert(this.importValue);
         
         if (!!window.FileReader && !!window.FileList) {
@@ -36,11 +40,19 @@ var ImportSelector = Class.create( {
             })
             mainDiv.insert(uploadFileSelector).insert(uploadLink);
         }
+
+        this.detectedFormat = new Element('div', {'class': 'import-autodetect'});
+        this.detectedFormat.hide();
+        mainDiv.insert(this.detectedFormat);
         
         var _addTypeOption = function (checked, labelText, value) {
             var optionWrapper = new Element('tr');
             var input = new Element('input', {"type" : "radio", "value": value, "name": "select-type"});
             input.observe('click', _this.disableEnableOptions );
+            input.observe('click', _this.updateDetectedFormat.bind(_this) );
+            input.observe('click', _this._hideFamilySelector.bind(_this) );
+            input.observe('click', _this._hideColumnMapping.bind(_this) );
+            input.observe('click', _this._hideImportPreview.bind(_this) );
             if (checked) {
               input.checked = true;
             }
@@ -49,18 +61,42 @@ var ImportSelector = Class.create( {
             return optionWrapper;
           };          
         var typeListElement = new Element('table');
-        //TODO: typeListElement.insert(_addTypeOption(true,  "Autodetect", "auto"));
-        typeListElement.insert(_addTypeOption(true,  "PED or LINKAGE (pre- or post- makeped)", "ped"));        
+        typeListElement.insert(_addTypeOption(true,  "Autodetect", "auto"));
+        typeListElement.insert(_addTypeOption(false, "PED or LINKAGE (pre- or post- makeped)", "ped"));        
+        typeListElement.insert(_addTypeOption(false, "PLINK .fam (individual IDs are saved as sequencing sample IDs)", "plink"));
+        typeListElement.insert(_addTypeOption(false, "Madeline 2 table (tab-separated)", "madeline"));
         typeListElement.insert(_addTypeOption(false, "GEDCOM", "gedcom"));
-        typeListElement.insert(_addTypeOption(false, "BOADICEA", "BOADICEA"));
+        typeListElement.insert(_addTypeOption(false, "BOADICEA (v2 or v4 from CanRisk)", "BOADICEA"));
         typeListElement.insert(_addTypeOption(false, "Simple JSON", "simpleJSON"));
-        //TODO: typeListElement.insert(_addTypeOption(false, "Phenotips Pedigree JSON", "phenotipsJSON"));
+        typeListElement.insert(_addTypeOption(false, "FHIR (Bundle of FamilyMemberHistory resources)", "fhir"));
+        typeListElement.insert(_addTypeOption(false, "Spreadsheet (CSV or TSV with column titles in the first line)", "csv"));
+        typeListElement.insert(_addTypeOption(false, "Phenotips Pedigree JSON", "phenotipsJSON"));
 
         var promptType = new Element('div', {'class': 'import-section'}).update("Data format:");
         var dataSection2 = new Element('div', {'class': 'import-block'});
         dataSection2.insert(promptType).insert(typeListElement);
         mainDiv.insert(dataSection2);
 
+        // only shown when the data contains more than one family
+        this.familySection = new Element('div', {'class': 'import-block'});
+        this.familySection.hide();
+        mainDiv.insert(this.familySection);
+
+        // only shown for spreadsheets, once the column titles are known
+        this.columnSection = new Element('div', {'class': 'import-block'});
+        this.columnSection.hide();
+        mainDiv.insert(this.columnSection);
+
+        // only shown when problems were found in the import data
+        this.reportSection = new Element('div', {'class': 'import-block'});
+        this.reportSection.hide();
+        mainDiv.insert(this.reportSection);
+
+        // only shown once the data has been imported, before it replaces the current pedigree
+        this.previewSection = new Element('div', {'class': 'import-block'});
+        this.previewSection.hide();
+        mainDiv.insert(this.previewSection);
+
         var _addConfigOption = function (checked, labelText, value) {
             var optionWrapper = new Element('tr');
             var input = new Element('input', {"type" : "radio", "value": value, "name": "select-options" });            
@@ -75,6 +111,10 @@ var ImportSelector = Class.create( {
         configListElement.insert(_addConfigOption(true,  "Treat non-standard phenotype values as new disorders", "accept"));
         configListElement.insert(_addConfigOption(false, "Treat non-standard phenotype values as \"no information\"", "dontaccept"));
 
+        var affectedCodeOne = new Element('input', {"type" : "checkbox", "value": "1", "name": "affected-code-one"});
+        var codingLabel     = new Element('label', {'class': 'import-mark-label2'}).insert(affectedCodeOne).insert("Phenotype column is coded as 0 = unaffected, 1 = affected (instead of 1 = unaffected, 2 = affected)").wrap('td').wrap('tr');
+        configListElement.insert(codingLabel);
+
         var markEvaluated = new Element('input', {"type" : "checkbox", "value": "1", "name": "mark-evaluated"});
         var markLabel1     = new Element('label', {'class': 'import-mark-label1'}).insert(markEvaluated).insert("Mark all patients with known disorder status with 'documented evaluation' mark").wrap('td').wrap('tr');
         configListElement.insert(markLabel1);
@@ -92,6 +132,7 @@ var ImportSelector = Class.create( {
 
         var buttons = new Element('div', {'class' : 'buttons import-block-bottom'});
         buttons.insert(new Element('input', {type: 'button', name : 'import', 'value': 'Import', 'class' : 'button', 'id': 'import_button'}).wrap('span', {'class' : 'buttonwrapper'}));
+        buttons.insert(new Element('input', {type: 'button', name : 'merge', 'value': 'Merge', 'class' : 'button'}).wrap('span', {'class' : 'buttonwrapper'}));
         buttons.insert(new Element('input', {type: 'button', name : 'cancel', 'value': 'Cancel', 'class' : 'button secondary'}).wrap('span', {'class' : 'buttonwrapper'}));
         mainDiv.insert(buttons);
 
@@ -99,10 +140,16 @@ var ImportSelector = Class.create( {
         cancelButton.observe('click', function(event) {
             _this.hide();
         })
-        var importButton = buttons.down('input[name="import"]');
-        importButton.observe('click', function(event) {
-            _this._onImportStarted();
+        this.importButton = buttons.down('input[name="import"]');
+        this.importButton.observe('click', function(event) {
+            _this._onImportStarted(false);
+        })
+        // only shown together with the preview of the imported pedigree
+        this.mergeButton = buttons.down('input[name="merge"]');
+        this.mergeButton.observe('click', function(event) {
+            _this._onImportStarted(true);
         })
+        this.mergeButton.hide();
 
         var closeShortcut = ['Esc'];
         this.dialog = new PhenoTips.widgets.ModalPopup(mainDiv, {close: {method : this.hide.bind(this), keys : closeShortcut}}, {extraClassName: "pedigree-import-chooser", title: "Pedigree import", displayCloseButton: true});
@@ -120,34 +167,343 @@ var ImportSelector = Class.create( {
             var fr = new FileReader();
             fr.onload = function(e) {
                 _this.importValue.value = e.target.result;  // e.target.result should contain the text 
+                _this.updateDetectedFormat();
+                _this._hideFamilySelector();
+                _this._hideColumnMapping();
+                _this._hideImportPreview();
             };
             fr.readAsText(nextFile);            
         }
     },
     
+    /*
+     * When "Autodetect" is selected shows which format was detected in the current input and why
+     */
+    updateDetectedFormat: function() {
+        var importType = $$('input:checked[type=radio][name="select-type"]')[0].value;
+        if (importType != "auto" || !this.importValue.value) {
+            this.detectedFormat.hide();
+            return;
+        }
+        var detected = PedigreeImport.autodetectFormat(this.importValue.value);
+        if (detected.format === null) {
+            this.detectedFormat.update("Format could not be detected (" + detected.reason.escapeHTML() + "), please select it manually");
+        } else {
+            this.detectedFormat.update("Detected format: <b>" + detected.description + "</b> (" + detected.reason.escapeHTML() + ")");
+        }
+        this.detectedFormat.show();
+    },
+
+    /*
+     * Shows the list of families found in the import data, so that the user can pick the ones to be imported.
+     * Several families can only be picked when the storage backend can save the additional ones as new pedigrees
+     */
+    _showFamilySelector: function(families) {
+        this.familySection.update();
+
+        var multipleFamilies = editor.getStorage().canCreatePedigrees();
+        var promptFamilies = new Element('div', {'class': 'import-section'}).update("Families:");
+        var note = new Element('div', {'class': 'import-family-note'}).update("The data contains " + families.length + " families. " +
+                (multipleFamilies ? "The first selected family will be loaded into the editor, every other selected family will be saved as a separate pedigree."
+                                  : "The selected family will be loaded into the editor, the other families are not imported."));
+
+        var familyList = new Element('table');
+        for (var i = 0; i < families.length; i++) {
+            var input = new Element('input', {"type" : multipleFamilies ? "checkbox" : "radio", "value": families[i].familyID, "name": "select-family"});
+            input.checked = (i == 0);
+            input.observe('click', this._hideImportPreview.bind(this));
+            var labelText = families[i].familyID + " (" + families[i].members + " individual" + (families[i].members != 1 ? "s" : "") +
+                            ", " + families[i].affected + " affected)";
+            var label = new Element('label', {'class': 'import-type-label'}).insert(input).insert(labelText.escapeHTML());
+            familyList.insert(label.wrap('td').wrap('tr'));
+        }
+        var familyListContainer = new Element('div', {'class': 'import-family-list'}).insert(familyList);
+
+        this.familySection.insert(promptFamilies).insert(note).insert(familyListContainer);
+        this.familySection.show();
+    },
+
+    _hideFamilySelector: function() {
+        this.familySection.update();
+        this.familySection.hide();
+    },
+
+    /*
+     * Shows the column titles of the imported spreadsheet, so that the user can select which
+     * property each column should be imported as
+     */
+    _showColumnMapping: function(columns) {
+        this.columnSection.update();
+
+        var promptColumns = new Element('div', {'class': 'import-section'}).update("Columns:");
+        var note = new Element('div', {'class': 'import-family-note'}).update("Select what each of the spreadsheet columns contains. " +
+                "Multiple disorders, HPO terms, genes or ethnicities in one cell should be separated by \"|\" or \";\".");
+
+        var targets = PedigreeImport.getCSVColumnTargets();
+        var columnList = new Element('table');
+        for (var i = 0; i < columns.header.length; i++) {
+            var select = new Element('select', {"name": "csv-column"});
+            select.observe('change', this._hideImportPreview.bind(this));
+            select.insert(new Element('option', {"value": ""}).update("(do not import)"));
+            for (var t = 0; t < targets.length; t++) {
+                var option = new Element('option', {"value": targets[t]}).update(PedigreeImport.getCSVColumnLabel(targets[t]).escapeHTML());
+                if (columns.mapping[i] == targets[t]) {
+                    option.selected = true;
+                }
+                select.insert(option);
+            }
+            var title = columns.header[i] ? columns.header[i] : "column " + (i+1);
+            var row = new Element('tr');
+            row.insert(new Element('td').update(title.escapeHTML()));
+            row.insert(new Element('td').insert(select));
+            columnList.insert(row);
+        }
+        var columnListContainer = new Element('div', {'class': 'import-column-list'}).insert(columnList);
+
+        this.columnSection.insert(promptColumns).insert(note).insert(columnListContainer);
+        this.columnSection.show();
+    },
+
+    _hideColumnMapping: function() {
+        this.columnSection.update();
+        this.columnSection.hide();
+    },
+
+    /*
+     * Shows all the problems found in the import data, so that the user can decide if the valid part
+     * of the data should be imported
+     */
+    _showImportReport: function(report) {
+        this.reportSection.update();
+
+        var promptReport = new Element('div', {'class': 'import-section'}).update("Problems:");
+
+        var summary = report.getNumErrors() + " error" + (report.getNumErrors() != 1 ? "s" : "") + " and " +
+                      report.getNumWarnings() + " warning" + (report.getNumWarnings() != 1 ? "s" : "") + " found in the data. ";
+        if (!report.isImportPossible()) {
+            summary += "The data can not be imported, please fix the errors and try again.";
+        } else if (report.getNumErrors() > 0) {
+            summary += "Only the valid data is imported: broken lines are skipped and references to missing persons are replaced by placeholders.";
+        }
+        var note = new Element('div', {'class': 'import-family-note'}).update(summary.escapeHTML());
+
+        var problemList = new Element('table');
+        var problems = report.getProblems();
+        for (var i = 0; i < problems.length; i++) {
+            var row = new Element('tr', {'class': 'import-report-' + problems[i].severity});
+            row.insert(new Element('td').update(problems[i].severity));
+            row.insert(new Element('td').update(PedigreeImportReport.formatLocation(problems[i].line).escapeHTML()));
+            var description = problems[i].message + (problems[i].recovery ? " (" + problems[i].recovery + ")" : "");
+            var descriptionCell = new Element('td').update(description.escapeHTML());
+            if (problems[i].record) {
+                descriptionCell.title = problems[i].record;
+            }
+            row.insert(descriptionCell);
+            problemList.insert(row);
+        }
+        var problemListContainer = new Element('div', {'class': 'import-column-list'}).insert(problemList);
+
+        this.reportSection.insert(promptReport).insert(note).insert(problemListContainer);
+        this.reportSection.show();
+    },
+
+    _hideImportReport: function() {
+        this.reportSection.update();
+        this.reportSection.hide();
+    },
+
+    /*
+     * Shows a miniature of the imported pedigree and a summary of the imported data, so that the user
+     * can check the result before the current pedigree is replaced
+     */
+    _showImportPreview: function(baseGraph, report) {
+        this.previewSection.update();
+
+        var promptPreview = new Element('div', {'class': 'import-section'}).update("Preview:");
+
+        var preview = new ImportPreview(baseGraph);
+        var counts  = preview.getCounts();
+        var unrecognizedFields = report.getUnrecognizedFields();
+
+        var countList = new Element('table');
+        var _addCount = function(labelText, value) {
+            var row = new Element('tr');
+            row.insert(new Element('td').update(labelText));
+            row.insert(new Element('td').update(String(value).escapeHTML()));
+            countList.insert(row);
+        };
+        _addCount("Persons:", counts.persons);
+        _addCount("Generations:", counts.generations);
+        _addCount("Affected:", counts.affected);
+        _addCount("Unrecognized fields (not imported):", unrecognizedFields.length == 0 ? "none" :
+                  unrecognizedFields.length + " (" + unrecognizedFields.join(", ") + ")");
+        var countListContainer = new Element('div', {'class': 'import-column-list'}).insert(countList);
+
+        var miniature = new Element('div', {'class': 'import-preview'});
+
+        var note = new Element('div', {'class': 'import-family-note'}).update("Click \"Replace current pedigree\" to load the imported pedigree into the editor. " +
+                "The current pedigree can be restored using \"Undo\".");
+
+        this.previewSection.insert(promptPreview).insert(countListContainer).insert(miniature).insert(note);
+        this.previewSection.insert(this._createMergeSelector(baseGraph));
+        this.previewSection.show();
+        preview.draw(miniature, ImportSelector.PREVIEW_WIDTH, ImportSelector.PREVIEW_HEIGHT);
+
+        this.importPreview = preview;
+        this.importButton.value = "Replace current pedigree";
+        this.mergeButton.show();
+    },
+
+    /*
+     * Creates the controls for merging the imported pedigree into the current one: the user selects a person
+     * who is present in both pedigrees, the imported relatives of that person are added to the current pedigree
+     */
+    _createMergeSelector: function(baseGraph) {
+        var GG = editor.getGraph().DG.GG;
+
+        var _getPersons = function(graph) {
+            var persons = [];
+            for (var v = 0; v <= graph.getMaxRealVertexId(); v++) {
+                if (graph.isPerson(v)) {
+                    persons.push(v);
+                }
+            }
+            return persons;
+        };
+        var importedPersons = _getPersons(baseGraph);
+        var existingPersons = _getPersons(GG);
+
+        // suggest the first imported person who has the same external ID or full name as one of the existing persons
+        var suggested = null;
+        for (var i = 0; i < importedPersons.length && suggested === null; i++) {
+            var importedLabel = this._getPersonLabel(baseGraph.properties[importedPersons[i]], null);
+            for (var j = 0; j < existingPersons.length && suggested === null; j++) {
+                if (importedLabel !== null && importedLabel == this._getPersonLabel(GG.properties[existingPersons[j]], null)) {
+                    suggested = {"imported": importedPersons[i], "existing": existingPersons[j]};
+                }
+            }
+        }
+
+        var _createSelect = function(name, graph, persons, selected) {
+            var select = new Element('select', {"name": name});
+            select.insert(new Element('option', {"value": ""}).update("(select a person)"));
+            for (var i = 0; i < persons.length; i++) {
+                var option = new Element('option', {"value": persons[i]}).update(this._getPersonLabel(graph.properties[persons[i]], persons[i]).escapeHTML());
+                if (persons[i] === selected) {
+                    option.selected = true;
+                }
+                select.insert(option);
+            }
+            return select;
+        }.bind(this);
+
+        var mergeBlock = new Element('div');
+        var note = new Element('div', {'class': 'import-family-note'}).update("To add the imported persons to the current pedigree instead, " +
+                "select a person who is present in both pedigrees and click \"Merge\". Persons who are already in the current pedigree are not changed.");
+
+        var mergeList = new Element('table');
+        var row1 = new Element('tr');
+        row1.insert(new Element('td').update("Imported person:"));
+        row1.insert(new Element('td').insert(_createSelect("merge-imported", baseGraph, importedPersons, suggested ? suggested.imported : null)));
+        var row2 = new Element('tr');
+        row2.insert(new Element('td').update("is the same person as:"));
+        row2.insert(new Element('td').insert(_createSelect("merge-existing", GG, existingPersons, suggested ? suggested.existing : null)));
+        mergeList.insert(row1).insert(row2);
+        var mergeListContainer = new Element('div', {'class': 'import-column-list'}).insert(mergeList);
+
+        return mergeBlock.insert(note).insert(mergeListContainer);
+    },
+
+    /*
+     * Returns the name and the external ID of the person; when nodeID is not given returns null for
+     * persons with neither, otherwise a label based on the node ID
+     */
+    _getPersonLabel: function(properties, nodeID) {
+        var label = [];
+        if (properties["fName"] || properties["lName"]) {
+            label.push((properties["fName"] ? properties["fName"] : "") + (properties["fName"] && properties["lName"] ? " " : "") +
+                       (properties["lName"] ? properties["lName"] : ""));
+        }
+        if (properties["externalID"]) {
+            label.push("ID " + properties["externalID"]);
+        }
+        if (label.length == 0) {
+            return (nodeID === null) ? null : "unnamed person #" + nodeID;
+        }
+        return label.join(", ");
+    },
+
+    _hideImportPreview: function() {
+        this.importPreview = null;
+        this._hideImportReport();
+        this.previewSection.update();
+        this.previewSection.hide();
+        this.importButton.value = "Import";
+        this.mergeButton.hide();
+    },
+
+    /*
+     * Imports all the given families except the first one (which is loaded into the editor) and saves
+     * each of them as a separate pedigree
+     */
+    _saveAdditionalFamilies: function(importValue, importType, familyIDs, importOptions) {
+        if (familyIDs.length > 1 && !editor.getStorage().canCreatePedigrees()) {
+            alert("The following families were not imported, because the storage backend can not create new pedigrees:\n" +
+                  familyIDs.slice(1).join("\n"));
+            return;
+        }
+        var DG = editor.getGraph().DG;
+        var failed = [];
+        for (var i = 1; i < familyIDs.length; i++) {
+            try {
+                if (importType == "plink") {
+                    var baseGraph = PedigreeImport.initFromPLINK(importValue, importOptions.markEvaluated, importOptions.externalIdMark, familyIDs[i]);
+                } else if (importType == "madeline") {
+                    var baseGraph = PedigreeImport.initFromMadeline(importValue, importOptions.markEvaluated, importOptions.externalIdMark, familyIDs[i]);
+                } else {
+                    var baseGraph = PedigreeImport.initFromPED(importValue, importOptions.acceptUnknownPhenotypes, importOptions.markEvaluated,
+                                                               importOptions.externalIdMark, importOptions.affectedCodeOne, null, familyIDs[i]);
+                }
+                var graph = new DynamicPositionedGraph(new PositionedGraph(baseGraph,
+                                                                           DG.horizontalPersonSeparationDist,
+                                                                           DG.horizontalRelSeparationDist,
+                                                                           DG.maxInitOrderingBuckets,
+                                                                           DG.maxOrderingIterations,
+                                                                           DG.maxXcoordIterations,
+                                                                           false));
+                editor.getSaveLoadEngine().saveToDocument("Family_" + familyIDs[i].replace(/[^a-zA-Z0-9_\-]/g, '_'), graph.toJSON());
+            } catch (err) {
+                failed.push(familyIDs[i] + ": " + err);
+            }
+        }
+        if (failed.length > 0) {
+            alert("Some of the selected families could not be imported:\n" + failed.join("\n"));
+        }
+    },
+
     /*
      * Disables unapplicable options on input type selection
      */
     disableEnableOptions: function() {
         var importType = $$('input:checked[type=radio][name="select-type"]')[0].value;
         //console.log("Import type: " + importType);        
-        var pedOnlyOptions = $$('input[type=radio][name="select-options"]');
+        var pedOnlyOptions = $$('input[type=radio][name="select-options"]').concat($$('input[type=checkbox][name="affected-code-one"]'));
         for (var i = 0; i < pedOnlyOptions.length; i++) {
-            if (importType != "ped") {
+            if (importType != "ped" && importType != "auto") {
                 pedOnlyOptions[i].disabled = true;
             } else {
                 pedOnlyOptions[i].disabled = false;
             }
         }
         var pedAndGedcomOption = $$('input[type=checkbox][name="mark-evaluated"]')[0];
-        if (importType != "ped" && importType != "gedcom") {
+        if (importType != "ped" && importType != "plink" && importType != "madeline" && importType != "gedcom" && importType != "auto") {
             pedAndGedcomOption.disabled = true;
         } else {
             pedAndGedcomOption.disabled = false;
         }
         
         var saveExternalID = $$('input[type=checkbox][name="mark-external"]')[0];
-        if (importType == "simpleJSON") {
+        if (importType == "simpleJSON" || importType == "phenotipsJSON") {
             saveExternalID.disabled = true;
         } else {
             saveExternalID.disabled = false;
@@ -155,24 +511,66 @@ var ImportSelector = Class.create( {
     },
     
     /**
-     * Loads the template once it has been selected
+     * Imports the data once the import has been confirmed
      *
-     * @param event
-     * @param pictureBox
+     * @param {Boolean} merge When true the imported persons are added to the current pedigree instead of replacing it
      * @private
      */
-    _onImportStarted: function() {   
+    _onImportStarted: function(merge) {
         var importValue = this.importValue.value;
         console.log("Importing:\n" + importValue);
         
-        this.hide();
-        
+        var importType = $$('input:checked[type=radio][name="select-type"]')[0].value;
+
+        if (importType == "auto" && importValue) {
+            var detected = PedigreeImport.autodetectFormat(importValue);
+            if (detected.format === null) {
+                // keep the dialog open so that the user can pick the format manually
+                alert("Unable to detect the format of the imported data: " + detected.reason + ".\n\nPlease select the data format manually");
+                return;
+            }
+            console.log("Detected format: " + detected.description + " (" + detected.reason + ")");
+            importType = detected.format;
+        }
+
+        var selectedFamilies = [];
+        if ((importType == "ped" || importType == "plink" || importType == "madeline") && importValue) {
+            var families = (importType == "madeline") ? PedigreeImport.getMadelineFamilies(importValue) : PedigreeImport.getPEDFamilies(importValue);
+            if (families.length > 1) {
+                if (!this.familySection.visible()) {
+                    // let the user pick the families to be imported first
+                    this._showFamilySelector(families);
+                    return;
+                }
+                selectedFamilies = $$('input:checked[name="select-family"]').map(function(input) { return input.value; });
+                if (selectedFamilies.length == 0) {
+                    alert("Please select at least one family to be imported");
+                    return;
+                }
+            }
+        }
+
+        var columnMapping = null;
+        if (importType == "csv" && importValue) {
+            if (!this.columnSection.visible()) {
+                var columns = PedigreeImport.getCSVColumns(importValue);
+                if (columns === null) {
+                    alert("Unable to import the spreadsheet: the first line should contain column titles separated by commas, semicolons or tabs");
+                    return;
+                }
+                // let the user check the column mapping first
+                this._showColumnMapping(columns);
+                return;
+            }
+            columnMapping = $$('select[name="csv-column"]').map(function(select) { return select.value; });
+        }
+
         if (!importValue || importValue == "") {
+            this.hide();
             alert("Nothing to import!");
             return;
         }
         
-        var importType = $$('input:checked[type=radio][name="select-type"]')[0].value;
         console.log("Import type: " + importType);
         
         var importMark = $$('input[type=checkbox][name="mark-evaluated"]')[0].checked;
@@ -181,11 +579,53 @@ var ImportSelector = Class.create( {
         
         var optionSelected = $$('input:checked[type=radio][name="select-options"]')[0].value;
         var acceptUnknownPhenotypes = (optionSelected == "accept");
+
+        var affectedCodeOne = $$('input[type=checkbox][name="affected-code-one"]')[0].checked;
         
-        var importOptions = { "markEvaluated": importMark, "externalIdMark": externalIdMark, "acceptUnknownPhenotypes": acceptUnknownPhenotypes };
-        
-        editor.getSaveLoadEngine().createGraphFromImportData(importValue, importType, importOptions,
-                                                             false /* add to undo stack */, true /*center around 0*/);
+        var importOptions = { "markEvaluated": importMark, "externalIdMark": externalIdMark, "acceptUnknownPhenotypes": acceptUnknownPhenotypes,
+                              "affectedCodeOne": affectedCodeOne };
+        if (selectedFamilies.length > 0) {
+            importOptions["familyID"] = selectedFamilies[0];
+        }
+        if (columnMapping !== null) {
+            importOptions["columnMapping"] = columnMapping;
+        }
+
+        if (!this.importPreview) {
+            // let the user check the imported pedigree and the problems found in the data (if any) first
+            var preview = PedigreeImport.previewImport(importValue, importType, importOptions);
+            if (preview.report.hasProblems()) {
+                this._showImportReport(preview.report);
+            }
+            if (preview.baseGraph) {
+                this._showImportPreview(preview.baseGraph, preview.report);
+            }
+            return;
+        }
+        // same as in the preview: broken parts of the data are skipped
+        importOptions["report"] = new PedigreeImportReport(true);
+
+        if (merge) {
+            var importedPersonID = $$('select[name="merge-imported"]')[0].value;
+            var existingPersonID = $$('select[name="merge-existing"]')[0].value;
+            if (importedPersonID === "" || existingPersonID === "") {
+                alert("Please select a person who is present in both the imported and the current pedigree");
+                return;
+            }
+        }
+
+        this.hide();
+
+        if (merge) {
+            editor.getSaveLoadEngine().mergeImportData(importValue, importType, importOptions, parseInt(importedPersonID), parseInt(existingPersonID));
+        } else {
+            editor.getSaveLoadEngine().createGraphFromImportData(importValue, importType, importOptions,
+                                                                 false /* add to undo stack */, true /*center around 0*/);
+        }
+
+        if (selectedFamilies.length > 1) {
+            this._saveAdditionalFamilies(importValue, importType, selectedFamilies, importOptions);
+        }
     },
 
     /**
@@ -204,6 +644,14 @@ var ImportSelector = Class.create( {
      */
     hide: function() {
         this.importValue.value = "";
+        this.detectedFormat.hide();
+        this._hideFamilySelector();
+        this._hideColumnMapping();
+        this._hideImportPreview();
         this.dialog.closeDialog();
     }
-});
\ No newline at end of file
+});
+
+// size of the miniature of the imported pedigree, in pixels
+ImportSelector.PREVIEW_WIDTH  = 480;
+ImportSelector.PREVIEW_HEIGHT = 220;
@@ -0,0 +1,173 @@
+Inheritance = function () {
+};
+
+Inheritance.prototype = {
+};
+
+/* ===============================================================================================
+ *
+ * Helpers shared by the genetic analyses of a pedigree (MendelianRisk, ...): modes of inheritance,
+ * phenotypes of persons with respect to one disorder, and the biological parents of persons.
+ *
+ * All functions work on a BaseGraph (editor.getGraph().DG.GG in the editor), so that they can be used
+ * without the editor as well. Disorders are identified the same way as in the "disorders" property of
+ * persons, i.e. by OMIM ID or by the (non-sanitized) free-text name.
+ * ===============================================================================================
+ */
+
+/*
+ * Supported modes of inheritance, in the order they are offered to the user
+ */
+Inheritance.MODES = [ "AD", "AR", "XLR", "XLD", "MT" ];
+
+Inheritance.MODE_NAMES = { "AD":  "Autosomal dominant",
+                           "AR":  "Autosomal recessive",
+                           "XLR": "X-linked recessive",
+                           "XLD": "X-linked dominant",
+                           "MT":  "Mitochondrial" };
+
+/*
+ * Returns the phenotype of the given person with respect to the given disorder:
+ *
+ *  "affected":       the person has the disorder (and the carrier status is "affected")
+ *  "presymptomatic": the person has the disorder in the "presymptomatic" carrier status
+ *  "carrier":        the person has the disorder in the "carrier" status, or is a carrier without any disorders
+ *  "unaffected":     the person has been observed not to have the disorder
+ *  "unknown":        nothing is known (unborn, miscarried and aborted fetuses, person groups)
+ */
+Inheritance.getPhenotype = function(GG, v, disorder)
+{
+    var properties = GG.properties[v];
+
+    var disorders = properties.hasOwnProperty("disorders") ? properties["disorders"] : [];
+    var hasDisorder = false;
+    for (var i = 0; i < disorders.length; i++) {
+        if (String(disorders[i]) == String(disorder)) {
+            hasDisorder = true;
+        }
+    }
+
+    var carrierStatus = properties.hasOwnProperty("carrierStatus") ? properties["carrierStatus"] : "";
+    if (hasDisorder) {
+        // a person with a disorder and no explicit status is affected, same as in Person.setCarrierStatus()
+        return (carrierStatus == "carrier" || carrierStatus == "presymptomatic") ? carrierStatus : "affected";
+    }
+    if (carrierStatus == "carrier" && disorders.length == 0) {
+        return "carrier";
+    }
+
+    if (properties["numPersons"] > 0) {
+        return "unknown";
+    }
+    var lifeStatus = properties.hasOwnProperty("lifeStatus") ? properties["lifeStatus"] : "alive";
+    if (lifeStatus == "unborn" || lifeStatus == "aborted" || lifeStatus == "miscarriage") {
+        return "unknown";
+    }
+    return "unaffected";
+}
+
+/*
+ * Returns the biological parents of the given person as { "mother": id, "father": id },
+ * or null if the parents are not in the pedigree. Adopted persons have no biological parents in the pedigree.
+ *
+ * When the genders of the parents do not tell which one is the mother the first one is assumed to be the
+ * father, same as in the exports.
+ */
+Inheritance.getParents = function(GG, v)
+{
+    if (GG.isAdopted(v)) {
+        return null;
+    }
+    var parents = GG.getParents(v);
+    if (parents.length == 0) {
+        return null;
+    }
+    if (GG.properties[parents[0]]["gender"] == "F" || GG.properties[parents[1]]["gender"] == "M") {
+        return { "mother": parents[0], "father": parents[1] };
+    }
+    return { "mother": parents[1], "father": parents[0] };
+}
+
+/*
+ * Returns the biological children of the given person (all children except the adopted ones)
+ */
+Inheritance.getChildren = function(GG, v)
+{
+    var children = [];
+    var relationships = GG.getAllRelationships(v);
+    for (var i = 0; i < relationships.length; i++) {
+        var childhub = GG.getRelationshipChildhub(relationships[i]);
+        var relationshipChildren = GG.getOutEdges(childhub);
+        for (var j = 0; j < relationshipChildren.length; j++) {
+            if (!GG.isAdopted(relationshipChildren[j])) {
+                children.push(relationshipChildren[j]);
+            }
+        }
+    }
+    return children;
+}
+
+/*
+ * Returns true if the person is male. Persons of unknown gender are treated as females for the
+ * X-linked and mitochondrial modes of inheritance.
+ */
+Inheritance.isMale = function(GG, v)
+{
+    return GG.properties[v]["gender"] == "M";
+}
+
+/*
+ * Returns the age of the person in full years (at death for deceased persons), or null if not known
+ */
+Inheritance.getAge = function(GG, v)
+{
+    var properties = GG.properties[v];
+    if (!properties.hasOwnProperty("dob")) {
+        return null;
+    }
+    var birth = new Date(properties["dob"]);
+    if (isNaN(birth.getTime())) {
+        return null;
+    }
+    var last = properties.hasOwnProperty("dod") ? new Date(properties["dod"]) : new Date();
+    if (properties.hasOwnProperty("lifeStatus") && properties["lifeStatus"] != "alive" && !properties.hasOwnProperty("dod")) {
+        return null;
+    }
+    if (isNaN(last.getTime()) || last < birth) {
+        return null;
+    }
+    var age = last.getFullYear() - birth.getFullYear();
+    if (last.getMonth() < birth.getMonth() ||
+        (last.getMonth() == birth.getMonth() && last.getDate() < birth.getDate())) {
+        age--;
+    }
+    return age;
+}
+
+/*
+ * Returns a short description of the person for analysis reports: the name, the external ID
+ * or the internal node ID, whichever is set first
+ */
+Inheritance.getPersonLabel = function(GG, v)
+{
+    var properties = GG.properties[v];
+    var name = ((properties["fName"] ? properties["fName"] : "") + " " + (properties["lName"] ? properties["lName"] : "")).replace(/^\s+|\s+$/g, "");
+    if (name) {
+        return name;
+    }
+    return properties["externalID"] ? properties["externalID"] : ("#" + v);
+}
+
+/*
+ * Returns the IDs of all persons in the pedigree
+ */
+Inheritance.getPersons = function(GG)
+{
+    var persons = [];
+    for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+        if (GG.isPerson(v)) {
+            persons.push(v);
+        }
+    }
+    return persons;
+}
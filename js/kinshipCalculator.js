@@ -0,0 +1,109 @@
+/**
+ * The UI Element displaying the kinship coefficient and the relationship of two persons selected by the user
+ *
+ * @class KinshipCalculator
+ * @constructor
+ */
+
+var KinshipCalculator = Class.create( {
+
+    initialize: function() {
+        var mainDiv = new Element('div', {'class': 'risk-calculator'});
+
+        var settings = new Element('table', {'class': 'risk-calculator-settings'});
+        this._personSelects = [];
+        for (var i = 0; i < 2; i++) {
+            var select = new Element('select', {'name': 'person' + (i + 1)});
+            select.observe('change', this._update.bind(this));
+            this._personSelects.push(select);
+            settings.insert(new Element('tr').insert(new Element('td').update(i == 0 ? "Person:" : "and person:")).insert(new Element('td').insert(select)));
+        }
+        mainDiv.insert(settings);
+
+        this._resultsDiv = new Element('div', {'class': 'risk-calculator-results'});
+        mainDiv.insert(this._resultsDiv);
+
+        var buttons = new Element('div', {'class' : 'buttons import-block-bottom'});
+        buttons.insert(new Element('input', {type: 'button', name : 'cancel', 'value': 'Close', 'class' : 'button secondary'}).wrap('span', {'class' : 'buttonwrapper'}));
+        mainDiv.insert(buttons);
+        buttons.down('input[name="cancel"]').observe('click', this.hide.bind(this));
+
+        var closeShortcut = ['Esc'];
+        this.dialog = new PhenoTips.widgets.ModalPopup(mainDiv, {close: {method : this.hide.bind(this), keys : closeShortcut}}, {extraClassName: "risk-calculator-chooser", title: "Kinship", displayCloseButton: true, verticalPosition: "top"});
+    },
+
+    /**
+     * Fills the lists of persons with all persons in the pedigree
+     *
+     * @private
+     */
+    _updatePersons: function() {
+        var GG = editor.getGraph().DG.GG;
+        var persons = Inheritance.getPersons(GG);
+        this._personSelects.each(function(select, index) {
+            var selected = persons.indexOf(parseInt(select.value)) >= 0 ? parseInt(select.value) : null;
+            if (selected === null && persons.length > index) {
+                // by default compare the proband with the next person
+                selected = persons[index];
+            }
+            select.update();
+            persons.each(function(id) {
+                var option = new Element('option', {'value': id}).update(Inheritance.getPersonLabel(GG, id).escapeHTML());
+                if (id == selected) {
+                    option.selected = true;
+                }
+                select.insert(option);
+            });
+        });
+    },
+
+    /**
+     * Displays the relationship and kinship of the selected persons
+     *
+     * @private
+     */
+    _update: function() {
+        var id1 = parseInt(this._personSelects[0].value);
+        var id2 = parseInt(this._personSelects[1].value);
+        var graph = editor.getGraph();
+        if (isNaN(id1) || isNaN(id2) || !graph.isPerson(id1) || !graph.isPerson(id2)) {
+            this._resultsDiv.update();
+            return;
+        }
+
+        var table = new Element('table', {'class': 'risk-calculator-table'});
+        var _addRow = function(title, value) {
+            table.insert(new Element('tr').insert(new Element('td').update(title)).insert(new Element('td').update(value.escapeHTML())));
+        };
+        if (id1 == id2) {
+            _addRow("Inbreeding coefficient (F)", fractionToString(graph.getInbreedingCoefficient(id1)));
+        } else {
+            var kinship = graph.getKinshipCoefficient(id1, id2);
+            var description = graph.getRelationshipDescription(id1, id2);
+            _addRow("Relationship", description ? description : "not related by blood");
+            _addRow("Kinship coefficient", fractionToString(kinship));
+            _addRow("Inbreeding coefficient (F) of their children", fractionToString(kinship));
+        }
+        this._resultsDiv.update(table);
+    },
+
+    /**
+     * Displays the kinship calculator
+     *
+     * @method show
+     */
+    show: function() {
+        this._updatePersons();
+        this._update();
+        this.dialog.show();
+    },
+
+    /**
+     * Removes the kinship calculator
+     *
+     * @method hide
+     */
+    hide: function() {
+        this.dialog.closeDialog();
+    }
+});
@@ -0,0 +1,172 @@
+/**
+ * Pedigree storage backend which keeps any number of named pedigrees in the browser (in an IndexedDB database),
+ * so that the editor can be used without a PhenoTips server. There is no patient record, and the templates
+ * are the ones in LocalPedigreeStorage.templates.
+ *
+ * The name of the open pedigree is kept in the "pedigree" parameter of the page URL, so reloading the page
+ * reopens the same pedigree.
+ *
+ * @class LocalPedigreeStorage
+ * @extends PedigreeStorage
+ * @constructor
+ */
+
+var LocalPedigreeStorage = Class.create(PedigreeStorage, {
+
+    initialize: function($super) {
+        $super();
+        this._database = null;
+        var urlParameters = window.location.search.toQueryParams();
+        if (urlParameters.pedigree) {
+            this._pedigreeName = urlParameters.pedigree;
+        }
+    },
+
+    setPedigreeName: function($super, name) {
+        $super(name);
+        if (window.history && window.history.replaceState) {
+            var urlParameters = window.location.search.toQueryParams();
+            if (name) {
+                urlParameters.pedigree = name;
+            } else {
+                delete urlParameters.pedigree;
+            }
+            var query = Object.toQueryString(urlParameters);
+            window.history.replaceState(null, "", window.location.pathname + (query ? "?" + query : "") + window.location.hash);
+        }
+    },
+
+    canStoreMultiplePedigrees: function() {
+        return true;
+    },
+
+    canCreatePedigrees: function() {
+        return true;
+    },
+
+    /**
+     * Opens the database (once) and passes the object store holding the pedigrees to onReady
+     *
+     * @param {String} mode "readonly" or "readwrite"
+     * @param {Function} onReady Called with the object store
+     * @param {Function} onFailure Called with the error message
+     * @private
+     */
+    _getStore: function(mode, onReady, onFailure) {
+        var onDatabaseReady = function(database) {
+            try {
+                var transaction = database.transaction(LocalPedigreeStorage.STORE_NAME, mode);
+                transaction.onerror = function(event) {
+                    onFailure(LocalPedigreeStorage._getErrorMessage(event.target.error));
+                };
+                onReady(transaction.objectStore(LocalPedigreeStorage.STORE_NAME));
+            } catch (err) {
+                onFailure(LocalPedigreeStorage._getErrorMessage(err));
+            }
+        };
+
+        if (this._database) {
+            onDatabaseReady(this._database);
+            return;
+        }
+        if (!window.indexedDB) {
+            onFailure("this browser does not support local storage (IndexedDB)");
+            return;
+        }
+        var request = window.indexedDB.open(LocalPedigreeStorage.DATABASE_NAME, LocalPedigreeStorage.DATABASE_VERSION);
+        request.onupgradeneeded = function(event) {
+            var database = event.target.result;
+            if (!database.objectStoreNames.contains(LocalPedigreeStorage.STORE_NAME)) {
+                database.createObjectStore(LocalPedigreeStorage.STORE_NAME, {keyPath: "name"});
+            }
+        };
+        request.onsuccess = function(event) {
+            this._database = event.target.result;
+            onDatabaseReady(this._database);
+        }.bind(this);
+        request.onerror = function(event) {
+            onFailure(LocalPedigreeStorage._getErrorMessage(request.error));
+        };
+    },
+
+    loadPedigree: function(name, onSuccess, onFailure) {
+        this._getStore("readonly", function(store) {
+            store.get(name).onsuccess = function(event) {
+                var record = event.target.result;
+                onSuccess(record ? record.data : "");
+            };
+        }, onFailure);
+    },
+
+    savePedigree: function(name, jsonData, image, onSuccess, onFailure) {
+        this._getStore("readwrite", function(store) {
+            var record = { "name": name, "data": jsonData, "image": image, "modified": new Date() };
+            store.transaction.oncomplete = function() {
+                onSuccess();
+            };
+            store.put(record);
+        }, onFailure);
+    },
+
+    listPedigrees: function(onSuccess, onFailure) {
+        this._getStore("readonly", function(store) {
+            var pedigrees = [];
+            store.openCursor().onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    pedigrees.push(cursor.value);
+                    cursor["continue"]();
+                } else {
+                    onSuccess(pedigrees);   // the cursor iterates in key (i.e. name) order
+                }
+            };
+        }, onFailure);
+    },
+
+    deletePedigree: function(name, onSuccess, onFailure) {
+        this._getStore("readwrite", function(store) {
+            store.transaction.oncomplete = function() {
+                onSuccess();
+            };
+            store["delete"](name);
+        }, onFailure);
+    },
+
+    listTemplates: function(onSuccess, onFailure) {
+        onSuccess(LocalPedigreeStorage.templates);
+    }
+});
+
+LocalPedigreeStorage.DATABASE_NAME    = "panogram";
+LocalPedigreeStorage.DATABASE_VERSION = 1;
+LocalPedigreeStorage.STORE_NAME       = "pedigrees";
+
+LocalPedigreeStorage._getErrorMessage = function(error) {
+    return (error && error.message) ? error.message : "unable to access the local pedigree storage";
+};
+
+/**
+ * Templates offered when a new pedigree is created, in the format accepted by PedigreeImport.initFromSimpleJSON()
+ */
+LocalPedigreeStorage.templates = [
+    { "description": "Proband",
+      "type": "simpleJSON",
+      "image": null,
+      "data": '[{"id": "proband", "proband": true}]' },
+    { "description": "Proband and parents",
+      "type": "simpleJSON",
+      "image": null,
+      "data": '[{"id": "proband", "proband": true, "mother": "mother", "father": "father"},' +
+              ' {"id": "mother", "sex": "female"},' +
+              ' {"id": "father", "sex": "male"}]' },
+    { "description": "Proband, parents and grandparents",
+      "type": "simpleJSON",
+      "image": null,
+      "data": '[{"id": "proband", "proband": true, "mother": "mother", "father": "father"},' +
+              ' {"id": "mother", "sex": "female", "mother": "mm", "father": "mf"},' +
+              ' {"id": "father", "sex": "male", "mother": "fm", "father": "ff"},' +
+              ' {"id": "mm", "sex": "female"}, {"id": "mf", "sex": "male"},' +
+              ' {"id": "fm", "sex": "female"}, {"id": "ff", "sex": "male"}]' }
+];
+
+PedigreeStorage.backends["local"] = LocalPedigreeStorage;
@@ -0,0 +1,439 @@
+MendelianRisk = function () {
+};
+
+MendelianRisk.prototype = {
+};
+
+/* ===============================================================================================
+ *
+ * Computes the probability of each person without a known genotype to be a carrier of the given disorder
+ * or to have the disease genotype, assuming the given mode of inheritance of a single-gene disorder:
+ *
+ *  - the "prior" probabilities only take into account the persons who are known to have the disease allele
+ *    (affected, presymptomatic persons and carriers), i.e. they follow from the Mendelian laws alone
+ *  - the "conditional" probabilities are the prior ones conditioned on all the other observations
+ *    (Bayesian analysis): unaffected persons, taking into account their age and the penetrance of the disorder
+ *
+ *  Returns { "persons": { <person id>: { "phenotype": <see Inheritance.getPhenotype()>,
+ *                                        "prior":       { "carrier": <probability>, "affected": <probability> },
+ *                                        "conditional": { "carrier": <probability>, "affected": <probability> } },
+ *                         ... } }
+ *  for all persons whose phenotype is "unaffected" or "unknown". "affected" is the probability of having the
+ *  disease genotype, "carrier" the probability of being a heterozygous carrier of a recessive disorder
+ *  (null for dominant and mitochondrial disorders, and for males in X-linked recessive disorders).
+ *
+ *  disorder: disorder ID, as used in the "disorders" property of persons
+ *  mode:     one of Inheritance.MODES
+ *  options:  { "alleleFrequency": frequency of the disease allele (mutation) in the population, used for all the
+ *                                 persons whose parents are not in the pedigree (default: 0.001),
+ *              "penetrance":      probability that a person with the disease genotype is affected (default: 1),
+ *              "onsetAge":        age (in years) by which the penetrance is reached. Younger persons are affected with
+ *                                 a proportionally lower probability. 0 (default) for congenital disorders. }
+ *
+ *  Persons of unknown age are assumed to be past the onset age. No new mutations are assumed, monozygotic
+ *  twins are treated as siblings and person groups are treated as single persons of unknown phenotype.
+ *
+ *  Throws if the pedigree is not consistent with the given mode of inheritance (e.g. a mitochondrial
+ *  disorder in the child of an unaffected mother with full penetrance).
+ *
+ *  The probabilities are computed exactly using variable elimination over the genotypes of all persons,
+ *  which also handles consanguineous loops.
+ * ===============================================================================================
+ */
+MendelianRisk.compute = function(GG, disorder, mode, options)
+{
+    if (Inheritance.MODES.indexOf(mode) < 0) {
+        throw "Unsupported mode of inheritance: " + mode;
+    }
+    var settings = {};
+    for (var option in MendelianRisk.DEFAULT_OPTIONS) {
+        if (MendelianRisk.DEFAULT_OPTIONS.hasOwnProperty(option)) {
+            settings[option] = (options && options.hasOwnProperty(option)) ? options[option] : MendelianRisk.DEFAULT_OPTIONS[option];
+        }
+    }
+    if (!(settings.alleleFrequency > 0 && settings.alleleFrequency < 1)) {
+        throw "Allele frequency should be between 0 and 1";
+    }
+    if (!(settings.penetrance > 0 && settings.penetrance <= 1)) {
+        throw "Penetrance should be greater than 0 and at most 1";
+    }
+
+    var model = new MendelianRisk._GenotypeModel(GG, mode, settings);
+
+    var persons = Inheritance.getPersons(GG);
+
+    // factors common to both computations: founder genotype frequencies and Mendelian transmission
+    var inheritanceFactors = [];
+    var knownFactors       = [];   // observations of persons known to carry the disease allele
+    var allFactors         = [];   // all observations
+    var phenotypes = {};
+    for (var i = 0; i < persons.length; i++) {
+        var v = persons[i];
+        inheritanceFactors.push(model.getInheritanceFactor(v));
+
+        phenotypes[v] = Inheritance.getPhenotype(GG, v, disorder);
+        var observation = model.getObservationFactor(v, phenotypes[v]);
+        if (observation) {
+            allFactors.push(observation);
+            if (phenotypes[v] != "unaffected") {
+                knownFactors.push(observation);
+            }
+        }
+    }
+    knownFactors = knownFactors.concat(inheritanceFactors);
+    allFactors   = allFactors.concat(inheritanceFactors);
+
+    var eliminationOrder = MendelianRisk._getEliminationOrder(persons, allFactors);
+
+    var result = { "persons": {} };
+    for (var i = 0; i < persons.length; i++) {
+        var v = persons[i];
+        if (phenotypes[v] != "unaffected" && phenotypes[v] != "unknown") {
+            continue;
+        }
+        var prior       = MendelianRisk._getMarginal(knownFactors, eliminationOrder, v);
+        var conditional = MendelianRisk._getMarginal(allFactors, eliminationOrder, v);
+        if (prior === null || conditional === null) {
+            throw "The pedigree is not consistent with the selected mode of inheritance (" + Inheritance.MODE_NAMES[mode] + ")";
+        }
+        result.persons[v] = { "phenotype":   phenotypes[v],
+                              "prior":       model.summarize(v, prior),
+                              "conditional": model.summarize(v, conditional) };
+    }
+    return result;
+}
+
+MendelianRisk.DEFAULT_OPTIONS = { "alleleFrequency": 0.001, "penetrance": 1, "onsetAge": 0 };
+
+/*
+ * Genotypes of persons are numbered by the number of disease alleles: 0, 1 or 2 for autosomes
+ * and the X chromosome of females, 0 or 1 for the X chromosome of males and for mitochondria
+ * (where 1 means that the mutation is present)
+ */
+MendelianRisk._GenotypeModel = function(GG, mode, settings)
+{
+    this.GG       = GG;
+    this.mode     = mode;
+    this.settings = settings;
+}
+
+MendelianRisk._GenotypeModel.prototype = {
+
+    _isXLinked: function() {
+        return (this.mode == "XLR" || this.mode == "XLD");
+    },
+
+    getNumberOfGenotypes: function(v) {
+        if (this.mode == "MT" || (this._isXLinked() && Inheritance.isMale(this.GG, v))) {
+            return 2;
+        }
+        return 3;
+    },
+
+    // returns true if the given genotype causes the disorder
+    isDiseaseGenotype: function(v, genotype) {
+        if (this.hasCarrierGenotype(v)) {
+            return genotype == 2;
+        }
+        return genotype >= 1;
+    },
+
+    // returns true if the person may be a heterozygous (healthy) carrier
+    hasCarrierGenotype: function(v) {
+        return (this.mode == "AR" || (this.mode == "XLR" && !Inheritance.isMale(this.GG, v)));
+    },
+
+    // returns true if the given genotype is the one of a (healthy) heterozygous carrier of a recessive disorder
+    isCarrierGenotype: function(v, genotype) {
+        return this.hasCarrierGenotype(v) && genotype == 1;
+    },
+
+    // probability that a person with the disease genotype is affected at the age of the given person
+    getPenetrance: function(v) {
+        var age = Inheritance.getAge(this.GG, v);
+        if (this.settings.onsetAge > 0 && age !== null) {
+            return this.settings.penetrance * Math.min(1, age / this.settings.onsetAge);
+        }
+        return this.settings.penetrance;
+    },
+
+    // probability of passing the disease allele to a child, for a parent with the given genotype
+    _getTransmissionProbability: function(parent, genotype, child) {
+        if (this._isXLinked() && Inheritance.isMale(this.GG, parent)) {
+            // fathers pass their X chromosome to daughters only
+            return Inheritance.isMale(this.GG, child) ? 0 : genotype;
+        }
+        return genotype / 2;
+    },
+
+    // genotype frequencies of founders, or Mendelian transmission from the parents
+    getInheritanceFactor: function(v) {
+        var numGenotypes = this.getNumberOfGenotypes(v);
+        var parents = Inheritance.getParents(this.GG, v);
+
+        if (!parents) {
+            var q = this.settings.alleleFrequency;
+            var values = (numGenotypes == 2) ? [1 - q, q] : [(1 - q) * (1 - q), 2 * q * (1 - q), q * q];
+            return new MendelianRisk._Factor([v], [numGenotypes], values);
+        }
+
+        var mother = parents.mother;
+        var father = parents.father;
+        var motherGenotypes = this.getNumberOfGenotypes(mother);
+        var fatherGenotypes = this.getNumberOfGenotypes(father);
+        var factor = new MendelianRisk._Factor([v, mother, father], [numGenotypes, motherGenotypes, fatherGenotypes]);
+        for (var m = 0; m < motherGenotypes; m++) {
+            for (var f = 0; f < fatherGenotypes; f++) {
+                if (this.mode == "MT") {
+                    // mitochondria are inherited from the mother only
+                    var fromMother = m;
+                    var fromFather = 0;
+                } else {
+                    var fromMother = this._getTransmissionProbability(mother, m, v);
+                    var fromFather = (numGenotypes == 2) ? 0 : this._getTransmissionProbability(father, f, v);
+                }
+                var probabilities = [(1 - fromMother) * (1 - fromFather),
+                                     fromMother * (1 - fromFather) + (1 - fromMother) * fromFather,
+                                     fromMother * fromFather];
+                for (var g = 0; g < numGenotypes; g++) {
+                    factor.set([g, m, f], probabilities[g]);
+                }
+            }
+        }
+        return factor;
+    },
+
+    // likelihood of the observed phenotype for each genotype, or null if nothing has been observed
+    getObservationFactor: function(v, phenotype) {
+        if (phenotype == "unknown") {
+            return null;
+        }
+        var numGenotypes = this.getNumberOfGenotypes(v);
+        var penetrance   = this.getPenetrance(v);
+        var factor = new MendelianRisk._Factor([v], [numGenotypes]);
+        for (var g = 0; g < numGenotypes; g++) {
+            var diseaseGenotype = this.isDiseaseGenotype(v, g);
+            var likelihood;
+            if (phenotype == "affected" || phenotype == "presymptomatic") {
+                likelihood = diseaseGenotype ? 1 : 0;
+            } else if (phenotype == "carrier") {
+                // carriers of dominant disorders (and males "carrying" an X-linked recessive one) are
+                // non-penetrant persons with the disease genotype
+                var isCarrier = this.hasCarrierGenotype(v) ? this.isCarrierGenotype(v, g) : diseaseGenotype;
+                likelihood = isCarrier ? 1 : 0;
+            } else {
+                likelihood = diseaseGenotype ? (1 - penetrance) : 1;
+            }
+            factor.set([g], likelihood);
+        }
+        return factor;
+    },
+
+    summarize: function(v, marginal) {
+        var carrier  = 0;
+        var affected = 0;
+        for (var g = 0; g < marginal.length; g++) {
+            if (this.isDiseaseGenotype(v, g)) {
+                affected += marginal[g];
+            }
+            if (this.isCarrierGenotype(v, g)) {
+                carrier += marginal[g];
+            }
+        }
+        return { "carrier": this.hasCarrierGenotype(v) ? carrier : null, "affected": affected };
+    }
+};
+
+/*
+ * A function of the genotypes of several persons, stored as a table of values
+ * (the genotype of the last person changes fastest)
+ */
+MendelianRisk._Factor = function(variables, sizes, values)
+{
+    this.variables = variables;
+    this.sizes     = sizes;
+    var size = 1;
+    for (var i = 0; i < sizes.length; i++) {
+        size *= sizes[i];
+    }
+    if (values) {
+        this.values = values;
+    } else {
+        this.values = [];
+        for (var i = 0; i < size; i++) {
+            this.values.push(0);
+        }
+    }
+}
+
+MendelianRisk._Factor.prototype = {
+
+    _getIndex: function(assignment) {
+        var index = 0;
+        for (var i = 0; i < this.sizes.length; i++) {
+            index = index * this.sizes[i] + assignment[i];
+        }
+        return index;
+    },
+
+    set: function(assignment, value) {
+        this.values[this._getIndex(assignment)] = value;
+    },
+
+    // returns the product of this factor and the given one, with the given variable summed out (if not null)
+    multiplyAndSumOut: function(other, sumOutVariable) {
+        var variables = this.variables.slice(0);
+        var sizes     = this.sizes.slice(0);
+        for (var i = 0; i < other.variables.length; i++) {
+            if (variables.indexOf(other.variables[i]) < 0) {
+                variables.push(other.variables[i]);
+                sizes.push(other.sizes[i]);
+            }
+        }
+        var resultVariables = [];
+        var resultSizes     = [];
+        for (var i = 0; i < variables.length; i++) {
+            if (variables[i] !== sumOutVariable) {
+                resultVariables.push(variables[i]);
+                resultSizes.push(sizes[i]);
+            }
+        }
+        var result = new MendelianRisk._Factor(resultVariables, resultSizes);
+
+        // how much the index into each of the tables changes when the genotype of each variable is incremented
+        var thisStrides   = MendelianRisk._getStrides(variables, this);
+        var otherStrides  = MendelianRisk._getStrides(variables, other);
+        var resultStrides = MendelianRisk._getStrides(variables, result);
+
+        // iterate over all assignments of all the variables
+        var assignment = sizes.map(function() { return 0; });
+        var thisIndex = 0, otherIndex = 0, resultIndex = 0;
+        while (true) {
+            var value = this.values[thisIndex] * other.values[otherIndex];
+            if (value != 0) {
+                result.values[resultIndex] += value;
+            }
+            var next = assignment.length - 1;
+            while (next >= 0 && assignment[next] == sizes[next] - 1) {
+                thisIndex   -= assignment[next] * thisStrides[next];
+                otherIndex  -= assignment[next] * otherStrides[next];
+                resultIndex -= assignment[next] * resultStrides[next];
+                assignment[next--] = 0;
+            }
+            if (next < 0) break;
+            assignment[next]++;
+            thisIndex   += thisStrides[next];
+            otherIndex  += otherStrides[next];
+            resultIndex += resultStrides[next];
+        }
+        return result;
+    }
+};
+
+/*
+ * Returns, for each of the given variables, the change of the index into the table of the given factor
+ * when the genotype of the variable is incremented (0 for variables the factor does not depend on)
+ */
+MendelianRisk._getStrides = function(variables, factor)
+{
+    var strides = variables.map(function() { return 0; });
+    var stride = 1;
+    for (var i = factor.variables.length - 1; i >= 0; i--) {
+        strides[variables.indexOf(factor.variables[i])] = stride;
+        stride *= factor.sizes[i];
+    }
+    return strides;
+}
+
+/*
+ * Returns an order in which the genotypes can be summed out without creating large tables
+ * (greedy: the person with the fewest neighbours in the remaining graph of factors first)
+ */
+MendelianRisk._getEliminationOrder = function(persons, factors)
+{
+    var neighbours = {};
+    for (var i = 0; i < persons.length; i++) {
+        neighbours[persons[i]] = {};
+    }
+    for (var i = 0; i < factors.length; i++) {
+        var variables = factors[i].variables;
+        for (var j = 0; j < variables.length; j++) {
+            for (var k = 0; k < variables.length; k++) {
+                if (j != k) {
+                    neighbours[variables[j]][variables[k]] = true;
+                }
+            }
+        }
+    }
+
+    var order = [];
+    var remaining = persons.slice(0);
+    while (remaining.length > 0) {
+        var best = 0;
+        var bestCount = Infinity;
+        for (var i = 0; i < remaining.length; i++) {
+            var count = Object.keys(neighbours[remaining[i]]).length;
+            if (count < bestCount) {
+                best = i;
+                bestCount = count;
+            }
+        }
+        var v = remaining[best];
+        remaining.splice(best, 1);
+        order.push(v);
+
+        // summing out v connects all its neighbours with each other
+        var vNeighbours = Object.keys(neighbours[v]);
+        for (var j = 0; j < vNeighbours.length; j++) {
+            delete neighbours[vNeighbours[j]][v];
+            for (var k = 0; k < vNeighbours.length; k++) {
+                if (j != k) {
+                    neighbours[vNeighbours[j]][vNeighbours[k]] = true;
+                }
+            }
+        }
+    }
+    return order;
+}
+
+/*
+ * Returns the normalized probabilities of the genotypes of the given person, given all the factors,
+ * or null if the factors are contradictory (the total probability is 0)
+ */
+MendelianRisk._getMarginal = function(factors, eliminationOrder, target)
+{
+    var remaining = factors.slice(0);
+    for (var i = 0; i < eliminationOrder.length; i++) {
+        var v = eliminationOrder[i];
+        if (v == target) continue;
+
+        var product = null;
+        var rest = [];
+        for (var j = 0; j < remaining.length; j++) {
+            if (remaining[j].variables.indexOf(v) >= 0) {
+                product = (product === null) ? remaining[j] : product.multiplyAndSumOut(remaining[j], null);
+            } else {
+                rest.push(remaining[j]);
+            }
+        }
+        if (product !== null) {
+            rest.push(product.multiplyAndSumOut(new MendelianRisk._Factor([], [], [1]), v));
+        }
+        remaining = rest;
+    }
+
+    // only factors of the target person (and constants) are left
+    var marginal = null;
+    for (var i = 0; i < remaining.length; i++) {
+        marginal = (marginal === null) ? remaining[i] : marginal.multiplyAndSumOut(remaining[i], null);
+    }
+    var values = marginal.values;
+    var total = 0;
+    for (var i = 0; i < values.length; i++) {
+        total += values[i];
+    }
+    if (!(total > 0)) {
+        return null;
+    }
+    return values.map(function(value) { return value / total; });
+}
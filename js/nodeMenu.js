@@ -11,6 +11,7 @@
         'name' : the name of the menu item,
         'label' : the text label above this menu option,
         'type' : the type of form input. (eg. 'radio', 'date-picker', 'text', 'textarea', 'disease-picker', 'select'),
+                 or 'info' for read-only information computed from the pedigree,
         'values' : [
                     {'actual' : actual value of the option, 'displayed' : the way the option will be seen in the menu} ...
                     ]
@@ -608,6 +609,11 @@ NodeMenu = Class.create({
             var input = new Element('input', {type: 'hidden', name: data.name, value: ''});
             result.update(input);
             return result;
+        },
+        'info' : function (data) {
+            var result = this._generateEmptyField(data);
+            result.inputsContainer.insert(new Element('span', {'class': 'field-info'}));
+            return result;
         }
     },
 
@@ -827,6 +833,12 @@ NodeMenu = Class.create({
             if (target) {
                 target.value = value;
             }
+        },
+        'info' : function (container, value) {
+            var target = container.down('.field-info');
+            if (target) {
+                target.update(String(value).escapeHTML());
+            }
         }
     },
 
@@ -887,6 +899,9 @@ NodeMenu = Class.create({
         },
         'hidden' : function (container, inactive) {
             this._toggleFieldVisibility(container, inactive);
+        },
+        'info' : function (container, inactive) {
+            this._toggleFieldVisibility(container, inactive);
         }
     },
 
@@ -939,6 +954,9 @@ NodeMenu = Class.create({
         },
         'hidden' : function (container, inactive) {
             // FIXME: Not implemented
+        },
+        'info' : function (container, disabled) {
+            // read-only anyway
         }
     }
 });
@@ -0,0 +1,153 @@
+/**
+ * The UI Element for selecting a disorder and a mode of inheritance for which the obligate carriers
+ * (see ObligateCarriers) are marked in the pedigree. Once selected, the marks are updated after every
+ * change of the pedigree until the user turns the detection off.
+ *
+ * @class ObligateCarrierMarker
+ * @constructor
+ */
+
+var ObligateCarrierMarker = Class.create( {
+
+    initialize: function() {
+        this._disorder = null;
+        this._mode     = null;
+
+        var mainDiv = new Element('div', {'class': 'risk-calculator'});
+
+        var settings = new Element('table', {'class': 'risk-calculator-settings'});
+        this._disorderSelect = new Element('select', {'name': 'disorder'});
+        this._modeSelect     = new Element('select', {'name': 'mode'});
+        Inheritance.MODES.each(function(mode) {
+            this._modeSelect.insert(new Element('option', {'value': mode}).update(Inheritance.MODE_NAMES[mode]));
+        }.bind(this));
+        settings.insert(new Element('tr').insert(new Element('td').update("Disorder:")).insert(new Element('td').insert(this._disorderSelect)));
+        settings.insert(new Element('tr').insert(new Element('td').update("Mode of inheritance:")).insert(new Element('td').insert(this._modeSelect)));
+        mainDiv.insert(settings);
+
+        this._resultsDiv = new Element('div', {'class': 'risk-calculator-results'});
+        mainDiv.insert(this._resultsDiv);
+
+        var buttons = new Element('div', {'class' : 'buttons import-block-bottom'});
+        buttons.insert(new Element('input', {type: 'button', name : 'mark', 'value': 'Mark obligate carriers', 'class' : 'button'}).wrap('span', {'class' : 'buttonwrapper'}));
+        buttons.insert(new Element('input', {type: 'button', name : 'unmark', 'value': 'Remove marks', 'class' : 'button secondary'}).wrap('span', {'class' : 'buttonwrapper'}));
+        buttons.insert(new Element('input', {type: 'button', name : 'cancel', 'value': 'Close', 'class' : 'button secondary'}).wrap('span', {'class' : 'buttonwrapper'}));
+        mainDiv.insert(buttons);
+
+        buttons.down('input[name="mark"]').observe('click', this._onMark.bind(this));
+        buttons.down('input[name="unmark"]').observe('click', this._onUnmark.bind(this));
+        buttons.down('input[name="cancel"]').observe('click', this.hide.bind(this));
+
+        var closeShortcut = ['Esc'];
+        this.dialog = new PhenoTips.widgets.ModalPopup(mainDiv, {close: {method : this.hide.bind(this), keys : closeShortcut}}, {extraClassName: "risk-calculator-chooser", title: "Obligate carriers", displayCloseButton: true, verticalPosition: "top"});
+
+        // the marks are updated once the controller has applied the change (the controller is created before this object)
+        var update = this.update.bind(this);
+        Controller.GRAPH_CHANGE_EVENTS.each(function(eventName) {
+            document.observe(eventName, update);
+        });
+    },
+
+    _onMark: function() {
+        var disorder = this._disorderSelect.value;
+        if (!disorder) {
+            alert("There are no disorders in the pedigree: assign a disorder to the affected persons first");
+            return;
+        }
+        this._disorder = disorder;
+        this._mode     = this._modeSelect.value;
+        this.update();
+    },
+
+    _onUnmark: function() {
+        this._disorder = null;
+        this._mode     = null;
+        this.update();
+    },
+
+    /**
+     * Recomputes the obligate carriers for the selected disorder and mode of inheritance and updates
+     * the marks in the pedigree
+     *
+     * @method update
+     */
+    update: function() {
+        var carriers = {};
+        if (this._disorder !== null) {
+            try {
+                carriers = ObligateCarriers.find(editor.getGraph().DG.GG, this._disorder, this._mode);
+            } catch (err) {
+                console.log("Unable to find obligate carriers: " + err);
+            }
+        }
+
+        var nodeMap = editor.getView().getNodeMap();
+        for (var nodeID in nodeMap) {
+            if (nodeMap.hasOwnProperty(nodeID) && editor.getGraph().isPerson(nodeID)) {
+                var node = nodeMap[nodeID];
+                node.setObligateCarrier && node.setObligateCarrier(carriers.hasOwnProperty(nodeID) ? carriers[nodeID] : null);
+            }
+        }
+
+        this._displayCarriers(carriers);
+    },
+
+    /**
+     * Lists the obligate carriers and the reasons they have been found for
+     *
+     * @private
+     */
+    _displayCarriers: function(carriers) {
+        if (this._disorder === null) {
+            this._resultsDiv.update();
+            return;
+        }
+        var personIDs = Object.keys(carriers);
+        if (personIDs.length == 0) {
+            this._resultsDiv.update("No obligate carriers");
+            return;
+        }
+        var GG = editor.getGraph().DG.GG;
+        var table = new Element('table', {'class': 'risk-calculator-table'});
+        table.insert(new Element('tr').insert(new Element('th').update("Obligate carrier")).insert(new Element('th').update("Reason")));
+        personIDs.each(function(id) {
+            var row = new Element('tr');
+            row.insert(new Element('td').update(Inheritance.getPersonLabel(GG, id).escapeHTML()));
+            row.insert(new Element('td').update(carriers[id].escapeHTML()));
+            table.insert(row);
+        });
+        this._resultsDiv.update(table);
+    },
+
+    /**
+     * Fills the list of disorders with the disorders currently present in the pedigree
+     *
+     * @private
+     */
+    _updateDisorders: function() {
+        var selected = (this._disorder !== null) ? this._disorder : this._disorderSelect.value;
+        RiskCalculator.updateDisorderSelect(this._disorderSelect, selected);
+        if (this._mode !== null) {
+            this._modeSelect.value = this._mode;
+        }
+    },
+
+    /**
+     * Displays the obligate carrier settings
+     *
+     * @method show
+     */
+    show: function() {
+        this._updateDisorders();
+        this.dialog.show();
+    },
+
+    /**
+     * Removes the obligate carrier settings
+     *
+     * @method hide
+     */
+    hide: function() {
+        this.dialog.closeDialog();
+    }
+});
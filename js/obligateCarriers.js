@@ -0,0 +1,244 @@
+ObligateCarriers = function () {
+};
+
+ObligateCarriers.prototype = {
+};
+
+/* ===============================================================================================
+ *
+ * Finds the obligate carriers of the given disorder: unaffected persons who must carry the disease allele
+ * given the affected persons in the pedigree and the given mode of inheritance (assuming no new mutations):
+ *
+ *  - AR:       both parents and all children of an affected person
+ *  - XLR:      daughters of affected males; mothers of two affected sons (or, more generally, of two children
+ *              the disease allele has been passed to); mothers of an affected son whose own mother is an
+ *              obligate carrier, e.g. when a brother or a maternal uncle is also affected
+ *  - AD, XLD:  unaffected persons between two affected persons in a line of descent (non-penetrant carriers),
+ *              when the disease allele can not have come from the other parent of the affected descendant
+ *  - MT:       maternal ancestors of affected persons
+ *
+ *  Persons marked as carriers are treated as having the disease allele, but are not reported.
+ *
+ *  Returns { <person id>: <human readable reason>, ... }
+ * ===============================================================================================
+ */
+ObligateCarriers.find = function(GG, disorder, mode)
+{
+    if (Inheritance.MODES.indexOf(mode) < 0) {
+        throw "Unsupported mode of inheritance: " + mode;
+    }
+
+    var persons    = Inheritance.getPersons(GG);
+    var phenotypes = {};
+    for (var i = 0; i < persons.length; i++) {
+        phenotypes[persons[i]] = Inheritance.getPhenotype(GG, persons[i], disorder);
+    }
+
+    var finder = new ObligateCarriers._Finder(GG, persons, phenotypes);
+    if (mode == "AR") {
+        finder.findRecessive();
+    } else if (mode == "XLR") {
+        finder.findXLinkedRecessive();
+    } else if (mode == "MT") {
+        finder.findMitochondrial();
+    } else {
+        finder.findDominant(mode == "XLD");
+    }
+    return finder.carriers;
+}
+
+ObligateCarriers._Finder = function(GG, persons, phenotypes)
+{
+    this.GG         = GG;
+    this.persons    = persons;
+    this.phenotypes = phenotypes;
+    this.carriers   = {};
+}
+
+ObligateCarriers._Finder.prototype = {
+
+    // returns true if the person has the disease genotype
+    _isAffected: function(v) {
+        return this.phenotypes[v] == "affected" || this.phenotypes[v] == "presymptomatic";
+    },
+
+    // returns true if the person is known to carry the disease allele, including the obligate carriers found so far
+    _hasAllele: function(v) {
+        return this._isAffected(v) || this.phenotypes[v] == "carrier" || this.carriers.hasOwnProperty(v);
+    },
+
+    // marks the person as an obligate carrier, unless the status is already known. Returns true if the person was marked
+    _mark: function(v, reason) {
+        if (this.phenotypes[v] != "unaffected" || this.carriers.hasOwnProperty(v)) {
+            return false;
+        }
+        this.carriers[v] = reason;
+        return true;
+    },
+
+    _getLabel: function(v) {
+        return Inheritance.getPersonLabel(this.GG, v);
+    },
+
+    findRecessive: function() {
+        for (var i = 0; i < this.persons.length; i++) {
+            var v = this.persons[i];
+            if (!this._isAffected(v)) continue;
+
+            var parents = Inheritance.getParents(this.GG, v);
+            if (parents) {
+                this._mark(parents.mother, "mother of affected " + this._getLabel(v));
+                this._mark(parents.father, "father of affected " + this._getLabel(v));
+            }
+            var children = Inheritance.getChildren(this.GG, v);
+            for (var j = 0; j < children.length; j++) {
+                this._mark(children[j], "child of affected " + this._getLabel(v));
+            }
+        }
+    },
+
+    findXLinkedRecessive: function() {
+        // daughters of affected males
+        for (var i = 0; i < this.persons.length; i++) {
+            var v = this.persons[i];
+            if (!this._isAffected(v) || !Inheritance.isMale(this.GG, v)) continue;
+
+            var children = Inheritance.getChildren(this.GG, v);
+            for (var j = 0; j < children.length; j++) {
+                if (!Inheritance.isMale(this.GG, children[j])) {
+                    this._mark(children[j], "daughter of affected " + this._getLabel(v));
+                }
+            }
+        }
+
+        // a woman who has passed the disease allele to two of her children, or who has passed it to one child
+        // and has received it from her mother, has not acquired the allele by a new mutation in one of the children.
+        // Each new carrier may make her mother or her daughters carriers, so repeat until nothing changes
+        var changed = true;
+        while (changed) {
+            changed = false;
+            for (var i = 0; i < this.persons.length; i++) {
+                var v = this.persons[i];
+                if (Inheritance.isMale(this.GG, v) || this._hasAllele(v)) continue;
+
+                var transmitting = this._getTransmittingChildren(v);
+                var parents = Inheritance.getParents(this.GG, v);
+                if (transmitting.length >= 2) {
+                    changed = this._mark(v, "mother of " + transmitting.map(this._getLabel.bind(this)).join(" and ") +
+                                            ", who have inherited the disease allele") || changed;
+                } else if (transmitting.length == 1 && parents && this._hasAllele(parents.mother)) {
+                    changed = this._mark(v, "mother of " + this._getLabel(transmitting[0]) + " and daughter of carrier " +
+                                            this._getLabel(parents.mother)) || changed;
+                }
+            }
+        }
+    },
+
+    // returns the children of the given woman who have the disease allele of an X-linked recessive disorder
+    // (affected sons, carrier daughters) or who have passed it on to one of their children
+    _getTransmittingChildren: function(v) {
+        var result = [];
+        var children = Inheritance.getChildren(this.GG, v);
+        for (var i = 0; i < children.length; i++) {
+            var child = children[i];
+            if (Inheritance.isMale(this.GG, child)) {
+                if (this._isAffected(child) || this.phenotypes[child] == "carrier") {
+                    result.push(child);
+                }
+            } else {
+                // the allele of a daughter may come from the father as well
+                var parents = Inheritance.getParents(this.GG, child);
+                if (parents && this._hasAllele(parents.father)) continue;
+                if (this._hasAllele(child) || this._getTransmittingChildren(child).length > 0) {
+                    result.push(child);
+                }
+            }
+        }
+        return result;
+    },
+
+    findMitochondrial: function() {
+        // mitochondria are inherited from the mother only, so all maternal ancestors of an affected person carry the mutation
+        for (var i = 0; i < this.persons.length; i++) {
+            var v = this.persons[i];
+            if (!this._isAffected(v)) continue;
+
+            var descendant = v;
+            var parents = Inheritance.getParents(this.GG, descendant);
+            while (parents && !this._isAffected(parents.mother)) {
+                this._mark(parents.mother, "maternal ancestor of affected " + this._getLabel(v));
+                descendant = parents.mother;
+                parents = Inheritance.getParents(this.GG, descendant);
+            }
+        }
+    },
+
+    findDominant: function(xLinked) {
+        var GG = this.GG;
+        var _this = this;
+
+        // a child can inherit the disease allele from the given parent
+        var canInherit = function(child, parent) {
+            return !(xLinked && Inheritance.isMale(GG, parent) && Inheritance.isMale(GG, child));
+        };
+
+        // persons with an affected ancestor in their line of descent
+        var affectedAncestor = {};
+        var _findAffectedAncestor = function(v) {
+            if (affectedAncestor.hasOwnProperty(v)) {
+                return affectedAncestor[v];
+            }
+            affectedAncestor[v] = null;
+            var parents = Inheritance.getParents(GG, v);
+            if (parents) {
+                var bothParents = [parents.mother, parents.father];
+                for (var i = 0; i < bothParents.length && affectedAncestor[v] === null; i++) {
+                    var parent = bothParents[i];
+                    if (!canInherit(v, parent)) continue;
+                    if (_this._isAffected(parent)) {
+                        affectedAncestor[v] = parent;
+                    } else if (_findAffectedAncestor(parent) !== null) {
+                        affectedAncestor[v] = affectedAncestor[parent];
+                    }
+                }
+            }
+            return affectedAncestor[v];
+        };
+
+        // persons who must have passed the disease allele to an affected descendant: the other parent of each
+        // child on the way to the affected descendant is unaffected and has no affected ancestors
+        var affectedDescendant = {};
+        var _findAffectedDescendant = function(v) {
+            if (affectedDescendant.hasOwnProperty(v)) {
+                return affectedDescendant[v];
+            }
+            affectedDescendant[v] = null;
+            var children = Inheritance.getChildren(GG, v);
+            for (var i = 0; i < children.length && affectedDescendant[v] === null; i++) {
+                var child = children[i];
+                if (!canInherit(child, v)) continue;
+                var parents = Inheritance.getParents(GG, child);
+                var otherParent = (parents.mother == v) ? parents.father : parents.mother;
+                if (canInherit(child, otherParent) &&
+                    (_this._hasAllele(otherParent) || _findAffectedAncestor(otherParent) !== null)) continue;
+                if (_this._isAffected(child)) {
+                    affectedDescendant[v] = child;
+                } else if (_findAffectedDescendant(child) !== null) {
+                    affectedDescendant[v] = affectedDescendant[child];
+                }
+            }
+            return affectedDescendant[v];
+        };
+
+        for (var i = 0; i < this.persons.length; i++) {
+            var v = this.persons[i];
+            if (this.phenotypes[v] != "unaffected") continue;
+            var ancestor   = _findAffectedAncestor(v);
+            var descendant = ancestor !== null ? _findAffectedDescendant(v) : null;
+            if (descendant !== null) {
+                this._mark(v, "not penetrant in a line of descent from affected " + this._getLabel(ancestor) +
+                              " to affected " + this._getLabel(descendant));
+            }
+        }
+    }
+};
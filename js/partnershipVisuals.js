@@ -15,6 +15,7 @@ var PartnershipVisuals = Class.create(AbstractNodeVisuals, {
         $super(partnership, x,y);
         this._childlessShape = null;
         this._childlessStatusLabel = null;
+        this._consangrLabel = null;
         this._junctionShape = editor.getPaper().circle(x,y, PedigreeEditor.attributes.partnershipRadius).attr(PedigreeEditor.attributes.partnershipNode);
 
         if (editor.isReadOnlyMode()) {
@@ -144,6 +145,8 @@ var PartnershipVisuals = Class.create(AbstractNodeVisuals, {
             consangr = true;
             
         var lineAttr = consangr ? PedigreeEditor.attributes.consangrPartnershipLines : PedigreeEditor.attributes.partnershipLines;
+
+        this.updateConsanguinityLabel(consangr);
         
         var partnerPaths = positionedGraph.getPathToParents(id);  // partnerPaths = [ [virtual_node_11, ..., virtual_node_1n, parent1], [virtual_node_21, ..., virtual_node_2n, parent21] ]
         
@@ -303,6 +306,24 @@ var PartnershipVisuals = Class.create(AbstractNodeVisuals, {
         }
     },
 
+    /**
+     * Labels a consanguineous partnership with the degree of relationship of the partners and the inbreeding
+     * coefficient of their children, e.g. "first cousins, F = 1/16"
+     *
+     * @method updateConsanguinityLabel
+     * @param {Boolean} consangr True if the partnership is displayed as consanguineous
+     */
+    updateConsanguinityLabel: function(consangr) {
+        this._consangrLabel && this._consangrLabel.remove();
+        this._consangrLabel = null;
+
+        var description = consangr ? editor.getGraph().getConsanguinityDescription(this.getNode().getID()) : null;
+        if (description) {
+            this._consangrLabel = editor.getPaper().text(this.getX(), this.getY() - 16, description).attr(PedigreeEditor.attributes.consangrLabel);
+            this._consangrLabel.insertBefore(this._junctionShape.flatten());
+        }
+    },
+
     /**
      * Updates the path of the connection for the given pregnancy or creates a new
      * connection if it doesn't exist.
@@ -448,6 +469,7 @@ var PartnershipVisuals = Class.create(AbstractNodeVisuals, {
         this.getJunctionShape().remove();
         this.getHoverBox().remove();
         this._idLabel && this._idLabel.remove();
+        this._consangrLabel && this._consangrLabel.remove();
         this.getChildlessShape() && this.getChildlessShape().remove();
         this.getChildlessStatusLabel() && this.getChildlessStatusLabel().remove();
         this._childhubConnection && this._childhubConnection.remove();
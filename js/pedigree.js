@@ -14,6 +14,9 @@ var PedigreeEditor = Class.create({
         // initialize main data structure which holds the graph structure
         this._graphModel = DynamicPositionedGraph.makeEmpty(PedigreeEditor.attributes.layoutRelativePersonWidth, PedigreeEditor.attributes.layoutRelativeOtherWidth);
 
+        // the backend which stores the pedigrees, see PedigreeStorage
+        this._storage = PedigreeStorage.create();
+
         //initialize the elements of the app
         this._workspace = new Workspace();
         this._nodeMenu = this.generateNodeMenu();
@@ -30,8 +33,13 @@ var PedigreeEditor = Class.create({
 
         this._actionStack = new ActionStack();
         this._templateSelector = new TemplateSelector();
+        this._pedigreeLibrary = this._storage.canStoreMultiplePedigrees() ? new PedigreeLibrary() : null;
         this._importSelector = new ImportSelector();
         this._exportSelector = new ExportSelector();
+        this._riskCalculator = new RiskCalculator();
+        this._kinshipCalculator = new KinshipCalculator();
+        this._segregationReport = new SegregationReport();
+        this._vcfSampleLinker = new VCFSampleLinker();
         // this._saveLoadIndicator = new SaveLoadIndicator();
         this._versionUpdater = new VersionUpdater();
         this._saveLoadEngine = new SaveLoadEngine();
@@ -41,6 +49,8 @@ var PedigreeEditor = Class.create({
         this._probandData.load( this._saveLoadEngine.load.bind(this._saveLoadEngine) );
 
         this._controller = new Controller();
+        this._obligateCarrierMarker = new ObligateCarrierMarker();
+        this._probandRelationshipLabels = new ProbandRelationshipLabels();
 
         //attach actions to buttons on the top bar
         var undoButton = $('action-undo');
@@ -66,11 +76,20 @@ var PedigreeEditor = Class.create({
             editor.getView().unmarkAll();
             editor.getSaveLoadEngine().save();
         });
+        var saveAsButton = $('action-saveas');
+        saveAsButton && saveAsButton.on("click", function(event) {
+            editor.getView().unmarkAll();
+            editor.getSaveLoadEngine().saveAs();
+        });
         var loadButton = $('action-reload');
         loadButton && loadButton.on("click", function(event) {
             editor.getSaveLoadEngine().load();
         });
 
+        var openButton = $('action-open');
+        openButton && openButton.on("click", function(event) {
+            editor.getPedigreeLibrary().show();
+        });
         var templatesButton = $('action-templates');
         templatesButton && templatesButton.on("click", function(event) {
             editor.getTemplateSelector().show();
@@ -83,6 +102,30 @@ var PedigreeEditor = Class.create({
         exportButton && exportButton.on("click", function(event) {
             editor.getExportSelector().show();
         });
+        var riskButton = $('action-risk');
+        riskButton && riskButton.on("click", function(event) {
+            editor.getRiskCalculator().show();
+        });
+        var kinshipButton = $('action-kinship');
+        kinshipButton && kinshipButton.on("click", function(event) {
+            editor.getKinshipCalculator().show();
+        });
+        var carriersButton = $('action-carriers');
+        carriersButton && carriersButton.on("click", function(event) {
+            editor.getObligateCarrierMarker().show();
+        });
+        var modesButton = $('action-modes');
+        modesButton && modesButton.on("click", function(event) {
+            editor.getSegregationReport().show();
+        });
+        var relationshipsButton = $('action-relationships');
+        relationshipsButton && relationshipsButton.on("click", function(event) {
+            editor.getProbandRelationshipLabels().toggle();
+        });
+        var samplesButton = $('action-samples');
+        samplesButton && samplesButton.on("click", function(event) {
+            editor.getVCFSampleLinker().show();
+        });
 
         var closeButton = $('action-close');
         closeButton && closeButton.on("click", function(event) {
@@ -259,6 +302,14 @@ var PedigreeEditor = Class.create({
         return false;
     },
 
+    /**
+     * @method getStorage
+     * @return {PedigreeStorage} The backend which stores the pedigrees
+     */
+    getStorage: function() {
+        return this._storage;
+    },
+
     /**
      * @method getSaveLoadEngine
      * @return {SaveLoadEngine} Engine responsible for saving and loading operations
@@ -269,12 +320,28 @@ var PedigreeEditor = Class.create({
 
     /**
      * @method getProbandDataFromPhenotips
-     * @return {firstName: "...", lastName: "..."}
+     * @return {firstName: "...", lastName: "..."}, or undefined if the storage has no patient record
      */
     getProbandDataFromPhenotips: function() {
         return this._probandData.probandData;
     },
 
+    /**
+     * @method getProbandDataLoader
+     * @return {ProbandDataLoader}
+     */
+    getProbandDataLoader: function() {
+        return this._probandData;
+    },
+
+    /**
+     * @method getPedigreeLibrary
+     * @return {PedigreeLibrary} The list of saved pedigrees, or null if the storage backend can store only one pedigree
+     */
+    getPedigreeLibrary: function() {
+        return this._pedigreeLibrary;
+    },
+
     /**
      * @method getTemplateSelector
      * @return {TemplateSelector}
@@ -299,6 +366,54 @@ var PedigreeEditor = Class.create({
         return this._exportSelector
     },
 
+    /**
+     * @method getRiskCalculator
+     * @return {RiskCalculator}
+     */
+    getRiskCalculator: function() {
+        return this._riskCalculator
+    },
+
+    /**
+     * @method getKinshipCalculator
+     * @return {KinshipCalculator}
+     */
+    getKinshipCalculator: function() {
+        return this._kinshipCalculator
+    },
+
+    /**
+     * @method getSegregationReport
+     * @return {SegregationReport}
+     */
+    getSegregationReport: function() {
+        return this._segregationReport
+    },
+
+    /**
+     * @method getObligateCarrierMarker
+     * @return {ObligateCarrierMarker}
+     */
+    getObligateCarrierMarker: function() {
+        return this._obligateCarrierMarker
+    },
+
+    /**
+     * @method getProbandRelationshipLabels
+     * @return {ProbandRelationshipLabels}
+     */
+    getProbandRelationshipLabels: function() {
+        return this._probandRelationshipLabels
+    },
+
+    /**
+     * @method getVCFSampleLinker
+     * @return {VCFSampleLinker}
+     */
+    getVCFSampleLinker: function() {
+        return this._vcfSampleLinker
+    },
+
     /**
      * Returns true if any of the node menus are visible
      * (since some UI interactions should be disabled while menu is active - e.g. mouse wheel zoom)
@@ -369,6 +484,19 @@ var PedigreeEditor = Class.create({
                 'tab': 'Personal',
                 'function' : 'setExternalID'
             },
+            {
+                'name' : 'sample_id',
+                'label': 'Sample ID (in sequencing data)',
+                'type' : 'text',
+                'tab': 'Personal',
+                'function' : 'setSampleID'
+            },
+            {
+                'name' : 'relationship',
+                'label': 'Relationship to proband',
+                'type' : 'info',
+                'tab': 'Personal'
+            },
             {
                 'name' : 'ethnicity',
                 'label' : 'Ethnicities',
@@ -384,7 +512,7 @@ var PedigreeEditor = Class.create({
                 'values' : [
                     { 'actual' : '', 'displayed' : 'Not affected' },
                     { 'actual' : 'carrier', 'displayed' : 'Carrier' },
-                    //{ 'actual' : 'obligate', 'displayed' : 'Obligate carrier' },
+                    // obligate carriers are not set by the user but detected automatically, see ObligateCarrierMarker
                     { 'actual' : 'affected', 'displayed' : 'Affected' },
                     { 'actual' : 'presymptomatic', 'displayed' : 'Pre-symptomatic' }
                 ],
@@ -398,6 +526,12 @@ var PedigreeEditor = Class.create({
                 'tab': 'Clinical',
                 'function' : 'setEvaluated'
             },
+            {
+                'name' : 'inbreeding',
+                'label' : 'Inbreeding coefficient (F)',
+                'type' : 'info',
+                'tab': 'Clinical'
+            },
             {
                 'name' : 'disorders',
                 'label' : 'Known disorders of this individual',
@@ -721,7 +855,9 @@ PedigreeEditor.attributes = {
     curvedLinesCornerRadius: 25,
     unbornShape: {'font-size': 50, 'font-family': 'Cambria'},
     carrierShape: {fill : '#595959'},
+    obligateCarrierShape: {fill : '#595959', stroke : '#595959', 'stroke-width' : 3, 'fill-opacity' : 0.35},
     carrierDotRadius: 8,
+    consangrLabel: {'font-size': 14, 'font-family': 'Arial', fill: '#595959'},
     presymptomaticShape: {fill : '#777777', "stroke": "#777777"},
     presymptomaticShapeWidth: 8,
     evaluationShape: {'font-size': 40, 'font-family': 'Arial'},
@@ -746,6 +882,7 @@ PedigreeEditor.attributes = {
     nameLabels: {'font-size': 20, 'font-family': 'Arial'},
     commentLabel: {'font-size': 19, 'font-family': 'Arial' },
     externalIDLabels: {'font-size': 18, 'font-family': 'Arial' },
+    relationshipLabels: {'font-size': 18, 'font-family': 'Arial', 'font-style': 'italic', fill: '#595959' },
     disorderShapes: {},
     partnershipNode: {fill: '#dc7868', stroke: 'black', 'stroke-width':2},  //#E25740
     partnershipRadius: 6.5,
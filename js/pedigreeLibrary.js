@@ -0,0 +1,266 @@
+/**
+ * The UI Element listing all pedigrees saved in the storage backend (see PedigreeStorage), where pedigrees can be
+ * opened, duplicated, renamed (if the backend can create new pedigrees) and deleted, or a new pedigree can be
+ * started from a template. Displayed on startup
+ * when no pedigree has been opened yet.
+ *
+ * @class PedigreeLibrary
+ * @constructor
+ * @param {Boolean} isStartupLibrary Set to True if no pedigree has been loaded yet
+ */
+
+var PedigreeLibrary = Class.create( {
+
+    initialize: function(isStartupLibrary) {
+        this._isStartupLibrary = isStartupLibrary;
+        this._entries = [];
+
+        var mainDiv = new Element('div', {'class': 'pedigree-library'});
+
+        var toolbar = new Element('div', {'class': 'pedigree-library-toolbar'});
+        this._searchInput = new Element('input', {'type': 'text', 'class': 'pedigree-library-search', 'placeholder': 'Search by family ID or proband name'});
+        this._searchInput.observe('input', this._updateList.bind(this));
+        var newButton = new Element('input', {type: 'button', name : 'new', 'value': 'New pedigree', 'class' : 'button'});
+        newButton.observe('click', this._onNewPedigree.bind(this));
+        toolbar.insert(this._searchInput).insert(newButton.wrap('span', {'class' : 'buttonwrapper'}));
+        mainDiv.insert(toolbar);
+
+        this._listDiv = new Element('div', {'class': 'pedigree-library-list'});
+        mainDiv.insert(this._listDiv);
+
+        var closeShortcut = isStartupLibrary ? [] : ['Esc'];
+        this.dialog = new PhenoTips.widgets.ModalPopup(mainDiv, {close: {method : this.hide.bind(this), keys : closeShortcut}}, {extraClassName: "pedigree-library-chooser", title: "Saved pedigrees", displayCloseButton: !isStartupLibrary, verticalPosition: "top"});
+        isStartupLibrary && this.show();
+    },
+
+    /**
+     * Returns True if this library is the one displayed on startup
+     *
+     * @method isStartupLibrary
+     * @return {Boolean}
+     */
+    isStartupLibrary: function() {
+        return this._isStartupLibrary;
+    },
+
+    /**
+     * Loads the list of saved pedigrees
+     *
+     * @private
+     */
+    _loadPedigrees: function() {
+        this._listDiv.update("Loading list of saved pedigrees...");
+        editor.getStorage().listPedigrees(function(pedigrees) {
+            this._entries = pedigrees.map(function(pedigree) {
+                return { "pedigree": pedigree, "summary": PedigreeLibrary.getSummary(pedigree.data) };
+            });
+            this._updateList();
+        }.bind(this), function(message) {
+            this._entries = [];
+            this._listDiv.update("Unable to load the list of saved pedigrees: " + message.escapeHTML());
+        }.bind(this));
+    },
+
+    /**
+     * Displays the pedigrees matching the search text
+     *
+     * @private
+     */
+    _updateList: function() {
+        var searchText = this._searchInput.value.strip().toLowerCase();
+        var entries = this._entries.findAll(function(entry) {
+            return entry.pedigree.name.toLowerCase().include(searchText) ||
+                   entry.summary.probandName.toLowerCase().include(searchText);
+        });
+
+        if (entries.length == 0) {
+            this._listDiv.update(this._entries.length == 0 ? "No pedigrees have been saved yet" : "No saved pedigrees match the search");
+            return;
+        }
+
+        var table = new Element('table', {'class': 'pedigree-library-table'});
+        var header = new Element('tr');
+        ["", "Family ID", "Proband", "Individuals", "Last modified", ""].each(function(title) {
+            header.insert(new Element('th').update(title));
+        });
+        table.insert(header);
+
+        var currentPedigree = editor.getStorage().getPedigreeName();
+        entries.each(function(entry) {
+            var pedigree = entry.pedigree;
+            var row = new Element('tr', {'class': 'pedigree-library-entry'});
+            if (pedigree.name == currentPedigree) {
+                row.addClassName('current');
+            }
+
+            var thumbnail = new Element('div', {'class': 'pedigree-library-thumbnail'});
+            thumbnail.title = "Open " + pedigree.name;
+            // pedigrees saved without an image (e.g. additional families of an import) have no thumbnail. The stored
+            // SVG is displayed as an image, so that any scripts it may contain are not executed
+            if (pedigree.image) {
+                thumbnail.insert(new Element('img', {'src': 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(pedigree.image), 'alt': ''}));
+            } else {
+                thumbnail.update("No image");
+            }
+            thumbnail.observe('click', this._onOpen.bind(this, pedigree));
+            row.insert(new Element('td').insert(thumbnail));
+
+            var name = new Element('a', {'class': 'pedigree-library-name'}).update(pedigree.name.escapeHTML());
+            name.observe('click', this._onOpen.bind(this, pedigree));
+            row.insert(new Element('td').insert(name));
+            row.insert(new Element('td').update(entry.summary.probandName.escapeHTML()));
+            row.insert(new Element('td').update(entry.summary.persons === null ? "" : entry.summary.persons));
+            row.insert(new Element('td').update(pedigree.modified ? pedigree.modified.toLocaleString() : ""));
+
+            var actions = new Element('td', {'class': 'pedigree-library-actions'});
+            var _addAction = function(label, icon, method) {
+                var action = new Element('span', {'class': 'pedigree-library-action', 'title': label});
+                action.insert(new Element('span', {'class': 'fa fa-' + icon})).insert(' ').insert(label);
+                action.observe('click', method.bind(this, pedigree));
+                actions.insert(action);
+            }.bind(this);
+            _addAction("Open",      "folder-open", this._onOpen);
+            if (editor.getStorage().canCreatePedigrees()) {
+                _addAction("Duplicate", "files-o", this._onDuplicate);
+                _addAction("Rename",    "pencil",  this._onRename);
+            }
+            _addAction("Delete",    "trash-o",     this._onDelete);
+            row.insert(actions);
+
+            table.insert(row);
+        }.bind(this));
+
+        this._listDiv.update(table);
+    },
+
+    /**
+     * Asks for the name of a new pedigree. Returns null if the user has cancelled or the name is not valid
+     *
+     * @private
+     */
+    _askForNewName: function(message, defaultName) {
+        var name = prompt(message, defaultName);
+        if (name === null)
+            return null;
+        name = name.strip();
+        if (!name) {
+            alert("Pedigree name can not be empty");
+            return null;
+        }
+        if (this._entries.any(function(entry) { return entry.pedigree.name == name; })) {
+            alert("A pedigree named \"" + name + "\" already exists");
+            return null;
+        }
+        return name;
+    },
+
+    _onOpen: function(pedigree) {
+        this.hide();
+        editor.getSaveLoadEngine().openPedigree(pedigree.name);
+    },
+
+    _onDuplicate: function(pedigree) {
+        var newName = this._askForNewName("Name of the copy of \"" + pedigree.name + "\":", pedigree.name + " (copy)");
+        if (!newName)
+            return;
+        editor.getStorage().savePedigree(newName, pedigree.data, pedigree.image, this._loadPedigrees.bind(this), function(message) {
+            alert("Error duplicating the pedigree: " + message);
+        });
+    },
+
+    _onRename: function(pedigree) {
+        var newName = this._askForNewName("New name of \"" + pedigree.name + "\":", pedigree.name);
+        if (!newName)
+            return;
+        var storage = editor.getStorage();
+        var onFailure = function(message) {
+            alert("Error renaming the pedigree: " + message);
+            this._loadPedigrees();
+        }.bind(this);
+        // storage backends have no rename operation: the pedigree is saved under the new name before the old one is deleted
+        storage.savePedigree(newName, pedigree.data, pedigree.image, function() {
+            storage.deletePedigree(pedigree.name, function() {
+                if (storage.getPedigreeName() == pedigree.name) {
+                    storage.setPedigreeName(newName);
+                }
+                this._loadPedigrees();
+            }.bind(this), onFailure);
+        }.bind(this), onFailure);
+    },
+
+    _onDelete: function(pedigree) {
+        if (!confirm("Delete the pedigree \"" + pedigree.name + "\"? This can not be undone."))
+            return;
+        var storage = editor.getStorage();
+        storage.deletePedigree(pedigree.name, function() {
+            if (storage.getPedigreeName() == pedigree.name && storage.canCreatePedigrees()) {
+                // the pedigree stays open in the editor, and is saved under a new name next time
+                storage.setPedigreeName(null);
+            }
+            this._loadPedigrees();
+        }.bind(this), function(message) {
+            alert("Error deleting the pedigree: " + message);
+        });
+    },
+
+    _onNewPedigree: function() {
+        this.hide();
+        if (this._isStartupLibrary) {
+            new TemplateSelector(true);
+        } else {
+            editor.getTemplateSelector().show();
+        }
+    },
+
+    /**
+     * Displays the library
+     *
+     * @method show
+     */
+    show: function() {
+        this._searchInput.value = "";
+        this._loadPedigrees();
+        this.dialog.show();
+    },
+
+    /**
+     * Removes the library
+     *
+     * @method hide
+     */
+    hide: function() {
+        this.dialog.closeDialog();
+    }
+});
+
+/**
+ * Returns the proband name and the number of individuals of the given serialized pedigree,
+ * or empty values if the data can not be read
+ *
+ * @method getSummary
+ * @param {String} jsonData Serialized pedigree, as produced by DynamicPositionedGraph.toJSON()
+ * @return {Object} { "probandName": {String}, "persons": {Number} }
+ */
+PedigreeLibrary.getSummary = function(jsonData) {
+    try {
+        var data  = JSON.parse(editor.getVersionUpdater().updateToCurrentVersion(jsonData));
+        var graph = PedigreeImport.initFromPhenotipsInternal(data["GG"]);
+    } catch (err) {
+        console.log("Unable to read saved pedigree: " + err);
+        return { "probandName": "", "persons": null };
+    }
+
+    var persons = 0;
+    for (var v = 0; v <= graph.getMaxRealVertexId(); v++) {
+        if (!graph.isPerson(v)) continue;
+        // a person group stands for several individuals
+        var numPersons = graph.properties[v]["numPersons"];
+        persons += (numPersons > 0) ? numPersons : 1;
+    }
+
+    // the proband is always node 0
+    var proband = graph.isPerson(0) ? graph.properties[0] : {};
+    var probandName = ((proband["fName"] ? proband["fName"] : "") + " " + (proband["lName"] ? proband["lName"] : "")).strip();
+
+    return { "probandName": probandName, "persons": persons };
+};
@@ -0,0 +1,160 @@
+/**
+ * PedigreeStorage is the base class for the backends which store pedigrees, pedigree templates and proband data.
+ * The editor uses exactly one backend, created by PedigreeStorage.create() on startup and available as
+ * editor.getStorage(); SaveLoadEngine, ProbandDataLoader and TemplateSelector only access the data via the backend.
+ *
+ * Built-in backends are XWikiPedigreeStorage (PhenoTips REST API, the default) and LocalPedigreeStorage
+ * (browser-local IndexedDB storage, for using the editor without a server). Other backends can be added
+ * to PedigreeStorage.backends and selected by setting window.pedigreeStorageBackend before the editor is loaded.
+ *
+ * All methods which access the data are asynchronous: the result is passed to the onSuccess callback,
+ * and a failure is reported by calling onFailure with a human readable error message.
+ *
+ * @class PedigreeStorage
+ * @constructor
+ */
+
+var PedigreeStorage = Class.create( {
+
+    initialize: function() {
+        this._pedigreeName = null;
+    },
+
+    /**
+     * Returns the name under which the pedigree open in the editor is stored
+     *
+     * @method getPedigreeName
+     * @return {String} The name, or null if the pedigree has not been saved yet
+     */
+    getPedigreeName: function() {
+        return this._pedigreeName;
+    },
+
+    /**
+     * Sets the name under which the pedigree open in the editor is stored
+     *
+     * @method setPedigreeName
+     * @param {String} name The name, or null for a new unsaved pedigree
+     */
+    setPedigreeName: function(name) {
+        this._pedigreeName = name;
+    },
+
+    /**
+     * Returns true if the backend can store more than one pedigree, i.e. if the user can open other
+     * pedigrees and save the current one under a different name. When false the editor is bound to
+     * the single pedigree it was opened on.
+     *
+     * @method canStoreMultiplePedigrees
+     * @return {Boolean}
+     */
+    canStoreMultiplePedigrees: function() {
+        return false;
+    },
+
+    /**
+     * Returns true if pedigrees can be saved under names which are not in use yet, i.e. if stored
+     * pedigrees can be duplicated and renamed. Only supported by backends which can store multiple pedigrees.
+     *
+     * @method canCreatePedigrees
+     * @return {Boolean}
+     */
+    canCreatePedigrees: function() {
+        return false;
+    },
+
+    /**
+     * Loads the data of the patient the pedigree belongs to
+     *
+     * @method loadProbandData
+     * @param {Function} onSuccess Called with { firstName, lastName, gender }, or with undefined if there is no patient record
+     * @param {Function} onFailure Called with the error message
+     */
+    loadProbandData: function(onSuccess, onFailure) {
+        onSuccess(undefined);
+    },
+
+    /**
+     * Loads a stored pedigree
+     *
+     * @method loadPedigree
+     * @param {String} name Name of the pedigree
+     * @param {Function} onSuccess Called with the serialized pedigree (as produced by DynamicPositionedGraph.toJSON()),
+     *                             or with an empty string if nothing is stored under the given name
+     * @param {Function} onFailure Called with the error message
+     */
+    loadPedigree: function(name, onSuccess, onFailure) {
+        onFailure("loading pedigrees is not supported");
+    },
+
+    /**
+     * Stores a pedigree, replacing the pedigree previously stored under the same name
+     *
+     * @method savePedigree
+     * @param {String} name Name of the pedigree
+     * @param {String} jsonData Serialized pedigree, as produced by DynamicPositionedGraph.toJSON()
+     * @param {String} image SVG image of the pedigree, or null if not available
+     * @param {Function} onSuccess Called once the pedigree is saved
+     * @param {Function} onFailure Called with the error message
+     */
+    savePedigree: function(name, jsonData, image, onSuccess, onFailure) {
+        onFailure("saving pedigrees is not supported");
+    },
+
+    /**
+     * Lists all stored pedigrees. Only supported by backends which can store multiple pedigrees.
+     *
+     * @method listPedigrees
+     * @param {Function} onSuccess Called with an array of { name, data, image, modified } sorted by name,
+     *                             where modified is the time of the last save (a Date, or null if not known)
+     * @param {Function} onFailure Called with the error message
+     */
+    listPedigrees: function(onSuccess, onFailure) {
+        onFailure("listing pedigrees is not supported");
+    },
+
+    /**
+     * Deletes a stored pedigree. Only supported by backends which can store multiple pedigrees.
+     *
+     * @method deletePedigree
+     * @param {String} name Name of the pedigree
+     * @param {Function} onSuccess Called once the pedigree is deleted
+     * @param {Function} onFailure Called with the error message
+     */
+    deletePedigree: function(name, onSuccess, onFailure) {
+        onFailure("deleting pedigrees is not supported");
+    },
+
+    /**
+     * Lists the pedigree templates offered to the user when a new pedigree is created
+     *
+     * @method listTemplates
+     * @param {Function} onSuccess Called with an array of { description, data, type, image }, where type is the
+     *                             import type of data ("internal" for serialized pedigrees, or "simpleJSON")
+     *                             and image is an SVG image of the template, or null
+     * @param {Function} onFailure Called with the error message
+     */
+    listTemplates: function(onSuccess, onFailure) {
+        onSuccess([]);
+    }
+});
+
+/**
+ * Available backends, by name. The name of the backend used by the editor is taken from
+ * window.pedigreeStorageBackend, "xwiki" by default.
+ */
+PedigreeStorage.backends = {};
+
+/**
+ * Creates the backend used by the editor
+ *
+ * @method create
+ * @return {PedigreeStorage}
+ */
+PedigreeStorage.create = function() {
+    var backend = window.pedigreeStorageBackend ? window.pedigreeStorageBackend : "xwiki";
+    if (!PedigreeStorage.backends.hasOwnProperty(backend)) {
+        throw "Unknown pedigree storage backend: " + backend;
+    }
+    return new PedigreeStorage.backends[backend]();
+};
@@ -41,6 +41,7 @@ var Person = Class.create(AbstractPerson, {
         this._gestationAge = "";
         this._isAdopted = false;
         this._externalID = "";
+        this._sampleID = "";
         this._lifeStatus = 'alive';
         this._childlessStatus = null;
         this._childlessReason = "";
@@ -52,6 +53,8 @@ var Person = Class.create(AbstractPerson, {
         this._twinGroup = null;
         this._monozygotic = false;
         this._evaluated = false;
+        this._obligateCarrier = null;
+        this._relationshipToProband = null;
         this._pedNumber = "";
         this._lostContact = false;
     },
@@ -165,6 +168,26 @@ var Person = Class.create(AbstractPerson, {
         this._externalID = externalID;
         this.getGraphics().updateExternalIDLabel();
     },    
+
+    /**
+     * Returns the ID of the sample of this Person in the sequencing data (e.g. a VCF sample name)
+     *
+     * @method getSampleID
+     * @return {String}
+     */
+    getSampleID: function() {
+        return this._sampleID;
+    },
+
+    /**
+     * Sets the ID of the sample of this Person in the sequencing data
+     *
+     * @method setSampleID
+     * @param sampleID
+     */
+    setSampleID: function(sampleID) {
+        this._sampleID = sampleID;
+    },
     
     /**
      * Returns the last name at birth of this Person
@@ -233,6 +256,54 @@ var Person = Class.create(AbstractPerson, {
         this.getGraphics().updateEvaluationLabel();
     },
 
+    /**
+     * Returns the reason why this person is an obligate carrier of the disorder selected for
+     * obligate carrier detection (see ObligateCarrierMarker), or null if the person is not one
+     *
+     * @method getObligateCarrier
+     * @return {String}
+     */
+    getObligateCarrier: function() {
+        return this._obligateCarrier;
+    },
+
+    /**
+     * Marks this person as an obligate carrier. Obligate carriers are computed from the rest of
+     * the pedigree, so unlike the carrier status this is not stored with the pedigree.
+     *
+     * @method setObligateCarrier
+     * @param {String} reason Why this person is an obligate carrier, or null to remove the mark
+     */
+    setObligateCarrier: function(reason) {
+        if (reason == this._obligateCarrier) return;
+        this._obligateCarrier = reason;
+        this.getGraphics().updateCarrierGraphic();
+    },
+
+    /**
+     * Returns the relationship of this person to the proband displayed under the node
+     * (see ProbandRelationshipLabels), or null if it is not displayed
+     *
+     * @method getRelationshipToProband
+     * @return {String}
+     */
+    getRelationshipToProband: function() {
+        return this._relationshipToProband;
+    },
+
+    /**
+     * Displays the relationship of this person to the proband under the node. The relationship is
+     * computed from the rest of the pedigree, so it is not stored with the pedigree.
+     *
+     * @method setRelationshipToProband
+     * @param {String} relationship Description of the relationship, or null to remove the label
+     */
+    setRelationshipToProband: function(relationship) {
+        if (relationship == this._relationshipToProband) return;
+        this._relationshipToProband = relationship;
+        this.getGraphics().updateRelationshipLabel();
+    },
+
     /**
      * Returns the "in contact" status of this node.
      * "False" means proband has lost contaxt with this individual
@@ -876,6 +947,8 @@ var Person = Class.create(AbstractPerson, {
             last_name:     {value : this.getLastName()},
             last_name_birth: {value: this.getLastNameAtBirth()}, //, inactive: (this.getGender() != 'F')},
             external_id:   {value : this.getExternalID()},
+            sample_id:     {value : this.getSampleID()},
+            relationship:  {value : ProbandRelationship.describe(editor.getGraph().DG.GG, this.getID()) || "not related", inactive: this.isProband()},
             gender:        {value : this.getGender(), inactive: inactiveGenders},
             date_of_birth: {value : this.getBirthDate(), inactive: this.isFetus()},
             carrier:       {value : this.getCarrierStatus(), disabled: inactiveCarriers},
@@ -892,6 +965,7 @@ var Person = Class.create(AbstractPerson, {
             placeholder:   {value : false, inactive: true },
             monozygotic:   {value : this.getMonozygotic(), inactive: inactiveMonozygothic, disabled: disableMonozygothic },
             evaluated:     {value : this.getEvaluated() },
+            inbreeding:    {value : fractionToString(editor.getGraph().getInbreedingCoefficient(this.getID()))},
             hpo_positive:  {value : hpoTerms},
             nocontact:     {value : this.getLostContact(), inactive: inactiveLostContact}
         };
@@ -919,6 +993,8 @@ var Person = Class.create(AbstractPerson, {
             info['lNameAtB'] = this.getLastNameAtBirth();
         if (this.getExternalID() != "")
             info['externalID'] = this.getExternalID();        
+        if (this.getSampleID() != "")
+            info['sampleID'] = this.getSampleID();
         if (this.getBirthDate() != "") 
             info['dob'] = this.getBirthDate().toDateString();
         if (this.isAdopted())
@@ -979,6 +1055,9 @@ var Person = Class.create(AbstractPerson, {
             if (info.externalID && this.getExternalID() != info.externalID) {
                 this.setExternalID(info.externalID);
             }
+            if (info.sampleID && this.getSampleID() != info.sampleID) {
+                this.setSampleID(info.sampleID);
+            }
             if(info.dob && this.getBirthDate() != info.dob) {
                 this.setBirthDate(info.dob);
             }
@@ -19,6 +19,7 @@ var PersonVisuals = Class.create(AbstractPersonVisuals, {
         this._stillBirthLabel = null;
         this._ageLabel = null;
         this._externalIDLabel = null;
+        this._relationshipLabel = null;
         this._commentsLabel = null;
         this._childlessStatusLabel = null;
         this._disorderShapes = null;
@@ -157,6 +158,32 @@ var PersonVisuals = Class.create(AbstractPersonVisuals, {
         return this._externalIDLabel;
     },    
     
+    /**
+     * Updates the label with the relationship of this Person to the proband
+     *
+     * @method updateRelationshipLabel
+     */
+    updateRelationshipLabel: function() {
+        this._relationshipLabel && this._relationshipLabel.remove();
+
+        if (this.getNode().getRelationshipToProband()) {
+            this._relationshipLabel = editor.getPaper().text(this.getX(), this.getY() + PedigreeEditor.attributes.radius, this.getNode().getRelationshipToProband()).attr(PedigreeEditor.attributes.relationshipLabels);
+        } else {
+            this._relationshipLabel = null;
+        }
+        this.drawLabels();
+    },
+
+    /**
+     * Returns the label with the relationship of this Person to the proband
+     *
+     * @method getRelationshipLabel
+     * @return {Raphael.el}
+     */
+    getRelationshipLabel: function() {
+        return this._relationshipLabel;
+    },
+
     /**
      * Updates the name label for this Person
      *
@@ -441,7 +468,7 @@ var PersonVisuals = Class.create(AbstractPersonVisuals, {
     },
 
     /**
-     * Draws various distorder carrier graphics such as a dot (for carriers) or
+     * Draws various distorder carrier graphics such as a dot (for carriers and obligate carriers) or
      * a vertical line (for pre-symptomatic)
      *
      * @method updateCarrierGraphic
@@ -449,9 +476,10 @@ var PersonVisuals = Class.create(AbstractPersonVisuals, {
     updateCarrierGraphic: function() {
         this._carrierGraphic && this._carrierGraphic.remove();
         var status = this.getNode().getCarrierStatus();
+        var obligateCarrier = (status == '' && this.getNode().getObligateCarrier());
 
-        if (status != '' && status != 'affected') {
-            if (status == 'carrier') {
+        if ((status != '' && status != 'affected') || obligateCarrier) {
+            if (status == 'carrier' || obligateCarrier) {
                 if (this.getNode().getLifeStatus() == 'aborted' || this.getNode().getLifeStatus() == 'miscarriage') {
                     x = this.getX();
                     y = this.getY() - this._radius/2;
@@ -459,7 +487,12 @@ var PersonVisuals = Class.create(AbstractPersonVisuals, {
                     x = this.getX();
                     y = this.getY();
                 }
-                this._carrierGraphic = editor.getPaper().circle(x, y, PedigreeEditor.attributes.carrierDotRadius).attr(PedigreeEditor.attributes.carrierShape);
+                if (obligateCarrier) {
+                    this._carrierGraphic = editor.getPaper().circle(x, y, PedigreeEditor.attributes.carrierDotRadius).attr(PedigreeEditor.attributes.obligateCarrierShape);
+                    this._carrierGraphic.attr("title", "Obligate carrier: " + obligateCarrier);
+                } else {
+                    this._carrierGraphic = editor.getPaper().circle(x, y, PedigreeEditor.attributes.carrierDotRadius).attr(PedigreeEditor.attributes.carrierShape);
+                }
             } else if (status == 'presymptomatic') {
                 if (this.getNode().getLifeStatus() == 'aborted' || this.getNode().getLifeStatus() == 'miscarriage') {
                     this._carrierGraphic = null;
@@ -635,6 +668,7 @@ var PersonVisuals = Class.create(AbstractPersonVisuals, {
         this.getNameLabel() && labels.push(this.getNameLabel());
         this.getAgeLabel() && labels.push(this.getAgeLabel());        
         this.getExternalIDLabel() && labels.push(this.getExternalIDLabel());
+        this.getRelationshipLabel() && labels.push(this.getRelationshipLabel());
         this.getCommentsLabel() && labels.push(this.getCommentsLabel());
         return labels;
     },
@@ -1868,7 +1868,7 @@ PositionedGraph.prototype = {
 
                 // note: each "relationship" node is guaranteed to have exactly two "parent" nodes (validate() checks that)
 
-	            if (this.ranks[parent[0]] != this.ranks[parent[1]])
+	            if (this.ranks[parents[0]] != this.ranks[parents[1]])
 	                throw "Assertion failed: edges betwen neighbouring ranks only";
 
                 var order1 = this.order.vOrder[parents[0]];
@@ -2323,6 +2323,63 @@ PositionedGraph.prototype = {
 
         return {ancestors: ancestors, consangr: consangr};
     },
+
+    // returns the biological parents of the given person, same as used by findAllAncestors()
+    _getBiologicalParents: function(v)
+    {
+        if (this.GG.isAdopted(v)) return [];
+        return this.GG.getParents(v);
+    },
+
+    // returns the kinship coefficient of two persons: the probability that two alleles at the same locus picked
+    // at random from each of them are identical by descent. "cache" is an optional object which can be
+    // shared between calls to avoid recomputing the coefficients of the same ancestors
+    getKinshipCoefficient: function(v1, v2, cache)
+    {
+        if (!cache) cache = {};
+        var key = (v1 < v2) ? (v1 + "," + v2) : (v2 + "," + v1);
+        if (cache.hasOwnProperty(key))
+            return cache[key];
+
+        var result;
+        if (v1 == v2) {
+            result = (1 + this.getInbreedingCoefficient(v1, cache)) / 2;
+        }
+        else {
+            // go up from the person who is not an ancestor of the other one
+            var descendant = this.ancestors[v2].hasOwnProperty(v1) ? v2 : v1;
+            var other      = (descendant == v1) ? v2 : v1;
+            var parents    = this._getBiologicalParents(descendant);
+            if (parents.length == 0)
+                result = 0;      // a founder who is not an ancestor of the other person
+            else
+                result = (this.getKinshipCoefficient(parents[0], other, cache) + this.getKinshipCoefficient(parents[1], other, cache)) / 2;
+        }
+        cache[key] = result;
+        return result;
+    },
+
+    // returns Wright's inbreeding coefficient of the given person, i.e. the kinship coefficient of the parents
+    getInbreedingCoefficient: function(v, cache)
+    {
+        var parents = this._getBiologicalParents(v);
+        if (parents.length == 0)
+            return 0;
+        return this.getKinshipCoefficient(parents[0], parents[1], cache);
+    },
+
+    // returns the description of the closest blood relationship between two persons (e.g. "first cousins once removed",
+    // "half-siblings", "grandparent and grandchild"), or null if the persons are not related. Uses the same wording
+    // as the relationships to the proband, see ProbandRelationship
+    getRelationshipDescription: function(v1, v2)
+    {
+        if (v1 == v2) return null;
+
+        var relation = ProbandRelationship.findClosestCommonAncestors(this.GG, this.ancestors[v1], this.ancestors[v2]);
+        if (relation === null) return null;
+
+        return ProbandRelationship.describePair(relation.up, relation.down, relation.half);
+    },
     //=======================================================================[ancestors]=
 
     //=[vertical separation for horizontal edges]========================================
@@ -0,0 +1,327 @@
+ProbandRelationship = function () {
+};
+
+ProbandRelationship.prototype = {
+};
+
+/* ===============================================================================================
+ *
+ * Describes the relationship of every person to the proband (node 0), e.g. "maternal aunt",
+ * "paternal half-brother", "first cousin once removed" or "spouse of son", based on the parent and
+ * partner edges of the graph only (so adopted children are described the same way as biological ones).
+ *
+ *  - blood relatives are described by the closest common ancestors: ancestors, descendants, siblings,
+ *    aunts/uncles, nieces/nephews and cousins, "half-" when only one of the common ancestors is shared.
+ *    Ancestors, aunts/uncles and half-siblings are prefixed with "maternal" or "paternal"
+ *  - partners of blood relatives are described as "spouse of <relative>"
+ *  - blood relatives of the partners of the proband are described as "<relative> of spouse"
+ *
+ *  Returns { <person id>: <description, or null if the person is not related to the proband>, ... }
+ * ===============================================================================================
+ */
+ProbandRelationship.describeAll = function(GG)
+{
+    var persons = [];
+    for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+        if (GG.isPerson(v)) {
+            persons.push(v);
+        }
+    }
+
+    var result = {};
+    if (!GG.isPerson(0)) {
+        return result;
+    }
+
+    // blood relatives
+    var probandAncestors = ProbandRelationship._getAncestors(GG, 0);
+    var closeness = {};     // number of generations to the closest common ancestor, to prefer the closest relatives
+    for (var i = 0; i < persons.length; i++) {
+        var relation = ProbandRelationship._findBloodRelation(GG, 0, probandAncestors, persons[i]);
+        result[persons[i]] = relation ? relation.description : null;
+        relation && (closeness[persons[i]] = relation.generations);
+    }
+    result[0] = "proband";
+
+    // partners of blood relatives
+    var bloodRelatives = {};
+    for (var i = 0; i < persons.length; i++) {
+        if (result[persons[i]] !== null) {
+            bloodRelatives[persons[i]] = true;
+        }
+    }
+    for (var i = 0; i < persons.length; i++) {
+        var v = persons[i];
+        if (bloodRelatives.hasOwnProperty(v)) continue;
+
+        var closest = null;
+        var partners = GG.getAllPartners(v);
+        for (var j = 0; j < partners.length; j++) {
+            var partner = partners[j];
+            if (bloodRelatives.hasOwnProperty(partner) &&
+                (closest === null || closeness[partner] < closeness[closest])) {
+                closest = partner;
+            }
+        }
+        if (closest !== null) {
+            result[v] = (closest == 0) ? "spouse" : "spouse of " + result[closest];
+        }
+    }
+
+    // blood relatives of the partners of the proband
+    var probandPartners = GG.getAllPartners(0);
+    for (var j = 0; j < probandPartners.length; j++) {
+        var partnerAncestors = ProbandRelationship._getAncestors(GG, probandPartners[j]);
+        for (var i = 0; i < persons.length; i++) {
+            var v = persons[i];
+            if (result[v] !== null) continue;
+            var relation = ProbandRelationship._findBloodRelation(GG, probandPartners[j], partnerAncestors, v);
+            if (relation) {
+                result[v] = relation.description + " of spouse";
+            }
+        }
+    }
+
+    return result;
+}
+
+/*
+ * Returns the relationship of the given person to the proband, see ProbandRelationship.describeAll()
+ */
+ProbandRelationship.describe = function(GG, v)
+{
+    var result = ProbandRelationship.describeAll(GG);
+    return result.hasOwnProperty(v) ? result[v] : null;
+}
+
+/*
+ * Returns all ancestors of the given person (including the person itself) as
+ * { "distance": { <ancestor id>: <number of generations>, ... },
+ *   "via":      { <ancestor id>: { <parent of v on the closest path>: true, ... }, ... } }
+ */
+ProbandRelationship._getAncestors = function(GG, v)
+{
+    var ancestors = { "distance": {}, "via": {} };
+    ancestors.distance[v] = 0;
+    ancestors.via[v]      = {};
+
+    var generation = [v];
+    var distance   = 0;
+    while (generation.length > 0) {
+        distance++;
+        var nextGeneration = [];
+        for (var i = 0; i < generation.length; i++) {
+            var child   = generation[i];
+            var parents = GG.getParents(child);
+            for (var j = 0; j < parents.length; j++) {
+                var parent = parents[j];
+                var via = {};
+                if (distance == 1) {
+                    via[parent] = true;
+                } else {
+                    via = ancestors.via[child];
+                }
+                if (!ancestors.distance.hasOwnProperty(parent)) {
+                    ancestors.distance[parent] = distance;
+                    ancestors.via[parent]      = {};
+                    nextGeneration.push(parent);
+                }
+                if (ancestors.distance[parent] == distance) {
+                    for (var p in via) {
+                        if (via.hasOwnProperty(p)) {
+                            ancestors.via[parent][p] = true;
+                        }
+                    }
+                }
+            }
+        }
+        generation = nextGeneration;
+    }
+    return ancestors;
+}
+
+/*
+ * Returns { "description": <relationship of v to the reference person>, "generations": <total number of generations
+ * between v, the closest common ancestor and the reference person> }, or null if v is not a blood relative of the
+ * reference person. The ancestors of the reference person are given as returned by _getAncestors()
+ */
+ProbandRelationship._findBloodRelation = function(GG, reference, referenceAncestors, v)
+{
+    var ancestors = ProbandRelationship._getAncestors(GG, v);
+
+    var relation = ProbandRelationship.findClosestCommonAncestors(GG, referenceAncestors.distance, ancestors.distance);
+    if (relation === null) {
+        return null;
+    }
+    var m = relation.up;
+    var n = relation.down;
+
+    // maternal or paternal side of the reference person
+    var sides = {};
+    for (var i = 0; i < relation.common.length; i++) {
+        var via = referenceAncestors.via[relation.common[i]];
+        for (var p in via) {
+            if (via.hasOwnProperty(p)) {
+                sides[GG.properties[p]["gender"]] = true;
+            }
+        }
+    }
+    var side = "";
+    if (sides.hasOwnProperty("F") && Object.keys(sides).length == 1) {
+        side = "maternal ";
+    } else if (sides.hasOwnProperty("M") && Object.keys(sides).length == 1) {
+        side = "paternal ";
+    }
+
+    var description = ProbandRelationship.describeBloodRelation(m, n, relation.half, GG.properties[v]["gender"]);
+    if (m == 1 && n == 1 && !relation.half) {
+        var twinGroup = GG.getTwinGroupId(v);
+        if (twinGroup !== null && twinGroup == GG.getTwinGroupId(reference)) {
+            description = "twin " + description;
+        }
+    }
+    // grandparents, aunts/uncles and half-relatives are on one side of the family
+    if ((m >= 2 && n <= 1) || (m == 1 && n >= 1 && relation.half)) {
+        description = side + description;
+    }
+    return { "description": description, "generations": m + n };
+}
+
+/*
+ * Finds the closest common ancestors of two persons, given the number of generations to each of their ancestors
+ * (including the persons themselves) as { <ancestor id>: <number of generations>, ... }.
+ *
+ * Returns { "common": [ <ancestor id>, ... ], "up": <generations from the first person to the common ancestors>,
+ * "down": <generations from the common ancestors to the second person>, "half": <true if the persons are related
+ * through one partner of a couple only> }, or null if the persons are not blood relatives
+ */
+ProbandRelationship.findClosestCommonAncestors = function(GG, distances1, distances2)
+{
+    var common = [];
+    var m = 0;
+    var n = 0;
+    for (var a in distances2) {
+        if (!distances2.hasOwnProperty(a) || !distances1.hasOwnProperty(a)) continue;
+        var up   = distances1[a];
+        var down = distances2[a];
+        if (common.length == 0 || up + down < m + n || (up + down == m + n && up < m)) {
+            common = [];
+            m = up;
+            n = down;
+        }
+        if (up == m && down == n) {
+            common.push(a);
+        }
+    }
+    if (common.length == 0) {
+        return null;
+    }
+
+    // related through both partners of a couple, or through one of them only
+    var half = true;
+    for (var i = 0; i < common.length && half; i++) {
+        var partners = GG.getAllPartners(common[i]);
+        for (var j = 0; j < partners.length; j++) {
+            if (common.indexOf(String(partners[j])) >= 0) {
+                half = false;
+            }
+        }
+    }
+    return { "common": common, "up": m, "down": n, "half": half };
+}
+
+/*
+ * Describes a blood relative who is "down" generations below the closest common ancestor with a reference person
+ * "up" generations below it, e.g. "grandmother", "half-brother", "great-aunt/uncle" or "first cousin once removed".
+ * The maternal/paternal side is not included
+ */
+ProbandRelationship.describeBloodRelation = function(up, down, half, gender)
+{
+    var term = function(kind) {
+        return ProbandRelationship.TERMS[kind][(gender == "M" || gender == "F") ? gender : "U"];
+    };
+    var greats     = ProbandRelationship._getGreats;
+    var halfPrefix = half ? "half-" : "";
+
+    if (up == 0 && down == 0) {
+        return "self";
+    }
+    if (up == 0) {
+        return (down == 1) ? term("child") : greats(down - 2) + "grand" + term("child");
+    }
+    if (down == 0) {
+        return (up == 1) ? term("parent") : greats(up - 2) + "grand" + term("parent");
+    }
+    if (up == 1 && down == 1) {
+        return halfPrefix + term("sibling");
+    }
+    if (down == 1) {
+        return halfPrefix + greats(up - 2) + term("auntuncle");
+    }
+    if (up == 1) {
+        return halfPrefix + greats(down - 2) + term("niecenephew");
+    }
+    return ProbandRelationship._describeCousins(up, down, half, "cousin");
+}
+
+/*
+ * Describes the relationship between two blood relatives who are "distance1" and "distance2" generations below
+ * their closest common ancestor, e.g. "parent and child", "half-siblings", "aunt/uncle and niece/nephew" or
+ * "first cousins once removed"
+ */
+ProbandRelationship.describePair = function(distance1, distance2, half)
+{
+    var near = Math.min(distance1, distance2);
+    var far  = Math.max(distance1, distance2);
+    if (near >= 2) {
+        return ProbandRelationship._describeCousins(near, far, half, "cousins");
+    }
+    if (near == far) {
+        return ProbandRelationship.describeBloodRelation(near, far, half, "U") + "s";
+    }
+    return ProbandRelationship.describeBloodRelation(far, near, half, "U") + " and " +
+           ProbandRelationship.describeBloodRelation(near, far, half, "U");
+}
+
+ProbandRelationship._describeCousins = function(up, down, half, noun)
+{
+    var degree  = Math.min(up, down) - 1;
+    var removed = Math.abs(up - down);
+    var description = (half ? "half " : "") + ProbandRelationship._getOrdinal(degree) + " " + noun;
+    if (removed > 0) {
+        description += " " + ProbandRelationship._getTimes(removed) + " removed";
+    }
+    return description;
+}
+
+ProbandRelationship._getGreats = function(number)
+{
+    var prefix = "";
+    for (var i = 0; i < number; i++) {
+        prefix += "great-";
+    }
+    return prefix;
+}
+
+ProbandRelationship._getOrdinal = function(number)
+{
+    var ordinals = ["first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth", "tenth"];
+    return (number <= ordinals.length) ? ordinals[number - 1] : number + "th";
+}
+
+ProbandRelationship._getTimes = function(number)
+{
+    var times = ["once", "twice", "three times"];
+    return (number <= times.length) ? times[number - 1] : number + " times";
+}
+
+/*
+ * Gender-specific names of the basic relationships; "U" is used for persons of unknown gender
+ */
+ProbandRelationship.TERMS = {
+    "parent":      { "M": "father",  "F": "mother",   "U": "parent" },
+    "child":       { "M": "son",     "F": "daughter", "U": "child" },
+    "sibling":     { "M": "brother", "F": "sister",   "U": "sibling" },
+    "auntuncle":   { "M": "uncle",   "F": "aunt",     "U": "aunt/uncle" },
+    "niecenephew": { "M": "nephew",  "F": "niece",    "U": "niece/nephew" }
+};
@@ -0,0 +1,62 @@
+/**
+ * Displays the relationship of every person to the proband (see ProbandRelationship) under the nodes.
+ * The labels are turned on and off from the top menu, and are updated after every change of the pedigree
+ * while they are displayed.
+ *
+ * @class ProbandRelationshipLabels
+ * @constructor
+ */
+
+var ProbandRelationshipLabels = Class.create( {
+
+    initialize: function() {
+        this._shown = false;
+
+        // the labels are updated once the controller has applied the change (the controller is created before this object)
+        var update = this.update.bind(this);
+        Controller.GRAPH_CHANGE_EVENTS.each(function(eventName) {
+            document.observe(eventName, update);
+        });
+    },
+
+    /**
+     * Returns true if the labels are displayed
+     *
+     * @method isShown
+     * @return {Boolean}
+     */
+    isShown: function() {
+        return this._shown;
+    },
+
+    /**
+     * Displays the labels if they are hidden and hides them otherwise
+     *
+     * @method toggle
+     */
+    toggle: function() {
+        this._shown = !this._shown;
+        var menuItem = $('action-relationships');
+        if (menuItem) {
+            this._shown ? menuItem.addClassName('active-menu-item') : menuItem.removeClassName('active-menu-item');
+        }
+        this.update();
+    },
+
+    /**
+     * Recomputes the relationships and updates the labels of all persons
+     *
+     * @method update
+     */
+    update: function() {
+        var relationships = this._shown ? ProbandRelationship.describeAll(editor.getGraph().DG.GG) : {};
+
+        var nodeMap = editor.getView().getNodeMap();
+        for (var nodeID in nodeMap) {
+            if (nodeMap.hasOwnProperty(nodeID) && editor.getGraph().isPerson(nodeID)) {
+                var node = nodeMap[nodeID];
+                node.setRelationshipToProband && node.setRelationshipToProband(relationships.hasOwnProperty(nodeID) ? relationships[nodeID] : null);
+            }
+        }
+    }
+});
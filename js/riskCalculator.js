@@ -0,0 +1,205 @@
+/**
+ * The UI Element for computing the probability of each unaffected person to be a carrier of or to be affected by
+ * one of the disorders in the pedigree, for the selected mode of inheritance (see MendelianRisk)
+ *
+ * @class RiskCalculator
+ * @constructor
+ */
+
+var RiskCalculator = Class.create( {
+
+    initialize: function() {
+        var mainDiv = new Element('div', {'class': 'risk-calculator'});
+
+        var settings = new Element('table', {'class': 'risk-calculator-settings'});
+        var _addSetting = function(labelText, input) {
+            var row = new Element('tr');
+            row.insert(new Element('td').insert(new Element('label').update(labelText)));
+            row.insert(new Element('td').insert(input));
+            settings.insert(row);
+        };
+
+        this._disorderSelect = new Element('select', {'name': 'disorder'});
+        _addSetting("Disorder:", this._disorderSelect);
+
+        this._modeSelect = new Element('select', {'name': 'mode'});
+        Inheritance.MODES.each(function(mode) {
+            this._modeSelect.insert(new Element('option', {'value': mode}).update(Inheritance.MODE_NAMES[mode]));
+        }.bind(this));
+        _addSetting("Mode of inheritance:", this._modeSelect);
+
+        var defaults = MendelianRisk.DEFAULT_OPTIONS;
+        this._frequencyInput  = new Element('input', {'type': 'text', 'name': 'frequency',  'value': defaults.alleleFrequency});
+        this._penetranceInput = new Element('input', {'type': 'text', 'name': 'penetrance', 'value': defaults.penetrance * 100});
+        this._onsetInput      = new Element('input', {'type': 'text', 'name': 'onset',      'value': defaults.onsetAge});
+        _addSetting("Disease allele frequency:", this._frequencyInput);
+        _addSetting("Penetrance (%):", this._penetranceInput);
+        _addSetting("Age of full penetrance (0 if congenital):", this._onsetInput);
+        mainDiv.insert(settings);
+
+        this._resultsDiv = new Element('div', {'class': 'risk-calculator-results'});
+        mainDiv.insert(this._resultsDiv);
+
+        var buttons = new Element('div', {'class' : 'buttons import-block-bottom'});
+        buttons.insert(new Element('input', {type: 'button', name : 'calculate', 'value': 'Calculate', 'class' : 'button'}).wrap('span', {'class' : 'buttonwrapper'}));
+        buttons.insert(new Element('input', {type: 'button', name : 'cancel', 'value': 'Close', 'class' : 'button secondary'}).wrap('span', {'class' : 'buttonwrapper'}));
+        mainDiv.insert(buttons);
+
+        buttons.down('input[name="calculate"]').observe('click', this._onCalculate.bind(this));
+        buttons.down('input[name="cancel"]').observe('click', this.hide.bind(this));
+
+        var closeShortcut = ['Esc'];
+        this.dialog = new PhenoTips.widgets.ModalPopup(mainDiv, {close: {method : this.hide.bind(this), keys : closeShortcut}}, {extraClassName: "risk-calculator-chooser", title: "Recurrence risk", displayCloseButton: true, verticalPosition: "top"});
+    },
+
+    /**
+     * Fills the list of disorders with the disorders currently present in the pedigree
+     *
+     * @private
+     */
+    _updateDisorders: function() {
+        RiskCalculator.updateDisorderSelect(this._disorderSelect, this._disorderSelect.value);
+    },
+
+    /**
+     * Returns the options for MendelianRisk.compute() entered by the user, or null if some are not valid
+     *
+     * @private
+     */
+    _getOptions: function() {
+        var frequency  = parseFloat(this._frequencyInput.value);
+        var penetrance = parseFloat(this._penetranceInput.value);
+        var onsetAge   = parseFloat(this._onsetInput.value);
+        if (isNaN(frequency) || frequency <= 0 || frequency >= 1) {
+            alert("Disease allele frequency should be a number between 0 and 1, e.g. 0.001");
+            return null;
+        }
+        if (isNaN(penetrance) || penetrance <= 0 || penetrance > 100) {
+            alert("Penetrance should be a percentage greater than 0 and at most 100");
+            return null;
+        }
+        if (isNaN(onsetAge) || onsetAge < 0) {
+            alert("Age of full penetrance should be a positive number of years, or 0");
+            return null;
+        }
+        return { "alleleFrequency": frequency, "penetrance": penetrance / 100, "onsetAge": onsetAge };
+    },
+
+    _onCalculate: function() {
+        var disorder = this._disorderSelect.value;
+        if (!disorder) {
+            alert("There are no disorders in the pedigree: assign a disorder to the affected persons first");
+            return;
+        }
+        var options = this._getOptions();
+        if (!options) {
+            return;
+        }
+        var mode = this._modeSelect.value;
+        var GG = editor.getGraph().DG.GG;
+        try {
+            var result = MendelianRisk.compute(GG, disorder, mode, options);
+        } catch (err) {
+            alert("Unable to compute the probabilities: " + err);
+            return;
+        }
+        this._displayResults(GG, result, mode);
+    },
+
+    /**
+     * Displays the computed probabilities as a table with one row per person
+     *
+     * @private
+     */
+    _displayResults: function(GG, result, mode) {
+        var personIDs = Object.keys(result.persons);
+        if (personIDs.length == 0) {
+            this._resultsDiv.update("All persons in the pedigree have a known status for this disorder");
+            return;
+        }
+        // carrier probabilities are only computed for recessive disorders
+        var showCarriers = (mode == "AR" || mode == "XLR");
+
+        var table = new Element('table', {'class': 'risk-calculator-table'});
+        var header = new Element('tr');
+        var titles = ["Person", "Status"];
+        showCarriers && titles.push("Carrier (prior)");
+        titles.push("Affected (prior)");
+        showCarriers && titles.push("Carrier (conditional)");
+        titles.push("Affected (conditional)");
+        titles.each(function(title) {
+            header.insert(new Element('th').update(title));
+        });
+        table.insert(header);
+
+        var _formatProbability = function(probability) {
+            if (probability === null) {
+                return "-";
+            }
+            var percent = probability * 100;
+            return ((percent > 0 && percent < 0.1) ? percent.toExponential(1) : percent.toFixed(1)) + "%";
+        };
+
+        personIDs.each(function(id) {
+            var person = result.persons[id];
+            var row = new Element('tr');
+            row.insert(new Element('td').update(Inheritance.getPersonLabel(GG, id).escapeHTML()));
+            row.insert(new Element('td').update(person.phenotype));
+            showCarriers && row.insert(new Element('td').update(_formatProbability(person.prior.carrier)));
+            row.insert(new Element('td').update(_formatProbability(person.prior.affected)));
+            showCarriers && row.insert(new Element('td').update(_formatProbability(person.conditional.carrier)));
+            row.insert(new Element('td').update(_formatProbability(person.conditional.affected)));
+            table.insert(row);
+        });
+
+        var note = new Element('div', {'class': 'risk-calculator-note'});
+        note.update("Prior probabilities follow from the affected persons and known carriers only. Conditional probabilities " +
+                    "also take into account that the other persons are unaffected at their current age.");
+        if (mode == "XLR") {
+            note.insert(" Males can not be healthy carriers of an X-linked recessive disorder.");
+        }
+
+        this._resultsDiv.update(table);
+        this._resultsDiv.insert(note);
+    },
+
+    /**
+     * Displays the risk calculator
+     *
+     * @method show
+     */
+    show: function() {
+        this._updateDisorders();
+        this._resultsDiv.update();
+        this.dialog.show();
+    },
+
+    /**
+     * Removes the risk calculator
+     *
+     * @method hide
+     */
+    hide: function() {
+        this.dialog.closeDialog();
+    }
+});
+
+/**
+ * Fills the given select element with the disorders currently present in the pedigree
+ *
+ * @method updateDisorderSelect
+ * @param {HTMLSelectElement} select The select element; option values are non-sanitized disorder IDs, same as in the graph
+ * @param {String} selectedDisorderID The disorder to select, if still present
+ */
+RiskCalculator.updateDisorderSelect = function(select, selectedDisorderID) {
+    select.update();
+    editor.getDisorderLegend().getAllDisorders().each(function(disorder) {
+        var disorderID = Disorder.desanitizeID(String(disorder.getDisorderID()));
+        var name = (disorderID == "affected") ? "Affected (no disorder specified)" : disorder.getName();
+        var option = new Element('option', {'value': disorderID}).update(name.escapeHTML());
+        if (disorderID == selectedDisorderID) {
+            option.selected = true;
+        }
+        select.insert(option);
+    });
+};
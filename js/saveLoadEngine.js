@@ -5,65 +5,21 @@
  * @constructor
  */
 
-function unescapeRestData (data) {
-    // http://stackoverflow.com/questions/4480757/how-do-i-unescape-html-entities-in-js-change-lt-to
-    var tempNode = document.createElement('div');
-    tempNode.innerHTML = data.replace(/&amp;/, '&');
-    return tempNode.innerText || tempNode.text || tempNode.textContent;
-}
-
-function getSelectorFromXML(responseXML, selectorName, attributeName, attributeValue) {
-    if (responseXML.querySelector) {
-        // modern browsers
-        return responseXML.querySelector(selectorName + "[" + attributeName + "='" + attributeValue + "']");
-    } else {
-        // IE7 && IE8 && some other older browsers
-        // http://www.w3schools.com/XPath/xpath_syntax.asp
-        // http://msdn.microsoft.com/en-us/library/ms757846%28v=vs.85%29.aspx
-        var query = "//" + selectorName + "[@" + attributeName + "='" + attributeValue + "']";
-        try {
-            return responseXML.selectSingleNode(query);
-        } catch (e) {
-            // Firefox v3.0-
-            alert("your browser is unsupported");
-            window.stop && window.stop();
-            throw "Unsupported browser";
-        }
-    }
-}
-
-function getSubSelectorTextFromXML(responseXML, selectorName, attributeName, attributeValue, subselectorName) {
-    var selector = getSelectorFromXML(responseXML, selectorName, attributeName, attributeValue);
-
-    var value = selector.innerText || selector.text || selector.textContent;
-
-    if (!value)     // fix IE behavior where (undefined || "" || undefined) == undefined
-        value = "";
-
-    return value;
-}
-
 var ProbandDataLoader = Class.create( {
     initialize: function() {
         this.probandData = undefined;
     },
     load: function(callWhenReady) {
-        new Ajax.Request(XWiki.currentDocument.getRestURL('objects/PhenoTips.PatientClass/0.xml').substring(1), {
-            method: "GET",
-            onSuccess: this.onProbandDataReady.bind(this),
-            onComplete: callWhenReady ? callWhenReady : {}
+        editor.getStorage().loadProbandData(this.onProbandDataReady.bind(this, callWhenReady), function(message) {
+            console.log("Proband data is not available: " + message);
+            callWhenReady && callWhenReady();
         });
     },
 
-    onProbandDataReady : function(response) {
-        var responseXML = response.responseXML;  //documentElement.
-        this.probandData = {};
-        this.probandData.firstName = unescapeRestData(getSubSelectorTextFromXML(responseXML, "property", "name", "first_name", "value"));
-        this.probandData.lastName  = unescapeRestData(getSubSelectorTextFromXML(responseXML, "property", "name", "last_name", "value"));
-        this.probandData.gender    = unescapeRestData(getSubSelectorTextFromXML(responseXML, "property", "name", "gender", "value"));
-        if (this.probandData.gender === undefined || this.probandData.gender == '')
-            this.probandData.gender = 'U';
+    onProbandDataReady : function(callWhenReady, probandData) {
+        this.probandData = probandData;
         console.log("Proband data: " + stringifyObject(this.probandData));
+        callWhenReady && callWhenReady();
     },
 });
 
@@ -101,9 +57,11 @@ var SaveLoadEngine = Class.create( {
 
         if (!noUndo) {
             var probandData = editor.getProbandDataFromPhenotips();
-            var genderOk = editor.getGraph().setProbandData( probandData.firstName, probandData.lastName, probandData.gender );
-            if (!genderOk)
-                alert("Proband gender defined in Phenotips is incompatible with this pedigree. Setting proband gender to 'Unknown'");
+            if (probandData) {
+                var genderOk = editor.getGraph().setProbandData( probandData.firstName, probandData.lastName, probandData.gender );
+                if (!genderOk)
+                    alert("Proband gender defined in Phenotips is incompatible with this pedigree. Setting proband gender to 'Unknown'");
+            }
             JSONString = editor.getGraph().toJSON();
         }
 
@@ -137,9 +95,11 @@ var SaveLoadEngine = Class.create( {
 
         if (!noUndo) {
             var probandData = editor.getProbandDataFromPhenotips();
-            var genderOk = editor.getGraph().setProbandData( probandData.firstName, probandData.lastName, probandData.gender );
-            if (!genderOk)
-                alert("Proband gender defined in Phenotips is incompatible with the imported pedigree. Setting proband gender to 'Unknown'");
+            if (probandData) {
+                var genderOk = editor.getGraph().setProbandData( probandData.firstName, probandData.lastName, probandData.gender );
+                if (!genderOk)
+                    alert("Proband gender defined in Phenotips is incompatible with the imported pedigree. Setting proband gender to 'Unknown'");
+            }
             JSONString = editor.getGraph().toJSON();
         }
 
@@ -156,60 +116,189 @@ var SaveLoadEngine = Class.create( {
         document.fire("pedigree:load:finish");
     },
 
-    save: function() {
-        if (this._saveInProgress)
-            return;   // Don't send parallel save requests
+    /**
+     * Adds the persons from the imported data to the current pedigree instead of replacing it
+     *
+     * @method mergeImportData
+     * @param {String} importString The imported data
+     * @param {String} importType One of the types accepted by PedigreeImport.importBaseGraph
+     * @param {Object} importOptions Import options, same as in createGraphFromImportData
+     * @param {Number} importedPersonID The ID of a person in the imported data (see PedigreeImport.importBaseGraph)...
+     * @param {Number} existingPersonID ...who is the same person as this node in the current pedigree
+     */
+    mergeImportData: function(importString, importType, importOptions, importedPersonID, existingPersonID) {
+        console.log("---- import: merging data ----");
+        document.fire("pedigree:load:start");
 
-        var me = this;
+        try {
+            var baseGraph = PedigreeImport.importBaseGraph(importString, importType, importOptions);
+            var changeSet = editor.getGraph().mergeImport(baseGraph, importedPersonID, existingPersonID);
+        }
+        catch(err)
+        {
+            alert("Error merging imported pedigree: " + err);
+            document.fire("pedigree:load:finish");
+            return;
+        }
 
-        var jsonData = this.serialize();
+        editor.getView().applyChanges(changeSet, true);
 
-        console.log("[SAVE] data: " + stringifyObject(jsonData));
+        editor.getActionStack().addState(null, null, editor.getGraph().toJSON());
 
+        document.fire("pedigree:load:finish");
+    },
+
+    /**
+     * Returns the SVG image of the pedigree, cropped to the pedigree and without the background
+     *
+     * @method getImage
+     * @return {String} SVG image
+     */
+    getImage: function() {
         var image = $('canvas');
         var background = image.getElementsByClassName('panning-background')[0];
         var backgroundPosition = background.nextSibling;
         var backgroundParent =  background.parentNode;
         backgroundParent.removeChild(background);
         var bbox = image.down().getBBox();
+        var svg = image.innerHTML.replace(/xmlns:xlink=".*?"/, '').replace(/width=".*?"/, '').replace(/height=".*?"/, '').replace(/viewBox=".*?"/, "viewBox=\"" + bbox.x + " " + bbox.y + " " + bbox.width + " " + bbox.height + "\" width=\"" + bbox.width + "\" height=\"" + bbox.height + "\" xmlns:xlink=\"http://www.w3.org/1999/xlink\"");
+        backgroundParent.insertBefore(background, backgroundPosition);
+        return svg;
+    },
+
+    /**
+     * Saves the pedigree under its current name, or asks for a name if it has not been saved yet
+     *
+     * @method save
+     */
+    save: function() {
+        var pedigreeName = editor.getStorage().getPedigreeName();
+        if (!pedigreeName) {
+            this.saveAs();
+            return;
+        }
+        this._save(pedigreeName);
+    },
+
+    /**
+     * Asks for a name and saves the pedigree under that name, which becomes the name of the open pedigree.
+     * Only available when the storage backend can create new pedigrees.
+     *
+     * @method saveAs
+     */
+    saveAs: function() {
+        var storage = editor.getStorage();
+        if (!storage.canCreatePedigrees()) {
+            alert("Pedigrees can not be saved under a new name with this storage backend");
+            return;
+        }
+        var pedigreeName = prompt("Save the pedigree as:", storage.getPedigreeName() ? storage.getPedigreeName() : "");
+        if (pedigreeName === null)
+            return;
+        pedigreeName = pedigreeName.strip();
+        if (!pedigreeName) {
+            alert("Pedigree name can not be empty");
+            return;
+        }
+        if (pedigreeName == storage.getPedigreeName()) {
+            this._save(pedigreeName);
+            return;
+        }
+        storage.loadPedigree(pedigreeName, function(existingData) {
+            if (existingData && !confirm("A pedigree named \"" + pedigreeName + "\" already exists. Do you want to replace it?"))
+                return;
+            this._save(pedigreeName, function() {
+                storage.setPedigreeName(pedigreeName);
+            });
+        }.bind(this), function(message) {
+            alert("Error saving the pedigree: " + message);
+        });
+    },
+
+    _save: function(pedigreeName, onSaved) {
+        if (this._saveInProgress)
+            return;   // Don't send parallel save requests
+
+        var me = this;
+
+        var jsonData = this.serialize();
+
+        console.log("[SAVE] data: " + stringifyObject(jsonData));
+
+        var image = this.getImage();
+
         var savingNotification = new XWiki.widgets.Notification("Saving", "inprogress");
-        new Ajax.Request(XWiki.currentDocument.getRestURL('objects/PhenoTips.PedigreeClass/0.xml', 'method=PUT').substring(1), {
-            method: 'POST',
-            onCreate: function() {
-                me._saveInProgress = true;
-            },
-            onComplete: function() {
-                me._saveInProgress = false;
-            },
-            onSuccess: function() {savingNotification.replace(new XWiki.widgets.Notification("Successfuly saved"));},
-            parameters: {"property#data": jsonData, "property#image": image.innerHTML.replace(/xmlns:xlink=".*?"/, '').replace(/width=".*?"/, '').replace(/height=".*?"/, '').replace(/viewBox=".*?"/, "viewBox=\"" + bbox.x + " " + bbox.y + " " + bbox.width + " " + bbox.height + "\" width=\"" + bbox.width + "\" height=\"" + bbox.height + "\" xmlns:xlink=\"http://www.w3.org/1999/xlink\"")}
+        this._saveInProgress = true;
+        editor.getStorage().savePedigree(pedigreeName, jsonData, image, function() {
+            me._saveInProgress = false;
+            onSaved && onSaved();
+            savingNotification.replace(new XWiki.widgets.Notification("Successfuly saved"));
+        }, function(message) {
+            me._saveInProgress = false;
+            savingNotification.replace(new XWiki.widgets.Notification("Failed to save: " + message, "error"));
         });
-        backgroundParent.insertBefore(background, backgroundPosition);
+    },
+
+    /**
+     * Saves the given serialized pedigree under the given name (in XWiki: into a separate, possibly new, document
+     * in the current space). The pedigree currently open in the editor is not affected.
+     *
+     * @method saveToDocument
+     * @param {String} documentName Name of the document to save to
+     * @param {String} jsonData Serialized pedigree, as produced by DynamicPositionedGraph.toJSON()
+     */
+    saveToDocument: function(documentName, jsonData) {
+        var savingNotification = new XWiki.widgets.Notification("Saving " + documentName, "inprogress");
+        editor.getStorage().savePedigree(documentName, jsonData, null, function() {
+            savingNotification.replace(new XWiki.widgets.Notification("Successfuly saved " + documentName));
+        }, function(message) {
+            savingNotification.replace(new XWiki.widgets.Notification("Failed to save " + documentName + ": " + message, "error"));
+        });
+    },
+
+    /**
+     * Opens the pedigree stored under the given name. Only available when the storage backend can store
+     * multiple pedigrees.
+     *
+     * @method openPedigree
+     * @param {String} pedigreeName
+     */
+    openPedigree: function(pedigreeName) {
+        editor.getStorage().setPedigreeName(pedigreeName);
+        // undo should not bring back the previously open pedigree, which would then be saved under the new name
+        editor.getActionStack().clear();
+        // the proband data depends on the pedigree (in PhenoTips: the patient record the pedigree is stored in)
+        editor.getProbandDataLoader().load(this.load.bind(this));
     },
 
     load: function() {
         console.log("initiating load process");
 
-        new Ajax.Request(XWiki.currentDocument.getRestURL('objects/PhenoTips.PedigreeClass/0.xml').substring(1), {
-            method: 'GET',
-            onCreate: function() {
-                document.fire("pedigree:load:start");
-            },
-            onSuccess: function (response) {
-                //console.log("Data from LOAD: " + stringifyObject(response));
-                //console.log("[Data from LOAD]");
-                var rawdata  = getSubSelectorTextFromXML(response.responseXML, "property", "name", "data", "value");
-                var jsonData = unescapeRestData(rawdata);
-                if (jsonData.trim()) {
-                    console.log("[LOAD] recived JSON: " + stringifyObject(jsonData));
-
-                    jsonData = editor.getVersionUpdater().updateToCurrentVersion(jsonData);
-
-                    this.createGraphFromSerializedData(jsonData);
-                } else {
-                    new TemplateSelector(true);
-                }
-            }.bind(this)
-        })
+        var pedigreeName = editor.getStorage().getPedigreeName();
+        if (!pedigreeName) {
+            if (editor.getStorage().canStoreMultiplePedigrees()) {
+                new PedigreeLibrary(true);
+            } else {
+                new TemplateSelector(true);
+            }
+            return;
+        }
+
+        document.fire("pedigree:load:start");
+        editor.getStorage().loadPedigree(pedigreeName, function (jsonData) {
+            if (jsonData.trim()) {
+                console.log("[LOAD] recived JSON: " + stringifyObject(jsonData));
+
+                jsonData = editor.getVersionUpdater().updateToCurrentVersion(jsonData);
+
+                this.createGraphFromSerializedData(jsonData);
+            } else {
+                document.fire("pedigree:load:finish");
+                new TemplateSelector(true);
+            }
+        }.bind(this), function(message) {
+            document.fire("pedigree:load:finish");
+            alert("Error loading the pedigree: " + message);
+        });
     }
 });
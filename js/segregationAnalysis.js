@@ -0,0 +1,221 @@
+SegregationAnalysis = function () {
+};
+
+SegregationAnalysis.prototype = {
+};
+
+/* ===============================================================================================
+ *
+ * Checks which modes of inheritance (see Inheritance.MODES) are compatible with the segregation of the
+ * given disorder in the pedigree, by looking at every child with both parents in the pedigree:
+ *
+ *  - "excludes": the observation is not possible under the mode of inheritance with full penetrance and without
+ *                new mutations, e.g. male-to-male transmission of an X-linked dominant disorder, or an
+ *                unaffected child of two parents affected by an autosomal recessive disorder
+ *  - "against":  the observation needs a less likely explanation, e.g. an affected child of two unaffected
+ *                parents in an autosomal dominant disorder (reduced penetrance or a new mutation)
+ *  - "supports": the observation is typical for the mode of inheritance, e.g. vertical transmission
+ *                for dominant disorders, affected children of unaffected (consanguineous) parents for recessive ones
+ *
+ * Persons marked as carriers are treated as unaffected heterozygotes, presymptomatic persons as affected.
+ *
+ * pedigree: DynamicPositionedGraph (editor.getGraph() in the editor), used to find consanguineous parents
+ *
+ * Returns the modes of inheritance ranked from the most to the least compatible one:
+ *
+ *   [ { "mode": "AR", "excluded": false, "score": <number of supporting minus number of contradicting observations>,
+ *       "evidence": [ { "type": "supports", "persons": [ <person id>, ... ], "reason": <human readable text> }, ... ] },
+ *     ... ]
+ * ===============================================================================================
+ */
+SegregationAnalysis.analyse = function(pedigree, disorder)
+{
+    var GG = pedigree.DG.GG;
+
+    var persons    = Inheritance.getPersons(GG);
+    var phenotypes = {};
+    var affected   = [];
+    for (var i = 0; i < persons.length; i++) {
+        phenotypes[persons[i]] = Inheritance.getPhenotype(GG, persons[i], disorder);
+        if (phenotypes[persons[i]] == "affected" || phenotypes[persons[i]] == "presymptomatic") {
+            affected.push(persons[i]);
+        }
+    }
+    if (affected.length == 0) {
+        throw "There are no affected persons with the selected disorder";
+    }
+
+    var analysis = new SegregationAnalysis._Analysis(pedigree, phenotypes);
+    for (var i = 0; i < persons.length; i++) {
+        var parents = Inheritance.getParents(GG, persons[i]);
+        if (parents) {
+            analysis.checkTrio(persons[i], parents.mother, parents.father);
+        }
+    }
+    analysis.checkSexRatio(affected);
+
+    var result = [];
+    for (var i = 0; i < Inheritance.MODES.length; i++) {
+        var mode = Inheritance.MODES[i];
+        var evidence = analysis.evidence[mode];
+        var excluded = false;
+        var score    = 0;
+        for (var j = 0; j < evidence.length; j++) {
+            if (evidence[j].type == "excludes") {
+                excluded = true;
+            } else {
+                score += (evidence[j].type == "supports") ? 1 : -1;
+            }
+        }
+        result.push({ "mode": mode, "excluded": excluded, "score": score, "evidence": evidence, "_order": i });
+    }
+
+    // compatible modes first, then by score, then in the default order of the modes
+    result.sort(function(a, b) {
+        if (a.excluded != b.excluded) {
+            return a.excluded ? 1 : -1;
+        }
+        if (a.score != b.score) {
+            return b.score - a.score;
+        }
+        return a._order - b._order;
+    });
+    for (var i = 0; i < result.length; i++) {
+        delete result[i]._order;
+    }
+    return result;
+}
+
+SegregationAnalysis._Analysis = function(pedigree, phenotypes)
+{
+    this.pedigree   = pedigree;
+    this.GG         = pedigree.DG.GG;
+    this.phenotypes = phenotypes;
+    this.evidence   = {};
+    for (var i = 0; i < Inheritance.MODES.length; i++) {
+        this.evidence[Inheritance.MODES[i]] = [];
+    }
+}
+
+SegregationAnalysis._Analysis.prototype = {
+
+    _isAffected: function(v) {
+        return this.phenotypes[v] == "affected" || this.phenotypes[v] == "presymptomatic";
+    },
+
+    // unaffected, including the persons known to be carriers
+    _isUnaffected: function(v) {
+        return this.phenotypes[v] == "unaffected" || this.phenotypes[v] == "carrier";
+    },
+
+    _isCarrier: function(v) {
+        return this.phenotypes[v] == "carrier";
+    },
+
+    // the X-linked rules which depend on the number of X chromosomes are only applied to persons of known gender
+    _isMale: function(v) {
+        return this.GG.properties[v]["gender"] == "M";
+    },
+
+    _isFemale: function(v) {
+        return this.GG.properties[v]["gender"] == "F";
+    },
+
+    _getLabel: function(v) {
+        return Inheritance.getPersonLabel(this.GG, v);
+    },
+
+    _add: function(mode, type, persons, reason) {
+        this.evidence[mode].push({ "type": type, "persons": persons, "reason": reason });
+    },
+
+    checkTrio: function(child, mother, father) {
+        var trio = [child, mother, father];
+        var childLabel = this._getLabel(child);
+
+        var affectedMother = this._isAffected(mother);
+        var affectedFather = this._isAffected(father);
+
+        if (this._isAffected(child)) {
+            if (this._isUnaffected(mother) && this._isUnaffected(father)) {
+                var parentsText = "unaffected parents";
+                var relationship = this.pedigree.getRelationshipDescription(mother, father);
+                if (relationship !== null) {
+                    parentsText = "unaffected consanguineous parents (" + relationship + ")";
+                }
+                this._add("AD",  "against",  trio, "affected " + childLabel + " has " + parentsText + ": requires reduced penetrance or a new mutation");
+                this._add("XLD", "against",  trio, "affected " + childLabel + " has " + parentsText + ": requires reduced penetrance or a new mutation");
+                this._add("AR",  "supports", trio, "affected " + childLabel + " has " + parentsText);
+                if (this._isMale(child)) {
+                    this._add("XLR", "supports", [child, mother], "affected son " + childLabel + " has an unaffected mother, who may be a carrier");
+                }
+            }
+
+            if (affectedMother || affectedFather) {
+                var parent = affectedMother ? mother : father;
+                var transmission = "vertical transmission from affected " + this._getLabel(parent) + " to " + childLabel;
+                this._add("AD", "supports", [parent, child], transmission);
+                if (!affectedMother || !affectedFather) {
+                    var otherParent = affectedMother ? father : mother;
+                    if (this._isCarrier(otherParent)) {
+                        this._add("AR", "supports", trio, transmission + ", the other parent is a carrier (pseudodominance)");
+                    } else if (this._isUnaffected(otherParent)) {
+                        this._add("AR", "against", trio, transmission + ": requires the unaffected other parent to be a carrier");
+                    }
+                }
+            }
+
+            if (affectedMother) {
+                this._add("MT",  "supports", [mother, child], "maternal transmission from affected " + this._getLabel(mother) + " to " + childLabel);
+                this._add("XLD", "supports", [mother, child], "transmission from affected mother " + this._getLabel(mother) + " to " + childLabel);
+            } else if (this._isUnaffected(mother)) {
+                this._add("MT", "against", [mother, child], "affected " + childLabel + " has an unaffected mother: requires heteroplasmy or a new mutation");
+            }
+
+            if (this._isMale(child) && affectedFather && this._isUnaffected(mother)) {
+                var maleToMale = "male-to-male transmission from affected father " + this._getLabel(father) + " to " + childLabel;
+                this._add("XLD", "excludes", trio, maleToMale + " (sons inherit their X chromosome from their mother)");
+                if (this._isCarrier(mother)) {
+                    this._add("XLR", "against", trio, maleToMale + ", explained by the carrier mother only");
+                } else {
+                    this._add("XLR", "excludes", trio, maleToMale + " (sons inherit their X chromosome from their unaffected mother)");
+                }
+            }
+            if (this._isFemale(child) && affectedFather) {
+                this._add("XLD", "supports", [father, child], "transmission from affected father " + this._getLabel(father) + " to daughter " + childLabel);
+            }
+            if (this._isFemale(child) && this._isUnaffected(father)) {
+                this._add("XLR", "excludes", [father, child], "affected daughter " + childLabel + " of unaffected father " + this._getLabel(father) +
+                                                              " (affected females inherit the disease allele from both parents)");
+            }
+        } else if (this._isUnaffected(child)) {
+            if (affectedMother && affectedFather) {
+                this._add("AR", "excludes", trio, "unaffected " + childLabel + " has two affected parents");
+            }
+            if (this._isMale(child) && affectedMother) {
+                this._add("XLR", "excludes", [mother, child], "unaffected son " + childLabel + " of affected mother " + this._getLabel(mother) +
+                                                              " (affected females pass the disease allele to all sons)");
+            }
+            if (this._isFemale(child) && affectedFather) {
+                this._add("XLD", "excludes", [father, child], "unaffected daughter " + childLabel + " of affected father " + this._getLabel(father) +
+                                                              " (daughters inherit the X chromosome of their father)");
+            }
+            if (affectedMother) {
+                this._add("MT", "against", [mother, child], "unaffected " + childLabel + " of affected mother " + this._getLabel(mother) +
+                                                            ": requires heteroplasmy");
+            }
+        }
+    },
+
+    checkSexRatio: function(affected) {
+        var males   = [];
+        var females = [];
+        for (var i = 0; i < affected.length; i++) {
+            this._isMale(affected[i]) && males.push(affected[i]);
+            this._isFemale(affected[i]) && females.push(affected[i]);
+        }
+        if (males.length >= 2 && females.length == 0) {
+            this._add("XLR", "supports", males, "only males are affected");
+        }
+    }
+};
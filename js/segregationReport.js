@@ -0,0 +1,116 @@
+/**
+ * The UI Element for checking which modes of inheritance are compatible with the segregation of the selected
+ * disorder in the pedigree (see SegregationAnalysis), with the persons supporting or contradicting each mode
+ *
+ * @class SegregationReport
+ * @constructor
+ */
+
+var SegregationReport = Class.create( {
+
+    initialize: function() {
+        var mainDiv = new Element('div', {'class': 'risk-calculator'});
+
+        var settings = new Element('table', {'class': 'risk-calculator-settings'});
+        this._disorderSelect = new Element('select', {'name': 'disorder'});
+        settings.insert(new Element('tr').insert(new Element('td').update("Disorder:")).insert(new Element('td').insert(this._disorderSelect)));
+        mainDiv.insert(settings);
+
+        this._resultsDiv = new Element('div', {'class': 'risk-calculator-results'});
+        mainDiv.insert(this._resultsDiv);
+
+        var buttons = new Element('div', {'class' : 'buttons import-block-bottom'});
+        buttons.insert(new Element('input', {type: 'button', name : 'analyse', 'value': 'Analyse', 'class' : 'button'}).wrap('span', {'class' : 'buttonwrapper'}));
+        buttons.insert(new Element('input', {type: 'button', name : 'cancel', 'value': 'Close', 'class' : 'button secondary'}).wrap('span', {'class' : 'buttonwrapper'}));
+        mainDiv.insert(buttons);
+
+        buttons.down('input[name="analyse"]').observe('click', this._onAnalyse.bind(this));
+        buttons.down('input[name="cancel"]').observe('click', this.hide.bind(this));
+
+        var closeShortcut = ['Esc'];
+        this.dialog = new PhenoTips.widgets.ModalPopup(mainDiv, {close: {method : this.hide.bind(this), keys : closeShortcut}}, {extraClassName: "risk-calculator-chooser", title: "Modes of inheritance", displayCloseButton: true, verticalPosition: "top"});
+    },
+
+    _onAnalyse: function() {
+        var disorder = this._disorderSelect.value;
+        if (!disorder) {
+            alert("There are no disorders in the pedigree: assign a disorder to the affected persons first");
+            return;
+        }
+        try {
+            var result = SegregationAnalysis.analyse(editor.getGraph(), disorder);
+        } catch (err) {
+            alert("Unable to analyse the modes of inheritance: " + err);
+            return;
+        }
+        this._displayResults(editor.getGraph().DG.GG, result);
+    },
+
+    /**
+     * Displays the modes of inheritance from the most to the least compatible one, followed by the observations
+     * supporting or contradicting each of them
+     *
+     * @private
+     */
+    _displayResults: function(GG, result) {
+        var summary = new Element('table', {'class': 'risk-calculator-table'});
+        summary.insert(new Element('tr').insert(new Element('th').update("Mode of inheritance"))
+                                        .insert(new Element('th').update("Compatibility"))
+                                        .insert(new Element('th').update("Score")));
+        result.each(function(mode) {
+            var row = new Element('tr');
+            row.insert(new Element('td').update(Inheritance.MODE_NAMES[mode.mode]));
+            row.insert(new Element('td').update(mode.excluded ? "excluded" : "compatible"));
+            row.insert(new Element('td').update(mode.excluded ? "-" : String(mode.score)));
+            summary.insert(row);
+        });
+        this._resultsDiv.update(summary);
+
+        var observationNames = { "supports": "supports", "against": "argues against", "excludes": "excludes" };
+        var details = new Element('table', {'class': 'risk-calculator-table'});
+        details.insert(new Element('tr').insert(new Element('th').update("Mode of inheritance"))
+                                        .insert(new Element('th').update("Observation"))
+                                        .insert(new Element('th').update("Persons"))
+                                        .insert(new Element('th').update("Details")));
+        result.each(function(mode) {
+            mode.evidence.each(function(observation) {
+                var persons = observation.persons.map(function(id) { return Inheritance.getPersonLabel(GG, id); }).join(", ");
+                var row = new Element('tr');
+                row.insert(new Element('td').update(Inheritance.MODE_NAMES[mode.mode]));
+                row.insert(new Element('td').update(observationNames[observation.type]));
+                row.insert(new Element('td').update(persons.escapeHTML()));
+                row.insert(new Element('td').update(observation.reason.escapeHTML()));
+                details.insert(row);
+            });
+        });
+        if (details.select('tr').length > 1) {
+            this._resultsDiv.insert(details);
+        }
+
+        var note = new Element('div', {'class': 'risk-calculator-note'});
+        note.update("Modes of inheritance are excluded by observations which are not possible with full penetrance and without " +
+                    "new mutations. Observations which need reduced penetrance, a new mutation or heteroplasmy argue against " +
+                    "a mode of inheritance without excluding it.");
+        this._resultsDiv.insert(note);
+    },
+
+    /**
+     * Displays the inheritance mode analysis
+     *
+     * @method show
+     */
+    show: function() {
+        RiskCalculator.updateDisorderSelect(this._disorderSelect, this._disorderSelect.value);
+        this._resultsDiv.update();
+        this.dialog.show();
+    },
+
+    /**
+     * Removes the inheritance mode analysis
+     *
+     * @method hide
+     */
+    hide: function() {
+        this.dialog.closeDialog();
+    }
+});
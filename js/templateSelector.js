@@ -15,10 +15,9 @@ var TemplateSelector = Class.create( {
         var closeShortcut = isStartupTemplateSelector ? [] : ['Esc'];
         this.dialog = new PhenoTips.widgets.ModalPopup(this.mainDiv, {close: {method : this.hide.bind(this), keys : closeShortcut}}, {extraClassName: "pedigree-template-chooser", title: "Please select a pedigree template", displayCloseButton: !isStartupTemplateSelector, verticalPosition: "top"});
         isStartupTemplateSelector && this.dialog.show();
-        new Ajax.Request(new XWiki.Document('WebHome').getRestURL('objects/PhenoTips.PedigreeClass/index.xml').substring(1), {
-            method: 'GET',
-            onSuccess: this._onTemplateListAvailable.bind(this)
-        });
+        editor.getStorage().listTemplates(this._onTemplateListAvailable.bind(this), function(message) {
+            this.mainDiv.update("Unable to load the list of templates: " + message);
+        }.bind(this));
     },
 
     /**
@@ -32,50 +31,45 @@ var TemplateSelector = Class.create( {
     },
 
     /**
-     * Displays the templates once they have been downloaded
+     * Displays the templates once they have been loaded
      *
-     * @param response
+     * @param templates
      * @private
      */
-    _onTemplateListAvailable: function(response) {
+    _onTemplateListAvailable: function(templates) {
         this.mainDiv.update();
-        var objects = response.responseXML.documentElement.getElementsByTagName('objectSummary');
-        for (var i = 0; i < objects.length; ++i) {
-            var pictureBox = new Element('div', {'class': 'picture-box'});
-            pictureBox.update("Loading...");
+        for (var i = 0; i < templates.length; ++i) {
+            var pictureBox = this._createPictureBox(templates[i].description, templates[i].image);
+            pictureBox.pedigreeData = templates[i].data;
+            pictureBox.type         = templates[i].type;
+            pictureBox.description  = templates[i].description;
+
+            //console.log("[Data from Template] - " + stringifyObject(pictureBox.pedigreeData));
+
+            pictureBox.observe('click', this._onTemplateSelected.bindAsEventListener(this, pictureBox));
             this.mainDiv.insert(pictureBox);
-            var href = getSelectorFromXML(objects[i], "link", "rel", "http://www.xwiki.org/rel/properties").getAttribute("href").substring(1);
-            new Ajax.Request(href, {
-                method: 'GET',
-                onSuccess: this._onTemplateAvailable.bind(this, pictureBox)
-            });
         }
     },
 
     /**
-     * Creates a clickable template thumbnail once the information has been downloaded
+     * Creates a clickable thumbnail showing the given image, or the description if there is no image
      *
-     * @param pictureBox
-     * @param response
+     * @param description
+     * @param image SVG image
      * @private
      */
-    _onTemplateAvailable: function(pictureBox, response) {
-        pictureBox.innerHTML = getSubSelectorTextFromXML(response.responseXML, "property", "name", "image", "value").replace(/&amp;/, '&');
-        pictureBox.pedigreeData = getSubSelectorTextFromXML(response.responseXML, "property", "name", "data", "value");
-        pictureBox.type         = 'internal';
-        pictureBox.description  = getSubSelectorTextFromXML(response.responseXML, "property", "name", "description", "value");
-        pictureBox.title        = pictureBox.description;
-
-        //console.log("[Data from Template] - " + stringifyObject(pictureBox.pedigreeData));
+    _createPictureBox: function(description, image) {
+        var pictureBox = new Element('div', {'class': 'picture-box'});
+        pictureBox.title = description;
 
         // TODO: render images with JavaScript instead
-        if (window.SVGSVGElement &&
+        if (image && window.SVGSVGElement &&
             document.implementation.hasFeature("http://www.w3.org/TR/SVG11/feature#Image", "1.1")) {
-            pictureBox.update(getSubSelectorTextFromXML(response.responseXML, "property", "name", "image", "value"));
+            pictureBox.update(image);
         } else {
-            pictureBox.innerHTML = "<table bgcolor='#FFFAFA'><tr><td><br>&nbsp;" + pictureBox.description + "&nbsp;<br><br></td></tr></table>";
+            pictureBox.innerHTML = "<table bgcolor='#FFFAFA'><tr><td><br>&nbsp;" + description.escapeHTML() + "&nbsp;<br><br></td></tr></table>";
         }
-        pictureBox.observe('click', this._onTemplateSelected.bindAsEventListener(this, pictureBox));
+        return pictureBox;
     },
 
     /**
@@ -88,6 +82,10 @@ var TemplateSelector = Class.create( {
     _onTemplateSelected: function(event, pictureBox) {
         //console.log("observe onTemplateSelected");
         this.dialog.close();
+        if (editor.getStorage().canCreatePedigrees()) {
+            // a template starts a new pedigree, which is saved under a new name
+            editor.getStorage().setPedigreeName(null);
+        }
         if (pictureBox.type == 'internal') {
             editor.getSaveLoadEngine().createGraphFromSerializedData(pictureBox.pedigreeData, false /* add to undo stack */, true /*center around 0*/);
         } else if (pictureBox.type == 'simpleJSON') {
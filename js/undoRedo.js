@@ -11,6 +11,16 @@ var ActionStack = Class.create({
         this._MAXUNDOSIZE  = 100;
     },
 
+    /**
+     * Removes all states, e.g. when a different pedigree is opened
+     *
+     * @method clear
+     */
+    clear: function() {
+        this._currentState = 0;
+        this._stack        = [];
+    },
+
     /**
      * Moves one state forward in the action stack
      *
@@ -0,0 +1,232 @@
+/**
+ * The UI Element for linking the persons in the pedigree to the samples listed in the header of
+ * a (multi-sample) VCF file. The linked sample names are saved as the "sample ID" of each person
+ *
+ * @class VCFSampleLinker
+ */
+
+var VCFSampleLinker = Class.create( {
+
+    initialize: function() {
+        if (editor.isReadOnlyMode()) return;
+
+        var _this = this;
+
+        var mainDiv = new Element('div', {'class': 'import-selector'});
+
+        var promptHeader = new Element('div', {'class': 'import-section'}).update("VCF header:");
+        var note = new Element('div', {'class': 'import-family-note'}).update("Paste the VCF header (at least the \"#CHROM\" line) or select a VCF file. " +
+                "Only the sample names are read, genotypes are ignored.");
+        this.vcfValue = new Element("textarea", {"value": "", "class": "import-textarea"});
+        this.vcfValue.observe('input', this._hideSampleTable.bind(this));
+        mainDiv.insert(promptHeader).insert(note).insert(this.vcfValue);
+
+        if (!!window.FileReader && !!window.FileList) {
+            var uploadFileSelector = new Element('input', {"type" : "file", "id": 'vcfInputFile', "style": 'display:none'});
+            uploadFileSelector.observe('change', function(event) {
+                _this.handleFileUpload(this.files);
+                try {
+                    this.value = "";  // clear file selector
+                } catch (err) {
+                    // some older browsers do not allow setting value of a file input element and may generate a security error
+                }
+            })
+            var uploadLink = new Element('div', {'class': 'import-upload'}).update("(<a>Select a local VCF file</a>)");
+            uploadLink.observe('click', function(event) {
+                var fileElem = document.getElementById("vcfInputFile");
+                fileElem.click();
+            })
+            mainDiv.insert(uploadFileSelector).insert(uploadLink);
+        }
+
+        // only shown once the sample names are known
+        this.sampleSection = new Element('div', {'class': 'import-block'});
+        this.sampleSection.hide();
+        mainDiv.insert(this.sampleSection);
+
+        var buttons = new Element('div', {'class' : 'buttons import-block-bottom'});
+        buttons.insert(new Element('input', {type: 'button', name : 'link', 'value': 'Read samples', 'class' : 'button'}).wrap('span', {'class' : 'buttonwrapper'}));
+        buttons.insert(new Element('input', {type: 'button', name : 'cancel', 'value': 'Cancel', 'class' : 'button secondary'}).wrap('span', {'class' : 'buttonwrapper'}));
+        mainDiv.insert(buttons);
+
+        var cancelButton = buttons.down('input[name="cancel"]');
+        cancelButton.observe('click', function(event) {
+            _this.hide();
+        })
+        this.linkButton = buttons.down('input[name="link"]');
+        this.linkButton.observe('click', function(event) {
+            _this._onLinkStarted();
+        })
+
+        var closeShortcut = ['Esc'];
+        this.dialog = new PhenoTips.widgets.ModalPopup(mainDiv, {close: {method : this.hide.bind(this), keys : closeShortcut}}, {extraClassName: "pedigree-import-chooser", title: "Link VCF samples", displayCloseButton: true});
+    },
+
+    /*
+     * Populates the text input box with the header of the selected file (asynchronously).
+     * VCF files can be huge, so only the beginning of the file is read
+     */
+    handleFileUpload: function(files) {
+        if (files.length == 0) return;
+        var nextFile = files[0];
+        console.log("loading VCF file: " + nextFile.name + ", size: " + nextFile.size);
+
+        if (nextFile.name.match(/\.gz$/i)) {
+            alert("Compressed VCF files are not supported, please paste the header lines instead (e.g. the output of \"bcftools view -h\")");
+            return;
+        }
+
+        var _this = this;
+        var fr = new FileReader();
+        fr.onload = function(e) {
+            // drop everything after the "#CHROM" line and the last (possibly incomplete) line
+            var text  = e.target.result;
+            var chrom = text.indexOf("\n#CHROM");
+            var end   = (chrom >= 0) ? text.indexOf("\n", chrom + 1) : text.lastIndexOf("\n");
+            _this.vcfValue.value = (end >= 0) ? text.substring(0, end) : text;
+            _this._hideSampleTable();
+        };
+        fr.readAsText(nextFile.slice(0, VCFSampleLinker.MAX_HEADER_SIZE));
+    },
+
+    /*
+     * Shows a table with one row per VCF sample, where the person for each sample can be selected
+     */
+    _showSampleTable: function(sampleIDs) {
+        this.sampleSection.update();
+
+        var GG      = editor.getGraph().DG.GG;
+        var matched = PedigreeImport.matchVCFSamples(GG, sampleIDs);
+
+        // person -> sample becomes sample -> person
+        var personForSample = {};
+        for (var person in matched.matches) {
+            if (matched.matches.hasOwnProperty(person)) {
+                personForSample[matched.matches[person]] = person;
+            }
+        }
+
+        var persons = [];
+        for (var i = 0; i <= GG.getMaxRealVertexId(); i++) {
+            if (GG.isPerson(i)) {
+                persons.push({"id": i, "label": this._getPersonLabel(GG.properties[i], i)});
+            }
+        }
+
+        var promptSamples = new Element('div', {'class': 'import-section'}).update("Samples:");
+        var note = new Element('div', {'class': 'import-family-note'}).update("The VCF data contains " + sampleIDs.length + " sample" + (sampleIDs.length != 1 ? "s" : "") +
+                ", " + (sampleIDs.length - matched.unmatched.length) + " of which were matched automatically. Select the person each sample was taken from.");
+
+        var sampleList = new Element('table');
+        for (var s = 0; s < sampleIDs.length; s++) {
+            var select = new Element('select', {"name": "vcf-sample"});
+            select.insert(new Element('option', {"value": ""}).update("(not in this pedigree)"));
+            for (var p = 0; p < persons.length; p++) {
+                var option = new Element('option', {"value": persons[p].id}).update(persons[p].label.escapeHTML());
+                if (personForSample[sampleIDs[s]] == persons[p].id) {
+                    option.selected = true;
+                }
+                select.insert(option);
+            }
+            var row = new Element('tr');
+            row.insert(new Element('td').update(sampleIDs[s].escapeHTML()));
+            row.insert(new Element('td').insert(select));
+            sampleList.insert(row);
+        }
+        var sampleListContainer = new Element('div', {'class': 'import-column-list'}).insert(sampleList);
+
+        this.sampleIDs = sampleIDs;
+        this.sampleSection.insert(promptSamples).insert(note).insert(sampleListContainer);
+        this.sampleSection.show();
+        this.linkButton.value = "Link samples";
+    },
+
+    _hideSampleTable: function() {
+        this.sampleIDs = null;
+        this.sampleSection.update();
+        this.sampleSection.hide();
+        this.linkButton.value = "Read samples";
+    },
+
+    _getPersonLabel: function(properties, nodeID) {
+        var label = [];
+        if (properties["fName"]) {
+            label.push(properties["fName"] + (properties["lName"] ? " " + properties["lName"] : ""));
+        }
+        if (properties["externalID"]) {
+            label.push("ID " + properties["externalID"]);
+        }
+        if (properties["nodeNumber"]) {
+            label.push(properties["nodeNumber"]);
+        }
+        if (label.length == 0) {
+            label.push("unnamed person #" + nodeID);
+        }
+        if (properties["sampleID"]) {
+            label.push("currently: " + properties["sampleID"]);
+        }
+        return label.join(", ");
+    },
+
+    /*
+     * First reads the sample names from the VCF header, on the second run links the selected samples
+     */
+    _onLinkStarted: function() {
+        if (!this.sampleIDs) {
+            try {
+                var sampleIDs = PedigreeImport.getVCFSampleIDs(this.vcfValue.value);
+            } catch (err) {
+                alert(err);
+                return;
+            }
+            this._showSampleTable(sampleIDs);
+            return;
+        }
+
+        var samples = {};
+        var selects = $$('select[name="vcf-sample"]');
+        for (var i = 0; i < selects.length; i++) {
+            var nodeID = selects[i].value;
+            if (nodeID === "") continue;
+            if (samples.hasOwnProperty(nodeID)) {
+                alert("Samples \"" + samples[nodeID] + "\" and \"" + this.sampleIDs[i] + "\" are linked to the same person, please select a different person for one of them");
+                return;
+            }
+            samples[nodeID] = this.sampleIDs[i];
+        }
+
+        // persons who were linked to one of these samples before but are no longer selected for it
+        var GG = editor.getGraph().DG.GG;
+        for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+            if (GG.isPerson(v) && !samples.hasOwnProperty(v) && this.sampleIDs.indexOf(GG.properties[v]["sampleID"]) >= 0) {
+                samples[v] = "";
+            }
+        }
+
+        this.hide();
+        document.fire("pedigree:samples:link", {"samples": samples});
+    },
+
+    /**
+     * Displays the VCF sample linker
+     *
+     * @method show
+     */
+    show: function() {
+        this.dialog.show();
+    },
+
+    /**
+     * Removes the the VCF sample linker
+     *
+     * @method hide
+     */
+    hide: function() {
+        this.vcfValue.value = "";
+        this._hideSampleTable();
+        this.dialog.closeDialog();
+    }
+});
+
+// the sample names are at the end of the header, which is rarely longer than a few hundred KB
+VCFSampleLinker.MAX_HEADER_SIZE = 4 * 1024 * 1024;
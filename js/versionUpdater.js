@@ -1,13 +1,14 @@
 /* 
  * VersionUpdater is responsible for updating pedigree JSON represenatation to the current version.
+ * It does not depend on the editor, so the importer and the Node API use it as well.
  */
-VersionUpdater = Class.create( {
-    initialize: function() {
-        this.availableUpdates = [ { "comment":    "group node comment representation",
-                                    "introduced": "May2014",
-                                    "func":       "updateGroupNodeComments"} ];
-    },
+VersionUpdater = function() {
+    this.availableUpdates = [ { "comment":    "group node comment representation",
+                                "introduced": "May2014",
+                                "func":       "updateGroupNodeComments"} ];
+};
 
+VersionUpdater.prototype = {
     updateToCurrentVersion: function(pedigreeJSON) {
         for (var i = 0; i < this.availableUpdates.length; i++) {
             var update = this.availableUpdates[i];
@@ -46,4 +47,4 @@ VersionUpdater = Class.create( {
         
         return JSON.stringify(data);
     }
-});
+};
@@ -156,11 +156,14 @@ var Workspace = Class.create({
                 ]
             }];
         } else {
+            var multiplePedigrees = editor.getStorage().canStoreMultiplePedigrees();
+            var newPedigrees      = editor.getStorage().canCreatePedigrees();
             submenus = [{
                 name : 'input',
                 items: [
                     { key : 'templates', label : 'Templates', icon : 'copy'},
-                    { key : 'import',    label : 'Import', icon : 'upload'}
+                    { key : 'import',    label : 'Import', icon : 'upload'},
+                    { key : 'samples',   label : 'Link VCF samples', icon : 'link'}
                 ]
               }, {
                 name : 'edit',
@@ -182,7 +185,29 @@ var Workspace = Class.create({
                     { key : 'export',    label : 'Export', icon : 'download'}
                     //{ key : 'print',     label : 'Print', icon : 'print'},
                 ]
+              }, {
+                name : 'analysis',
+                items: [
+                    { key : 'risk',     label : 'Recurrence risk', icon : 'calculator'},
+                    { key : 'carriers', label : 'Obligate carriers', icon : 'dot-circle-o'},
+                    { key : 'kinship',  label : 'Kinship', icon : 'share-alt'},
+                    { key : 'modes',    label : 'Inheritance modes', icon : 'list-ol'},
+                    { key : 'relationships', label : 'Relationships', icon : 'users'}
+                ]
             }];
+            if (multiplePedigrees) {
+                var storageItems = [
+                    { key : 'open',   label : 'Open', icon : 'folder-open'},
+                    { key : 'save',   label : 'Save', icon : 'floppy-o'}
+                ];
+                if (newPedigrees) {
+                    storageItems.push({ key : 'saveas', label : 'Save as', icon : 'files-o'});
+                }
+                submenus.push({
+                    name : 'storage',
+                    items: storageItems
+                });
+            }
         }
         var _createSubmenu = function(data) {
             var submenu = new Element('div', {'class' : data.name + '-actions action-group'});
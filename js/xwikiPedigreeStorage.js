@@ -0,0 +1,227 @@
+/**
+ * Pedigree storage backend which stores pedigrees as PhenoTips.PedigreeClass objects of XWiki documents via
+ * the XWiki REST API. Pedigrees are named after the documents of the current space they are stored in, and the
+ * editor starts with the pedigree of the current document (the patient record it was opened on); templates are
+ * the pedigrees of the WebHome document. Pedigrees can only be saved to existing documents, so stored pedigrees
+ * can not be duplicated or renamed (see canCreatePedigrees).
+ *
+ * @class XWikiPedigreeStorage
+ * @extends PedigreeStorage
+ * @constructor
+ */
+
+function unescapeRestData (data) {
+    // http://stackoverflow.com/questions/4480757/how-do-i-unescape-html-entities-in-js-change-lt-to
+    var tempNode = document.createElement('div');
+    tempNode.innerHTML = data.replace(/&amp;/, '&');
+    return tempNode.innerText || tempNode.text || tempNode.textContent;
+}
+
+function getSelectorFromXML(responseXML, selectorName, attributeName, attributeValue) {
+    if (responseXML.querySelector) {
+        // modern browsers
+        return responseXML.querySelector(selectorName + "[" + attributeName + "='" + attributeValue + "']");
+    } else {
+        // IE7 && IE8 && some other older browsers
+        // http://www.w3schools.com/XPath/xpath_syntax.asp
+        // http://msdn.microsoft.com/en-us/library/ms757846%28v=vs.85%29.aspx
+        var query = "//" + selectorName + "[@" + attributeName + "='" + attributeValue + "']";
+        try {
+            return responseXML.selectSingleNode(query);
+        } catch (e) {
+            // Firefox v3.0-
+            alert("your browser is unsupported");
+            window.stop && window.stop();
+            throw "Unsupported browser";
+        }
+    }
+}
+
+function getSubSelectorTextFromXML(responseXML, selectorName, attributeName, attributeValue, subselectorName) {
+    var selector = getSelectorFromXML(responseXML, selectorName, attributeName, attributeValue);
+
+    var value = selector.innerText || selector.text || selector.textContent;
+
+    if (!value)     // fix IE behavior where (undefined || "" || undefined) == undefined
+        value = "";
+
+    return value;
+}
+
+var XWikiPedigreeStorage = Class.create(PedigreeStorage, {
+
+    initialize: function($super) {
+        $super();
+        this._pedigreeName = XWiki.currentDocument.page;
+    },
+
+    /**
+     * Returns the REST URL of the pedigree object of the given document in the current space
+     *
+     * @param {String} documentName
+     * @param {String} queryString Optional query string
+     * @private
+     */
+    _getPedigreeURL: function(documentName, queryString) {
+        return this._getDocument(documentName).getRestURL('objects/PhenoTips.PedigreeClass/0.xml', queryString).substring(1);
+    },
+
+    _getDocument: function(documentName) {
+        return (documentName == XWiki.currentDocument.page) ? XWiki.currentDocument : new XWiki.Document(documentName, XWiki.currentSpace);
+    },
+
+    canStoreMultiplePedigrees: function() {
+        return true;
+    },
+
+    _getErrorMessage: function(response) {
+        return (response.statusText == "" || response.status == 0) ? "server not responding" : response.statusText;
+    },
+
+    loadProbandData: function(onSuccess, onFailure) {
+        var patientDocument = this._getDocument(this._pedigreeName ? this._pedigreeName : XWiki.currentDocument.page);
+        new Ajax.Request(patientDocument.getRestURL('objects/PhenoTips.PatientClass/0.xml').substring(1), {
+            method: "GET",
+            onSuccess: function(response) {
+                var responseXML = response.responseXML;  //documentElement.
+                var probandData = {};
+                probandData.firstName = unescapeRestData(getSubSelectorTextFromXML(responseXML, "property", "name", "first_name", "value"));
+                probandData.lastName  = unescapeRestData(getSubSelectorTextFromXML(responseXML, "property", "name", "last_name", "value"));
+                probandData.gender    = unescapeRestData(getSubSelectorTextFromXML(responseXML, "property", "name", "gender", "value"));
+                if (probandData.gender === undefined || probandData.gender == '')
+                    probandData.gender = 'U';
+                onSuccess(probandData);
+            },
+            onFailure: function(response) {
+                onFailure(this._getErrorMessage(response));
+            }.bind(this)
+        });
+    },
+
+    loadPedigree: function(name, onSuccess, onFailure) {
+        new Ajax.Request(this._getPedigreeURL(name), {
+            method: 'GET',
+            onSuccess: function (response) {
+                var rawdata = getSubSelectorTextFromXML(response.responseXML, "property", "name", "data", "value");
+                onSuccess(unescapeRestData(rawdata));
+            },
+            onFailure: function(response) {
+                onFailure(this._getErrorMessage(response));
+            }.bind(this)
+        });
+    },
+
+    savePedigree: function(name, jsonData, image, onSuccess, onFailure) {
+        var parameters = {"property#data": jsonData};
+        if (image) {
+            parameters["property#image"] = image;
+        }
+        new Ajax.Request(this._getPedigreeURL(name, 'method=PUT'), {
+            method: 'POST',
+            onSuccess: function() {
+                onSuccess();
+            },
+            onFailure: function(response) {
+                onFailure(this._getErrorMessage(response));
+            }.bind(this),
+            parameters: parameters
+        });
+    },
+
+    listPedigrees: function(onSuccess, onFailure) {
+        // a single query (in pages of LIST_PAGE_SIZE results) returns the pedigree objects together with the
+        // modification dates of their documents: the pedigrees of the current space, without the templates
+        var queryURL = XWiki.Document.RestURLTemplate.replace("__wiki__", XWiki.currentWiki).replace(/\/spaces\/.*$/, "/query");
+        var query = "from doc.object(PhenoTips.PedigreeClass) as pedigree where doc.space = '" + XWiki.currentSpace.replace(/'/g, "''") +
+                    "' and doc.name <> 'WebHome' order by doc.name";
+        var pageSize = XWikiPedigreeStorage.LIST_PAGE_SIZE;
+
+        var pedigrees = [];
+        var loadPage = function(start) {
+            new Ajax.Request(queryURL.substring(1), {
+                method: 'GET',
+                parameters: {"q": query, "type": "xwql", "className": "PhenoTips.PedigreeClass", "number": pageSize, "start": start},
+                onSuccess: function(response) {
+                    var results = response.responseXML.documentElement.getElementsByTagName('searchResult');
+                    for (var i = 0; i < results.length; ++i) {
+                        var name = results[i].getElementsByTagName('pageName')[0].textContent;
+                        // documents with several pedigree objects are returned once per object
+                        if (pedigrees.length > 0 && pedigrees[pedigrees.length - 1].name == name) continue;
+                        var modified = results[i].getElementsByTagName('modified');
+                        pedigrees.push({
+                            "name":     name,
+                            "data":     unescapeRestData(getSubSelectorTextFromXML(results[i], "property", "name", "data", "value")),
+                            "image":    getSubSelectorTextFromXML(results[i], "property", "name", "image", "value"),
+                            "modified": (modified.length > 0) ? new Date(modified[0].textContent) : null
+                        });
+                    }
+                    if (results.length == pageSize) {
+                        loadPage(start + pageSize);
+                    } else {
+                        onSuccess(pedigrees);
+                    }
+                },
+                onFailure: function(response) {
+                    onFailure(this._getErrorMessage(response));
+                }.bind(this)
+            });
+        }.bind(this);
+        loadPage(0);
+    },
+
+    deletePedigree: function(name, onSuccess, onFailure) {
+        new Ajax.Request(this._getPedigreeURL(name, 'method=DELETE'), {
+            method: 'POST',
+            onSuccess: function() {
+                onSuccess();
+            },
+            onFailure: function(response) {
+                onFailure(this._getErrorMessage(response));
+            }.bind(this)
+        });
+    },
+
+    listTemplates: function(onSuccess, onFailure) {
+        new Ajax.Request(new XWiki.Document('WebHome').getRestURL('objects/PhenoTips.PedigreeClass/index.xml').substring(1), {
+            method: 'GET',
+            onSuccess: function(response) {
+                var objects = response.responseXML.documentElement.getElementsByTagName('objectSummary');
+                var templates = [];
+                var pending = objects.length;
+                var onTemplateLoaded = function() {
+                    if (--pending == 0) {
+                        onSuccess(templates.compact());
+                    }
+                };
+                if (pending == 0) {
+                    onSuccess(templates);
+                }
+                for (var i = 0; i < objects.length; ++i) {
+                    var href = getSelectorFromXML(objects[i], "link", "rel", "http://www.xwiki.org/rel/properties").getAttribute("href").substring(1);
+                    new Ajax.Request(href, {
+                        method: 'GET',
+                        onSuccess: function(index, response) {
+                            templates[index] = {
+                                "description": getSubSelectorTextFromXML(response.responseXML, "property", "name", "description", "value"),
+                                "data":        getSubSelectorTextFromXML(response.responseXML, "property", "name", "data", "value"),
+                                "type":        'internal',
+                                "image":       getSubSelectorTextFromXML(response.responseXML, "property", "name", "image", "value")
+                            };
+                        }.bind(this, i),
+                        onComplete: onTemplateLoaded
+                    });
+                }
+            },
+            onFailure: function(response) {
+                onFailure(this._getErrorMessage(response));
+            }.bind(this)
+        });
+    }
+});
+
+/**
+ * Number of pedigrees requested at once when listing the saved pedigrees
+ */
+XWikiPedigreeStorage.LIST_PAGE_SIZE = 100;
+
+PedigreeStorage.backends["xwiki"] = XWikiPedigreeStorage;
@@ -0,0 +1,279 @@
+/*
+ * Headless (DOM-free) API for the pedigree graph model, for use from Node.js, e.g.
+ *
+ *   var panogram = require("panogram-plus-plus");
+ *
+ *   var graph = panogram.importPedigree(fs.readFileSync("family.ped", "utf8"), "ped");
+ *   graph.DG.GG.getParents(0);                        // query relationships via BaseGraph/PositionedGraph
+ *   var output = panogram.exportPedigree(graph, "BOADICEA", {"familyID": "FAM1"});
+ *   var svg    = panogram.renderSVG(graph);
+ *
+ * The model scripts (BaseGraph, PositionedGraph, DynamicPositionedGraph, PedigreeImport, PedigreeExport,
+ * and the genetic analyses in Inheritance, MendelianRisk, ObligateCarriers, ProbandRelationship and
+ * SegregationAnalysis)
+ * are the same files the editor loads via <script> tags. They are evaluated once in a separate context
+ * which provides none of the browser or editor globals; the classes are available as panogram.model.
+ *
+ * Errors are thrown as strings, same as in the editor. Warnings which the editor shows as alerts
+ * (e.g. "BOADICEA format does not support unknown genders") are passed to the warning handler,
+ * see setWarningHandler().
+ */
+
+var fs   = require("fs");
+var path = require("path");
+var vm   = require("vm");
+
+var render = require("./render.js");
+
+// the model scripts, in the same order as in index.html
+var MODEL_SCRIPTS = [ "helpers.js", "queues.js", "xcoordclass.js", "ordering.js", "baseGraph.js", "versionUpdater.js", "import.js",
+                      "export.js", "edgeOptimization.js", "positionedGraph.js", "dynamicGraph.js",
+                      "inheritance.js", "mendelianRisk.js", "obligateCarriers.js", "probandRelationship.js",
+                      "segregationAnalysis.js" ];
+
+var IMPORT_FORMATS = [ "ped", "plink", "madeline", "BOADICEA", "BOADICEA4", "gedcom", "simpleJSON", "fhir", "csv", "phenotipsJSON" ];
+
+// import formats which are read by the importer of another format (BOADICEA v2 and v4 are told apart by the header)
+var IMPORT_ALIASES = { "BOADICEA4": "BOADICEA" };
+
+var EXPORT_FORMATS = [ "ped", "plink", "madeline", "BOADICEA", "BOADICEA4", "gedcom", "simpleJSON", "fhir", "csv",
+                       "phenopacket", "dot", "mermaid", "phenotipsJSON" ];
+
+var warningHandler = function(message) {
+    console.warn("Warning: " + message);
+};
+
+var verbose = false;
+
+var context = {
+    "console": {
+        log:   function() { if (verbose) console.log.apply(console, arguments); },
+        info:  function() { if (verbose) console.info.apply(console, arguments); },
+        warn:  function() { console.warn.apply(console, arguments); },
+        error: function() { console.error.apply(console, arguments); }
+    },
+    "alert": function(message) {
+        warningHandler(String(message));
+    }
+};
+context.window = context;
+vm.createContext(context);
+
+MODEL_SCRIPTS.forEach(function(script) {
+    var fileName = path.join(__dirname, "..", "js", script);
+    vm.runInContext(fs.readFileSync(fileName, "utf8"), context, {"filename": fileName});
+});
+
+var model = {
+    "TYPE":                   vm.runInContext("TYPE", context),
+    "BaseGraph":              context.BaseGraph,
+    "PositionedGraph":        context.PositionedGraph,
+    "DynamicPositionedGraph": context.DynamicPositionedGraph,
+    "PedigreeImport":         context.PedigreeImport,
+    "PedigreeImportReport":   context.PedigreeImportReport,
+    "PedigreeExport":         context.PedigreeExport,
+    "Inheritance":            context.Inheritance,
+    "MendelianRisk":          context.MendelianRisk,
+    "ObligateCarriers":       context.ObligateCarriers,
+    "ProbandRelationship":    context.ProbandRelationship,
+    "SegregationAnalysis":    context.SegregationAnalysis
+};
+
+/*
+ * Sets the function which is called with the text of every warning produced by the import and export code
+ * (the editor shows those as alerts). By default warnings are printed to stderr.
+ */
+function setWarningHandler(handler) {
+    warningHandler = handler;
+}
+
+/*
+ * When set, the debug output of the layout code is printed to stdout
+ */
+function setVerbose(isVerbose) {
+    verbose = !!isVerbose;
+}
+
+/*
+ * Guesses the format of the given data, see PedigreeImport.autodetectFormat()
+ */
+function detectFormat(text) {
+    return model.PedigreeImport.autodetectFormat(text);
+}
+
+/*
+ * Returns the list of families in the given PED, PLINK or Madeline data: [ {familyID, members, affected}, ... ]
+ */
+function getFamilies(text, format) {
+    if (format == "madeline") {
+        return model.PedigreeImport.getMadelineFamilies(text);
+    }
+    if (format == "ped" || format == "plink") {
+        return model.PedigreeImport.getPEDFamilies(text);
+    }
+    throw "Unable to list families: the " + format + " format does not support multiple families";
+}
+
+var _getImportType = function(text, format) {
+    if (!format || format == "auto") {
+        var detected = detectFormat(text);
+        if (detected.format === null) {
+            throw "Unable to detect the format of the imported data: " + detected.reason;
+        }
+        return detected.format;
+    }
+    if (IMPORT_FORMATS.indexOf(format) < 0) {
+        throw "Unsupported import type: " + format;
+    }
+    return IMPORT_ALIASES.hasOwnProperty(format) ? IMPORT_ALIASES[format] : format;
+};
+
+// same defaults as the import dialog of the editor: external IDs are kept unless "externalIdMark" is false
+var _getImportOptions = function(options) {
+    var importOptions = {};
+    for (var name in options) {
+        if (options.hasOwnProperty(name)) {
+            importOptions[name] = options[name];
+        }
+    }
+    if (!importOptions.hasOwnProperty("externalIdMark")) {
+        importOptions["externalIdMark"] = true;
+    }
+    return importOptions;
+};
+
+/*
+ * Returns the family ID stored in single-family BOADICEA, GEDCOM or FHIR data, or null if there is none
+ * (see PedigreeImport.getFamilyID; use getFamilies() for PED, PLINK and Madeline data)
+ */
+function getFamilyID(text, format) {
+    return model.PedigreeImport.getFamilyID(text, _getImportType(text, format));
+}
+
+/*
+ * Imports the given data and returns a BaseGraph without layout information.
+ *
+ *  format:  one of IMPORT_FORMATS, or "auto" (default) to detect the format
+ *  options: same as the import options in the editor, see PedigreeImport.importBaseGraph():
+ *           { "acceptUnknownPhenotypes", "markEvaluated", "externalIdMark", "familyID", "columnMapping", "report" }.
+ *           Same as in the import dialog "externalIdMark" defaults to true, so that the IDs of the input
+ *           are kept as external IDs (which DynamicPositionedGraph.mergeImport() needs to match persons)
+ */
+function importBaseGraph(text, format, options) {
+    return model.PedigreeImport.importBaseGraph(text, _getImportType(text, format), _getImportOptions(options));
+}
+
+/*
+ * Imports the given data and lays it out the same way the editor does. Returns a DynamicPositionedGraph,
+ * same as editor.getGraph() in the editor (the laid out PositionedGraph is available as graph.DG).
+ * See importBaseGraph() for the parameters.
+ */
+function importPedigree(text, format, options) {
+    return layout(importBaseGraph(text, format, options));
+}
+
+/*
+ * Checks the given data and returns a PedigreeImportReport with all the problems found
+ * (see PedigreeImport.checkImport), without throwing on the first error
+ */
+function checkPedigree(text, format, options) {
+    return model.PedigreeImport.checkImport(text, _getImportType(text, format), _getImportOptions(options));
+}
+
+/*
+ * Computes the layout of the given BaseGraph and returns a DynamicPositionedGraph
+ */
+function layout(baseGraph) {
+    var positionedGraph = new model.PositionedGraph(baseGraph, null, null, null, null, null, false);
+    return new model.DynamicPositionedGraph(positionedGraph);
+}
+
+/*
+ * Exports the given pedigree (a BaseGraph, a PositionedGraph or a DynamicPositionedGraph) and returns the
+ * exported text.
+ *
+ *  format:  one of EXPORT_FORMATS
+ *  options: { "familyID":     family ID written to the output (default: "pedigree"),
+ *             "idGeneration": one of "external" (default), "name", "sample", "newid" for PED-like formats,
+ *             "privacy":      one of "all" (default), "nopersonal", "minimal" for all other formats }
+ */
+function exportPedigree(graph, format, options) {
+    if (!options) options = {};
+
+    if (graph instanceof model.BaseGraph) {
+        graph = layout(graph);
+    }
+    var pedigree = (graph instanceof model.DynamicPositionedGraph) ? graph.DG : graph;
+
+    var idGeneration = options.idGeneration ? options.idGeneration : "external";
+    var privacy      = options.privacy      ? options.privacy      : "all";
+
+    var defaultFamilyID = model.PedigreeExport.defaultFamilyID;
+    if (options.familyID) {
+        model.PedigreeExport.defaultFamilyID = String(options.familyID);
+    }
+    try {
+        var PedigreeExport = model.PedigreeExport;
+        switch (format) {
+        case "ped":           return PedigreeExport.exportAsPED(pedigree, idGeneration);
+        case "plink":         return PedigreeExport.exportAsPLINK(pedigree, idGeneration);
+        case "madeline":      return PedigreeExport.exportAsMadeline(pedigree, idGeneration);
+        case "BOADICEA":      return PedigreeExport.exportAsBOADICEA(pedigree, idGeneration, 2);
+        case "BOADICEA4":     return PedigreeExport.exportAsBOADICEA(pedigree, idGeneration, 4);
+        case "gedcom":        return PedigreeExport.exportAsGEDCOM(pedigree, privacy);
+        case "simpleJSON":    return PedigreeExport.exportAsSimpleJSON(pedigree, privacy);
+        case "fhir":          return PedigreeExport.exportAsFHIR(pedigree, privacy);
+        case "csv":           return PedigreeExport.exportAsCSV(pedigree, privacy);
+        case "phenopacket":   return PedigreeExport.exportAsPhenopacket(pedigree, privacy);
+        case "dot":           return PedigreeExport.exportAsDOT(pedigree, privacy);
+        case "mermaid":       return PedigreeExport.exportAsMermaid(pedigree, privacy);
+        case "phenotipsJSON": return ((graph instanceof model.DynamicPositionedGraph) ? graph : new model.DynamicPositionedGraph(pedigree)).toJSON();
+        }
+        throw "Unsupported export type: " + format;
+    } finally {
+        model.PedigreeExport.defaultFamilyID = defaultFamilyID;
+    }
+}
+
+var _getDynamicGraph = function(graph) {
+    if (graph instanceof model.BaseGraph) {
+        return layout(graph);
+    }
+    return (graph instanceof model.DynamicPositionedGraph) ? graph : new model.DynamicPositionedGraph(graph);
+};
+
+/*
+ * Draws the given pedigree (a BaseGraph, a PositionedGraph or a DynamicPositionedGraph) the same way
+ * VisualExport.exportAsSVG() does in the editor, and returns the SVG document as a string.
+ *
+ *  options: { "title":  title shown above the pedigree (default: generated from the phenotypes, same as in the editor),
+ *             "legend": false to leave out the carrier status legend }
+ */
+function renderSVG(graph, options) {
+    return render.renderSVG(_getDynamicGraph(graph), options);
+}
+
+/*
+ * Same as renderSVG(), but returns a single page PDF document (a Buffer)
+ */
+function renderPDF(graph, options) {
+    return render.renderPDF(_getDynamicGraph(graph), options);
+}
+
+module.exports = {
+    "model":             model,
+    "IMPORT_FORMATS":    IMPORT_FORMATS,
+    "EXPORT_FORMATS":    EXPORT_FORMATS,
+    "setWarningHandler": setWarningHandler,
+    "setVerbose":        setVerbose,
+    "detectFormat":      detectFormat,
+    "getFamilies":       getFamilies,
+    "getFamilyID":       getFamilyID,
+    "importBaseGraph":   importBaseGraph,
+    "importPedigree":    importPedigree,
+    "checkPedigree":     checkPedigree,
+    "layout":            layout,
+    "exportPedigree":    exportPedigree,
+    "renderSVG":         renderSVG,
+    "renderPDF":         renderPDF
+};
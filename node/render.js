@@ -0,0 +1,680 @@
+/*
+ * Draws a laid out pedigree (a DynamicPositionedGraph) without a browser, as SVG or PDF.
+ *
+ * The output is equivalent to VisualExport.exportAsSVG() and VisualExport.exportAsPDF() in the editor:
+ * the pedigree drawn the same way the editor draws it (same node positions, shapes, sizes and colors),
+ * a title generated from the phenotypes and the carrier status legend.
+ *
+ * The drawing is first described as a list of simple elements (paths and texts, in canvas coordinates)
+ * which is then written out either as SVG or as PDF, so that both formats look the same.
+ *
+ * Not drawn (yet): hoverbox handles, age and comment labels, adoption brackets, childless markers,
+ * "lost contact" marks and person group counts.
+ */
+
+// the subset of PedigreeEditor.attributes (see pedigree.js) used for drawing
+var ATTRIBUTES = {
+    radius:                    40,
+    carrierDotRadius:          8,
+    presymptomaticShapeWidth:  8,
+    twinCommonVerticalLength:  6,
+    twinMonozygothicLineShiftY: 24,
+    partnershipRadius:         6.5,
+    nodeShape:                 { fill: "#DDDDDD", stroke: "#595959", strokeWidth: 1 },
+    probandStrokeWidth:        5.5,
+    probandScale:              1.08,
+    carrierShape:              { fill: "#595959" },
+    presymptomaticShape:       { fill: "#777777", stroke: "#777777" },
+    deadShapeStrokeWidth:      2.5,
+    partnershipNode:           { fill: "#dc7868", stroke: "#000000", strokeWidth: 2 },
+    partnershipLines:          { stroke: "#303058", strokeWidth: 1.25 },
+    consangrPartnershipLines:  { stroke: "#402058", strokeWidth: 1.25 },
+    nameLabels:                { size: 20 },
+    externalIDLabels:          { size: 18 },
+    layoutScale:               { xscale: 12.0, yscale: 8 }
+};
+
+// same colors as used by DisorderLegend._generateColor(), in the same order of preference
+var DISORDER_COLORS = ['#E0F8F8', '#92c0db', '#4575B4', '#949ab8', "#FEE090", '#bf6632', '#fca860', '#9a4500', '#d12943', '#00a2bf'];
+
+// the proband arrow, same as View.__arrow_svgPath
+var PROBAND_ARROW_PATH = "M8.348,23.029C8.348,23.029,0.791,30.584,0.791,30.584C0.791,30.584,3.515,33.308,3.515,33.308C3.515,33.308,11.07,25.752,11.0704,25.752C11.07,25.752,13.114,27.795,13.114,27.795C13.114,27.795,15.598,18.524,15.598,18.524C15.598,18.524,6.327,21.008,6.327,21.008C6.327,21.008,8.348,23.029,8.348,23.0285C8.348,23.029,8.348,23.029,8.348,23.029";
+
+// title and legend layout, same as in VisualExport.exportAsSVG()
+var MARGIN        = 20;
+var TITLE_HEIGHT  = 50;
+var LEGEND_WIDTH  = 180;
+var LEGEND_MARGIN = 20;
+
+// Helvetica (Arial) glyph widths for characters 32-126, in 1/1000 of the font size; used to center text in PDFs
+// and to compute the size of the drawing
+var CHAR_WIDTHS = [ 278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+                    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+                    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+                    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+                    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+                    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584 ];
+
+// bold glyphs are a bit wider; an average factor is good enough for centering
+var BOLD_WIDTH_FACTOR = 1.07;
+
+// used for Bezier approximations of circles
+var CIRCLE_KAPPA = 0.5523;
+
+function getTextWidth(text, size, bold) {
+    var width = 0;
+    for (var i = 0; i < text.length; i++) {
+        var code = text.charCodeAt(i);
+        width += (code >= 32 && code <= 126) ? CHAR_WIDTHS[code - 32] : 556;
+    }
+    return width * size / 1000 * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+//-------------------------------------------------------------------------------------------------
+// Drawing elements. A path is a list of commands in absolute coordinates: ["M", x, y], ["L", x, y],
+// ["C", x1, y1, x2, y2, x, y] or ["Z"]
+
+function circlePath(x, y, r) {
+    var k = r * CIRCLE_KAPPA;
+    return [ ["M", x + r, y],
+             ["C", x + r, y + k, x + k, y + r, x, y + r],
+             ["C", x - k, y + r, x - r, y + k, x - r, y],
+             ["C", x - r, y - k, x - k, y - r, x, y - r],
+             ["C", x + k, y - r, x + r, y - k, x + r, y],
+             ["Z"] ];
+}
+
+function polygonPath(points) {
+    var path = points.map(function(point, i) { return [ (i == 0) ? "M" : "L", point[0], point[1] ]; });
+    path.push(["Z"]);
+    return path;
+}
+
+function polylinePath(points) {
+    return points.map(function(point, i) { return [ (i == 0) ? "M" : "L", point[0], point[1] ]; });
+}
+
+/*
+ * Parses an SVG path which only uses absolute M and C commands (e.g. the proband arrow),
+ * scaled by the given factor and moved by the given offset
+ */
+function parseSimplePath(pathString, scale, dx, dy) {
+    var path = [];
+    var re = /([MC])([^MC]*)/g, match;
+    while ((match = re.exec(pathString)) !== null) {
+        var numbers = match[2].split(",").map(parseFloat);
+        for (var i = 0; i < numbers.length; i++) {
+            numbers[i] = numbers[i] * scale + ((i % 2 == 0) ? dx : dy);
+        }
+        path.push([match[1]].concat(numbers));
+    }
+    path.push(["Z"]);
+    return path;
+}
+
+/*
+ * Returns a copy of the given polyline shifted sideways by the given distance (used for double lines)
+ */
+function offsetPolyline(points, distance) {
+    var normals = [];
+    for (var i = 1; i < points.length; i++) {
+        var dx = points[i][0] - points[i-1][0];
+        var dy = points[i][1] - points[i-1][1];
+        var length = Math.sqrt(dx*dx + dy*dy) || 1;
+        normals.push([ -dy / length, dx / length ]);
+    }
+    return points.map(function(point, i) {
+        var n1 = normals[Math.max(i - 1, 0)];
+        var n2 = normals[Math.min(i, normals.length - 1)];
+        if (!n1) return point;
+        var factor = distance / (1 + n1[0]*n2[0] + n1[1]*n2[1] || 1);
+        return [ point[0] + (n1[0] + n2[0]) * factor, point[1] + (n1[1] + n2[1]) * factor ];
+    });
+}
+
+function Drawing() {
+    this.elements = [];
+    this.minX = Infinity;
+    this.minY = Infinity;
+    this.maxX = -Infinity;
+    this.maxY = -Infinity;
+}
+
+Drawing.prototype = {
+
+    // attributes: { fill, stroke, strokeWidth, clip (a path) }
+    path: function(path, attributes) {
+        this.elements.push({ "type": "path", "path": path, "attr": attributes });
+        if (attributes.clip) return;  // clipped shapes do not extend the drawing
+        var halfStroke = attributes.stroke ? (attributes.strokeWidth || 1) / 2 : 0;
+        for (var i = 0; i < path.length; i++) {
+            for (var j = 1; j < path[i].length; j += 2) {
+                this._extend(path[i][j] - halfStroke, path[i][j+1] - halfStroke);
+                this._extend(path[i][j] + halfStroke, path[i][j+1] + halfStroke);
+            }
+        }
+    },
+
+    // y is the vertical center of the text, same as for Raphael texts; attributes: { size, bold, fill, anchor }
+    text: function(x, y, text, attributes) {
+        this.elements.push({ "type": "text", "x": x, "y": y, "text": text, "attr": attributes });
+        var width = getTextWidth(text, attributes.size, attributes.bold);
+        var left  = (attributes.anchor == "start") ? x : x - width / 2;
+        this._extend(left, y - attributes.size / 2);
+        this._extend(left + width, y + attributes.size / 2);
+    },
+
+    _extend: function(x, y) {
+        this.minX = Math.min(this.minX, x);
+        this.minY = Math.min(this.minY, y);
+        this.maxX = Math.max(this.maxX, x);
+        this.maxY = Math.max(this.maxY, y);
+    },
+
+    getBounds: function() {
+        if (this.minX > this.maxX) {
+            return { "x": 0, "y": 0, "width": 0, "height": 0 };
+        }
+        return { "x": this.minX, "y": this.minY, "width": this.maxX - this.minX, "height": this.maxY - this.minY };
+    }
+};
+
+//-------------------------------------------------------------------------------------------------
+// Pedigree drawing, follows PersonVisuals and PartnershipVisuals
+
+function getCanvasPosition(graph, v) {
+    var position = graph.getPosition(v);
+    return { "x": position.x * ATTRIBUTES.layoutScale.xscale, "y": position.y * ATTRIBUTES.layoutScale.yscale };
+}
+
+/*
+ * Assigns a color to every disorder, in the order the disorders are first found
+ */
+function getDisorderColors(graph) {
+    var colors = {};
+    var next   = 0;
+    for (var v = 0; v <= graph.DG.GG.getMaxRealVertexId(); v++) {
+        if (!graph.isPerson(v)) continue;
+        var disorders = graph.getProperties(v)["disorders"] || [];
+        for (var i = 0; i < disorders.length; i++) {
+            if (colors.hasOwnProperty(disorders[i])) continue;
+            colors[disorders[i]] = (disorders[i] == "affected") ? "#FEE090" : DISORDER_COLORS[next++ % DISORDER_COLORS.length];
+        }
+    }
+    return colors;
+}
+
+function drawPartnerLines(drawing, graph, rel) {
+    var relPosition = getCanvasPosition(graph, rel);
+
+    var consangr = graph.isConsangrRelationship(rel);
+    var consangrPreference = graph.getProperties(rel)["consangr"];
+    if (consangrPreference == "N") consangr = false;
+    if (consangrPreference == "Y") consangr = true;
+    var lineAttr = consangr ? ATTRIBUTES.consangrPartnershipLines : ATTRIBUTES.partnershipLines;
+
+    var partnerPaths = graph.getPathToParents(rel);
+    for (var p = 0; p < partnerPaths.length; p++) {
+        var path   = partnerPaths[p];
+        var person = path[path.length-1];
+        var lineInfo = graph.getRelationshipLineInfo(rel, person);
+        var attachY  = lineInfo.attachY   * ATTRIBUTES.layoutScale.yscale;
+        var yTop     = lineInfo.verticalY * ATTRIBUTES.layoutScale.yscale;
+
+        // same points as used by PartnershipVisuals.updatePartnerConnections(), without the smooth corners
+        var points = [ [relPosition.x, relPosition.y] ];
+        for (var i = 0; i < path.length - 1; i++) {
+            var position = getCanvasPosition(graph, path[i]);
+            points.push([ position.x, (i >= path.length - 2) ? yTop : position.y ]);
+        }
+        var personX = getCanvasPosition(graph, person).x;
+        var last = points[points.length-1];
+        if (last[1] != yTop) {
+            points.push([ last[0], yTop ]);
+        }
+        points.push([ personX, yTop ]);
+        if (attachY != yTop) {
+            points.push([ personX, attachY ]);
+        }
+
+        if (consangr) {
+            drawing.path(polylinePath(offsetPolyline(points, 2.5)),  lineAttr);
+            drawing.path(polylinePath(offsetPolyline(points, -2.5)), lineAttr);
+        } else {
+            drawing.path(polylinePath(points), lineAttr);
+        }
+    }
+}
+
+function drawChildLines(drawing, graph, rel) {
+    var relPosition = getCanvasPosition(graph, rel);
+    var childlineY  = graph.getRelationshipChildhubPosition(rel).y * ATTRIBUTES.layoutScale.yscale;
+    var lineAttr    = ATTRIBUTES.partnershipLines;
+    var line = function(x1, y1, x2, y2) {
+        drawing.path([ ["M", x1, y1], ["L", x2, y2] ], lineAttr);
+    };
+    var xInterceptAtY = function(y, x1, y1, x2, y2) {
+        return (y1 == y2) ? x1 : x1 + (x2 - x1) * (y - y1) / (y2 - y1);
+    };
+
+    var children   = graph.getRelationshipChildrenSortedByOrder(rel);
+    var leftmostX  = relPosition.x;
+    var rightmostX = relPosition.x;
+
+    var currentTwinGroup = null, currentTwinGroupCenterX = null, currentIsMonozygothic = false;
+    var positionL, positionR, twinlineY;
+    var numPregnancies = 0;
+
+    for (var j = 0; j < children.length; j++) {
+        var child = children[j];
+        var childPosition = getCanvasPosition(graph, child);
+
+        var twinGroupId = graph.getTwinGroupId(child);
+        if (twinGroupId != currentTwinGroup) {
+            numPregnancies++;
+            currentTwinGroup = twinGroupId;
+
+            var allTwins = graph.getAllTwinsSortedByOrder(child);
+            positionL = getCanvasPosition(graph, allTwins[0]).x;
+            positionR = getCanvasPosition(graph, allTwins[allTwins.length-1]).x;
+            var positionY = getCanvasPosition(graph, allTwins[0]).y;
+            currentTwinGroupCenterX = (allTwins.length == 3) ? getCanvasPosition(graph, allTwins[1]).x : (positionL + positionR)/2;
+            line(currentTwinGroupCenterX, childlineY, currentTwinGroupCenterX, childlineY + ATTRIBUTES.twinCommonVerticalLength);
+
+            currentIsMonozygothic = !!graph.getProperties(allTwins[0])["monozygotic"];
+            if (currentIsMonozygothic) {
+                twinlineY = childlineY + ATTRIBUTES.twinMonozygothicLineShiftY;
+                var twinTopY = childlineY + ATTRIBUTES.twinCommonVerticalLength;
+                line(xInterceptAtY(twinlineY, currentTwinGroupCenterX, twinTopY, positionL, positionY), twinlineY,
+                     xInterceptAtY(twinlineY, currentTwinGroupCenterX, twinTopY, positionR, positionY), twinlineY);
+            }
+        } else if (twinGroupId == null) {
+            numPregnancies++;
+            currentIsMonozygothic = false;
+        }
+
+        var topLineX = (currentTwinGroup === null) ? childPosition.x : currentTwinGroupCenterX;
+        var topLineY = (currentTwinGroup === null) ? childlineY      : childlineY + ATTRIBUTES.twinCommonVerticalLength;
+        rightmostX = Math.max(rightmostX, topLineX);
+        leftmostX  = Math.min(leftmostX,  topLineX);
+
+        if (!currentIsMonozygothic || childPosition.x == positionL || childPosition.x == positionR) {
+            line(topLineX, topLineY, childPosition.x, childPosition.y);
+        } else {
+            var xIntercept = xInterceptAtY(twinlineY, currentTwinGroupCenterX, childlineY + ATTRIBUTES.twinCommonVerticalLength, childPosition.x, childPosition.y);
+            line(xIntercept, twinlineY, childPosition.x, childPosition.y);
+        }
+    }
+
+    line(leftmostX, childlineY, rightmostX, childlineY);
+    line(relPosition.x, relPosition.y, relPosition.x, childlineY);
+
+    if (numPregnancies > 1) {
+        drawing.path(circlePath(relPosition.x, childlineY, ATTRIBUTES.partnershipRadius/2), { "fill": "#666666", "stroke": "#888888", "strokeWidth": 1 });
+    }
+}
+
+function drawPerson(drawing, graph, v, disorderColors) {
+    var properties = graph.getProperties(v);
+    var position   = getCanvasPosition(graph, v);
+    var x = position.x, y = position.y;
+    var radius     = ATTRIBUTES.radius;
+    var gender     = graph.getGender(v);
+    var lifeStatus = properties["lifeStatus"];
+    var isProband  = (v == 0);
+    var scale      = isProband ? ATTRIBUTES.probandScale : 1;
+
+    // 1) gender shape
+    var shapeRadius;
+    if (lifeStatus == "aborted" || lifeStatus == "miscarriage") {
+        shapeRadius = radius;
+        var height = radius * Math.sqrt(3.5) / Math.sqrt(2) * scale;
+        var shape  = polygonPath([ [x - height, y], [x, y - height], [x + height, y] ]);
+    } else if (gender == "F") {
+        shapeRadius = radius;
+        var shape = circlePath(x, y, radius * scale);
+    } else if (gender == "M") {
+        shapeRadius = radius;
+        var r = radius * scale;
+        var shape = polygonPath([ [x - r, y - r], [x + r, y - r], [x + r, y + r], [x - r, y + r] ]);
+    } else {
+        // a square rotated by 45 degrees
+        shapeRadius = radius * 1.1 / Math.sqrt(2);
+        var r = shapeRadius * Math.sqrt(2) * scale;
+        var shape = polygonPath([ [x, y - r], [x + r, y], [x, y + r], [x - r, y] ]);
+    }
+    drawing.path(shape, { "fill": ATTRIBUTES.nodeShape.fill });
+
+    // 2) disorders: one equal sector of the shape per disorder
+    var disorders = properties["disorders"] || [];
+    if (disorders.length == 1) {
+        drawing.path(shape, { "fill": disorderColors[disorders[0]] });
+    } else if (disorders.length > 1) {
+        // sectors are cut out of a larger circle by the shape, starting at the right and going counter-clockwise
+        var sectorRadius = radius * 2;
+        var sectorAngle  = 360 / disorders.length;
+        for (var i = 0; i < disorders.length; i++) {
+            var points = [ [x, y] ];
+            var steps  = Math.ceil(sectorAngle / 45);
+            for (var s = 0; s <= steps; s++) {
+                var angle = (i * sectorAngle + s * sectorAngle / steps) * Math.PI / 180;
+                points.push([ x + sectorRadius * Math.cos(angle), y - sectorRadius * Math.sin(angle) ]);
+            }
+            drawing.path(polygonPath(points), { "fill": disorderColors[disorders[i]], "clip": shape });
+        }
+    }
+
+    // the outline goes over the disorder colors
+    drawing.path(shape, { "stroke": ATTRIBUTES.nodeShape.stroke,
+                          "strokeWidth": isProband ? ATTRIBUTES.probandStrokeWidth : ATTRIBUTES.nodeShape.strokeWidth });
+
+    // 3) life status
+    if (lifeStatus == "deceased" || lifeStatus == "stillborn") {
+        var coeff = 10.0/8.0 * radius;
+        drawing.path([ ["M", x - coeff, y + coeff], ["L", x + coeff, y - coeff] ], { "stroke": "#000000", "strokeWidth": ATTRIBUTES.deadShapeStrokeWidth });
+    } else if (lifeStatus == "aborted") {
+        var height = radius * Math.sqrt(3.5) / Math.sqrt(2);
+        var startX = x - height/1.5, startY = y + height/3;
+        drawing.path([ ["M", startX, startY], ["L", startX + height*4/3, startY - height*4/3] ], { "stroke": "#000000", "strokeWidth": ATTRIBUTES.deadShapeStrokeWidth });
+    }
+
+    // 4) carrier status
+    var carrierStatus = properties["carrierStatus"];
+    if (carrierStatus == "carrier") {
+        var dotY = (lifeStatus == "aborted" || lifeStatus == "miscarriage") ? y - radius/2 : y;
+        drawing.path(circlePath(x, dotY, ATTRIBUTES.carrierDotRadius), { "fill": ATTRIBUTES.carrierShape.fill });
+    } else if (carrierStatus == "presymptomatic" && lifeStatus != "aborted" && lifeStatus != "miscarriage") {
+        var width = ATTRIBUTES.presymptomaticShapeWidth;
+        drawing.path(polygonPath([ [x - width/2, y - radius], [x + width/2, y - radius], [x + width/2, y + radius], [x - width/2, y + radius] ]),
+                     { "fill": ATTRIBUTES.presymptomaticShape.fill, "stroke": ATTRIBUTES.presymptomaticShape.stroke, "strokeWidth": 1 });
+    }
+
+    // 5) proband arrow, same placement as PersonVisuals.generateProbandArrow()
+    if (isProband) {
+        var arrowX = x - shapeRadius - 26 + (gender == "F" ? 5 : 0);
+        var arrowY = y + shapeRadius - 12 - (gender == "F" ? 5 : 0);
+        drawing.path(parseSimplePath(PROBAND_ARROW_PATH, 1.1, arrowX, arrowY), { "fill": "#595959" });
+    }
+
+    // 6) labels, same text and spacing as PersonVisuals.updateNameLabel(), updateExternalIDLabel() and drawLabels()
+    var labels = [];
+    var name = properties["fName"] ? properties["fName"] : "";
+    if (properties["lName"]) {
+        name += " " + properties["lName"] + (properties["lNameAtB"] ? " (" + properties["lNameAtB"] + ")" : "");
+    } else if (properties["lNameAtB"]) {
+        name += " " + properties["lNameAtB"];
+    }
+    if (name.trim() != "") {
+        labels.push({ "text": name.trim(), "size": ATTRIBUTES.nameLabels.size });
+    }
+    if (properties["externalID"]) {
+        labels.push({ "text": "[" + properties["externalID"] + "]", "size": ATTRIBUTES.externalIDLabels.size });
+    }
+    var labelY = y + radius * 1.8;
+    for (var i = 0; i < labels.length; i++) {
+        if (i > 0) labelY += labels[i-1].size/2 + 11 + labels[i].size/2;
+        drawing.text(x, labelY, labels[i].text, { "size": labels[i].size, "fill": "#000000" });
+    }
+}
+
+/*
+ * Same as VisualExport._generatePhenotypeTitle(VisualExport.extractPhenotypeInfo())
+ */
+function generateTitle(graph) {
+    var phenotypes    = {};
+    var affectedCount = 0;
+    var count = function(name) {
+        if (name && typeof name === 'string') {
+            phenotypes[name] = (phenotypes[name] || 0) + 1;
+        }
+    };
+    for (var v = 0; v <= graph.DG.GG.getMaxRealVertexId(); v++) {
+        if (!graph.isPerson(v)) continue;
+        var properties = graph.getProperties(v);
+        if (properties.carrierStatus === 'affected') affectedCount++;
+        (properties.disorders || []).forEach(function(disorder) { count(disorder.name || disorder.id || disorder); });
+        (properties.hpoTerms  || []).forEach(function(hpo)      { count(hpo.label || hpo.id || hpo); });
+    }
+
+    var phenotypeNames = Object.keys(phenotypes);
+    if (phenotypeNames.length === 0) {
+        return affectedCount > 0 ? 'Pedigree Chart (' + affectedCount + ' affected)' : 'Pedigree Chart';
+    }
+    var mainPhenotype = phenotypeNames.reduce(function(a, b) {
+        return phenotypes[a] > phenotypes[b] ? a : b;
+    });
+    var caseText = affectedCount === 1 ? '1 case' : affectedCount + ' cases';
+    return mainPhenotype + ' (' + caseText + ')';
+}
+
+/*
+ * Adds the title and the carrier status legend, laid out the same way as in VisualExport.exportAsSVG().
+ * Returns the view box of the whole drawing
+ */
+function addTitleAndLegend(drawing, title, withLegend) {
+    var bbox = drawing.getBounds();
+    var x = bbox.x - MARGIN;
+    var y = bbox.y - MARGIN - TITLE_HEIGHT;
+    var totalWidth = bbox.width + MARGIN * 2 + (withLegend ? LEGEND_WIDTH + LEGEND_MARGIN : 0);
+    var height     = bbox.height + MARGIN * 2 + TITLE_HEIGHT;
+
+    drawing.path(polygonPath([ [x, y], [x + totalWidth, y], [x + totalWidth, y + TITLE_HEIGHT - 10], [x, y + TITLE_HEIGHT - 10] ]),
+                 { "fill": "#f8f9fa", "stroke": "#dee2e6", "strokeWidth": 1 });
+    drawing.text(x + totalWidth/2, y + 24, title, { "size": 18, "bold": true, "fill": "#212529" });
+
+    if (withLegend) {
+        var legendX = x + bbox.width + MARGIN + LEGEND_MARGIN;
+        var legendY = y + TITLE_HEIGHT + 10;
+        drawing.path(polygonPath([ [legendX, legendY], [legendX + LEGEND_WIDTH - 10, legendY],
+                                   [legendX + LEGEND_WIDTH - 10, legendY + 140], [legendX, legendY + 140] ]),
+                     { "fill": "#f8f9fa", "stroke": "#dddddd", "strokeWidth": 1 });
+        drawing.text(legendX + 10, y + TITLE_HEIGHT + 25, "Carrier Status", { "size": 14, "bold": true, "fill": "#2c5aa0", "anchor": "start" });
+
+        var legendItems = [ { text: 'Not affected',    fill: '#DDDDDD' },
+                            { text: 'Carrier',         fill: '#DDDDDD', dot: true },
+                            { text: 'Affected',        fill: '#ddc27d' },
+                            { text: 'Pre-symptomatic', fill: '#DDDDDD', bar: true } ];
+        legendItems.forEach(function(item, index) {
+            var yPos = y + TITLE_HEIGHT + 50 + index * 25;
+            var xPos = legendX + 10;
+            drawing.path(circlePath(xPos + 10, yPos, 8), { "fill": item.fill, "stroke": "#333333", "strokeWidth": 2 });
+            if (item.dot) {
+                drawing.path(circlePath(xPos + 10, yPos, 4), { "fill": "#595959" });
+            }
+            if (item.bar) {
+                drawing.path(polygonPath([ [xPos + 7, yPos - 6], [xPos + 13, yPos - 6], [xPos + 13, yPos + 6], [xPos + 7, yPos + 6] ]), { "fill": "#777777" });
+            }
+            drawing.text(xPos + 25, yPos, item.text, { "size": 12, "fill": "#333333", "anchor": "start" });
+        });
+    }
+    return { "x": x, "y": y, "width": totalWidth, "height": height };
+}
+
+/*
+ * Draws the given DynamicPositionedGraph; returns { "drawing", "viewBox" }
+ */
+function drawPedigree(graph, options) {
+    var drawing = new Drawing();
+    var GG = graph.DG.GG;
+    var disorderColors = getDisorderColors(graph);
+
+    // lines first, so that they are behind the person shapes
+    for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+        if (!graph.isRelationship(v)) continue;
+        drawPartnerLines(drawing, graph, v);
+        drawChildLines(drawing, graph, v);
+    }
+    for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+        if (!graph.isRelationship(v)) continue;
+        var position = getCanvasPosition(graph, v);
+        drawing.path(circlePath(position.x, position.y, ATTRIBUTES.partnershipRadius), ATTRIBUTES.partnershipNode);
+    }
+    for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+        if (!graph.isPerson(v)) continue;
+        drawPerson(drawing, graph, v, disorderColors);
+    }
+
+    var title = (options.title !== undefined && options.title !== null) ? String(options.title) : generateTitle(graph);
+    var viewBox = addTitleAndLegend(drawing, title, options.legend !== false);
+    return { "drawing": drawing, "viewBox": viewBox };
+}
+
+//-------------------------------------------------------------------------------------------------
+// SVG output
+
+function formatNumber(n) {
+    return String(Math.round(n * 100) / 100);
+}
+
+function escapeXML(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function pathToSVG(path) {
+    return path.map(function(command) {
+        return command[0] + command.slice(1).map(formatNumber).join(" ");
+    }).join("");
+}
+
+/*
+ * Returns the drawing of the given DynamicPositionedGraph as an SVG document (a string).
+ *
+ *  options: { "title":  title shown above the pedigree (default: generated from the phenotypes, same as in the editor),
+ *             "legend": false to leave out the carrier status legend }
+ */
+function renderSVG(graph, options) {
+    var result  = drawPedigree(graph, options || {});
+    var viewBox = result.viewBox;
+
+    var defs = [];
+    var body = [];
+    result.drawing.elements.forEach(function(element) {
+        var attr = element.attr;
+        if (element.type == "text") {
+            body.push('<text x="' + formatNumber(element.x) + '" y="' + formatNumber(element.y) + '" dy="0.35em"' +
+                      ' text-anchor="' + (attr.anchor || "middle") + '" font-family="Arial, sans-serif" font-size="' + attr.size + '"' +
+                      (attr.bold ? ' font-weight="bold"' : '') + ' fill="' + attr.fill + '">' + escapeXML(element.text) + '</text>');
+            return;
+        }
+        var clip = "";
+        if (attr.clip) {
+            var clipID = "clip" + defs.length;
+            defs.push('<clipPath id="' + clipID + '"><path d="' + pathToSVG(attr.clip) + '"/></clipPath>');
+            clip = ' clip-path="url(#' + clipID + ')"';
+        }
+        body.push('<path d="' + pathToSVG(element.path) + '"' +
+                  ' fill="' + (attr.fill || "none") + '"' +
+                  (attr.stroke ? ' stroke="' + attr.stroke + '" stroke-width="' + (attr.strokeWidth || 1) + '"' : ' stroke="none"') +
+                  clip + '/>');
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+           '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1"' +
+           ' width="' + formatNumber(viewBox.width) + '" height="' + formatNumber(viewBox.height) + '"' +
+           ' viewBox="' + [viewBox.x, viewBox.y, viewBox.width, viewBox.height].map(formatNumber).join(" ") + '">\n' +
+           (defs.length > 0 ? '<defs>\n' + defs.join("\n") + '\n</defs>\n' : '') +
+           body.join("\n") + '\n</svg>\n';
+}
+
+//-------------------------------------------------------------------------------------------------
+// PDF output: a single page PDF 1.4 document using only the standard Helvetica fonts
+
+// canvas pixels to PDF points, same as in VisualExport.exportAsPDF()
+var PDF_SCALE = 0.75;
+
+function pdfColor(hex, operator) {
+    var value = parseInt(hex.substring(1), 16);
+    return [ (value >> 16) & 255, (value >> 8) & 255, value & 255 ].map(function(c) {
+        return formatNumber(c / 255);
+    }).join(" ") + " " + operator;
+}
+
+function pathToPDF(path) {
+    return path.map(function(command) {
+        var operator = { "M": "m", "L": "l", "C": "c", "Z": "h" }[command[0]];
+        return command.slice(1).map(formatNumber).concat(operator).join(" ");
+    }).join("\n");
+}
+
+// text in the WinAnsi encoding used by the standard fonts; characters it does not have are replaced by "?"
+function pdfString(text) {
+    var result = "";
+    for (var i = 0; i < text.length; i++) {
+        var c = text.charAt(i), code = text.charCodeAt(i);
+        if (c == "\\" || c == "(" || c == ")") {
+            result += "\\" + c;
+        } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+            result += c;
+        } else {
+            result += "?";
+        }
+    }
+    return "(" + result + ")";
+}
+
+/*
+ * Returns the drawing of the given DynamicPositionedGraph as a PDF document (a Buffer).
+ * See renderSVG() for the options.
+ */
+function renderPDF(graph, options) {
+    var result  = drawPedigree(graph, options || {});
+    var viewBox = result.viewBox;
+    var width   = viewBox.width  * PDF_SCALE;
+    var height  = viewBox.height * PDF_SCALE;
+
+    // canvas coordinates go down, PDF coordinates go up
+    var content = [ formatNumber(PDF_SCALE) + " 0 0 " + formatNumber(-PDF_SCALE) + " " +
+                    formatNumber(-viewBox.x * PDF_SCALE) + " " + formatNumber(height + viewBox.y * PDF_SCALE) + " cm",
+                    "1 J 1 j" ];
+    result.drawing.elements.forEach(function(element) {
+        var attr = element.attr;
+        if (element.type == "text") {
+            var text = element.text.replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+            var textWidth = getTextWidth(text, attr.size, attr.bold);
+            var x = (attr.anchor == "start") ? element.x : element.x - textWidth/2;
+            var y = element.y + attr.size * 0.35;
+            content.push("BT", pdfColor(attr.fill, "rg"), "/" + (attr.bold ? "F2" : "F1") + " " + attr.size + " Tf",
+                         "1 0 0 -1 " + formatNumber(x) + " " + formatNumber(y) + " Tm", pdfString(text) + " Tj", "ET");
+            return;
+        }
+        content.push("q");
+        if (attr.clip) {
+            content.push(pathToPDF(attr.clip), "W n");
+        }
+        attr.fill   && content.push(pdfColor(attr.fill, "rg"));
+        attr.stroke && content.push(pdfColor(attr.stroke, "RG"), formatNumber(attr.strokeWidth || 1) + " w");
+        content.push(pathToPDF(element.path), (attr.fill && attr.stroke) ? "B" : (attr.fill ? "f" : "S"));
+        content.push("Q");
+    });
+    var stream = content.join("\n");
+
+    var objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+        "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + formatNumber(width) + " " + formatNumber(height) + "]" +
+           " /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>",
+        "<< /Length " + Buffer.byteLength(stream, "latin1") + " >>\nstream\n" + stream + "\nendstream",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+    ];
+
+    var pdf = "%PDF-1.4\n";
+    var offsets = [];
+    objects.forEach(function(object, i) {
+        offsets.push(Buffer.byteLength(pdf, "latin1"));
+        pdf += (i + 1) + " 0 obj\n" + object + "\nendobj\n";
+    });
+    var xrefOffset = Buffer.byteLength(pdf, "latin1");
+    pdf += "xref\n0 " + (objects.length + 1) + "\n0000000000 65535 f \n";
+    offsets.forEach(function(offset) {
+        pdf += ("0000000000" + offset).slice(-10) + " 00000 n \n";
+    });
+    pdf += "trailer\n<< /Size " + (objects.length + 1) + " /Root 1 0 R >>\nstartxref\n" + xrefOffset + "\n%%EOF\n";
+
+    return Buffer.from(pdf, "latin1");
+}
+
+module.exports = {
+    "renderSVG": renderSVG,
+    "renderPDF": renderPDF
+};
@@ -0,0 +1,304 @@
+/*
+ * Checks of the pedigree model through the headless API (node/panogram.js): a round trip through every
+ * import/export format, and known values of the genetic analyses.
+ *
+ *   npm test
+ *
+ * Each round trip imports the same family, exports it, imports the output again and compares the properties
+ * the format can store (see ROUND_TRIP_FIELDS).
+ */
+
+var assert   = require("assert");
+var panogram = require("../node/panogram.js");
+
+var model = panogram.model;
+
+var tests = [];
+
+function test(name, check) {
+    tests.push({ "name": name, "check": check });
+}
+
+panogram.setWarningHandler(function() {});
+
+// simple JSON family: proband P1 affected, carrier parents, a deceased grandfather, an affected grandmother
+// without an explicit carrier status, twin brothers and a partner without children
+var FAMILY = JSON.stringify([
+    { "name": "P1",  "externalId": "P1",  "firstName": "Ann", "lastName": "Smith", "sex": "f", "father": "F1", "mother": "M1",
+      "disorders": ["Cystic fibrosis"], "proband": true, "birthDate": "1990-05-01" },
+    { "name": "F1",  "externalId": "F1",  "firstName": "Bob", "lastName": "Smith", "sex": "m", "father": "GF1", "mother": "GM1",
+      "carrierStatus": "carrier", "disorders": ["Cystic fibrosis"] },
+    { "name": "M1",  "externalId": "M1",  "firstName": "Cara", "sex": "f", "carrierStatus": "carrier", "disorders": ["Cystic fibrosis"] },
+    { "name": "GF1", "externalId": "GF1", "sex": "m", "lifeStatus": "deceased", "birthDate": "1930-01-15", "deathDate": "2000-06-01" },
+    { "name": "GM1", "externalId": "GM1", "sex": "f", "disorders": ["Breast cancer"] },
+    { "name": "S1",  "externalId": "S1",  "sex": "m", "father": "F1", "mother": "M1", "twinGroup": 1, "monozygotic": true },
+    { "name": "S2",  "externalId": "S2",  "sex": "m", "father": "F1", "mother": "M1", "twinGroup": 1, "monozygotic": true },
+    { "name": "H1",  "externalId": "H1",  "sex": "m", "partners": ["P1"] }
+]);
+
+// the properties each format keeps, see describePersons()
+var STRUCTURE = ["gender", "parents", "partners"];
+var ROUND_TRIP_FIELDS = {
+    "ped":           STRUCTURE,
+    "plink":         STRUCTURE.concat(["affected"]),
+    "madeline":      STRUCTURE.concat(["status", "disorders", "lifeStatus", "dob", "dod", "twins"]),
+    "BOADICEA":      STRUCTURE.concat(["firstName", "lifeStatus", "birthYear"]),
+    "BOADICEA4":     STRUCTURE.concat(["firstName", "lifeStatus", "birthYear"]),
+    "gedcom":        STRUCTURE.concat(["firstName", "status", "disorders", "lifeStatus", "dob", "dod"]),
+    "simpleJSON":    STRUCTURE.concat(["firstName", "status", "disorders", "lifeStatus", "dob", "dod", "twins"]),
+    "fhir":          STRUCTURE.concat(["disorders", "lifeStatus", "dob", "dod"]),
+    "csv":           STRUCTURE.concat(["firstName", "status", "disorders", "lifeStatus", "dob", "dod", "twins"]),
+    "phenotipsJSON": STRUCTURE.concat(["firstName", "status", "disorders", "lifeStatus", "dob", "dod", "twins"])
+};
+
+var formatDate = function(date) {
+    if (!date) return "";
+    date = new Date(date);
+    var pad = function(number) { return (number < 10 ? "0" : "") + number; };
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+};
+
+/*
+ * Returns { <external ID>: { <field>: <value>, ... }, ... } for all persons of the given pedigree
+ * which have an external ID. The phenotype ("status") follows the same rules as Inheritance.getPhenotype()
+ */
+function describePersons(graph) {
+    var GG = graph.DG.GG;
+    var getName = function(v) {
+        return GG.properties[v].hasOwnProperty("externalID") ? GG.properties[v]["externalID"] : "?";
+    };
+    var persons = {};
+    for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+        if (!GG.isPerson(v) || !GG.properties[v].hasOwnProperty("externalID")) continue;
+        var properties    = GG.properties[v];
+        var disorders     = properties.hasOwnProperty("disorders") ? properties["disorders"] : [];
+        var carrierStatus = properties.hasOwnProperty("carrierStatus") ? properties["carrierStatus"] : "";
+        var status = "";
+        if (carrierStatus == "carrier" || carrierStatus == "presymptomatic") {
+            status = carrierStatus;
+        } else if (carrierStatus == "affected" || disorders.length > 0) {
+            status = "affected";
+        }
+        persons[getName(v)] = {
+            "gender":     properties["gender"],
+            "parents":    GG.getParents(v).map(getName).sort().join(","),
+            "partners":   GG.getAllPartners(v).map(getName).sort().join(","),
+            "firstName":  properties.hasOwnProperty("fName") ? properties["fName"] : "",
+            "status":     status,
+            "affected":   (status == "affected"),
+            "disorders":  disorders.join("|"),
+            "lifeStatus": properties.hasOwnProperty("lifeStatus") ? properties["lifeStatus"] : "alive",
+            "dob":        formatDate(properties["dob"]),
+            "dod":        formatDate(properties["dod"]),
+            "birthYear":  formatDate(properties["dob"]).substring(0, 4),
+            "twins":      (GG.getTwinGroupId(v) !== null) ? GG.getAllTwinsOf(v).map(getName).sort().join(",") : ""
+        };
+    }
+    return persons;
+}
+
+function checkRoundTrip(graph, format, fields) {
+    var expected = describePersons(graph);
+    var output   = panogram.exportPedigree(graph, format);
+    var actual   = describePersons(panogram.importPedigree(output, format, {"externalIdMark": true}));
+
+    for (var id in expected) {
+        if (!expected.hasOwnProperty(id)) continue;
+        assert.ok(actual.hasOwnProperty(id), format + ": person " + id + " is missing");
+        for (var i = 0; i < fields.length; i++) {
+            assert.strictEqual(actual[id][fields[i]], expected[id][fields[i]], format + ": " + fields[i] + " of " + id);
+        }
+    }
+}
+
+function importFamily() {
+    return panogram.importPedigree(FAMILY, "simpleJSON", {"externalIdMark": true});
+}
+
+// a PED family, with the persons indexed by their PED IDs
+function importPED(ped) {
+    var graph = panogram.importPedigree(ped, "ped", {"externalIdMark": true});
+    var GG = graph.DG.GG;
+    var ids = {};
+    for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+        if (GG.isPerson(v) && GG.properties[v].hasOwnProperty("externalID")) {
+            ids[GG.properties[v]["externalID"]] = v;
+        }
+    }
+    return { "graph": graph, "GG": GG, "ids": ids };
+}
+
+/* ===============================================================================================
+ * Round trips
+ * ===============================================================================================
+ */
+
+Object.keys(ROUND_TRIP_FIELDS).forEach(function(format) {
+    test("round trip: " + format, function() {
+        checkRoundTrip(importFamily(), format, ROUND_TRIP_FIELDS[format]);
+    });
+});
+
+test("privacy: FHIR export leaves out names and dates, and with \"minimal\" also identifiers", function() {
+    var graph = importFamily();
+    ["nopersonal", "minimal"].forEach(function(privacy) {
+        var output = panogram.exportPedigree(graph, "fhir", {"privacy": privacy});
+        ["\"name\"", "birthDate", "bornDate", "deceasedDate", "Ann", "Smith", "1990", "2000"].forEach(function(text) {
+            assert.strictEqual(output.indexOf(text), -1, privacy + ": " + text);
+        });
+        // the family ID of the bundle is not an array
+        var hasPersonIdentifiers = output.indexOf("\"identifier\": [") >= 0;
+        assert.strictEqual(hasPersonIdentifiers, privacy != "minimal", privacy + ": identifier");
+    });
+});
+
+// CanRisk file with the ages at last follow up of living and deceased persons (with and without a year of birth),
+// a cancer diagnosis, a genetic test and pathology results
+var CANRISK = "BOADICEA import pedigree file format 4.0\n" +
+    ["FamID", "Name", "Target", "IndivID", "FathID", "MothID", "Sex", "MZtwin", "Dead", "Age", "Yob", "1stBrCa", "2ndBrCa",
+     "OvCa", "ProCa", "PanCa", "Ashkn", "BRCA1t", "BRCA1r", "BRCA2t", "BRCA2r", "PALB2t", "PALB2r", "ATMt", "ATMr",
+     "CHEK2t", "CHEK2r", "ER", "PR", "HER2", "CK14", "CK56"].join("\t") + "\n" +
+    "XX\tpb\t1\t1\t2\t3\tF\t0\t0\t45\t1975\t42\t0\t0\t0\t0\t0\tS\tP\t0\t0\t0\t0\t0\t0\t0\t0\tP\tN\t0\t0\t0\n" +
+    "XX\tfa\t0\t2\t0\t0\tM\t0\t1\t70\t1930\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\n" +
+    "XX\tmo\t0\t3\t0\t0\tF\t0\t1\t62\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\t0\n";
+
+test("round trip: CanRisk file is exported unchanged", function() {
+    var graph = panogram.importPedigree(CANRISK, "BOADICEA4", {"externalIdMark": true});
+    assert.strictEqual(panogram.exportPedigree(graph, "BOADICEA4", {"familyID": "XX"}), CANRISK);
+});
+
+test("version update: Phenotips JSON in the pre-May-2014 format is updated on import and preview", function() {
+    // before May 2014 the comment of a group node was stored as its first name
+    var data = JSON.parse(panogram.exportPedigree(importFamily(), "phenotipsJSON"));
+    data.GG.forEach(function(node) {
+        if (node.prop && node.prop.externalID == "H1") {
+            node.prop.numPersons = 3;
+            node.prop.fName      = "three brothers";
+        }
+    });
+    var oldJSON = JSON.stringify(data);
+
+    var preview = model.PedigreeImport.previewImport(oldJSON, "phenotipsJSON", {});
+    [panogram.importBaseGraph(oldJSON, "phenotipsJSON"), preview.baseGraph].forEach(function(baseGraph) {
+        var group = baseGraph.properties.filter(function(properties) { return properties.externalID == "H1"; })[0];
+        assert.strictEqual(group.comments, "three brothers");
+        assert.ok(!group.hasOwnProperty("fName"));
+    });
+});
+
+test("detection: PED with a broken line is detected, and the line is left to the import report", function() {
+    var ped = "F 1 0 0 1 1\nF 2 0 0 2 1\nF 3 1 2 1 2\nF 4 1 2\nF 5 1 2 2 1\n";
+    assert.strictEqual(panogram.detectFormat(ped).format, "ped");
+
+    var report = new model.PedigreeImportReport(true);
+    var graph  = panogram.importPedigree(ped, "ped", {"report": report});
+    assert.strictEqual(Object.keys(describePersons(graph)).sort().join(","), "1,2,3,5");
+    assert.ok(report.toString().indexOf("line 4") >= 0, report.toString());
+
+    // but not when most of the lines are broken
+    assert.strictEqual(panogram.detectFormat("F 1 0 0 1 1\nF 2 0\nF 3 1 2\n").format, null);
+});
+
+/* ===============================================================================================
+ * Analyses
+ * ===============================================================================================
+ */
+
+// unaffected parents 1 and 2 of affected 3 and unaffected 4
+var AR_SIBLINGS = "F 1 0 0 1 1\nF 2 0 0 2 1\nF 3 1 2 1 2\nF 4 1 2 2 1\n";
+
+// first cousins 7 and 8 (grandparents 1 and 2), with their child 9
+var FIRST_COUSINS = "F 1 0 0 1 1\nF 2 0 0 2 1\nF 3 1 2 1 1\nF 4 1 2 2 1\nF 5 0 0 2 1\nF 6 0 0 1 1\n" +
+                    "F 7 3 5 1 1\nF 8 6 4 2 1\nF 9 7 8 1 1\n";
+
+// unaffected mother 2 of affected sons 3 and 4
+var XLR_BROTHERS = "F 1 0 0 1 1\nF 2 0 0 2 1\nF 3 1 2 1 2\nF 4 1 2 1 2\nF 5 1 2 1 1\n";
+
+test("recurrence risk: unaffected sibling of an AR affected person is a carrier with probability 2/3", function() {
+    var family = importPED(AR_SIBLINGS);
+    var result = model.MendelianRisk.compute(family.GG, "affected", "AR", {});
+    var sibling = result.persons[family.ids["4"]];
+    assert.ok(Math.abs(sibling.conditional.carrier - 2/3) < 1e-3, "carrier probability " + sibling.conditional.carrier);
+    assert.strictEqual(sibling.conditional.affected, 0);
+    assert.strictEqual(result.persons[family.ids["1"]].conditional.carrier, 1);
+});
+
+test("kinship: first cousins have a kinship coefficient of 1/16", function() {
+    var family = importPED(FIRST_COUSINS);
+    var ids = family.ids;
+    assert.strictEqual(family.graph.getKinshipCoefficient(ids["7"], ids["8"]), 1/16);
+    assert.strictEqual(family.graph.getInbreedingCoefficient(ids["9"]), 1/16);
+    assert.strictEqual(family.graph.getKinshipCoefficient(ids["3"], ids["4"]), 1/4);
+    assert.strictEqual(family.graph.getRelationshipDescription(ids["7"], ids["8"]), "first cousins");
+});
+
+test("obligate carriers: the mother of two XLR affected sons is an obligate carrier", function() {
+    var family = importPED(XLR_BROTHERS);
+    var carriers = model.ObligateCarriers.find(family.GG, "affected", "XLR");
+    assert.deepStrictEqual(Object.keys(carriers), [String(family.ids["2"])]);
+});
+
+test("proband relationships: the child of first cousins is related to the great-grandparents through both parents", function() {
+    // the first person is the proband
+    var family = importPED("F 9 7 8 1 1\n" + FIRST_COUSINS.replace("F 9 7 8 1 1\n", ""));
+    var relationships = model.ProbandRelationship.describeAll(family.GG);
+    var ids = family.ids;
+    assert.strictEqual(relationships[ids["9"]], "proband");
+    assert.strictEqual(relationships[ids["7"]], "father");
+    assert.strictEqual(relationships[ids["3"]], "paternal grandfather");
+    assert.strictEqual(relationships[ids["4"]], "maternal grandmother");
+    assert.strictEqual(relationships[ids["1"]], "great-grandfather");
+});
+
+test("segregation: male-to-male transmission excludes X-linked inheritance", function() {
+    var family = importPED("F 1 0 0 1 2\nF 2 0 0 2 1\nF 3 1 2 1 2\n");
+    var result = model.SegregationAnalysis.analyse(family.graph, "affected");
+    var modes = {};
+    result.forEach(function(mode) { modes[mode.mode] = mode; });
+    assert.ok(modes["XLD"].excluded && modes["XLR"].excluded);
+    assert.ok(!modes["AD"].excluded);
+    assert.strictEqual(result[0].mode, "AD");
+});
+
+/* ===============================================================================================
+ * Merging
+ * ===============================================================================================
+ */
+
+test("merge: external IDs are kept by default, so that an imported family can be merged by ID", function() {
+    var graph    = panogram.importPedigree(AR_SIBLINGS, "ped");
+    var imported = panogram.importBaseGraph("F 4 0 0 2 1\nF 7 0 0 1 1\nF 8 7 4 1 1\n", "ped");
+    var findPerson = function(GG, externalID) {
+        for (var v = 0; v <= GG.getMaxRealVertexId(); v++) {
+            if (GG.isPerson(v) && GG.properties[v]["externalID"] == externalID) return v;
+        }
+        return null;
+    };
+    var existing = findPerson(graph.DG.GG, "4");
+    assert.notStrictEqual(existing, null);
+    graph.mergeImport(imported, findPerson(imported, "4"), existing);
+
+    var child = findPerson(graph.DG.GG, "8");
+    assert.notStrictEqual(child, null);
+    assert.ok(graph.DG.GG.getParents(child).indexOf(existing) >= 0);
+    assert.deepStrictEqual(Object.keys(describePersons(graph)).sort(), ["1", "2", "3", "4", "7", "8"]);
+});
+
+/* ===============================================================================================
+ * Runs all the tests
+ * ===============================================================================================
+ */
+
+var failed = 0;
+tests.forEach(function(nextTest) {
+    try {
+        nextTest.check();
+        console.log("ok - " + nextTest.name);
+    } catch (err) {
+        failed++;
+        console.log("not ok - " + nextTest.name);
+        console.log("    " + ((err && err.message) ? err.message : err));
+    }
+});
+console.log((tests.length - failed) + " of " + tests.length + " tests passed");
+process.exitCode = (failed > 0) ? 1 : 0;